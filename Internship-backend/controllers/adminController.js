@@ -0,0 +1,310 @@
+/**
+ * ===========================================
+ * Admin Management Controller
+ * ===========================================
+ * Lets super-admins create, update, deactivate
+ * and reset passwords for other admin accounts
+ */
+
+const crypto = require('crypto');
+const Admin = require('../models/Admin');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { sendAdminAccessEmail } = require('../utils/emailService');
+const { recordAudit } = require('../utils/auditLogger');
+
+const ROLES = ['super-admin', 'treasurer', 'collector', 'viewer'];
+
+/**
+ * Generate a readable temporary password
+ * @returns {string}
+ */
+const generateTemporaryPassword = () => {
+    return crypto.randomBytes(6).toString('base64').replace(/[+/=]/g, '').slice(0, 8) + '#1';
+};
+
+/**
+ * Shape an admin for API responses
+ * @param {Object} admin - Admin document
+ * @returns {Object}
+ */
+const toAdminResponse = (admin) => ({
+    id: admin._id,
+    email: admin.email,
+    name: admin.name,
+    role: admin.role,
+    isActive: admin.isActive,
+    createdAt: admin.createdAt,
+    lastLogin: admin.lastLogin
+});
+
+/**
+ * Make sure a change does not leave the system without an active super-admin
+ * @param {Object} admin - Admin being changed
+ * @param {Object} changes - { role, isActive }
+ * @returns {Promise<boolean>}
+ */
+const wouldRemoveLastSuperAdmin = async (admin, changes) => {
+    const staysSuperAdmin = (changes.role || admin.role) === 'super-admin' && changes.isActive !== false;
+    if (admin.role !== 'super-admin' || admin.isActive === false || staysSuperAdmin) {
+        return false;
+    }
+    const otherSuperAdmins = await Admin.countDocuments({
+        _id: { $ne: admin._id },
+        role: 'super-admin',
+        isActive: { $ne: false }
+    });
+    return otherSuperAdmins === 0;
+};
+
+/**
+ * @desc    List all admins
+ * @route   GET /api/admins
+ * @access  Private (super-admin)
+ */
+const getAdmins = asyncHandler(async (req, res) => {
+    const admins = await Admin.find().sort({ createdAt: 1 });
+
+    res.status(200).json({
+        success: true,
+        count: admins.length,
+        data: admins.map(toAdminResponse)
+    });
+});
+
+/**
+ * @desc    Create (invite) a new admin
+ * @route   POST /api/admins
+ * @access  Private (super-admin)
+ *
+ * Request Body: { email, name, role, password (optional) }
+ *
+ * Without a password a temporary one is generated, emailed to the
+ * new admin and returned once in the response
+ */
+const createAdmin = asyncHandler(async (req, res) => {
+    const { email, name, role, password } = req.body;
+
+    if (!email) {
+        res.status(400);
+        throw new Error('Please provide an email address');
+    }
+
+    if (!role || !ROLES.includes(role)) {
+        res.status(400);
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    if (password && password.length < 6) {
+        res.status(400);
+        throw new Error('Password must be at least 6 characters');
+    }
+
+    const existingAdmin = await Admin.findOne({ email: email.toLowerCase() });
+    if (existingAdmin) {
+        res.status(400);
+        throw new Error('Admin with this email already exists');
+    }
+
+    const temporaryPassword = password || generateTemporaryPassword();
+
+    const admin = await Admin.create({
+        email: email.toLowerCase(),
+        name: name?.trim() || 'Admin',
+        role,
+        password: temporaryPassword,
+        createdBy: req.admin._id
+    });
+
+    await recordAudit(req, {
+        action: 'create',
+        entity: 'admin',
+        entityId: admin._id,
+        description: `Created ${role} account ${admin.email}`,
+        after: admin
+    });
+
+    // Send login details (async, don't wait)
+    if (!password) {
+        sendAdminAccessEmail(admin, temporaryPassword).catch(err => {
+            console.error('Email sending failed:', err.message);
+        });
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Admin created successfully',
+        data: {
+            admin: toAdminResponse(admin),
+            temporaryPassword: password ? undefined : temporaryPassword
+        }
+    });
+});
+
+/**
+ * @desc    Update an admin's name or role
+ * @route   PUT /api/admins/:id
+ * @access  Private (super-admin)
+ *
+ * Request Body: { name, role }
+ */
+const updateAdmin = asyncHandler(async (req, res) => {
+    const { name, role } = req.body;
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+        res.status(404);
+        throw new Error('Admin not found');
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+        res.status(400);
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    if (role && role !== admin.role && admin._id.equals(req.admin._id)) {
+        res.status(400);
+        throw new Error('You cannot change your own role');
+    }
+
+    if (role && await wouldRemoveLastSuperAdmin(admin, { role })) {
+        res.status(400);
+        throw new Error('At least one active super-admin is required');
+    }
+
+    const before = admin.toObject();
+
+    if (name !== undefined) admin.name = name.trim() || 'Admin';
+    if (role !== undefined) admin.role = role;
+
+    await admin.save();
+
+    await recordAudit(req, {
+        action: 'update',
+        entity: 'admin',
+        entityId: admin._id,
+        description: `Updated admin ${admin.email}`,
+        before,
+        after: admin
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Admin updated successfully',
+        data: toAdminResponse(admin)
+    });
+});
+
+/**
+ * @desc    Activate or deactivate an admin
+ * @route   PUT /api/admins/:id/status
+ * @access  Private (super-admin)
+ *
+ * Request Body: { isActive }
+ */
+const setAdminStatus = asyncHandler(async (req, res) => {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+        res.status(400);
+        throw new Error('Please provide isActive as true or false');
+    }
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+        res.status(404);
+        throw new Error('Admin not found');
+    }
+
+    if (!isActive && admin._id.equals(req.admin._id)) {
+        res.status(400);
+        throw new Error('You cannot deactivate your own account');
+    }
+
+    if (!isActive && await wouldRemoveLastSuperAdmin(admin, { isActive })) {
+        res.status(400);
+        throw new Error('At least one active super-admin is required');
+    }
+
+    const before = admin.toObject();
+
+    admin.isActive = isActive;
+    // Tokens from before a deactivation stay dead if the admin is activated again
+    if (!isActive) admin.revokeTokens();
+    await admin.save();
+
+    await recordAudit(req, {
+        action: isActive ? 'activate' : 'deactivate',
+        entity: 'admin',
+        entityId: admin._id,
+        description: `${isActive ? 'Activated' : 'Deactivated'} admin ${admin.email}`,
+        before,
+        after: admin
+    });
+
+    res.status(200).json({
+        success: true,
+        message: isActive ? 'Admin activated successfully' : 'Admin deactivated successfully',
+        data: toAdminResponse(admin)
+    });
+});
+
+/**
+ * @desc    Reset an admin's password
+ * @route   PUT /api/admins/:id/reset-password
+ * @access  Private (super-admin)
+ *
+ * Request Body: { password (optional) }
+ *
+ * Without a password a temporary one is generated, emailed to the
+ * admin and returned once in the response
+ */
+const resetAdminPassword = asyncHandler(async (req, res) => {
+    const { password } = req.body || {};
+
+    if (password && password.length < 6) {
+        res.status(400);
+        throw new Error('Password must be at least 6 characters');
+    }
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+        res.status(404);
+        throw new Error('Admin not found');
+    }
+
+    const temporaryPassword = password || generateTemporaryPassword();
+    admin.password = temporaryPassword;
+    // A reset is often because a session leaked; end them all
+    admin.revokeTokens();
+    await admin.save();
+
+    await recordAudit(req, {
+        action: 'reset-password',
+        entity: 'admin',
+        entityId: admin._id,
+        description: `Reset password for ${admin.email}`
+    });
+
+    if (!password) {
+        sendAdminAccessEmail(admin, temporaryPassword, true).catch(err => {
+            console.error('Email sending failed:', err.message);
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Password reset successfully',
+        data: {
+            admin: toAdminResponse(admin),
+            temporaryPassword: password ? undefined : temporaryPassword
+        }
+    });
+});
+
+module.exports = {
+    getAdmins,
+    createAdmin,
+    updateAdmin,
+    setAdminStatus,
+    resetAdminPassword
+};
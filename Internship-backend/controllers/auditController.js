@@ -0,0 +1,87 @@
+/**
+ * ===========================================
+ * Audit Log Controller
+ * ===========================================
+ * Read-only access to the audit trail of
+ * record changes and authentication events
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+/**
+ * @desc    Get audit log entries with filters and pagination
+ * @route   GET /api/audit-logs
+ * @access  Private (super-admin, treasurer, viewer)
+ *
+ * Query Params: entity, action, admin, entityId, search,
+ *               startDate, endDate, page, limit
+ */
+const getAuditLogs = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.entity) filter.entity = req.query.entity;
+    if (req.query.action) filter.action = req.query.action;
+    if (req.query.admin) filter.adminEmail = req.query.admin.toLowerCase();
+    // PRNs are stored upper-case, ObjectIds as given
+    if (req.query.entityId) {
+        filter.entityId = { $in: [req.query.entityId, req.query.entityId.toUpperCase()] };
+    }
+
+    if (req.query.startDate || req.query.endDate) {
+        filter.createdAt = {};
+        if (req.query.startDate) filter.createdAt.$gte = new Date(req.query.startDate);
+        if (req.query.endDate) {
+            const end = new Date(req.query.endDate);
+            end.setHours(23, 59, 59, 999);
+            filter.createdAt.$lte = end;
+        }
+    }
+
+    if (req.query.search) {
+        const escaped = req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        filter.$or = [
+            { description: { $regex: escaped, $options: 'i' } },
+            { entityId: { $regex: escaped, $options: 'i' } },
+            { adminEmail: { $regex: escaped, $options: 'i' } }
+        ];
+    }
+
+    const [total, logs, entities, actions, admins] = await Promise.all([
+        AuditLog.countDocuments(filter),
+        AuditLog.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        AuditLog.distinct('entity'),
+        AuditLog.distinct('action'),
+        AuditLog.distinct('adminEmail')
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            logs,
+            filters: {
+                entities: entities.sort(),
+                actions: actions.sort(),
+                admins: admins.filter(Boolean).sort()
+            },
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalLogs: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
+        }
+    });
+});
+
+module.exports = {
+    getAuditLogs
+};
@@ -8,6 +8,44 @@
 const Admin = require('../models/Admin');
 const { generateToken } = require('../middleware/authMiddleware');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { recordAudit } = require('../utils/auditLogger');
+const Counter = require('../models/Counter');
+
+// Counter locked (seq 1) by the request registering the first super-admin
+const BOOTSTRAP_KEY = 'admin-bootstrap';
+// A lock older than this is left over from an earlier bootstrap and can be taken again
+const BOOTSTRAP_LOCK_MS = 60 * 1000;
+
+/**
+ * Whether a super-admin exists (admins saved before roles count as one)
+ * Deactivated super-admins count too, so registration stays closed while one is on record
+ * @returns {Promise<boolean>}
+ */
+const superAdminExists = async () => Boolean(await Admin.exists({
+    $or: [{ role: 'super-admin' }, { role: { $exists: false } }]
+}));
+
+/**
+ * Take the bootstrap lock, so only one of several simultaneous registrations proceeds
+ * @returns {Promise<boolean>} Whether this request holds the lock
+ */
+const claimBootstrap = async () => {
+    try {
+        const lock = await Counter.findOneAndUpdate(
+            {
+                key: BOOTSTRAP_KEY,
+                $or: [{ seq: 0 }, { updatedAt: { $lt: new Date(Date.now() - BOOTSTRAP_LOCK_MS) } }]
+            },
+            { $set: { seq: 1 } },
+            { new: true, upsert: true }
+        );
+        return Boolean(lock);
+    } catch (error) {
+        // Another request created or holds the lock
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
 
 /**
  * @desc    Login admin
@@ -28,6 +66,11 @@ const loginAdmin = asyncHandler(async (req, res) => {
 
     // Check if admin exists
     if (!admin) {
+        await recordAudit(req, {
+            action: 'login-failed',
+            entity: 'auth',
+            description: `Failed login for unknown email ${email.toLowerCase()}`
+        });
         res.status(401);
         throw new Error('Invalid email or password');
     }
@@ -36,16 +79,43 @@ const loginAdmin = asyncHandler(async (req, res) => {
     const isMatch = await admin.comparePassword(password);
 
     if (!isMatch) {
+        await recordAudit(req, {
+            action: 'login-failed',
+            entity: 'auth',
+            entityId: admin._id,
+            description: `Failed login for ${admin.email}: wrong password`,
+            admin
+        });
         res.status(401);
         throw new Error('Invalid email or password');
     }
 
+    if (admin.isActive === false) {
+        await recordAudit(req, {
+            action: 'login-failed',
+            entity: 'auth',
+            entityId: admin._id,
+            description: `Blocked login for deactivated account ${admin.email}`,
+            admin
+        });
+        res.status(403);
+        throw new Error('This account has been deactivated. Contact a super-admin.');
+    }
+
     // Update last login timestamp
     admin.lastLogin = new Date();
     await admin.save();
 
+    await recordAudit(req, {
+        action: 'login',
+        entity: 'auth',
+        entityId: admin._id,
+        description: `${admin.email} logged in`,
+        admin
+    });
+
     // Generate JWT token
-    const token = generateToken(admin._id);
+    const token = generateToken(admin._id, admin.tokenVersion);
 
     // Send response
     res.status(200).json({
@@ -55,6 +125,7 @@ const loginAdmin = asyncHandler(async (req, res) => {
             id: admin._id,
             email: admin.email,
             name: admin.name,
+            role: admin.role,
             lastLogin: admin.lastLogin,
             token: token
         }
@@ -81,6 +152,7 @@ const getProfile = asyncHandler(async (req, res) => {
             id: admin._id,
             email: admin.email,
             name: admin.name,
+            role: admin.role,
             createdAt: admin.createdAt,
             lastLogin: admin.lastLogin
         }
@@ -88,9 +160,11 @@ const getProfile = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Register new admin (for initial setup only)
+ * @desc    Register the first admin (first-run bootstrap only)
  * @route   POST /api/auth/register
- * @access  Public (should be disabled after initial setup)
+ * @access  Public while no super-admin exists, then closed
+ * 
+ * Further admins are created by a super-admin via /api/admins
  */
 const registerAdmin = asyncHandler(async (req, res) => {
     const { email, password, name } = req.body;
@@ -101,23 +175,42 @@ const registerAdmin = asyncHandler(async (req, res) => {
         throw new Error('Please provide email and password');
     }
 
-    // Check if admin already exists
-    const existingAdmin = await Admin.findOne({ email: email.toLowerCase() });
+    // Registration is only open while no super-admin exists. The lock lets
+    // one request through, so two registrations racing on an empty database
+    // can't both become super-admin; the second check catches a lock taken
+    // over from a bootstrap that already finished.
+    const open = !(await superAdminExists()) && await claimBootstrap() && !(await superAdminExists());
+    if (!open) {
+        res.status(403);
+        throw new Error('Registration is closed. Ask a super-admin to create your account.');
+    }
 
-    if (existingAdmin) {
-        res.status(400);
-        throw new Error('Admin with this email already exists');
+    // Create the bootstrap super-admin
+    let admin;
+    try {
+        admin = await Admin.create({
+            email: email.toLowerCase(),
+            password: password,
+            name: name || 'Admin',
+            role: 'super-admin'
+        });
+    } catch (error) {
+        // Reopen registration so the first admin can try again
+        await Counter.release(BOOTSTRAP_KEY, 1);
+        throw error;
     }
 
-    // Create new admin
-    const admin = await Admin.create({
-        email: email.toLowerCase(),
-        password: password,
-        name: name || 'Admin'
+    await recordAudit(req, {
+        action: 'register',
+        entity: 'admin',
+        entityId: admin._id,
+        description: `Registered first super-admin ${admin.email}`,
+        after: admin,
+        admin
     });
 
     // Generate token
-    const token = generateToken(admin._id);
+    const token = generateToken(admin._id, admin.tokenVersion);
 
     res.status(201).json({
         success: true,
@@ -126,6 +219,7 @@ const registerAdmin = asyncHandler(async (req, res) => {
             id: admin._id,
             email: admin.email,
             name: admin.name,
+            role: admin.role,
             token: token
         }
     });
@@ -157,16 +251,30 @@ const changePassword = asyncHandler(async (req, res) => {
     const isMatch = await admin.comparePassword(currentPassword);
 
     if (!isMatch) {
+        await recordAudit(req, {
+            action: 'password-change-failed',
+            entity: 'auth',
+            entityId: admin._id,
+            description: `Password change for ${admin.email} rejected: wrong current password`
+        });
         res.status(401);
         throw new Error('Current password is incorrect');
     }
 
-    // Update password
+    // Update password and sign out other sessions (a new token is returned below)
     admin.password = newPassword;
+    admin.revokeTokens();
     await admin.save();
 
+    await recordAudit(req, {
+        action: 'password-change',
+        entity: 'auth',
+        entityId: admin._id,
+        description: `${admin.email} changed their password`
+    });
+
     // Generate new token
-    const token = generateToken(admin._id);
+    const token = generateToken(admin._id, admin.tokenVersion);
 
     res.status(200).json({
         success: true,
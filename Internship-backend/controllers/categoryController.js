@@ -7,6 +7,39 @@
 
 const PaymentCategory = require('../models/PaymentCategory');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { recordAudit } = require('../utils/auditLogger');
+
+/**
+ * Validate a late-fee rule from the request body
+ * @param {Object} lateFee - { enabled, graceDays, mode, amount, cap, fineCategory, appliesFrom }
+ * @param {Object} res - Express response (status is set on failure)
+ * @returns {Object} Cleaned rule
+ */
+const cleanLateFee = (lateFee, res) => {
+    const fail = (message) => {
+        res.status(400);
+        throw new Error(message);
+    };
+
+    const rule = {
+        enabled: Boolean(lateFee.enabled),
+        graceDays: Number(lateFee.graceDays || 0),
+        mode: lateFee.mode || 'flat',
+        amount: Number(lateFee.amount || 0),
+        cap: Number(lateFee.cap || 0),
+        fineCategory: lateFee.fineCategory?.trim() || 'Late Fine',
+        appliesFrom: lateFee.appliesFrom ? new Date(lateFee.appliesFrom) : undefined
+    };
+
+    if (!['flat', 'per-day'].includes(rule.mode)) fail('Late fee mode must be flat or per-day');
+    if (!Number.isInteger(rule.graceDays) || rule.graceDays < 0) fail('Grace period must be a whole number of days');
+    if (isNaN(rule.amount) || rule.amount < 0) fail('Late fee amount cannot be negative');
+    if (isNaN(rule.cap) || rule.cap < 0) fail('Late fee cap cannot be negative');
+    if (rule.enabled && rule.amount <= 0) fail('Please provide a late fee amount');
+    if (rule.appliesFrom && isNaN(rule.appliesFrom.getTime())) fail('Please provide a valid start date for late fees');
+
+    return rule;
+};
 
 /**
  * @desc    Get all categories
@@ -35,9 +68,12 @@ const getAllCategories = asyncHandler(async (req, res) => {
  * @desc    Create a new category
  * @route   POST /api/categories
  * @access  Private
+ *
+ * Request Body: { name, type, description,
+ *                 lateFee: { enabled, graceDays, mode, amount, cap, fineCategory, appliesFrom } }
  */
 const createCategory = asyncHandler(async (req, res) => {
-    const { name, type, description } = req.body;
+    const { name, type, description, lateFee } = req.body;
 
     // Check if category already exists
     const existingCategory = await PaymentCategory.findOne({
@@ -52,7 +88,16 @@ const createCategory = asyncHandler(async (req, res) => {
     const category = await PaymentCategory.create({
         name,
         type: type || 'fine',
-        description
+        description,
+        lateFee: lateFee ? cleanLateFee(lateFee, res) : undefined
+    });
+
+    await recordAudit(req, {
+        action: 'create',
+        entity: 'category',
+        entityId: category._id,
+        description: `Created category ${category.name}`,
+        after: category
     });
 
     res.status(201).json({
@@ -69,7 +114,7 @@ const createCategory = asyncHandler(async (req, res) => {
  */
 const updateCategory = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { name, type, description, isActive } = req.body;
+    const { name, type, description, isActive, lateFee } = req.body;
 
     const category = await PaymentCategory.findById(id);
 
@@ -90,13 +135,25 @@ const updateCategory = asyncHandler(async (req, res) => {
         }
     }
 
+    const before = category.toObject();
+
     category.name = name || category.name;
     category.type = type || category.type;
     category.description = description !== undefined ? description : category.description;
     category.isActive = isActive !== undefined ? isActive : category.isActive;
+    if (lateFee) category.lateFee = cleanLateFee(lateFee, res);
 
     await category.save();
 
+    await recordAudit(req, {
+        action: 'update',
+        entity: 'category',
+        entityId: category._id,
+        description: `Updated category ${category.name}`,
+        before,
+        after: category
+    });
+
     res.status(200).json({
         success: true,
         message: 'Category updated successfully',
@@ -121,6 +178,14 @@ const deleteCategory = asyncHandler(async (req, res) => {
 
     await category.deleteOne();
 
+    await recordAudit(req, {
+        action: 'delete',
+        entity: 'category',
+        entityId: category._id,
+        description: `Deleted category ${category.name}`,
+        before: category
+    });
+
     res.status(200).json({
         success: true,
         message: 'Category deleted successfully'
@@ -0,0 +1,285 @@
+/**
+ * ===========================================
+ * Email Template Controller
+ * ===========================================
+ * Lets admins reword the receipt, reminder and notice
+ * emails, preview them with sample data, send a test
+ * and send notices to a class
+ */
+
+const EmailTemplate = require('../models/EmailTemplate');
+const Student = require('../models/Student');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { TEMPLATES, getDefinition, getTemplate, renderEmail } = require('../utils/emailTemplates');
+const { queueEmail } = require('../utils/emailOutbox');
+const { sendNoticeEmail } = require('../utils/emailService');
+const { recordAudit } = require('../utils/auditLogger');
+
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
+/**
+ * Exact, case-insensitive match for a student field
+ * @param {string} value
+ * @returns {Object} $regex condition
+ */
+const exactMatch = (value) => ({
+    $regex: `^${value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`,
+    $options: 'i'
+});
+
+/**
+ * Find a template definition by key or fail with 404
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} Template definition
+ */
+const findDefinition = (req, res) => {
+    const definition = getDefinition(req.params.key);
+    if (!definition) {
+        res.status(404);
+        throw new Error('Email template not found');
+    }
+    return definition;
+};
+
+/**
+ * Render a template with its sample data, failing with 400
+ * when the subject or body is missing or its sections don't match up
+ * @param {Object} res - Express response
+ * @param {Object} definition - Template definition
+ * @param {Object} template - { subject, html }
+ * @returns {Promise<{ subject, html }>} Rendered sample
+ */
+const renderSample = async (res, definition, { subject, html }) => {
+    if (!subject?.trim() || !html?.trim()) {
+        res.status(400);
+        throw new Error('Subject and body are required');
+    }
+
+    try {
+        return await renderEmail(definition.key, await definition.sample(), { subject, html });
+    } catch (error) {
+        res.status(400);
+        throw new Error(`Template error: ${error.message}`);
+    }
+};
+
+/**
+ * @desc    List email templates as currently in use
+ * @route   GET /api/email-templates
+ * @access  Private (super-admin, treasurer)
+ */
+const getTemplates = asyncHandler(async (req, res) => {
+    const templates = await Promise.all(TEMPLATES.map(definition => getTemplate(definition.key)));
+
+    res.status(200).json({
+        success: true,
+        data: {
+            templates
+        }
+    });
+});
+
+/**
+ * @desc    Save an admin's version of a template
+ * @route   PUT /api/email-templates/:key
+ * @access  Private (super-admin, treasurer)
+ *
+ * Request Body: { subject, html }
+ * The template is rendered with sample data first, so a broken one is never saved.
+ */
+const updateTemplate = asyncHandler(async (req, res) => {
+    const definition = findDefinition(req, res);
+    const { subject, html } = req.body;
+
+    await renderSample(res, definition, { subject, html });
+
+    const before = await EmailTemplate.findOne({ key: definition.key }).lean();
+    const template = await EmailTemplate.findOneAndUpdate(
+        { key: definition.key },
+        {
+            subject: subject.trim(),
+            html,
+            updatedBy: req.admin._id,
+            updatedByName: req.admin.name
+        },
+        { new: true, upsert: true, runValidators: true }
+    );
+
+    await recordAudit(req, {
+        action: 'update',
+        entity: 'email-template',
+        entityId: definition.key,
+        description: `Updated the ${definition.name} email template`,
+        before,
+        after: template
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Template saved',
+        data: await getTemplate(definition.key)
+    });
+});
+
+/**
+ * @desc    Go back to the built-in template
+ * @route   DELETE /api/email-templates/:key
+ * @access  Private (super-admin, treasurer)
+ */
+const resetTemplate = asyncHandler(async (req, res) => {
+    const definition = findDefinition(req, res);
+
+    const removed = await EmailTemplate.findOneAndDelete({ key: definition.key });
+
+    if (removed) {
+        await recordAudit(req, {
+            action: 'reset',
+            entity: 'email-template',
+            entityId: definition.key,
+            description: `Reset the ${definition.name} email template to the default`,
+            before: removed
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Template reset to the default',
+        data: await getTemplate(definition.key)
+    });
+});
+
+/**
+ * @desc    Render a template with sample data
+ * @route   POST /api/email-templates/:key/preview
+ * @access  Private (super-admin, treasurer)
+ *
+ * Request Body: { subject, html } (optional; the saved template is used when left out)
+ */
+const previewTemplate = asyncHandler(async (req, res) => {
+    const definition = findDefinition(req, res);
+    const current = await getTemplate(definition.key);
+
+    const preview = await renderSample(res, definition, {
+        subject: req.body.subject ?? current.subject,
+        html: req.body.html ?? current.html
+    });
+
+    res.status(200).json({
+        success: true,
+        data: preview
+    });
+});
+
+/**
+ * @desc    Send a template, filled with sample data, to an address
+ * @route   POST /api/email-templates/:key/test
+ * @access  Private (super-admin, treasurer)
+ *
+ * Request Body: { to, subject, html } (subject and html default to the saved template)
+ * Waits for the first delivery attempt so the result can be shown.
+ */
+const sendTestEmail = asyncHandler(async (req, res) => {
+    const definition = findDefinition(req, res);
+    const to = (req.body.to || req.admin.email || '').trim().toLowerCase();
+
+    if (!EMAIL_PATTERN.test(to)) {
+        res.status(400);
+        throw new Error('Please provide a valid email address');
+    }
+
+    const current = await getTemplate(definition.key);
+    const { subject, html } = await renderSample(res, definition, {
+        subject: req.body.subject ?? current.subject,
+        html: req.body.html ?? current.html
+    });
+
+    const email = await queueEmail({
+        kind: 'test',
+        to,
+        subject: `[Test] ${subject}`,
+        html,
+        createdBy: req.admin._id
+    }, { wait: true });
+
+    res.status(200).json({
+        success: true,
+        message: email.status === 'sent'
+            ? `Test email sent to ${to}`
+            : `Test email to ${to} could not be sent yet: ${email.lastError}`,
+        data: {
+            status: email.status,
+            lastError: email.lastError
+        }
+    });
+});
+
+/**
+ * @desc    Email a notice to every active student in a class
+ * @route   POST /api/email-templates/notice/send
+ * @access  Private (super-admin, treasurer)
+ *
+ * Request Body: { year, division, title, message }
+ * A year or division is required. Students without an email are counted and skipped.
+ */
+const sendNotice = asyncHandler(async (req, res) => {
+    const title = req.body.title?.trim();
+    const message = req.body.message?.trim();
+    const year = req.body.year?.trim();
+    const division = req.body.division?.trim();
+
+    if (!title || !message) {
+        res.status(400);
+        throw new Error('Title and message are required');
+    }
+    if (!year && !division) {
+        res.status(400);
+        throw new Error('Choose a year or division');
+    }
+
+    const query = { isActive: true };
+    if (year) query.year = exactMatch(year);
+    if (division) query.division = exactMatch(division);
+
+    const students = await Student.find(query)
+        .select('prn name year division rollNo email')
+        .lean();
+
+    const recipients = students.filter(student => student.email);
+    if (recipients.length === 0) {
+        res.status(400);
+        throw new Error('None of the selected students has an email address');
+    }
+
+    // One template for the whole batch, so an edit mid-send can't mix versions
+    const template = await getTemplate('notice');
+    for (const student of recipients) {
+        await sendNoticeEmail(student, { title, message }, { createdBy: req.admin._id, template });
+    }
+
+    await recordAudit(req, {
+        action: 'send',
+        entity: 'notice',
+        description: `Emailed notice "${title}" to ${recipients.length} students` +
+            ` (${[year, division && `Division ${division}`].filter(Boolean).join(', ')})`,
+        after: { title, message, year, division }
+    });
+
+    res.status(202).json({
+        success: true,
+        message: `Notice queued for ${recipients.length} students`,
+        data: {
+            queued: recipients.length,
+            withoutEmail: students.length - recipients.length
+        }
+    });
+});
+
+module.exports = {
+    getTemplates,
+    updateTemplate,
+    resetTemplate,
+    previewTemplate,
+    sendTestEmail,
+    sendNotice
+};
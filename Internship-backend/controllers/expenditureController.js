@@ -9,6 +9,8 @@
 const Expenditure = require('../models/Expenditure');
 const Student = require('../models/Student');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { amountPaidExpr, balanceExpr, paymentRowStages } = require('../utils/ledger');
+const { recordAudit } = require('../utils/auditLogger');
 
 /**
  * @desc    Add new expenditure
@@ -42,6 +44,14 @@ const addExpenditure = asyncHandler(async (req, res) => {
         addedBy: req.admin._id
     });
 
+    await recordAudit(req, {
+        action: 'create',
+        entity: 'expenditure',
+        entityId: expenditure._id,
+        description: `Added expenditure of ${expenditure.amount}: ${expenditure.description}`,
+        after: expenditure
+    });
+
     res.status(201).json({
         success: true,
         message: 'Expenditure added successfully',
@@ -55,17 +65,41 @@ const addExpenditure = asyncHandler(async (req, res) => {
  * @access  Private
  * 
  * Returns:
- * - Total Income (sum of all fines)
+ * - Total Income (sum of all collected fines, net of reversals)
+ * - Total Refunded (sum of reversed payments)
+ * - Total Outstanding (sum of unpaid dues)
  * - Total Expenditure (sum of all expenses)
  * - Balance (income - expenditure)
  */
 const getFinancialSummary = asyncHandler(async (req, res) => {
-    // Calculate total income from all student fines
+    // Split student charges into collected income and outstanding dues
     const incomeResult = await Student.aggregate([
         { $unwind: { path: '$fines', preserveNullAndEmptyArrays: false } },
-        { $group: { _id: null, totalIncome: { $sum: '$fines.amount' } } }
+        {
+            $group: {
+                _id: null,
+                totalIncome: { $sum: amountPaidExpr('$fines') },
+                totalOutstanding: {
+                    $sum: { $cond: [{ $eq: ['$fines.isPaid', false] }, balanceExpr('$fines'), 0] }
+                },
+                outstandingCount: {
+                    $sum: { $cond: [{ $eq: ['$fines.isPaid', false] }, 1, 0] }
+                }
+            }
+        }
     ]);
     const totalIncome = incomeResult.length > 0 ? incomeResult[0].totalIncome : 0;
+    const totalOutstanding = incomeResult.length > 0 ? incomeResult[0].totalOutstanding : 0;
+    const outstandingCount = incomeResult.length > 0 ? incomeResult[0].outstandingCount : 0;
+
+    // Reversed (refunded) payments are excluded from income; report them separately
+    const reversalResult = await Student.aggregate([
+        ...paymentRowStages({ includeReversed: true }),
+        { $match: { 'payment.isReversed': true } },
+        { $group: { _id: null, totalRefunded: { $sum: '$payment.amount' }, count: { $sum: 1 } } }
+    ]);
+    const totalRefunded = reversalResult.length > 0 ? reversalResult[0].totalRefunded : 0;
+    const reversedCount = reversalResult.length > 0 ? reversalResult[0].count : 0;
 
     // Calculate total expenditure
     const expenditureResult = await Expenditure.aggregate([
@@ -79,6 +113,7 @@ const getFinancialSummary = asyncHandler(async (req, res) => {
     // Get additional statistics
     const totalStudents = await Student.countDocuments();
     const studentsWithFines = await Student.countDocuments({ 'fines.0': { $exists: true } });
+    const studentsWithDues = await Student.countDocuments({ 'fines.isPaid': false });
     const totalFineCount = await Student.aggregate([
         { $project: { fineCount: { $size: '$fines' } } },
         { $group: { _id: null, total: { $sum: '$fineCount' } } }
@@ -93,6 +128,8 @@ const getFinancialSummary = asyncHandler(async (req, res) => {
         data: {
             financial: {
                 totalIncome: totalIncome,
+                totalOutstanding: totalOutstanding,
+                totalRefunded: totalRefunded,
                 totalExpenditure: totalExpenditure,
                 balance: balance,
                 status: balance >= 0 ? 'surplus' : 'deficit'
@@ -101,6 +138,9 @@ const getFinancialSummary = asyncHandler(async (req, res) => {
                 totalStudents: totalStudents,
                 studentsWithFines: studentsWithFines,
                 totalFines: totalFineCount.length > 0 ? totalFineCount[0].total : 0,
+                outstandingDues: outstandingCount,
+                studentsWithDues: studentsWithDues,
+                reversedPayments: reversedCount,
                 totalExpenditures: totalExpenditureCount
             },
             expenditureByCategory: expenditureByCategory
@@ -193,6 +233,8 @@ const updateExpenditure = asyncHandler(async (req, res) => {
         throw new Error('Expenditure not found');
     }
 
+    const before = expenditure.toObject();
+
     // Update fields if provided
     if (amount !== undefined) {
         if (isNaN(amount) || Number(amount) <= 0) {
@@ -210,6 +252,15 @@ const updateExpenditure = asyncHandler(async (req, res) => {
 
     await expenditure.save();
 
+    await recordAudit(req, {
+        action: 'update',
+        entity: 'expenditure',
+        entityId: expenditure._id,
+        description: `Updated expenditure: ${expenditure.description}`,
+        before,
+        after: expenditure
+    });
+
     res.status(200).json({
         success: true,
         message: 'Expenditure updated successfully',
@@ -230,6 +281,14 @@ const deleteExpenditure = asyncHandler(async (req, res) => {
         throw new Error('Expenditure not found');
     }
 
+    await recordAudit(req, {
+        action: 'delete',
+        entity: 'expenditure',
+        entityId: expenditure._id,
+        description: `Deleted expenditure of ${expenditure.amount}: ${expenditure.description}`,
+        before: expenditure
+    });
+
     res.status(200).json({
         success: true,
         message: 'Expenditure deleted successfully',
@@ -249,14 +308,14 @@ const getMonthlyReport = asyncHandler(async (req, res) => {
     // Get year from query or use current year
     const year = parseInt(req.query.year) || new Date().getFullYear();
 
-    // Get monthly income (fines)
+    // Get monthly income (installments collected against student charges)
     const monthlyIncome = await Student.aggregate([
-        { $unwind: '$fines' },
-        { $match: { 'fines.date': { $gte: new Date(`${year}-01-01`), $lte: new Date(`${year}-12-31`) } } },
+        ...paymentRowStages(),
+        { $match: { 'payment.date': { $gte: new Date(`${year}-01-01`), $lte: new Date(`${year}-12-31`) } } },
         {
             $group: {
-                _id: { month: { $month: '$fines.date' } },
-                income: { $sum: '$fines.amount' },
+                _id: { month: { $month: '$payment.date' } },
+                income: { $sum: '$payment.amount' },
                 count: { $sum: 1 }
             }
         },
@@ -0,0 +1,227 @@
+/**
+ * ===========================================
+ * Import Profile Controller
+ * ===========================================
+ * Handles CRUD for saved student import column mappings
+ */
+
+const ImportProfile = require('../models/ImportProfile');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { recordAudit } = require('../utils/auditLogger');
+const { PROFILE_FIELDS } = require('../utils/studentImport');
+
+/**
+ * Check a profile's header row and mappings
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateProfile = ({ headerRow, mappings }) => {
+    if (headerRow !== undefined && headerRow !== null && headerRow !== '' &&
+        (!Number.isInteger(Number(headerRow)) || Number(headerRow) < 1)) {
+        return 'Header row must be a whole number of 1 or more';
+    }
+
+    if (!Array.isArray(mappings)) {
+        return 'Mappings must be a list';
+    }
+
+    const seen = new Set();
+    for (const mapping of mappings) {
+        if (!PROFILE_FIELDS.includes(mapping.field)) {
+            return `Unknown student field "${mapping.field}"`;
+        }
+        if (seen.has(mapping.field)) {
+            return `${mapping.field} is mapped more than once`;
+        }
+        seen.add(mapping.field);
+
+        if (!mapping.column && !mapping.defaultValue && !mapping.derivedFrom) {
+            return `${mapping.field} needs a column, a default value or a field to copy`;
+        }
+        if (mapping.derivedFrom && (!PROFILE_FIELDS.includes(mapping.derivedFrom) || mapping.derivedFrom === mapping.field)) {
+            return `${mapping.field} cannot be copied from "${mapping.derivedFrom}"`;
+        }
+    }
+
+    // Every student needs a PRN and a name from the file itself
+    for (const field of ['prn', 'name']) {
+        if (!mappings.some(mapping => mapping.field === field && mapping.column)) {
+            return `${field === 'prn' ? 'PRN' : 'Name'} must be mapped to a column`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Keep only the mapping properties that are set
+ * @param {Array} mappings
+ * @returns {Array}
+ */
+const cleanMappings = (mappings) => mappings.map(({ field, column, defaultValue, derivedFrom }) => ({
+    field,
+    column: column || undefined,
+    defaultValue: defaultValue || undefined,
+    derivedFrom: derivedFrom || undefined
+}));
+
+/**
+ * @desc    Get all import profiles
+ * @route   GET /api/import-profiles
+ * @access  Private
+ */
+const getImportProfiles = asyncHandler(async (req, res) => {
+    const profiles = await ImportProfile.find().sort({ name: 1 });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            profiles,
+            count: profiles.length
+        }
+    });
+});
+
+/**
+ * @desc    Create an import profile
+ * @route   POST /api/import-profiles
+ * @access  Private
+ */
+const createImportProfile = asyncHandler(async (req, res) => {
+    const { name, description, headerRow, mappings } = req.body;
+
+    if (!name || !name.trim()) {
+        res.status(400);
+        throw new Error('Profile name is required');
+    }
+
+    const validationError = validateProfile({ headerRow, mappings });
+    if (validationError) {
+        res.status(400);
+        throw new Error(validationError);
+    }
+
+    const existingProfile = await ImportProfile.findOne({ name: name.trim() })
+        .collation({ locale: 'en', strength: 2 });
+    if (existingProfile) {
+        res.status(400);
+        throw new Error('Import profile with this name already exists');
+    }
+
+    const profile = await ImportProfile.create({
+        name,
+        description,
+        headerRow: headerRow || undefined,
+        mappings: cleanMappings(mappings),
+        createdBy: req.admin._id
+    });
+
+    await recordAudit(req, {
+        action: 'create',
+        entity: 'import-profile',
+        entityId: profile._id,
+        description: `Created import profile ${profile.name}`,
+        after: profile
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Import profile created successfully',
+        data: profile
+    });
+});
+
+/**
+ * @desc    Update an import profile
+ * @route   PUT /api/import-profiles/:id
+ * @access  Private
+ */
+const updateImportProfile = asyncHandler(async (req, res) => {
+    const { name, description, headerRow, mappings } = req.body;
+
+    const profile = await ImportProfile.findById(req.params.id);
+
+    if (!profile) {
+        res.status(404);
+        throw new Error('Import profile not found');
+    }
+
+    const validationError = validateProfile({
+        headerRow,
+        mappings: mappings !== undefined ? mappings : profile.mappings.map(mapping => mapping.toObject())
+    });
+    if (validationError) {
+        res.status(400);
+        throw new Error(validationError);
+    }
+
+    // Check if new name conflicts with existing profile
+    if (name && name.trim() !== profile.name) {
+        const existingProfile = await ImportProfile.findOne({ name: name.trim(), _id: { $ne: profile._id } })
+            .collation({ locale: 'en', strength: 2 });
+        if (existingProfile) {
+            res.status(400);
+            throw new Error('Import profile with this name already exists');
+        }
+    }
+
+    const before = profile.toObject();
+
+    profile.name = name || profile.name;
+    profile.description = description !== undefined ? description : profile.description;
+    if (headerRow !== undefined) profile.headerRow = headerRow || undefined;
+    if (mappings !== undefined) profile.mappings = cleanMappings(mappings);
+
+    await profile.save();
+
+    await recordAudit(req, {
+        action: 'update',
+        entity: 'import-profile',
+        entityId: profile._id,
+        description: `Updated import profile ${profile.name}`,
+        before,
+        after: profile
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Import profile updated successfully',
+        data: profile
+    });
+});
+
+/**
+ * @desc    Delete an import profile
+ * @route   DELETE /api/import-profiles/:id
+ * @access  Private
+ */
+const deleteImportProfile = asyncHandler(async (req, res) => {
+    const profile = await ImportProfile.findById(req.params.id);
+
+    if (!profile) {
+        res.status(404);
+        throw new Error('Import profile not found');
+    }
+
+    await profile.deleteOne();
+
+    await recordAudit(req, {
+        action: 'delete',
+        entity: 'import-profile',
+        entityId: profile._id,
+        description: `Deleted import profile ${profile.name}`,
+        before: profile
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Import profile deleted successfully'
+    });
+});
+
+module.exports = {
+    getImportProfiles,
+    createImportProfile,
+    updateImportProfile,
+    deleteImportProfile
+};
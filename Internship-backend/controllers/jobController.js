@@ -0,0 +1,235 @@
+/**
+ * ===========================================
+ * Job Controller
+ * ===========================================
+ * Lists scheduled jobs and their run history,
+ * changes their schedules and runs them on demand
+ */
+
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { getTask, runJobNow } = require('../utils/jobScheduler');
+const { validateCron, nextRunAfter } = require('../utils/cronSchedule');
+const { recordAudit } = require('../utils/auditLogger');
+
+/**
+ * Find a job by name or fail with 404
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object>} Job document
+ */
+const findJob = async (req, res) => {
+    const job = await Job.findOne({ name: req.params.name });
+    if (!job) {
+        res.status(404);
+        throw new Error('Job not found');
+    }
+    return job;
+};
+
+/**
+ * Add the task's title, description and default options to a job
+ * @param {Object} job - Plain job object
+ * @returns {Object}
+ */
+const describeJob = (job) => {
+    const task = getTask(job.name);
+    return {
+        ...job,
+        title: task?.title || job.name,
+        description: task?.description || 'This job no longer exists in the code',
+        defaultOptions: task?.options || {},
+        optionMinimums: task?.optionMinimums || {},
+        options: { ...(task?.options || {}), ...job.options }
+    };
+};
+
+/**
+ * @desc    List scheduled jobs with their last run
+ * @route   GET /api/jobs
+ * @access  Private (super-admin, treasurer)
+ */
+const getJobs = asyncHandler(async (req, res) => {
+    const jobs = await Job.find().sort({ name: 1 }).lean();
+
+    res.status(200).json({
+        success: true,
+        data: {
+            jobs: jobs.map(describeJob)
+        }
+    });
+});
+
+/**
+ * @desc    Run history of a job
+ * @route   GET /api/jobs/:name/runs
+ * @access  Private (super-admin, treasurer)
+ *
+ * Query Parameters:
+ * - status: running | success | failed
+ * - page: Page number (default: 1)
+ * - limit: Results per page (default: 20)
+ */
+const getJobRuns = asyncHandler(async (req, res) => {
+    const job = await findJob(req, res);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = { job: job._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const [runs, total] = await Promise.all([
+        JobRun.find(query)
+            .sort({ startedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('triggeredBy', 'name email')
+            .lean(),
+        JobRun.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            runs,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalRuns: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
+        }
+    });
+});
+
+/**
+ * @desc    Change a job's schedule, retries or options, or turn it on/off
+ * @route   PUT /api/jobs/:name
+ * @access  Private (super-admin)
+ *
+ * Request Body: { schedule, enabled, maxAttempts, retryDelayMinutes, options }
+ * Only options the task knows about are kept; numeric options must be numbers.
+ */
+const updateJob = asyncHandler(async (req, res) => {
+    const job = await findJob(req, res);
+    const { schedule, enabled, maxAttempts, retryDelayMinutes, options } = req.body;
+    const before = job.toObject();
+
+    if (schedule !== undefined) {
+        const scheduleError = validateCron(schedule);
+        if (scheduleError) {
+            res.status(400);
+            throw new Error(scheduleError);
+        }
+        if (!nextRunAfter(schedule)) {
+            res.status(400);
+            throw new Error('This schedule never comes round');
+        }
+        job.schedule = schedule.trim().replace(/\s+/g, ' ');
+    }
+
+    if (enabled !== undefined) {
+        job.enabled = Boolean(enabled);
+    }
+
+    if (maxAttempts !== undefined) {
+        const attempts = Number(maxAttempts);
+        if (!Number.isInteger(attempts) || attempts < 1 || attempts > 10) {
+            res.status(400);
+            throw new Error('Attempts must be a whole number from 1 to 10');
+        }
+        job.maxAttempts = attempts;
+    }
+
+    if (retryDelayMinutes !== undefined) {
+        const delay = Number(retryDelayMinutes);
+        if (isNaN(delay) || delay < 1) {
+            res.status(400);
+            throw new Error('Retry delay must be at least a minute');
+        }
+        job.retryDelayMinutes = delay;
+    }
+
+    if (options !== undefined) {
+        const defaults = getTask(job.name)?.options || {};
+        const minimums = getTask(job.name)?.optionMinimums || {};
+        const cleaned = {};
+        for (const [key, defaultValue] of Object.entries(defaults)) {
+            if (options[key] === undefined || options[key] === '') continue;
+            if (typeof defaultValue === 'number') {
+                const value = Number(options[key]);
+                const minimum = minimums[key] ?? 0;
+                if (isNaN(value) || value < minimum) {
+                    res.status(400);
+                    throw new Error(`${key} must be a number of ${minimum} or more`);
+                }
+                cleaned[key] = value;
+            } else {
+                cleaned[key] = options[key];
+            }
+        }
+        job.options = cleaned;
+    }
+
+    // A new schedule, or turning the job back on, starts from now
+    if (job.isModified('schedule') || (job.isModified('enabled') && job.enabled)) {
+        job.nextRunAt = nextRunAfter(job.schedule);
+        job.attempts = 0;
+    }
+
+    await job.save();
+
+    await recordAudit(req, {
+        action: 'update',
+        entity: 'job',
+        entityId: job._id,
+        description: `Updated scheduled job ${job.name}`,
+        before,
+        after: job
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Job updated',
+        data: describeJob(job.toObject())
+    });
+});
+
+/**
+ * @desc    Run a job now
+ * @route   POST /api/jobs/:name/run
+ * @access  Private (super-admin, treasurer)
+ *
+ * Starts the job and returns straight away; follow it in the run history.
+ */
+const runJob = asyncHandler(async (req, res) => {
+    const job = await findJob(req, res);
+
+    const run = await runJobNow(job.name, req.admin);
+    if (!run) {
+        res.status(409);
+        throw new Error('This job is already running');
+    }
+
+    await recordAudit(req, {
+        action: 'run',
+        entity: 'job',
+        entityId: job._id,
+        description: `Ran scheduled job ${job.name} manually`
+    });
+
+    res.status(202).json({
+        success: true,
+        message: 'Job started',
+        data: run
+    });
+});
+
+module.exports = {
+    getJobs,
+    getJobRuns,
+    updateJob,
+    runJob
+};
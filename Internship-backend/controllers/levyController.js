@@ -0,0 +1,470 @@
+/**
+ * ===========================================
+ * Levy Controller
+ * ===========================================
+ * Charges a fee or fine to every student in a class
+ * (or a list of PRNs) at once, tracks collection and
+ * cancels the charges nobody has paid yet
+ */
+
+const mongoose = require('mongoose');
+const Levy = require('../models/Levy');
+const Student = require('../models/Student');
+const PaymentCategory = require('../models/PaymentCategory');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { amountPaidExpr, balanceExpr } = require('../utils/ledger');
+const { recordAudit } = require('../utils/auditLogger');
+
+/**
+ * Exact, case-insensitive match for a student field
+ * @param {string} value
+ * @returns {Object} $regex condition
+ */
+const exactMatch = (value) => ({
+    $regex: `^${value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`,
+    $options: 'i'
+});
+
+/**
+ * Build the student filter of a levy from the request body
+ * @param {Object} body - { year, division, academicYear, prns }
+ *   prns may be an array or a comma/newline separated string
+ * @returns {{ filter: Object, query: Object }|null} Null when no criteria were given
+ */
+const buildLevyFilter = ({ year, division, academicYear, prns }) => {
+    const prnList = [...new Set(
+        (Array.isArray(prns) ? prns : String(prns || '').split(/[\s,]+/))
+            .map(prn => String(prn).trim().toUpperCase())
+            .filter(Boolean)
+    )];
+
+    const filter = {
+        year: year?.trim() || undefined,
+        division: division?.trim() || undefined,
+        academicYear: academicYear?.trim() || undefined,
+        prns: prnList
+    };
+
+    if (!filter.year && !filter.division && !filter.academicYear && prnList.length === 0) {
+        return null;
+    }
+
+    const query = { isActive: true };
+    if (filter.year) query.year = exactMatch(filter.year);
+    if (filter.division) query.division = exactMatch(filter.division);
+    if (filter.academicYear) query.academicYear = exactMatch(filter.academicYear);
+    if (prnList.length > 0) query.prn = { $in: prnList };
+
+    return { filter, query };
+};
+
+/**
+ * Find the active students a levy filter selects
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<{ filter, students, missingPRNs }>}
+ */
+const findLevyStudents = async (req, res) => {
+    const built = buildLevyFilter(req.body);
+    if (!built) {
+        res.status(400);
+        throw new Error('Choose a year, division, academic year or list of PRNs');
+    }
+
+    const students = await Student.find(built.query)
+        .select('prn name year division rollNo academicYear')
+        .sort({ year: 1, division: 1, rollNo: 1, name: 1 })
+        .lean();
+
+    // PRNs in the list that are not active students
+    const found = new Set(students.map(student => student.prn));
+    const missingPRNs = built.filter.prns.filter(prn => !found.has(prn));
+
+    return { filter: built.filter, students, missingPRNs };
+};
+
+/**
+ * Collection progress of levies, from the charges they raised
+ * @param {Array<ObjectId>} levyIds
+ * @returns {Promise<Map<string, Object>>} Progress keyed by levy id
+ */
+const getLevyProgress = async (levyIds) => {
+    const results = await Student.aggregate([
+        { $match: { 'fines.levy': { $in: levyIds } } },
+        { $unwind: '$fines' },
+        { $match: { 'fines.levy': { $in: levyIds } } },
+        { $addFields: { amountPaid: amountPaidExpr('$fines') } },
+        {
+            $group: {
+                _id: '$fines.levy',
+                chargedCount: { $sum: 1 },
+                paidCount: { $sum: { $cond: ['$fines.isPaid', 1, 0] } },
+                partialCount: {
+                    $sum: { $cond: [{ $and: [{ $eq: ['$fines.isPaid', false] }, { $gt: ['$amountPaid', 0] }] }, 1, 0] }
+                },
+                totalAmount: { $sum: '$fines.amount' },
+                collectedAmount: { $sum: '$amountPaid' },
+                outstandingAmount: { $sum: balanceExpr('$fines') }
+            }
+        }
+    ]);
+
+    return new Map(results.map(({ _id, ...progress }) => [String(_id), {
+        ...progress,
+        unpaidCount: progress.chargedCount - progress.paidCount
+    }]));
+};
+
+const EMPTY_PROGRESS = {
+    chargedCount: 0,
+    paidCount: 0,
+    partialCount: 0,
+    unpaidCount: 0,
+    totalAmount: 0,
+    collectedAmount: 0,
+    outstandingAmount: 0
+};
+
+/**
+ * @desc    Preview which students a levy would charge
+ * @route   POST /api/levies/preview
+ * @access  Private
+ *
+ * Request Body: { year, division, academicYear, prns }
+ */
+const previewLevy = asyncHandler(async (req, res) => {
+    const { students, missingPRNs } = await findLevyStudents(req, res);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            studentCount: students.length,
+            students,
+            missingPRNs
+        }
+    });
+});
+
+/**
+ * @desc    Create a levy and charge every matching student
+ * @route   POST /api/levies
+ * @access  Private
+ *
+ * Request Body: { title, amount, category, type (optional, defaults to the
+ *                 category's type), reason, dueDate,
+ *                 year, division, academicYear, prns }
+ *
+ * Each active student matching the filter gets an outstanding charge.
+ * Archived students are never charged.
+ */
+const createLevy = asyncHandler(async (req, res) => {
+    const { title, amount, category, type, reason, dueDate } = req.body;
+
+    if (!title || !title.trim()) {
+        res.status(400);
+        throw new Error('Please provide a levy title');
+    }
+
+    if (!amount || isNaN(amount) || Number(amount) <= 0) {
+        res.status(400);
+        throw new Error('Levy amount must be a positive number');
+    }
+
+    if (dueDate && isNaN(new Date(dueDate).getTime())) {
+        res.status(400);
+        throw new Error('Please provide a valid due date');
+    }
+
+    const paymentCategory = category
+        ? await PaymentCategory.findOne({ name: category.trim(), isActive: true }).collation({ locale: 'en', strength: 2 })
+        : null;
+    if (!paymentCategory) {
+        res.status(400);
+        throw new Error('Please choose an active payment category');
+    }
+
+    if (type && !['fine', 'fee'].includes(type)) {
+        res.status(400);
+        throw new Error('Type must be fine or fee');
+    }
+
+    const { filter, students, missingPRNs } = await findLevyStudents(req, res);
+    if (students.length === 0) {
+        res.status(400);
+        throw new Error('No active students match this levy');
+    }
+
+    const levy = await Levy.create({
+        title,
+        amount: Number(amount),
+        type: type || paymentCategory.type,
+        category: paymentCategory.name,
+        reason: reason?.trim() || '',
+        dueDate: dueDate ? new Date(dueDate) : undefined,
+        filter,
+        studentCount: students.length,
+        createdBy: req.admin._id
+    });
+
+    // One charge per student, each with its own id
+    const now = new Date();
+    await Student.bulkWrite(students.map(student => ({
+        updateOne: {
+            filter: { _id: student._id, isActive: true },
+            update: {
+                $push: {
+                    fines: {
+                        _id: new mongoose.Types.ObjectId(),
+                        amount: levy.amount,
+                        reason: levy.reason || levy.title,
+                        type: levy.type,
+                        category: levy.category,
+                        date: now,
+                        dueDate: levy.dueDate,
+                        isPaid: false,
+                        issuedBy: req.admin._id,
+                        levy: levy._id
+                    }
+                }
+            }
+        }
+    })));
+
+    await recordAudit(req, {
+        action: 'create',
+        entity: 'levy',
+        entityId: levy._id,
+        description: `Levy "${levy.title}" of ${levy.amount} (${levy.category}) charged to ${students.length} students`,
+        after: levy
+    });
+
+    res.status(201).json({
+        success: true,
+        message: `Levy charged to ${students.length} students`,
+        data: {
+            levy,
+            studentCount: students.length,
+            missingPRNs
+        }
+    });
+});
+
+/**
+ * @desc    List levies with their collection progress
+ * @route   GET /api/levies
+ * @access  Private
+ *
+ * Query Parameters:
+ * - status: active | cancelled
+ */
+const getLevies = asyncHandler(async (req, res) => {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+
+    const levies = await Levy.find(query)
+        .sort({ createdAt: -1 })
+        .populate('createdBy', 'name')
+        .lean();
+
+    const progress = await getLevyProgress(levies.map(levy => levy._id));
+
+    res.status(200).json({
+        success: true,
+        data: {
+            levies: levies.map(levy => ({
+                ...levy,
+                progress: progress.get(String(levy._id)) || EMPTY_PROGRESS
+            })),
+            count: levies.length
+        }
+    });
+});
+
+/**
+ * @desc    Get a levy with per-student collection status
+ * @route   GET /api/levies/:id
+ * @access  Private
+ */
+const getLevyById = asyncHandler(async (req, res) => {
+    const levy = await Levy.findById(req.params.id)
+        .populate('createdBy', 'name')
+        .populate('cancelledBy', 'name')
+        .lean();
+
+    if (!levy) {
+        res.status(404);
+        throw new Error('Levy not found');
+    }
+
+    const students = await Student.aggregate([
+        { $match: { 'fines.levy': levy._id } },
+        { $unwind: '$fines' },
+        { $match: { 'fines.levy': levy._id } },
+        {
+            $project: {
+                prn: 1,
+                name: 1,
+                year: 1,
+                division: 1,
+                rollNo: 1,
+                isActive: 1,
+                chargeId: '$fines._id',
+                amount: '$fines.amount',
+                amountPaid: amountPaidExpr('$fines'),
+                balance: balanceExpr('$fines'),
+                isPaid: '$fines.isPaid',
+                paidDate: '$fines.paidDate'
+            }
+        },
+        // Unpaid students first
+        { $sort: { isPaid: 1, year: 1, division: 1, rollNo: 1, name: 1 } }
+    ]);
+
+    const progress = await getLevyProgress([levy._id]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            levy: {
+                ...levy,
+                progress: progress.get(String(levy._id)) || EMPTY_PROGRESS
+            },
+            students
+        }
+    });
+});
+
+/**
+ * @desc    Cancel a levy for students who haven't paid
+ * @route   POST /api/levies/:id/cancel
+ * @access  Private
+ *
+ * Request Body: { reason }
+ *
+ * Charges with nothing collected are removed, along with their late fines.
+ * Charges with any installment (including reversed ones) keep their receipts
+ * and stay. Unpaid charges carrying concessions or a waiver also stay, so those
+ * decisions aren't lost, and are listed in the response. A late fine that can't
+ * be removed because something was collected on it has its balance waived.
+ */
+const cancelLevy = asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+        res.status(400);
+        throw new Error('Please provide a reason for cancelling the levy');
+    }
+
+    const levy = await Levy.findById(req.params.id);
+
+    if (!levy) {
+        res.status(404);
+        throw new Error('Levy not found');
+    }
+
+    if (levy.status === 'cancelled') {
+        res.status(400);
+        throw new Error('This levy has already been cancelled');
+    }
+
+    const before = levy.toObject();
+
+    const students = await Student.find({
+        fines: { $elemMatch: { levy: levy._id, isPaid: false, payments: { $size: 0 } } }
+    });
+
+    let removedCount = 0;
+    let lateFeesRemoved = 0;
+    let lateFeesWaived = 0;
+    const kept = [];
+    const failed = [];
+
+    // One student at a time: each charge and its late fines are changed together
+    for (const student of students) {
+        const charge = student.fines.find(fine =>
+            String(fine.levy) === String(levy._id) && !fine.isPaid && fine.payments.length === 0);
+        if (!charge) continue;
+
+        if (charge.concessions.length > 0 || charge.waivedAmount > 0) {
+            kept.push({
+                prn: student.prn,
+                name: student.name,
+                chargeId: charge._id,
+                reason: charge.waivedAmount > 0 ? 'Has a waiver' : 'Has concessions'
+            });
+            continue;
+        }
+
+        let removedLateFees = 0;
+        let waivedLateFees = 0;
+        student.fines
+            .filter(fine => String(fine.lateFeeFor) === String(charge._id))
+            .forEach(lateFine => {
+                if (lateFine.payments.length === 0 && lateFine.concessions.length === 0 && !lateFine.waivedAmount) {
+                    student.fines.pull(lateFine._id);
+                    removedLateFees++;
+                } else if (lateFine.waive({
+                    reason: `Levy "${levy.title}" cancelled: ${reason.trim()}`.slice(0, 500),
+                    waivedBy: req.admin._id,
+                    waivedByName: req.admin.name || req.admin.email
+                }) > 0) {
+                    waivedLateFees++;
+                }
+            });
+        student.fines.pull(charge._id);
+
+        try {
+            await student.save();
+            removedCount++;
+            lateFeesRemoved += removedLateFees;
+            lateFeesWaived += waivedLateFees;
+        } catch (error) {
+            // e.g. a payment saved at the same moment
+            failed.push({ prn: student.prn, name: student.name, chargeId: charge._id, reason: error.message });
+        }
+    }
+
+    levy.status = 'cancelled';
+    levy.cancelledAt = new Date();
+    levy.cancelledBy = req.admin._id;
+    levy.cancelReason = reason.trim();
+    levy.cancelledCount = removedCount;
+    levy.keptCount = kept.length + failed.length;
+    await levy.save();
+
+    const lateFeeNote = lateFeesRemoved + lateFeesWaived > 0
+        ? `, ${lateFeesRemoved} late fines removed, ${lateFeesWaived} waived`
+        : '';
+    const keptNote = kept.length + failed.length > 0
+        ? `, ${kept.length + failed.length} kept`
+        : '';
+
+    await recordAudit(req, {
+        action: 'cancel',
+        entity: 'levy',
+        entityId: levy._id,
+        description: `Cancelled levy "${levy.title}": ${removedCount} unpaid charges removed${lateFeeNote}${keptNote} (${levy.cancelReason})`,
+        before,
+        after: { ...levy.toObject(), kept: [...kept, ...failed].map(row => row.prn) }
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `Levy cancelled. ${removedCount} unpaid charges removed${lateFeeNote}${keptNote}.`,
+        data: {
+            levy,
+            removedCount,
+            lateFeesRemoved,
+            lateFeesWaived,
+            kept: [...kept, ...failed]
+        }
+    });
+});
+
+module.exports = {
+    previewLevy,
+    createLevy,
+    getLevies,
+    getLevyById,
+    cancelLevy
+};
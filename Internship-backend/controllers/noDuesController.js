@@ -0,0 +1,393 @@
+/**
+ * ===========================================
+ * No-Dues Controller
+ * ===========================================
+ * Checks whether students have cleared every charge
+ * and issues numbered, verifiable no-dues certificates,
+ * for one student or a whole year/division
+ */
+
+const Student = require('../models/Student');
+const NoDuesCertificate = require('../models/NoDuesCertificate');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { issueNumber, getFinancialYear } = require('../utils/receiptNumber');
+const { signCertificate, certificateVerificationUrl } = require('../utils/receiptVerification');
+const { generateNoDuesPDF, certificateFileName } = require('../utils/noDuesPdf');
+const { recordAudit } = require('../utils/auditLogger');
+
+/**
+ * Exact, case-insensitive match for a student field
+ * @param {string} value
+ * @returns {Object} $regex condition
+ */
+const exactMatch = (value) => ({
+    $regex: `^${value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`,
+    $options: 'i'
+});
+
+/**
+ * Academic year a certificate issued now is for
+ * @param {Object} student - Student document
+ * @returns {string}
+ */
+const certificateYear = (student) => student.academicYear || getFinancialYear();
+
+/**
+ * Whether a student is clear, and the charges in the way if not
+ * Every category counts; pending concessions don't reduce the balance
+ * @param {Object} student - Student document
+ * @returns {{ eligible: boolean, outstanding: number, blockingDues: Array<Object> }}
+ */
+const duesStatus = (student) => {
+    const blockingDues = student.fines
+        .filter(fine => !fine.isPaid && fine.balance > 0)
+        .sort((a, b) => new Date(a.dueDate || a.date) - new Date(b.dueDate || b.date))
+        .map(fine => ({
+            _id: fine._id,
+            type: fine.type,
+            category: fine.category,
+            reason: fine.reason,
+            amount: fine.amount,
+            balance: fine.balance,
+            date: fine.date,
+            dueDate: fine.dueDate
+        }));
+
+    const outstanding = blockingDues.reduce((total, due) => total + due.balance, 0);
+
+    return {
+        eligible: blockingDues.length === 0,
+        outstanding,
+        blockingDues
+    };
+};
+
+/**
+ * A certificate as returned by the API
+ * @param {Object} certificate - NoDuesCertificate
+ * @returns {Object}
+ */
+const certificateSummary = (certificate) => ({
+    _id: certificate._id,
+    certificateNumber: certificate.certificateNumber,
+    prn: certificate.prn,
+    name: certificate.name,
+    academicYear: certificate.academicYear,
+    issuedAt: certificate.createdAt,
+    issuedByName: certificate.issuedByName,
+    verification: {
+        token: signCertificate(certificate),
+        url: certificateVerificationUrl(certificate)
+    }
+});
+
+/**
+ * Issue a certificate to a student who is clear
+ * A student gets one certificate per academic year; asking again returns it
+ * @param {Object} student - Student document (already checked to be clear)
+ * @param {Object} admin - Admin issuing it
+ * @returns {Promise<{ certificate: Object, created: boolean }>}
+ */
+const issueCertificate = async (student, admin) => {
+    const academicYear = certificateYear(student);
+
+    const existing = await NoDuesCertificate.findOne({ student: student._id, academicYear });
+    if (existing) {
+        return { certificate: existing, created: false };
+    }
+
+    const { number, release } = await issueNumber('noDues');
+    try {
+        const certificate = await NoDuesCertificate.create({
+            certificateNumber: number,
+            student: student._id,
+            prn: student.prn,
+            name: student.name,
+            year: student.year,
+            division: student.division,
+            rollNo: student.rollNo,
+            academicYear,
+            totalCharged: student.totalFines,
+            totalPaid: student.paidFines,
+            issuedBy: admin._id,
+            issuedByName: admin.name || admin.email
+        });
+        return { certificate, created: true };
+    } catch (error) {
+        await release();
+        throw error;
+    }
+};
+
+/**
+ * Active students of a year and/or division, failing with 400 when neither is given
+ * @param {Object} res - Express response
+ * @param {Object} params - { year, division }
+ * @returns {Promise<Array<Object>>} Student documents
+ */
+const findClass = async (res, { year, division }) => {
+    year = year?.trim();
+    division = division?.trim();
+
+    if (!year && !division) {
+        res.status(400);
+        throw new Error('Choose a year or division');
+    }
+
+    const query = { isActive: true };
+    if (year) query.year = exactMatch(year);
+    if (division) query.division = exactMatch(division);
+
+    return Student.find(query).sort({ division: 1, rollNo: 1, prn: 1 });
+};
+
+/**
+ * Certificates already issued to these students, by student id
+ * @param {Array<Object>} students - Student documents
+ * @returns {Promise<Map<string, Object>>}
+ */
+const findCertificates = async (students) => {
+    if (students.length === 0) return new Map();
+
+    const certificates = await NoDuesCertificate.find({
+        $or: students.map(student => ({ student: student._id, academicYear: certificateYear(student) }))
+    });
+    return new Map(certificates.map(certificate => [String(certificate.student), certificate]));
+};
+
+/**
+ * Split a class into students who are clear and students who are blocked
+ * @param {Array<Object>} students - Student documents
+ * @param {Map<string, Object>} certificates - From findCertificates()
+ * @returns {{ eligible: Array<Object>, blocked: Array<Object> }}
+ */
+const splitClass = (students, certificates) => {
+    const eligible = [];
+    const blocked = [];
+
+    students.forEach(student => {
+        const status = duesStatus(student);
+        const row = {
+            prn: student.prn,
+            name: student.name,
+            year: student.year,
+            division: student.division,
+            rollNo: student.rollNo
+        };
+
+        if (status.eligible) {
+            const certificate = certificates.get(String(student._id));
+            eligible.push({ ...row, certificate: certificate ? certificateSummary(certificate) : null });
+        } else {
+            blocked.push({ ...row, outstanding: status.outstanding, blockingDues: status.blockingDues });
+        }
+    });
+
+    return { eligible, blocked };
+};
+
+/**
+ * Find a student by the PRN in the URL or fail with 404
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object>} Student document
+ */
+const findStudent = async (req, res) => {
+    const prn = req.params.prn.toUpperCase();
+    const student = await Student.findOne({ prn });
+
+    if (!student) {
+        res.status(404);
+        throw new Error(`Student with PRN ${prn} not found`);
+    }
+    return student;
+};
+
+/**
+ * @desc    Check whether a student can get a no-dues certificate
+ * @route   GET /api/no-dues/students/:prn
+ * @access  Private
+ */
+const checkStudent = asyncHandler(async (req, res) => {
+    const student = await findStudent(req, res);
+    const certificate = await NoDuesCertificate.findOne({ student: student._id, academicYear: certificateYear(student) });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            student: {
+                prn: student.prn,
+                name: student.name,
+                year: student.year,
+                division: student.division,
+                academicYear: certificateYear(student)
+            },
+            ...duesStatus(student),
+            certificate: certificate ? certificateSummary(certificate) : null
+        }
+    });
+});
+
+/**
+ * @desc    Issue a no-dues certificate to a student who is clear
+ * @route   POST /api/no-dues/students/:prn
+ * @access  Private (super-admin, treasurer)
+ *
+ * Fails with 409 and the blocking dues when anything is left to pay.
+ * A student already holding this academic year's certificate gets it back.
+ */
+const issueForStudent = asyncHandler(async (req, res) => {
+    const student = await findStudent(req, res);
+
+    if (!student.isActive) {
+        res.status(400);
+        throw new Error('Certificates cannot be issued to archived students');
+    }
+
+    const status = duesStatus(student);
+    if (!status.eligible) {
+        return res.status(409).json({
+            success: false,
+            message: `${student.name} has outstanding dues of ₹${status.outstanding.toLocaleString('en-IN')}`,
+            data: {
+                outstanding: status.outstanding,
+                blockingDues: status.blockingDues
+            }
+        });
+    }
+
+    const { certificate, created } = await issueCertificate(student, req.admin);
+
+    if (created) {
+        await recordAudit(req, {
+            action: 'issue',
+            entity: 'no-dues-certificate',
+            entityId: certificate.certificateNumber,
+            description: `Issued no-dues certificate ${certificate.certificateNumber} to ${student.name} (${student.prn})`,
+            after: certificate
+        });
+    }
+
+    res.status(created ? 201 : 200).json({
+        success: true,
+        message: created
+            ? `Certificate ${certificate.certificateNumber} issued`
+            : `Certificate ${certificate.certificateNumber} was already issued for ${certificate.academicYear}`,
+        data: certificateSummary(certificate)
+    });
+});
+
+/**
+ * @desc    Who in a year/division is clear and who is blocked
+ * @route   GET /api/no-dues/class
+ * @access  Private
+ *
+ * Query Parameters:
+ * - year, division: Class to check (at least one)
+ */
+const checkClass = asyncHandler(async (req, res) => {
+    const students = await findClass(res, req.query);
+    const { eligible, blocked } = splitClass(students, await findCertificates(students));
+
+    res.status(200).json({
+        success: true,
+        data: {
+            eligible,
+            blocked,
+            summary: {
+                students: students.length,
+                eligible: eligible.length,
+                issued: eligible.filter(row => row.certificate).length,
+                blocked: blocked.length,
+                outstanding: blocked.reduce((total, row) => total + row.outstanding, 0)
+            }
+        }
+    });
+});
+
+/**
+ * @desc    Issue certificates to every student in a year/division who is clear
+ * @route   POST /api/no-dues/class
+ * @access  Private (super-admin, treasurer)
+ *
+ * Request Body: { year, division } (at least one)
+ * Students who already hold this academic year's certificate keep it;
+ * blocked students are returned with their dues.
+ */
+const issueForClass = asyncHandler(async (req, res) => {
+    const students = await findClass(res, req.body);
+    const certificates = await findCertificates(students);
+    const { blocked } = splitClass(students, certificates);
+
+    const issued = [];
+    let alreadyIssued = 0;
+    for (const student of students) {
+        if (!duesStatus(student).eligible) continue;
+        if (certificates.has(String(student._id))) {
+            alreadyIssued += 1;
+            continue;
+        }
+
+        try {
+            const { certificate, created } = await issueCertificate(student, req.admin);
+            if (created) issued.push(certificateSummary(certificate));
+            else alreadyIssued += 1;
+        } catch (error) {
+            // Another request issued this student's certificate in the meantime
+            if (error.code !== 11000) throw error;
+            alreadyIssued += 1;
+        }
+    }
+
+    if (issued.length > 0) {
+        const { year, division } = req.body;
+        await recordAudit(req, {
+            action: 'issue',
+            entity: 'no-dues-certificate',
+            description: `Issued ${issued.length} no-dues certificates` +
+                ` (${[year, division && `Division ${division}`].filter(Boolean).join(', ')})`,
+            after: { year, division, certificates: issued.map(certificate => certificate.certificateNumber) }
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        message: `${issued.length} certificates issued, ${blocked.length} students blocked by outstanding dues`,
+        data: {
+            issued,
+            alreadyIssued,
+            blocked
+        }
+    });
+});
+
+/**
+ * @desc    Download a no-dues certificate as a PDF
+ * @route   GET /api/no-dues/:id/certificate.pdf
+ * @access  Private
+ */
+const getCertificatePdf = asyncHandler(async (req, res) => {
+    const certificate = await NoDuesCertificate.findById(req.params.id);
+
+    if (!certificate) {
+        res.status(404);
+        throw new Error('Certificate not found');
+    }
+
+    const pdf = await generateNoDuesPDF(certificate);
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${certificateFileName(certificate)}"`,
+        'Content-Length': pdf.length
+    });
+    res.status(200).send(pdf);
+});
+
+module.exports = {
+    checkStudent,
+    issueForStudent,
+    checkClass,
+    issueForClass,
+    getCertificatePdf
+};
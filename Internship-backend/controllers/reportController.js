@@ -9,12 +9,27 @@
 const Student = require('../models/Student');
 const Expenditure = require('../models/Expenditure');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { amountPaidExpr, sumChargesExpr, paymentRowStages } = require('../utils/ledger');
+const { findDefaulters, sendDuesReminders } = require('../utils/defaulters');
+const { recordAudit } = require('../utils/auditLogger');
+
+/**
+ * Exact, case-insensitive match for a student field
+ * @param {string} value
+ * @returns {Object} $regex condition
+ */
+const exactMatch = (value) => ({
+    $regex: `^${String(value).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`,
+    $options: 'i'
+});
 
 /**
  * @desc    Get student payments summary (aggregated)
  * @route   GET /api/reports/student-payments
  * @access  Private
  * 
+ * Archived students are included: their payments were still collected.
+ * 
  * Query Parameters:
  * - type: 'fee', 'fine', or 'both' (default: both)
  * - year: Academic year filter
@@ -28,7 +43,8 @@ const getStudentPayments = asyncHandler(async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Build match conditions for students
-    const matchConditions = { isActive: true };
+    // Archived students stay in: archiving must not remove money already collected
+    const matchConditions = {};
     if (year) matchConditions.year = year;
     if (division) matchConditions.division = { $regex: division, $options: 'i' };
     if (search) {
@@ -59,27 +75,12 @@ const getStudentPayments = asyncHandler(async (req, res) => {
                 division: 1,
                 email: 1,
                 fines: 1,
-                totalFeesPaid: {
-                    $sum: {
-                        $map: {
-                            input: { $filter: { input: '$fines', cond: { $eq: ['$$this.type', 'fee'] } } },
-                            as: 'f',
-                            in: '$$f.amount'
-                        }
-                    }
-                },
-                totalFinePaid: {
-                    $sum: {
-                        $map: {
-                            input: { $filter: { input: '$fines', cond: { $eq: ['$$this.type', 'fine'] } } },
-                            as: 'f',
-                            in: '$$f.amount'
-                        }
-                    }
-                },
-                totalAmount: { $sum: '$fines.amount' }
+                totalFeesPaid: sumChargesExpr({ $eq: ['$$this.type', 'fee'] }, amountPaidExpr),
+                totalFinePaid: sumChargesExpr({ $eq: ['$$this.type', 'fine'] }, amountPaidExpr),
+                totalAmount: sumChargesExpr(true, amountPaidExpr)
             }
-        }
+        },
+        { $match: { totalAmount: { $gt: 0 } } } // Only students with collected payments
     ];
 
     // Filter by payment type after calculation
@@ -132,17 +133,17 @@ const getStudentPayments = asyncHandler(async (req, res) => {
     // Calculate grand totals
     const totalsPipeline = [
         { $match: matchConditions },
-        { $unwind: '$fines' },
+        ...paymentRowStages(),
         {
             $group: {
                 _id: null,
                 grandTotalFees: {
-                    $sum: { $cond: [{ $eq: ['$fines.type', 'fee'] }, '$fines.amount', 0] }
+                    $sum: { $cond: [{ $eq: ['$fines.type', 'fee'] }, '$payment.amount', 0] }
                 },
                 grandTotalFines: {
-                    $sum: { $cond: [{ $eq: ['$fines.type', 'fine'] }, '$fines.amount', 0] }
+                    $sum: { $cond: [{ $eq: ['$fines.type', 'fine'] }, '$payment.amount', 0] }
                 },
-                grandTotal: { $sum: '$fines.amount' }
+                grandTotal: { $sum: '$payment.amount' }
             }
         }
     ];
@@ -156,7 +157,6 @@ const getStudentPayments = asyncHandler(async (req, res) => {
 
     // Get distinct years and divisions for filters
     const filterOptionsTuple = await Student.aggregate([
-        { $match: { isActive: true } },
         {
             $group: {
                 _id: null,
@@ -258,13 +258,13 @@ const getTransactions = asyncHandler(async (req, res) => {
     let incomeTotal = 0;
     let expenditureTotal = 0;
 
-    // Get income transactions (from student fines)
+    // Get income transactions (one per installment collected against student charges)
     if (type === 'all' || type === 'income') {
         const incomePipeline = [
-            { $unwind: '$fines' },
+            ...paymentRowStages(),
             {
                 $project: {
-                    date: '$fines.date',
+                    date: '$payment.date',
                     transactionType: { $literal: 'income' },
                     studentPRN: '$prn',
                     studentName: '$name',
@@ -272,10 +272,10 @@ const getTransactions = asyncHandler(async (req, res) => {
                     studentClass: '$year', // Project class/year
                     category: '$fines.category',
                     description: '$fines.reason',
-                    amount: '$fines.amount',
+                    amount: '$payment.amount',
                     paymentType: '$fines.type',
-                    receiptNumber: '$fines.receiptNumber',
-                    createdAt: '$fines.createdAt'
+                    receiptNumber: '$payment.receiptNumber',
+                    createdAt: '$payment.createdAt'
                 }
             }
         ];
@@ -368,8 +368,8 @@ const getTransactions = asyncHandler(async (req, res) => {
                 hasPrevPage: parseInt(page) > 1
             },
             filterOptions: await (async () => {
+                // Archived students still have income on record
                 const studentResult = await Student.aggregate([
-                    { $match: { isActive: true } },
                     { $unwind: '$fines' },
                     {
                         $group: {
@@ -417,7 +417,239 @@ const getTransactions = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc    Get students with overdue charges, grouped by year and division
+ * @route   GET /api/reports/defaulters
+ * @access  Private
+ *
+ * Query Parameters:
+ * - year: Year filter
+ * - division: Division filter
+ * - search: Search by name or PRN
+ * - minDays: Only count charges at least this many days overdue (default: 0)
+ */
+const getDefaulters = asyncHandler(async (req, res) => {
+    const { year, division, search } = req.query;
+    const minDays = Math.max(parseInt(req.query.minDays) || 0, 0);
+
+    const match = {};
+    if (year) match.year = exactMatch(year);
+    if (division) match.division = exactMatch(division);
+    if (search) {
+        const escapedSearch = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        match.$or = [
+            { prn: { $regex: escapedSearch, $options: 'i' } },
+            { name: { $regex: escapedSearch, $options: 'i' } }
+        ];
+    }
+
+    const defaulters = await findDefaulters({ match, minDays });
+
+    // Defaulters are already sorted by year and division
+    const groups = [];
+    defaulters.forEach(student => {
+        let group = groups[groups.length - 1];
+        if (!group || group.year !== student.year || group.division !== student.division) {
+            group = { year: student.year, division: student.division, studentCount: 0, overdueAmount: 0, students: [] };
+            groups.push(group);
+        }
+        group.studentCount++;
+        group.overdueAmount += student.overdueAmount;
+        group.students.push(student);
+    });
+
+    const filterOptions = await Student.aggregate([
+        { $match: { isActive: true } },
+        {
+            $group: {
+                _id: null,
+                years: { $addToSet: '$year' },
+                divisions: { $addToSet: '$division' }
+            }
+        }
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            groups,
+            summary: {
+                studentCount: defaulters.length,
+                overdueAmount: defaulters.reduce((total, student) => total + student.overdueAmount, 0),
+                totalOutstanding: defaulters.reduce((total, student) => total + student.totalOutstanding, 0),
+                neverReminded: defaulters.filter(student => !student.lastRemindedAt).length
+            },
+            filterOptions: filterOptions.length > 0 ? {
+                years: filterOptions[0].years.filter(y => y).sort(),
+                divisions: filterOptions[0].divisions.filter(d => d).sort()
+            } : { years: [], divisions: [] }
+        }
+    });
+});
+
+/**
+ * @desc    Email a dues reminder to selected defaulters
+ * @route   POST /api/reports/defaulters/remind
+ * @access  Private (super-admin, treasurer)
+ *
+ * Request Body: { prns: [String], minDays }
+ */
+const remindDefaulters = asyncHandler(async (req, res) => {
+    const { prns, minDays } = req.body;
+
+    if (!Array.isArray(prns) || prns.length === 0) {
+        res.status(400);
+        throw new Error('Please select at least one student to remind');
+    }
+
+    const { results, summary } = await sendDuesReminders(prns, {
+        minDays: Math.max(parseInt(minDays) || 0, 0)
+    });
+
+    await recordAudit(req, {
+        action: 'remind',
+        entity: 'student',
+        description: `Sent dues reminders: ${summary.sent} sent, ${summary.queued} queued, ${summary.skipped} skipped, ${summary.failed} failed`
+            + (summary.sent + summary.queued > 0
+                ? ` (${results.filter(r => r.status === 'sent' || r.status === 'queued').map(r => r.prn).join(', ')})`
+                : '')
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `${summary.sent} reminder${summary.sent === 1 ? '' : 's'} sent`
+            + (summary.queued > 0 ? `, ${summary.queued} queued` : ''),
+        data: { results, summary }
+    });
+});
+
+/**
+ * @desc    Concessions granted on student charges
+ * @route   GET /api/reports/concessions
+ * @access  Private
+ *
+ * Query Parameters:
+ * - status: pending | approved | rejected (default: all)
+ * - year: Year filter
+ * - division: Division filter
+ * - category: Charge category filter
+ * - search: Search by name or PRN
+ * - fromDate, toDate: Date the concession was recorded
+ */
+const getConcessions = asyncHandler(async (req, res) => {
+    const { status, year, division, category, search, fromDate, toDate } = req.query;
+
+    const match = { 'fines.concessions.0': { $exists: true } };
+    if (year) match.year = exactMatch(year);
+    if (division) match.division = exactMatch(division);
+    if (search) {
+        const escapedSearch = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        match.$or = [
+            { prn: { $regex: escapedSearch, $options: 'i' } },
+            { name: { $regex: escapedSearch, $options: 'i' } }
+        ];
+    }
+
+    const rowMatch = {};
+    if (status) rowMatch['concession.status'] = status;
+    if (category) rowMatch['fines.category'] = category;
+    if (fromDate || toDate) {
+        rowMatch['concession.createdAt'] = {};
+        if (fromDate) rowMatch['concession.createdAt'].$gte = new Date(fromDate);
+        if (toDate) {
+            const endDate = new Date(toDate);
+            endDate.setHours(23, 59, 59, 999);
+            rowMatch['concession.createdAt'].$lte = endDate;
+        }
+    }
+
+    const concessions = await Student.aggregate([
+        { $match: match },
+        { $unwind: '$fines' },
+        { $unwind: '$fines.concessions' },
+        { $addFields: { concession: '$fines.concessions' } },
+        { $match: rowMatch },
+        { $sort: { 'concession.createdAt': -1 } },
+        {
+            $project: {
+                _id: '$concession._id',
+                prn: 1,
+                name: 1,
+                year: 1,
+                division: 1,
+                isActive: 1,
+                fineId: '$fines._id',
+                type: '$fines.type',
+                category: '$fines.category',
+                reason: '$fines.reason',
+                chargeAmount: '$fines.amount',
+                kind: '$concession.kind',
+                value: '$concession.value',
+                amount: '$concession.amount',
+                approver: '$concession.approver',
+                justification: '$concession.justification',
+                status: '$concession.status',
+                requestedBy: '$concession.requestedBy',
+                requestedByName: '$concession.requestedByName',
+                reviewedByName: '$concession.reviewedByName',
+                reviewedAt: '$concession.reviewedAt',
+                reviewNote: '$concession.reviewNote',
+                createdAt: '$concession.createdAt'
+            }
+        }
+    ]);
+
+    const approved = concessions.filter(concession => concession.status === 'approved');
+    const pending = concessions.filter(concession => concession.status === 'pending');
+
+    const byCategory = {};
+    approved.forEach(concession => {
+        const key = concession.category || 'Others';
+        byCategory[key] = byCategory[key] || { category: key, count: 0, amount: 0 };
+        byCategory[key].count++;
+        byCategory[key].amount += concession.amount;
+    });
+
+    const filterOptions = await Student.aggregate([
+        { $match: { 'fines.concessions.0': { $exists: true } } },
+        { $unwind: '$fines' },
+        { $match: { 'fines.concessions.0': { $exists: true } } },
+        {
+            $group: {
+                _id: null,
+                years: { $addToSet: '$year' },
+                divisions: { $addToSet: '$division' },
+                categories: { $addToSet: '$fines.category' }
+            }
+        }
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            concessions,
+            summary: {
+                count: concessions.length,
+                approvedCount: approved.length,
+                approvedAmount: approved.reduce((total, concession) => total + concession.amount, 0),
+                pendingCount: pending.length,
+                pendingAmount: pending.reduce((total, concession) => total + concession.amount, 0),
+                studentCount: new Set(approved.map(concession => concession.prn)).size,
+                byCategory: Object.values(byCategory).sort((a, b) => b.amount - a.amount)
+            },
+            filterOptions: filterOptions.length > 0 ? {
+                years: filterOptions[0].years.filter(y => y).sort(),
+                divisions: filterOptions[0].divisions.filter(d => d).sort(),
+                categories: filterOptions[0].categories.filter(c => c).sort()
+            } : { years: [], divisions: [], categories: [] }
+        }
+    });
+});
+
 module.exports = {
     getStudentPayments,
-    getTransactions
+    getTransactions,
+    getDefaulters,
+    remindDefaulters,
+    getConcessions
 };
@@ -7,199 +7,247 @@
  */
 
 const fs = require('fs');
-const csv = require('csv-parser');
 const Student = require('../models/Student');
+const ImportBatch = require('../models/ImportBatch');
+const ImportProfile = require('../models/ImportProfile');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const { sendPaymentReceiptEmail } = require('../utils/emailService');
+const { getPaymentEmails } = require('../utils/emailOutbox');
+const { generateReceiptPDF, receiptFileName, findPaymentReceipt } = require('../utils/receiptPdf');
+const { signReceipt, verificationUrl } = require('../utils/receiptVerification');
+const { buildStatement } = require('../utils/accountStatement');
+const { generateStatementPDF, statementFileName } = require('../utils/statementPdf');
+const { amountPaidExpr, balanceExpr, sumChargesExpr } = require('../utils/ledger');
+const { issueNumber } = require('../utils/receiptNumber');
+const { recordAudit } = require('../utils/auditLogger');
+const { parseCSVFile, parseWorkbookFile, isWorkbookFile, extractStudent, planImport, applyImport } = require('../utils/studentImport');
+const { parsePaymentsCSV, extractPayment, planPaymentImport } = require('../utils/paymentImport');
+const { ALUMNI, getYearOfStudyRank, getNextYearOfStudy, getNextAcademicYear } = require('../utils/academicYear');
 
 /**
- * @desc    Upload students from CSV file
+ * Exact, case-insensitive match for a student field
+ * @param {string} value
+ * @returns {Object} $regex condition
+ */
+const exactMatch = (value) => ({
+    $regex: `^${String(value).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`,
+    $options: 'i'
+});
+
+/**
+ * Queue a receipt email without failing the request it belongs to
+ * @param {Object} req - Express request (for the acting admin)
+ * @param {Object} student - Student document
+ * @param {Object} receipt - Receipt from fine.getReceipt()
+ * @returns {Promise<Object|null>} Outbox email, or null when none was queued
+ */
+const queueReceiptEmail = (req, student, receipt) =>
+    sendPaymentReceiptEmail(student, receipt, { createdBy: req.admin._id }).catch(err => {
+        console.error('Receipt email could not be queued:', err.message);
+        return null;
+    });
+
+/**
+ * Shape an import plan for API responses
+ * @param {Object} batch - ImportBatch document
+ * @param {Object} plan - Result of planImport()
+ * @returns {Object}
+ */
+const toImportPreview = (batch, { rows, summary }) => ({
+    batchId: batch._id,
+    fileName: batch.fileName,
+    profileName: batch.profileName,
+    sheets: batch.sheets,
+    totalRecords: rows.length,
+    summary,
+    rows: rows.map(({ rowNumber, sheet, status, prn, name, changes, errors, archived }) => ({
+        rowNumber, sheet, status, prn, name, changes, errors, archived
+    }))
+});
+
+/**
+ * @desc    Upload students from a CSV file or Excel workbook and preview the import
  * @route   POST /api/students/upload-csv
  * @access  Private
  * 
  * CSV Format Expected:
  * prn,name,department,email,phone
  * 
- * This endpoint inserts new students or updates existing ones based on PRN
+ * For .xlsx files, send one `sheets` field per worksheet to import
+ * (all sheets when omitted). Headers are detected on each sheet.
+ * 
+ * Send `profileId` to map columns with a saved import profile instead
+ * of guessing them from the header names.
+ * 
+ * Nothing is written yet: the response lists which rows will create or
+ * update a student (with field-level changes) and which are rejected.
+ * The batch is applied with POST /api/students/imports/:batchId/confirm
  */
 const uploadStudentsCSV = asyncHandler(async (req, res) => {
     // Check if file was uploaded
     if (!req.file) {
         res.status(400);
-        throw new Error('Please upload a CSV file');
+        throw new Error('Please upload a CSV or Excel file');
     }
 
-    const filePath = req.file.path;
-    const results = [];
-    const errors = [];
-    let successCount = 0;
-    let updateCount = 0;
-    let errorCount = 0;
-
-    // Read the file content to detect the header row
-    const fileContent = fs.readFileSync(filePath, 'utf-8');
-    const lines = fileContent.split(/\r?\n/).filter(line => line.trim());
-
-    // Find the row that contains actual headers (must have "PRN" in it)
-    let headerRowIndex = 0;
-    for (let i = 0; i < Math.min(5, lines.length); i++) {
-        const lineLower = lines[i].toLowerCase();
-        if (lineLower.includes('prn') && (lineLower.includes('name') || lineLower.includes('student'))) {
-            headerRowIndex = i;
-            console.log(`Found header row at line ${i + 1}: ${lines[i].substring(0, 100)}...`);
-            break;
-        }
-    }
-
-    // Create modified CSV content starting from the header row
-    const modifiedContent = lines.slice(headerRowIndex).join('\n');
-
-    // Create a promise to handle CSV parsing from the modified content
-    const parseCSV = new Promise((resolve, reject) => {
-        const stream = require('stream');
-        const readable = new stream.Readable();
-        readable.push(modifiedContent);
-        readable.push(null);
-
-        readable
-            .pipe(csv({
-                // Handle different header variations - normalize to lowercase and remove special chars
-                mapHeaders: ({ header }) => header.trim().toLowerCase().replace(/[.\s]+/g, ' ').trim()
-            }))
-            .on('data', (row) => {
-                results.push(row);
-            })
-            .on('end', () => {
-                resolve(results);
-            })
-            .on('error', (error) => {
-                reject(error);
+    const workbook = isWorkbookFile(req.file.originalname);
+    const sheetNames = [].concat(req.body.sheets || []).map(name => String(name).trim()).filter(Boolean);
+
+    let profile = null;
+    if (req.body.profileId) {
+        profile = await ImportProfile.findById(req.body.profileId);
+        if (!profile) {
+            fs.unlink(req.file.path, (err) => {
+                if (err) console.error('Error deleting uploaded file:', err);
             });
-    });
+            res.status(400);
+            throw new Error('Import profile not found');
+        }
+    }
 
+    let parsedRows;
+    let sheets;
     try {
-        // Wait for CSV parsing to complete
-        await parseCSV;
-
-        // Log first row keys for debugging
-        if (results.length > 0) {
-            console.log('CSV Headers detected:', Object.keys(results[0]));
-            console.log('First row data:', results[0]);
-        }
-
-        // Helper function to find value by partial key match
-        const getValue = (row, ...possibleKeys) => {
-            for (const key of possibleKeys) {
-                // Try exact match first
-                if (row[key] !== undefined) return row[key]?.trim();
-                // Try partial match
-                const rowKeys = Object.keys(row);
-                for (const rowKey of rowKeys) {
-                    if (rowKey.includes(key) || key.includes(rowKey)) {
-                        return row[rowKey]?.trim();
-                    }
-                }
-            }
-            return undefined;
-        };
+        if (workbook) {
+            const parsed = parseWorkbookFile(req.file.path, sheetNames, profile);
+            sheets = sheetNames.length > 0 ? sheetNames : parsed.sheets.map(sheet => sheet.name);
+
+            // Number rows from 1 on each sheet, as the admin sees them
+            const counts = {};
+            parsedRows = parsed.rows.map(({ sheet, row }) => {
+                counts[sheet] = (counts[sheet] || 0) + 1;
+                return { rowNumber: counts[sheet], sheet, data: extractStudent(row, profile) };
+            });
+        } else {
+            parsedRows = (await parseCSVFile(req.file.path, profile))
+                .map((row, index) => ({ rowNumber: index + 1, data: extractStudent(row, profile) }));
+        }
+    } catch (error) {
+        res.status(400);
+        throw new Error(`Could not read the file: ${error.message}`);
+    } finally {
+        // Delete the uploaded file after parsing
+        fs.unlink(req.file.path, (err) => {
+            if (err) console.error('Error deleting uploaded file:', err);
+        });
+    }
 
-        // Process each row
-        for (const row of results) {
-            try {
-                // Extract and validate data from CSV format using flexible matching
-                const prn = getValue(row, 'prn number', 'prn', 'prnnumber')?.toUpperCase();
-                const name = getValue(row, 'student name', 'name', 'studentname');
-                const academicYear = getValue(row, 'academic year', 'academicyear');
-                const semester = getValue(row, 'semester');
-                const year = getValue(row, 'year');
-                const division = getValue(row, 'division');
-                const rollNo = getValue(row, 'roll no', 'rollno', 'roll');
-                const phone = getValue(row, 'mobile number', 'mobile', 'phone');
-                const email = getValue(row, 'email id', 'email', 'emailid');
-
-                // Skip rows with missing required fields (PRN and Name are required)
-                if (!prn || !name) {
-                    console.log('Skipping row - missing PRN or Name:', { prn, name, row });
-                    errors.push({
-                        prn: prn || 'N/A',
-                        error: 'Missing required fields (PRN Number or Student Name)'
-                    });
-                    errorCount++;
-                    continue;
-                }
+    if (parsedRows.length === 0) {
+        res.status(400);
+        throw new Error('The file has no student rows');
+    }
 
-                // Prepare student data
-                const studentData = {
-                    prn: prn,
-                    name: name,
-                    academicYear: academicYear || undefined,
-                    semester: semester || undefined,
-                    year: year || undefined,
-                    division: division || undefined,
-                    rollNo: rollNo || undefined,
-                    department: division || undefined,
-                    email: email || undefined,
-                    phone: phone || undefined
-                };
-
-                console.log('Processing student:', prn, name);
-
-                // Check if student already exists
-                const existingStudent = await Student.findOne({ prn: prn });
-
-                if (existingStudent) {
-                    // Update existing student (don't overwrite fines)
-                    existingStudent.name = studentData.name;
-                    if (studentData.academicYear) existingStudent.academicYear = studentData.academicYear;
-                    if (studentData.semester) existingStudent.semester = studentData.semester;
-                    if (studentData.year) existingStudent.year = studentData.year;
-                    if (studentData.division) existingStudent.division = studentData.division;
-                    if (studentData.rollNo) existingStudent.rollNo = studentData.rollNo;
-                    if (studentData.department) existingStudent.department = studentData.department;
-                    if (studentData.email) existingStudent.email = studentData.email;
-                    if (studentData.phone) existingStudent.phone = studentData.phone;
-                    await existingStudent.save();
-                    updateCount++;
-                } else {
-                    // Create new student
-                    await Student.create(studentData);
-                    successCount++;
-                }
+    const batch = await ImportBatch.create({
+        fileName: req.file.originalname,
+        profile: profile?._id,
+        profileName: profile?.name,
+        sheets,
+        rows: parsedRows,
+        createdBy: req.admin._id
+    });
 
-            } catch (error) {
-                errors.push({
-                    prn: row.prn || 'Unknown',
-                    error: error.message
-                });
-                errorCount++;
-            }
+    const plan = await planImport(batch.rows);
+
+    res.status(200).json({
+        success: true,
+        message: 'File checked. Review the changes and confirm the import.',
+        data: toImportPreview(batch, plan)
+    });
+});
+
+/**
+ * Find a pending import batch and mark it completed in one step,
+ * so the same batch cannot be confirmed twice
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} status - 'confirmed' or 'cancelled'
+ * @returns {Promise<Object>} The batch
+ */
+const completeImportBatch = async (req, res, status) => {
+    const batch = await ImportBatch.findOneAndUpdate(
+        { _id: req.params.batchId, status: 'pending' },
+        { $set: { status, completedBy: req.admin._id, completedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!batch) {
+        const existing = await ImportBatch.findById(req.params.batchId).select('status');
+        if (!existing) {
+            res.status(404);
+            throw new Error('Import not found. It may have expired - please upload the file again.');
         }
+        res.status(400);
+        throw new Error(`This import has already been ${existing.status}`);
+    }
 
-        // Delete the uploaded file after processing
-        fs.unlink(filePath, (err) => {
-            if (err) console.error('Error deleting uploaded file:', err);
-        });
+    return batch;
+};
 
-        // Send response
-        res.status(200).json({
-            success: true,
-            message: 'CSV file processed successfully',
-            data: {
-                totalRecords: results.length,
-                newStudents: successCount,
-                updatedStudents: updateCount,
-                errors: errorCount,
-                errorDetails: errors.length > 0 ? errors : undefined
-            }
-        });
+/**
+ * @desc    Confirm a previewed student import
+ * @route   POST /api/students/imports/:batchId/confirm
+ * @access  Private
+ * 
+ * Rows are checked again against the current data, so students changed
+ * since the preview are not overwritten blindly. Rejected rows are skipped.
+ */
+const confirmStudentImport = asyncHandler(async (req, res) => {
+    const batch = await completeImportBatch(req, res, 'confirmed');
 
-    } catch (error) {
-        // Clean up file on error
-        fs.unlink(filePath, (err) => {
-            if (err) console.error('Error deleting uploaded file:', err);
-        });
-        throw error;
-    }
+    const plan = await planImport(batch.rows);
+    const { created, updated, failed } = await applyImport(plan.rows);
+
+    const rejected = plan.rows.filter(row => row.status === 'reject');
+    const errorDetails = [
+        ...rejected.map(row => ({ rowNumber: row.rowNumber, sheet: row.sheet, prn: row.prn || 'N/A', error: row.errors.join('; ') })),
+        ...failed
+    ];
+
+    batch.result = {
+        created: created.length,
+        updated: updated.length,
+        unchanged: plan.summary.unchanged,
+        rejected: rejected.length,
+        failed: failed.length
+    };
+    await batch.save();
+
+    await recordAudit(req, {
+        action: 'import',
+        entity: 'student',
+        entityId: batch._id,
+        description: `Student import: ${created.length} created, ${updated.length} updated, ${errorDetails.length} errors`,
+        after: { file: batch.fileName, profile: batch.profileName, sheets: batch.sheets.length > 0 ? batch.sheets : undefined, created, updated, errors: errorDetails.length }
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Import completed successfully',
+        data: {
+            totalRecords: plan.rows.length,
+            newStudents: created.length,
+            updatedStudents: updated.length,
+            unchangedStudents: plan.summary.unchanged,
+            errors: errorDetails.length,
+            errorDetails: errorDetails.length > 0 ? errorDetails : undefined
+        }
+    });
+});
+
+/**
+ * @desc    Cancel a previewed student import
+ * @route   DELETE /api/students/imports/:batchId
+ * @access  Private
+ */
+const cancelStudentImport = asyncHandler(async (req, res) => {
+    const batch = await completeImportBatch(req, res, 'cancelled');
+    batch.rows = [];
+    await batch.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Import cancelled. No students were changed.'
+    });
 });
 
 /**
@@ -254,6 +302,7 @@ const searchStudents = asyncHandler(async (req, res) => {
 
     // Search by PRN or Name (case-insensitive)
     const students = await Student.find({
+        isActive: true,
         $or: [
             { prn: { $regex: escapedQuery, $options: 'i' } },
             { name: { $regex: escapedQuery, $options: 'i' } }
@@ -290,16 +339,43 @@ const getStudentByPRN = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * Save a student that uses a newly issued receipt/credit note number
+ * The number is checked against other students first, and released if
+ * the save fails so it is handed out again
+ * @param {Object} student - Student document
+ * @param {Object|null} issued - Result of issueNumber()
+ */
+const saveWithIssuedNumber = async (student, issued) => {
+    // A number already on record means the counter was reset; keep it out of the pool
+    if (issued && await Student.numberInUse(issued.number, student._id)) {
+        throw new Error(`Number ${issued.number} is already in use. Check the document number counter.`);
+    }
+
+    try {
+        await student.save();
+    } catch (error) {
+        if (issued) await issued.release();
+        throw error;
+    }
+};
+
 /**
  * @desc    Add payment (fine/fee) to student
  * @route   POST /api/students/add-fine/:prn
  * @access  Private
  * 
- * Request Body: { amount, reason (optional), type, category, date (optional) }
+ * Request Body: { amount, reason (optional), type, category, date (optional),
+ *                 isPaid (optional, default true), paidAmount (optional),
+ *                 dueDate (optional) }
+ * 
+ * When isPaid is false the charge is recorded as an outstanding due without
+ * a receipt; the receipt is generated when it is collected. paidAmount lets
+ * the first installment of the charge be collected immediately.
  */
 const addFineToStudent = asyncHandler(async (req, res) => {
     const { prn } = req.params;
-    const { amount, reason, type, category, date, sendEmail = true } = req.body;
+    const { amount, reason, type, category, date, dueDate, isPaid = true, paidAmount, sendEmail = true } = req.body;
 
     // Validate required fields (only amount is required now)
     if (!amount) {
@@ -313,6 +389,27 @@ const addFineToStudent = asyncHandler(async (req, res) => {
         throw new Error('Payment amount must be a positive number');
     }
 
+    // Validate due date
+    if (dueDate && isNaN(new Date(dueDate).getTime())) {
+        res.status(400);
+        throw new Error('Please provide a valid due date');
+    }
+
+    const collectNow = isPaid !== false && isPaid !== 'false';
+
+    // Validate the amount collected now (defaults to the full charge)
+    const hasPaidAmount = paidAmount !== undefined && paidAmount !== null && paidAmount !== '';
+    if (collectNow && hasPaidAmount) {
+        if (isNaN(paidAmount) || Number(paidAmount) <= 0) {
+            res.status(400);
+            throw new Error('Amount paid must be a positive number');
+        }
+        if (Number(paidAmount) > Number(amount)) {
+            res.status(400);
+            throw new Error('Amount paid cannot exceed the charge amount');
+        }
+    }
+
     // Find student
     const student = await Student.findOne({ prn: prn.toUpperCase() });
 
@@ -321,189 +418,1193 @@ const addFineToStudent = asyncHandler(async (req, res) => {
         throw new Error(`Student with PRN ${prn.toUpperCase()} not found`);
     }
 
-    // Generate receipt number: RCP-YYYYMMDD-XXXXX (random 5 digits)
-    const now = new Date();
-    const dateStr = now.toISOString().slice(0, 10).replace(/-/g, '');
-    const randomNum = Math.floor(10000 + Math.random() * 90000);
-    const receiptNumber = `RCP-${dateStr}-${randomNum}`;
+    if (!student.isActive) {
+        res.status(400);
+        throw new Error(`Student ${student.prn} is archived. Restore the student before recording payments.`);
+    }
 
-    // Add payment to student's fines array
-    const newPayment = {
+    // Add the charge to student's fines array
+    student.fines.push({
         amount: Number(amount),
         reason: reason?.trim() || '',
         type: type || 'fine',
         category: category || 'Others',
-        receiptNumber: receiptNumber,
         date: date ? new Date(date) : new Date(),
-        isPaid: true,
-        paidDate: new Date()
+        dueDate: dueDate ? new Date(dueDate) : undefined,
+        isPaid: false,
+        issuedBy: req.admin._id
+    });
+
+    const savedPayment = student.fines[student.fines.length - 1];
+
+    // Collect the first installment now; outstanding dues get their receipt at collection time
+    let installment = null;
+    let issued = null;
+    if (collectNow) {
+        const paidOn = date ? new Date(date) : new Date();
+        issued = await issueNumber('receipt', paidOn);
+        installment = savedPayment.addInstallment({
+            amount: hasPaidAmount ? Number(paidAmount) : Number(amount),
+            receiptNumber: issued.number,
+            date: paidOn,
+            collectedBy: req.admin._id
+        });
+    }
+
+    await saveWithIssuedNumber(student, issued);
+
+    await recordAudit(req, {
+        action: 'create',
+        entity: 'payment',
+        entityId: savedPayment._id,
+        description: `${collectNow ? 'Payment' : 'Outstanding charge'} of ${savedPayment.amount} (${savedPayment.category}) for ${student.prn}`
+            + (installment ? `, receipt ${installment.receiptNumber}` : ''),
+        after: savedPayment
+    });
+
+    const receipt = installment ? savedPayment.getReceipt(installment._id) : null;
+
+    // Queue the email receipt (sent in the background) - only if sendEmail is true
+    const email = receipt && sendEmail ? await queueReceiptEmail(req, student, receipt) : null;
+
+    res.status(201).json({
+        success: true,
+        message: collectNow ? 'Payment added successfully' : 'Outstanding charge issued successfully',
+        data: {
+            student: {
+                prn: student.prn,
+                name: student.name,
+                department: student.department,
+                email: student.email
+            },
+            payment: savedPayment,
+            receipt: receipt,
+            receiptNumber: receipt ? receipt.receiptNumber : null,
+            balance: savedPayment.balance,
+            totalFines: student.totalFines,
+            unpaidFines: student.unpaidFines,
+            paymentCount: student.fines.length,
+            emailStatus: email ? email.status : null
+        }
+    });
+});
+
+/**
+ * @desc    Import payments collected offline from a CSV file
+ * @route   POST /api/students/payments/import
+ * @access  Private
+ * 
+ * CSV Format Expected:
+ * prn,amount,type,category,date,reason
+ * 
+ * Form Data: file, sendEmail ('true' to email receipts),
+ *            dryRun ('true' to only validate the rows)
+ * 
+ * Each valid row becomes a paid charge with its own receipt. Rows are
+ * rejected for unknown or archived students, bad amounts or dates,
+ * categories that are missing or inactive, and payments already recorded
+ * or repeated in the sheet. The response reports every row.
+ */
+const importPayments = asyncHandler(async (req, res) => {
+    if (!req.file) {
+        res.status(400);
+        throw new Error('Please upload a CSV file');
+    }
+
+    let parsedRows;
+    try {
+        if (isWorkbookFile(req.file.originalname)) {
+            res.status(400);
+            throw new Error('Payments can only be imported from a CSV file');
+        }
+        parsedRows = await parsePaymentsCSV(req.file.path);
+    } finally {
+        // Delete the uploaded file after parsing
+        fs.unlink(req.file.path, (err) => {
+            if (err) console.error('Error deleting uploaded file:', err);
+        });
+    }
+
+    if (parsedRows.length === 0) {
+        res.status(400);
+        throw new Error('The file has no payment rows');
+    }
+
+    const dryRun = req.body.dryRun === 'true';
+    const sendEmail = req.body.sendEmail === 'true';
+
+    const { rows, summary } = await planPaymentImport(
+        parsedRows.map((row, index) => ({ rowNumber: index + 1, data: extractPayment(row) }))
+    );
+
+    const result = {
+        total: rows.length,
+        imported: 0,
+        rejected: summary.reject,
+        failed: 0,
+        totalAmount: 0
     };
 
-    student.fines.push(newPayment);
-    await student.save();
+    if (!dryRun) {
+        // One row at a time, so several rows for the same student don't overwrite each other
+        for (const row of rows.filter(r => r.status === 'valid')) {
+            try {
+                const student = await Student.findOne({ prn: row.prn, isActive: true });
+                if (!student) {
+                    throw new Error(`Student ${row.prn} was archived or removed`);
+                }
+
+                student.fines.push({
+                    amount: row.amount,
+                    reason: row.reason || '',
+                    type: row.type,
+                    category: row.category,
+                    date: row.date,
+                    isPaid: false,
+                    issuedBy: req.admin._id
+                });
+                const charge = student.fines[student.fines.length - 1];
+
+                const issued = await issueNumber('receipt', row.date);
+                const installment = charge.addInstallment({
+                    amount: row.amount,
+                    receiptNumber: issued.number,
+                    date: row.date,
+                    collectedBy: req.admin._id
+                });
+
+                await saveWithIssuedNumber(student, issued);
+
+                await recordAudit(req, {
+                    action: 'create',
+                    entity: 'payment',
+                    entityId: charge._id,
+                    description: `Payment of ${charge.amount} (${charge.category}) for ${student.prn}, receipt ${installment.receiptNumber} (imported from ${req.file.originalname})`,
+                    after: charge
+                });
+
+                row.status = 'imported';
+                row.receiptNumber = installment.receiptNumber;
+                result.imported++;
+                result.totalAmount += row.amount;
+
+                // Queue the email receipt (sent in the background)
+                if (sendEmail) {
+                    const email = await queueReceiptEmail(req, student, charge.getReceipt(installment._id));
+                    row.emailStatus = email ? email.status : null;
+                }
+            } catch (error) {
+                row.status = 'failed';
+                row.errors.push(error.message);
+                result.failed++;
+            }
+        }
+
+        await recordAudit(req, {
+            action: 'import',
+            entity: 'payment',
+            description: `Payment import ${req.file.originalname}: ${result.imported} imported (${result.totalAmount}), ${result.rejected} rejected, ${result.failed} failed`,
+            after: { file: req.file.originalname, ...result, emailReceipts: sendEmail }
+        });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+        success: true,
+        message: dryRun
+            ? `${summary.valid} of ${rows.length} rows are ready to import`
+            : `Imported ${result.imported} of ${rows.length} payments`,
+        data: {
+            fileName: req.file.originalname,
+            dryRun,
+            summary: dryRun
+                ? { total: rows.length, valid: summary.valid, rejected: summary.reject, totalAmount: summary.totalAmount }
+                : result,
+            rows
+        }
+    });
+});
+
+/**
+ * @desc    Get all students with pagination
+ * @route   GET /api/students
+ * @access  Private
+ */
+const getAllStudents = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    // Optional filters (archived students are only listed in the recycle bin)
+    const filter = { isActive: true };
+    if (req.query.department) {
+        filter.department = { $regex: req.query.department, $options: 'i' };
+    }
+    if (req.query.hasFines === 'true') {
+        filter['fines.0'] = { $exists: true };
+    }
+
+    // Get total count for pagination
+    const total = await Student.countDocuments(filter);
+
+    // Get students
+    const students = await Student.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-fines'); // Exclude fines array for list view
+
+    res.status(200).json({
+        success: true,
+        data: {
+            students: students,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalStudents: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
+        }
+    });
+});
+
+/**
+ * @desc    Get student fine history
+ * @route   GET /api/students/:prn/fines
+ * @access  Private
+ */
+const getStudentFines = asyncHandler(async (req, res) => {
+    const { prn } = req.params;
+
+    const student = await Student.findOne({ prn: prn.toUpperCase() });
+
+    if (!student) {
+        res.status(404);
+        throw new Error(`Student with PRN ${prn.toUpperCase()} not found`);
+    }
+
+    // Sort fines by date (newest first)
+    const sortedFines = student.fines.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    // Attach a receipt (with the balance left after it) for every installment,
+    // with the delivery status of its latest receipt email and its verification link
+    const receiptsByFine = sortedFines.map(fine => {
+        const installments = fine.payments.length > 0 ? fine.payments : (fine.isPaid && !fine.waivedAmount ? [fine] : []);
+        return installments.map(installment => fine.getReceipt(installment._id));
+    });
+    const emails = await getPaymentEmails(receiptsByFine.flat().map(receipt => receipt._id));
+
+    const fines = sortedFines.map((fine, index) => ({
+        ...fine.toJSON(),
+        receipts: receiptsByFine[index].map(receipt => ({
+            ...receipt,
+            email: emails.get(String(receipt._id)) || null,
+            verification: {
+                token: signReceipt(receipt),
+                url: verificationUrl(receipt)
+            }
+        }))
+    }));
+
+    res.status(200).json({
+        success: true,
+        data: {
+            student: {
+                prn: student.prn,
+                name: student.name,
+                department: student.department
+            },
+            fines: fines,
+            summary: {
+                totalFines: student.totalFines,
+                fineCount: student.fines.length,
+                paidFines: student.paidFines,
+                unpaidFines: student.unpaidFines,
+                waivedFines: student.waivedFines
+            }
+        }
+    });
+});
+
+/**
+ * @desc    Collect an outstanding charge (full or partial installment)
+ * @route   PUT /api/students/:prn/fines/:fineId/pay
+ * @access  Private
+ * 
+ * Request Body: { amount (optional, defaults to remaining balance),
+ *                 paidDate (optional), sendEmail (optional, default true) }
+ * 
+ * Each collection is recorded as an installment with its own receipt number;
+ * the charge is marked paid once its balance is cleared
+ */
+const markFineAsPaid = asyncHandler(async (req, res) => {
+    const { prn, fineId } = req.params;
+    const { amount, paidDate, sendEmail = true } = req.body || {};
+
+    if (paidDate && isNaN(new Date(paidDate).getTime())) {
+        res.status(400);
+        throw new Error('Please provide a valid payment date');
+    }
+
+    const student = await Student.findOne({ prn: prn.toUpperCase() });
+
+    if (!student) {
+        res.status(404);
+        throw new Error(`Student with PRN ${prn.toUpperCase()} not found`);
+    }
+
+    if (!student.isActive) {
+        res.status(400);
+        throw new Error(`Student ${student.prn} is archived. Restore the student before recording payments.`);
+    }
+
+    // Find the fine
+    const fine = student.fines.id(fineId);
+
+    if (!fine) {
+        res.status(404);
+        throw new Error('Fine not found');
+    }
+
+    if (fine.isPaid) {
+        res.status(400);
+        throw new Error('This charge has already been paid in full');
+    }
+
+    // Default to collecting the remaining balance
+    const hasAmount = amount !== undefined && amount !== null && amount !== '';
+    const installmentAmount = hasAmount ? Number(amount) : fine.balance;
+
+    if (isNaN(installmentAmount) || installmentAmount <= 0) {
+        res.status(400);
+        throw new Error('Payment amount must be a positive number');
+    }
+
+    if (installmentAmount > fine.balance) {
+        res.status(400);
+        throw new Error(`Payment amount exceeds the remaining balance of ${fine.balance}`);
+    }
+
+    // Record the installment and issue its receipt
+    const before = fine.toObject();
+    const paidOn = paidDate ? new Date(paidDate) : new Date();
+    const issued = await issueNumber('receipt', paidOn);
+    const installment = fine.addInstallment({
+        amount: installmentAmount,
+        receiptNumber: issued.number,
+        date: paidOn,
+        collectedBy: req.admin._id
+    });
+    await saveWithIssuedNumber(student, issued);
+
+    await recordAudit(req, {
+        action: 'collect',
+        entity: 'payment',
+        entityId: fine._id,
+        description: `Collected ${installmentAmount} against ${fine.category} for ${student.prn}, receipt ${installment.receiptNumber}`,
+        before,
+        after: fine
+    });
+
+    const receipt = fine.getReceipt(installment._id);
+
+    const email = sendEmail ? await queueReceiptEmail(req, student, receipt) : null;
+
+    res.status(200).json({
+        success: true,
+        message: fine.isPaid ? 'Payment collected successfully' : 'Installment collected successfully',
+        data: {
+            payment: fine,
+            receipt: receipt,
+            receiptNumber: receipt.receiptNumber,
+            balance: fine.balance,
+            unpaidFines: student.unpaidFines,
+            emailStatus: email ? email.status : null
+        }
+    });
+});
+
+/**
+ * @desc    Reverse (refund/void) a payment installment
+ * @route   POST /api/students/:prn/fines/:fineId/payments/:paymentId/reverse
+ * @access  Private
+ * 
+ * Request Body: { reason }
+ * 
+ * The installment stays on record marked as reversed, with the reason,
+ * the admin who reversed it and a credit note number. The amount is
+ * added back to the charge balance.
+ */
+const reversePayment = asyncHandler(async (req, res) => {
+    const { prn, fineId, paymentId } = req.params;
+    const { reason } = req.body || {};
+
+    if (!reason || !reason.trim()) {
+        res.status(400);
+        throw new Error('Please provide a reason for the reversal');
+    }
+
+    const student = await Student.findOne({ prn: prn.toUpperCase() });
+
+    if (!student) {
+        res.status(404);
+        throw new Error(`Student with PRN ${prn.toUpperCase()} not found`);
+    }
+
+    const fine = student.fines.id(fineId);
+
+    if (!fine) {
+        res.status(404);
+        throw new Error('Fine not found');
+    }
+
+    const existing = fine.payments.id(paymentId);
+    if (existing && existing.isReversed) {
+        res.status(400);
+        throw new Error('This payment has already been reversed');
+    }
+
+    const before = fine.toObject();
+    const installment = fine.reverseInstallment(paymentId, {
+        reason: reason.trim(),
+        reversedBy: req.admin._id,
+        reversedByName: req.admin.name || req.admin.email
+    });
+
+    if (!installment) {
+        res.status(404);
+        throw new Error('Payment not found');
+    }
+
+    // Issue the credit note number once the reversal is known to be valid
+    const issued = await issueNumber('creditNote');
+    installment.reversal.creditNoteNumber = issued.number;
+    await saveWithIssuedNumber(student, issued);
+
+    await recordAudit(req, {
+        action: 'reverse',
+        entity: 'payment',
+        entityId: fine._id,
+        description: `Reversed ${installment.amount} (receipt ${installment.receiptNumber || 'N/A'}) for ${student.prn}, credit note ${issued.number}: ${reason.trim()}`,
+        before,
+        after: fine
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Payment reversed successfully',
+        data: {
+            payment: fine,
+            receipt: fine.getReceipt(installment._id),
+            creditNoteNumber: installment.reversal.creditNoteNumber,
+            balance: fine.balance,
+            unpaidFines: student.unpaidFines
+        }
+    });
+});
+
+/**
+ * @desc    Email a payment receipt to the student again
+ * @route   POST /api/students/:prn/fines/:fineId/payments/:paymentId/resend-receipt
+ * @access  Private (super-admin, treasurer, collector)
+ */
+const resendReceipt = asyncHandler(async (req, res) => {
+    const { prn, fineId, paymentId } = req.params;
+
+    const student = await Student.findOne({ prn: prn.toUpperCase() });
+
+    if (!student) {
+        res.status(404);
+        throw new Error(`Student with PRN ${prn.toUpperCase()} not found`);
+    }
+
+    if (!student.email) {
+        res.status(400);
+        throw new Error('This student has no email address');
+    }
+
+    const fine = student.fines.id(fineId);
+    const receipt = fine ? fine.getReceipt(paymentId) : null;
+
+    if (!receipt || String(receipt._id) !== String(paymentId)) {
+        res.status(404);
+        throw new Error('Payment not found');
+    }
+
+    if (receipt.isReversed) {
+        res.status(400);
+        throw new Error('Receipts of reversed payments cannot be sent');
+    }
+
+    const email = await sendPaymentReceiptEmail(student, receipt, { createdBy: req.admin._id });
+
+    await recordAudit(req, {
+        action: 'resend',
+        entity: 'payment',
+        entityId: fine._id,
+        description: `Resent receipt ${receipt.receiptNumber} to ${student.email}`
+    });
+
+    res.status(202).json({
+        success: true,
+        message: `Receipt queued for ${student.email}`,
+        data: email
+    });
+});
+
+/**
+ * @desc    Download a payment receipt as a PDF
+ * @route   GET /api/students/:prn/fines/:fineId/receipt.pdf
+ * @access  Private
+ *
+ * Query Parameters:
+ * - paymentId: Installment to print (default: the latest one)
+ *
+ * The same document is attached to receipt emails.
+ */
+const getReceiptPdf = asyncHandler(async (req, res) => {
+    const { prn, fineId } = req.params;
+
+    const student = await Student.findOne({ prn: prn.toUpperCase() });
+
+    if (!student) {
+        res.status(404);
+        throw new Error(`Student with PRN ${prn.toUpperCase()} not found`);
+    }
+
+    const receipt = findPaymentReceipt(student.fines.id(fineId), req.query.paymentId);
+
+    if (!receipt) {
+        res.status(404);
+        throw new Error('Payment not found');
+    }
+
+    const pdf = await generateReceiptPDF(student, receipt);
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${receiptFileName(receipt)}"`,
+        'Content-Length': pdf.length
+    });
+    res.status(200).send(pdf);
+});
+
+/**
+ * Read the statement period from fromDate/toDate (YYYY-MM-DD, both optional)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {{ from: Date|undefined, to: Date|undefined }}
+ */
+const statementPeriod = (req, res) => {
+    const { fromDate, toDate } = req.query;
+    const from = fromDate ? new Date(fromDate) : undefined;
+    const to = toDate ? new Date(toDate) : undefined;
+
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+        res.status(400);
+        throw new Error('Please provide valid dates');
+    }
+    // The end date counts in full
+    if (to) to.setHours(23, 59, 59, 999);
+    if (from && to && from > to) {
+        res.status(400);
+        throw new Error('The start date must be before the end date');
+    }
+
+    return { from, to };
+};
+
+/**
+ * Find a student by the PRN in the URL or fail with 404
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object>} Student document
+ */
+const findStudentForStatement = async (req, res) => {
+    const prn = req.params.prn.toUpperCase();
+    const student = await Student.findOne({ prn });
+
+    if (!student) {
+        res.status(404);
+        throw new Error(`Student with PRN ${prn} not found`);
+    }
+    return student;
+};
+
+/**
+ * @desc    Account statement for a period
+ * @route   GET /api/students/:prn/statement
+ * @access  Private
+ *
+ * Query Parameters:
+ * - fromDate, toDate: Period (YYYY-MM-DD, both optional)
+ *
+ * Every charge, payment, concession, waiver and reversal in the period
+ * with a running balance; earlier entries make up the opening balance.
+ */
+const getStatement = asyncHandler(async (req, res) => {
+    const period = statementPeriod(req, res);
+    const student = await findStudentForStatement(req, res);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            student: {
+                prn: student.prn,
+                name: student.name,
+                year: student.year,
+                division: student.division,
+                rollNo: student.rollNo
+            },
+            ...buildStatement(student, period)
+        }
+    });
+});
+
+/**
+ * @desc    Download an account statement as a PDF
+ * @route   GET /api/students/:prn/statement.pdf
+ * @access  Private
+ *
+ * Query Parameters: same as GET /api/students/:prn/statement
+ */
+const getStatementPdf = asyncHandler(async (req, res) => {
+    const period = statementPeriod(req, res);
+    const student = await findStudentForStatement(req, res);
+
+    const pdf = await generateStatementPDF(student, buildStatement(student, period));
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${statementFileName(student)}"`,
+        'Content-Length': pdf.length
+    });
+    res.status(200).send(pdf);
+});
+
+/**
+ * @desc    Waive what is left of a late fee
+ * @route   POST /api/students/:prn/fines/:fineId/waive
+ * @access  Private (super-admin, treasurer)
+ *
+ * Request Body: { reason (required) }
+ *
+ * The late fine is settled without a payment and is not raised again
+ * by the late-fees job. Installments already collected stay.
+ */
+const waiveLateFee = asyncHandler(async (req, res) => {
+    const { prn, fineId } = req.params;
+    const { reason } = req.body || {};
+
+    if (!reason || !reason.trim()) {
+        res.status(400);
+        throw new Error('Please provide a reason for the waiver');
+    }
+
+    const student = await Student.findOne({ prn: prn.toUpperCase() });
+
+    if (!student) {
+        res.status(404);
+        throw new Error(`Student with PRN ${prn.toUpperCase()} not found`);
+    }
+
+    const fine = student.fines.id(fineId);
+
+    if (!fine) {
+        res.status(404);
+        throw new Error('Fine not found');
+    }
+
+    if (!fine.lateFeeFor) {
+        res.status(400);
+        throw new Error('Only late fees can be waived');
+    }
+
+    const before = fine.toObject();
+    const waived = fine.waive({
+        reason: reason.trim(),
+        waivedBy: req.admin._id,
+        waivedByName: req.admin.name || req.admin.email
+    });
+
+    if (waived <= 0) {
+        res.status(400);
+        throw new Error('Nothing is left to waive on this late fee');
+    }
+
+    await student.save();
+
+    await recordAudit(req, {
+        action: 'waive',
+        entity: 'payment',
+        entityId: fine._id,
+        description: `Waived late fee of ${waived} for ${student.prn}: ${reason.trim()}`,
+        before,
+        after: fine
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Late fee waived',
+        data: {
+            payment: fine,
+            waivedAmount: waived,
+            unpaidFines: student.unpaidFines
+        }
+    });
+});
+
+/**
+ * Find a student's charge and one of its concessions, or fail with 404
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<{ student, fine, concession }>}
+ */
+const findConcession = async (req, res) => {
+    const { prn, fineId, concessionId } = req.params;
+
+    const student = await Student.findOne({ prn: prn.toUpperCase() });
+    if (!student) {
+        res.status(404);
+        throw new Error(`Student with PRN ${prn.toUpperCase()} not found`);
+    }
+
+    const fine = student.fines.id(fineId);
+    const concession = fine?.concessions.id(concessionId);
+    if (!concession) {
+        res.status(404);
+        throw new Error('Concession not found');
+    }
+
+    return { student, fine, concession };
+};
+
+/**
+ * @desc    Grant a concession (discount) on a charge
+ * @route   POST /api/students/:prn/fines/:fineId/concessions
+ * @access  Private (super-admin, treasurer)
+ *
+ * Request Body: { kind: 'percent' | 'flat', value, approver, justification, requireApproval }
+ *
+ * A percentage is taken of the charge amount. With requireApproval (or
+ * CONCESSIONS_REQUIRE_APPROVAL=true) the concession stays pending until
+ * a different admin approves it; otherwise it applies straight away.
+ */
+const grantConcession = asyncHandler(async (req, res) => {
+    const { prn, fineId } = req.params;
+    const { kind, value, approver, justification, requireApproval } = req.body || {};
+
+    if (!['percent', 'flat'].includes(kind)) {
+        res.status(400);
+        throw new Error('Concession type must be percent or flat');
+    }
+
+    const numericValue = Number(value);
+    if (isNaN(numericValue) || numericValue <= 0 || (kind === 'percent' && numericValue > 100)) {
+        res.status(400);
+        throw new Error(kind === 'percent'
+            ? 'Percentage must be more than 0 and at most 100'
+            : 'Please provide a valid concession amount');
+    }
+
+    if (!approver || !approver.trim() || !justification || !justification.trim()) {
+        res.status(400);
+        throw new Error('Please name who approved the concession and give a justification');
+    }
+
+    const student = await Student.findOne({ prn: prn.toUpperCase() });
+
+    if (!student) {
+        res.status(404);
+        throw new Error(`Student with PRN ${prn.toUpperCase()} not found`);
+    }
+
+    const fine = student.fines.id(fineId);
+
+    if (!fine) {
+        res.status(404);
+        throw new Error('Fine not found');
+    }
+
+    const amount = fine.concessionAmount(kind, numericValue);
+    if (amount <= 0 || amount > fine.balance) {
+        res.status(400);
+        throw new Error(`The concession must be between 1 and the balance of ${fine.balance}`);
+    }
+
+    const needsApproval = process.env.CONCESSIONS_REQUIRE_APPROVAL === 'true' || Boolean(requireApproval);
+    const before = fine.toObject();
+
+    fine.concessions.push({
+        kind,
+        value: numericValue,
+        amount,
+        approver: approver.trim(),
+        justification: justification.trim(),
+        status: needsApproval ? 'pending' : 'approved',
+        requestedBy: req.admin._id,
+        requestedByName: req.admin.name || req.admin.email
+    });
+    const concession = fine.concessions[fine.concessions.length - 1];
+
+    if (!needsApproval) {
+        fine.applyConcession(concession);
+    }
+
+    await student.save();
+
+    await recordAudit(req, {
+        action: 'concession',
+        entity: 'payment',
+        entityId: fine._id,
+        description: `${needsApproval ? 'Requested' : 'Granted'} concession of ${amount} for ${student.prn} (approved by ${concession.approver}): ${concession.justification}`,
+        before,
+        after: fine
+    });
+
+    res.status(201).json({
+        success: true,
+        message: needsApproval ? 'Concession sent for approval' : 'Concession granted',
+        data: {
+            payment: fine,
+            concession,
+            unpaidFines: student.unpaidFines
+        }
+    });
+});
+
+/**
+ * @desc    Approve or reject a pending concession
+ * @route   PUT /api/students/:prn/fines/:fineId/concessions/:concessionId/review
+ * @access  Private (super-admin, treasurer)
+ *
+ * Request Body: { decision: 'approve' | 'reject', note }
+ *
+ * The admin who recorded the concession cannot review it.
+ */
+const reviewConcession = asyncHandler(async (req, res) => {
+    const { decision, note } = req.body || {};
+
+    if (!['approve', 'reject'].includes(decision)) {
+        res.status(400);
+        throw new Error('Decision must be approve or reject');
+    }
+
+    const { student, fine, concession } = await findConcession(req, res);
+
+    if (concession.status !== 'pending') {
+        res.status(400);
+        throw new Error(`This concession has already been ${concession.status}`);
+    }
+
+    if (String(concession.requestedBy) === String(req.admin._id)) {
+        res.status(403);
+        throw new Error('A concession must be reviewed by a different admin');
+    }
 
-    // Get the saved payment with _id
-    const savedPayment = student.fines[student.fines.length - 1];
+    const before = fine.toObject();
 
-    // Send email receipt to student (async, don't wait) - only if sendEmail is true
-    if (sendEmail) {
-        sendPaymentReceiptEmail(student, savedPayment).catch(err => {
-            console.error('Email sending failed:', err.message);
-        });
+    if (decision === 'approve' && !fine.applyConcession(concession)) {
+        res.status(400);
+        throw new Error(`The concession is more than the balance of ${fine.balance} left on the charge`);
     }
 
-    res.status(201).json({
+    concession.status = decision === 'approve' ? 'approved' : 'rejected';
+    concession.reviewedBy = req.admin._id;
+    concession.reviewedByName = req.admin.name || req.admin.email;
+    concession.reviewedAt = new Date();
+    concession.reviewNote = note?.trim() || undefined;
+
+    await student.save();
+
+    await recordAudit(req, {
+        action: decision,
+        entity: 'payment',
+        entityId: fine._id,
+        description: `${decision === 'approve' ? 'Approved' : 'Rejected'} concession of ${concession.amount} for ${student.prn}`,
+        before,
+        after: fine
+    });
+
+    res.status(200).json({
         success: true,
-        message: 'Payment added successfully',
+        message: decision === 'approve' ? 'Concession approved' : 'Concession rejected',
         data: {
-            student: {
-                prn: student.prn,
-                name: student.name,
-                department: student.department,
-                email: student.email
-            },
-            payment: savedPayment,
-            receiptNumber: receiptNumber,
-            totalFines: student.totalFines,
-            paymentCount: student.fines.length,
-            emailSent: !!student.email
+            payment: fine,
+            concession,
+            unpaidFines: student.unpaidFines
         }
     });
 });
 
 /**
- * @desc    Get all students with pagination
- * @route   GET /api/students
+ * @desc    Get outstanding dues grouped per student
+ * @route   GET /api/students/dues
  * @access  Private
+ * 
+ * Query Params:
+ * - year: Class filter (FE, SE, TE, BE)
+ * - division: Division filter
+ * - search: PRN or name
+ * - overdueOnly: 'true' to list only charges past their due date
+ * - page, limit: Pagination
  */
-const getAllStudents = asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+const getOutstandingDues = asyncHandler(async (req, res) => {
+    const { year, division, search, overdueOnly, page = 1, limit = 10 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const now = new Date();
 
-    // Optional filters
-    const filter = {};
-    if (req.query.department) {
-        filter.department = { $regex: req.query.department, $options: 'i' };
-    }
-    if (req.query.hasFines === 'true') {
-        filter['fines.0'] = { $exists: true };
+    // Build match conditions
+    const matchConditions = { isActive: true, 'fines.isPaid': false };
+    if (year) matchConditions.year = exactMatch(year);
+    if (division) matchConditions.division = exactMatch(division);
+    if (search) {
+        const escapedSearch = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        matchConditions.$or = [
+            { prn: { $regex: escapedSearch, $options: 'i' } },
+            { name: { $regex: escapedSearch, $options: 'i' } }
+        ];
     }
 
-    // Get total count for pagination
-    const total = await Student.countDocuments(filter);
+    // Only unpaid charges (optionally only those past their due date)
+    const dueCondition = overdueOnly === 'true'
+        ? { $and: [{ $eq: ['$$this.isPaid', false] }, { $lt: ['$$this.dueDate', now] }, { $gt: ['$$this.dueDate', null] }] }
+        : { $eq: ['$$this.isPaid', false] };
 
-    // Get students
-    const students = await Student.find(filter)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .select('-fines'); // Exclude fines array for list view
+    const pipeline = [
+        { $match: matchConditions },
+        {
+            $project: {
+                prn: 1,
+                rollNo: 1,
+                name: 1,
+                year: 1,
+                division: 1,
+                email: 1,
+                dues: {
+                    $map: {
+                        input: { $filter: { input: '$fines', cond: dueCondition } },
+                        as: 'f',
+                        in: {
+                            $mergeObjects: ['$$f', {
+                                amountPaid: amountPaidExpr('$$f'),
+                                balance: balanceExpr('$$f')
+                            }]
+                        }
+                    }
+                }
+            }
+        },
+        { $match: { 'dues.0': { $exists: true } } },
+        {
+            $addFields: {
+                totalOutstanding: { $sum: '$dues.balance' },
+                overdueCount: {
+                    $size: {
+                        $filter: {
+                            input: '$dues',
+                            cond: { $and: [{ $gt: ['$$this.dueDate', null] }, { $lt: ['$$this.dueDate', now] }] }
+                        }
+                    }
+                }
+            }
+        }
+    ];
+
+    // Totals across all matching students
+    const totalsResult = await Student.aggregate([
+        ...pipeline,
+        {
+            $group: {
+                _id: null,
+                students: { $sum: 1 },
+                charges: { $sum: { $size: '$dues' } },
+                amount: { $sum: '$totalOutstanding' }
+            }
+        }
+    ]);
+    const totals = totalsResult.length > 0 ? totalsResult[0] : { students: 0, charges: 0, amount: 0 };
+
+    pipeline.push(
+        { $sort: { year: 1, division: 1, rollNo: 1, name: 1 } },
+        { $skip: skip },
+        { $limit: parseInt(limit) }
+    );
+
+    const students = await Student.aggregate(pipeline);
+
+    // Get unique years and divisions for filters
+    const filterOptions = await Student.aggregate([
+        { $match: { isActive: true } },
+        {
+            $group: {
+                _id: null,
+                years: { $addToSet: '$year' },
+                divisions: { $addToSet: '$division' }
+            }
+        }
+    ]);
 
     res.status(200).json({
         success: true,
         data: {
-            students: students,
+            students,
+            summary: {
+                studentCount: totals.students,
+                chargeCount: totals.charges,
+                totalOutstanding: totals.amount
+            },
+            filterOptions: filterOptions.length > 0 ? {
+                years: filterOptions[0].years.filter(y => y).sort(),
+                divisions: filterOptions[0].divisions.filter(d => d).sort()
+            } : { years: [], divisions: [] },
             pagination: {
-                currentPage: page,
-                totalPages: Math.ceil(total / limit),
-                totalStudents: total,
-                hasNextPage: page * limit < total,
-                hasPrevPage: page > 1
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(totals.students / parseInt(limit)),
+                totalStudents: totals.students,
+                hasNextPage: parseInt(page) * parseInt(limit) < totals.students,
+                hasPrevPage: parseInt(page) > 1
             }
         }
     });
 });
 
 /**
- * @desc    Get student fine history
- * @route   GET /api/students/:prn/fines
+ * Archive (soft delete) every active student matching a filter
+ * Payment history is kept, so income totals and reports are unaffected
+ * @param {Object} req - Express request (the archiving admin)
+ * @param {Object} filter - Student query
+ * @returns {Promise<Array>} Archived students ({ _id, prn, name })
+ */
+const archiveStudents = async (req, filter) => {
+    const students = await Student.find({ ...filter, isActive: true }).select('prn name').lean();
+
+    if (students.length > 0) {
+        await Student.updateMany(
+            { _id: { $in: students.map(st => st._id) } },
+            { $set: { isActive: false, archivedAt: new Date(), archivedBy: req.admin._id } }
+        );
+    }
+
+    return students;
+};
+
+/**
+ * @desc    Archive (soft delete) a student
+ * @route   DELETE /api/students/:prn
  * @access  Private
+ * 
+ * The student moves to the recycle bin with their payment history intact
  */
-const getStudentFines = asyncHandler(async (req, res) => {
+const deleteStudent = asyncHandler(async (req, res) => {
     const { prn } = req.params;
 
-    const student = await Student.findOne({ prn: prn.toUpperCase() });
+    const student = await Student.findOne({ prn: prn.toUpperCase(), isActive: true });
 
     if (!student) {
         res.status(404);
-        throw new Error(`Student with PRN ${prn.toUpperCase()} not found`);
+        throw new Error(`Active student with PRN ${prn.toUpperCase()} not found`);
     }
 
-    // Sort fines by date (newest first)
-    const sortedFines = student.fines.sort((a, b) => new Date(b.date) - new Date(a.date));
+    student.isActive = false;
+    student.archivedAt = new Date();
+    student.archivedBy = req.admin._id;
+    await student.save();
+
+    await recordAudit(req, {
+        action: 'archive',
+        entity: 'student',
+        entityId: student.prn,
+        description: `Archived student ${student.prn} (${student.name})`,
+        after: student
+    });
 
     res.status(200).json({
         success: true,
+        message: 'Student moved to the recycle bin',
         data: {
-            student: {
-                prn: student.prn,
-                name: student.name,
-                department: student.department
-            },
-            fines: sortedFines,
-            summary: {
-                totalFines: student.totalFines,
-                fineCount: student.fines.length,
-                unpaidFines: student.unpaidFines
-            }
+            prn: student.prn,
+            name: student.name
         }
     });
 });
 
 /**
- * @desc    Mark fine as paid
- * @route   PUT /api/students/:prn/fines/:fineId/pay
+ * @desc    Restore an archived student
+ * @route   PUT /api/students/:prn/restore
  * @access  Private
  */
-const markFineAsPaid = asyncHandler(async (req, res) => {
-    const { prn, fineId } = req.params;
+const restoreStudent = asyncHandler(async (req, res) => {
+    const { prn } = req.params;
 
-    const student = await Student.findOne({ prn: prn.toUpperCase() });
+    const student = await Student.findOne({ prn: prn.toUpperCase(), isActive: false });
 
     if (!student) {
         res.status(404);
-        throw new Error(`Student with PRN ${prn.toUpperCase()} not found`);
-    }
-
-    // Find the fine
-    const fine = student.fines.id(fineId);
-
-    if (!fine) {
-        res.status(404);
-        throw new Error('Fine not found');
+        throw new Error(`Archived student with PRN ${prn.toUpperCase()} not found`);
     }
 
-    // Mark as paid
-    fine.isPaid = true;
-    fine.paidDate = new Date();
+    student.isActive = true;
+    student.archivedAt = undefined;
+    student.archivedBy = undefined;
     await student.save();
 
+    await recordAudit(req, {
+        action: 'restore',
+        entity: 'student',
+        entityId: student.prn,
+        description: `Restored student ${student.prn} (${student.name})`,
+        after: student
+    });
+
     res.status(200).json({
         success: true,
-        message: 'Fine marked as paid',
-        data: fine
+        message: 'Student restored successfully',
+        data: student
     });
 });
 
 /**
- * @desc    Delete a student
- * @route   DELETE /api/students/:prn
+ * @desc    Permanently delete an archived student
+ * @route   DELETE /api/students/:prn/purge
  * @access  Private
+ * 
+ * Refused when the student has any payment history, so recorded
+ * income can never be wiped out
  */
-const deleteStudent = asyncHandler(async (req, res) => {
+const purgeStudent = asyncHandler(async (req, res) => {
     const { prn } = req.params;
 
-    const student = await Student.findOneAndDelete({ prn: prn.toUpperCase() });
+    const student = await Student.findOne({ prn: prn.toUpperCase() });
 
     if (!student) {
         res.status(404);
         throw new Error(`Student with PRN ${prn.toUpperCase()} not found`);
     }
 
+    if (student.isActive) {
+        res.status(400);
+        throw new Error('Only archived students can be permanently deleted. Move the student to the recycle bin first.');
+    }
+
+    if (student.fines.length > 0) {
+        res.status(400);
+        throw new Error(`Student ${student.prn} has ${student.fines.length} payment records and cannot be permanently deleted`);
+    }
+
+    await student.deleteOne();
+
+    await recordAudit(req, {
+        action: 'purge',
+        entity: 'student',
+        entityId: student.prn,
+        description: `Permanently deleted student ${student.prn} (${student.name})`,
+        before: student
+    });
+
     res.status(200).json({
         success: true,
-        message: 'Student deleted successfully',
+        message: 'Student permanently deleted',
         data: {
             prn: student.prn,
             name: student.name
@@ -527,6 +1628,10 @@ const addStudent = asyncHandler(async (req, res) => {
 
     // Check if student already exists
     const existingStudent = await Student.findOne({ prn: prn.toUpperCase() });
+    if (existingStudent && !existingStudent.isActive) {
+        res.status(400);
+        throw new Error(`Student with PRN ${prn.toUpperCase()} is in the recycle bin. Restore it instead.`);
+    }
     if (existingStudent) {
         res.status(400);
         throw new Error(`Student with PRN ${prn.toUpperCase()} already exists`);
@@ -546,6 +1651,14 @@ const addStudent = asyncHandler(async (req, res) => {
         phone: phone?.trim()
     });
 
+    await recordAudit(req, {
+        action: 'create',
+        entity: 'student',
+        entityId: student.prn,
+        description: `Added student ${student.prn} (${student.name})`,
+        after: student
+    });
+
     res.status(201).json({
         success: true,
         message: 'Student added successfully',
@@ -569,6 +1682,8 @@ const updateStudent = asyncHandler(async (req, res) => {
         throw new Error(`Student with PRN ${prn.toUpperCase()} not found`);
     }
 
+    const before = student.toObject();
+
     // Update fields if provided
     if (name) student.name = name.trim();
     if (department !== undefined) student.department = department?.trim();
@@ -582,6 +1697,15 @@ const updateStudent = asyncHandler(async (req, res) => {
 
     await student.save();
 
+    await recordAudit(req, {
+        action: 'update',
+        entity: 'student',
+        entityId: student.prn,
+        description: `Updated student ${student.prn} (${student.name})`,
+        before,
+        after: student
+    });
+
     res.status(200).json({
         success: true,
         message: 'Student updated successfully',
@@ -590,7 +1714,7 @@ const updateStudent = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Delete all students by division
+ * @desc    Archive (soft delete) all students by division
  * @route   DELETE /api/students/division/:division
  * @access  Private
  */
@@ -602,26 +1726,34 @@ const deleteStudentsByDivision = asyncHandler(async (req, res) => {
         throw new Error('Please provide a division');
     }
 
-    const result = await Student.deleteMany({
+    const filter = {
         division: { $regex: new RegExp(`^${division}$`, 'i') }
-    });
+    };
+    const archivedStudents = await archiveStudents(req, filter);
 
-    if (result.deletedCount === 0) {
+    if (archivedStudents.length === 0) {
         res.status(404);
-        throw new Error(`No students found in division ${division}`);
+        throw new Error(`No active students found in division ${division}`);
     }
 
+    await recordAudit(req, {
+        action: 'archive',
+        entity: 'student',
+        description: `Archived ${archivedStudents.length} students from division ${division}`,
+        after: { students: archivedStudents.map(st => `${st.prn} (${st.name})`) }
+    });
+
     res.status(200).json({
         success: true,
-        message: `Successfully deleted ${result.deletedCount} students from division ${division}`,
+        message: `Moved ${archivedStudents.length} students from division ${division} to the recycle bin`,
         data: {
-            deletedCount: result.deletedCount
+            archivedCount: archivedStudents.length
         }
     });
 });
 
 /**
- * @desc    Delete all students by year
+ * @desc    Archive (soft delete) all students by year
  * @route   DELETE /api/students/year/:year
  * @access  Private
  */
@@ -633,20 +1765,28 @@ const deleteStudentsByYear = asyncHandler(async (req, res) => {
         throw new Error('Please provide a year');
     }
 
-    const result = await Student.deleteMany({
+    const filter = {
         year: { $regex: new RegExp(`^${year}$`, 'i') }
-    });
+    };
+    const archivedStudents = await archiveStudents(req, filter);
 
-    if (result.deletedCount === 0) {
+    if (archivedStudents.length === 0) {
         res.status(404);
-        throw new Error(`No students found in year ${year}`);
+        throw new Error(`No active students found in year ${year}`);
     }
 
+    await recordAudit(req, {
+        action: 'archive',
+        entity: 'student',
+        description: `Archived ${archivedStudents.length} students from year ${year}`,
+        after: { students: archivedStudents.map(st => `${st.prn} (${st.name})`) }
+    });
+
     res.status(200).json({
         success: true,
-        message: `Successfully deleted ${result.deletedCount} students from year ${year}`,
+        message: `Moved ${archivedStudents.length} students from year ${year} to the recycle bin`,
         data: {
-            deletedCount: result.deletedCount
+            archivedCount: archivedStudents.length
         }
     });
 });
@@ -655,6 +1795,8 @@ const deleteStudentsByYear = asyncHandler(async (req, res) => {
  * @desc    Get all students with advanced filters and payment summary
  * @route   GET /api/students/management
  * @access  Private
+ * 
+ * Pass archived=true to list the recycle bin instead of active students
  */
 const getAllStudentsAdvanced = asyncHandler(async (req, res) => {
     const {
@@ -665,13 +1807,15 @@ const getAllStudentsAdvanced = asyncHandler(async (req, res) => {
         sortBy = 'name',
         sortOrder = 'asc',
         page = 1,
-        limit = 10
+        limit = 10,
+        archived
     } = req.query;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
+    const isActive = archived !== 'true';
 
     // Build match conditions
-    const matchConditions = { isActive: true };
+    const matchConditions = { isActive };
     if (year) matchConditions.year = { $regex: year, $options: 'i' };
     if (division) matchConditions.division = { $regex: division, $options: 'i' };
     if (search) {
@@ -698,25 +1842,12 @@ const getAllStudentsAdvanced = asyncHandler(async (req, res) => {
                 semester: 1,
                 rollNo: 1,
                 createdAt: 1,
-                feesPaid: {
-                    $sum: {
-                        $map: {
-                            input: { $filter: { input: '$fines', cond: { $eq: ['$$this.type', 'fee'] } } },
-                            as: 'f',
-                            in: '$$f.amount'
-                        }
-                    }
-                },
-                finePaid: {
-                    $sum: {
-                        $map: {
-                            input: { $filter: { input: '$fines', cond: { $eq: ['$$this.type', 'fine'] } } },
-                            as: 'f',
-                            in: '$$f.amount'
-                        }
-                    }
-                },
-                totalPaid: { $sum: '$fines.amount' }
+                archivedAt: 1,
+                paymentCount: { $size: { $ifNull: ['$fines', []] } },
+                feesPaid: sumChargesExpr({ $eq: ['$$this.type', 'fee'] }, amountPaidExpr),
+                finePaid: sumChargesExpr({ $eq: ['$$this.type', 'fine'] }, amountPaidExpr),
+                totalPaid: sumChargesExpr(true, amountPaidExpr),
+                totalOutstanding: sumChargesExpr({ $eq: ['$$this.isPaid', false] }, balanceExpr)
             }
         }
     ];
@@ -745,7 +1876,7 @@ const getAllStudentsAdvanced = asyncHandler(async (req, res) => {
 
     // Get unique years and divisions for filters
     const filterOptions = await Student.aggregate([
-        { $match: { isActive: true } },
+        { $match: { isActive } },
         {
             $group: {
                 _id: null,
@@ -777,7 +1908,7 @@ const getAllStudentsAdvanced = asyncHandler(async (req, res) => {
 
 
 /**
- * @desc    Delete all students by year and division (Class)
+ * @desc    Archive (soft delete) all students by year and division (Class)
  * @route   DELETE /api/students/class
  * @access  Private
  */
@@ -789,39 +1920,276 @@ const deleteStudentsByClass = asyncHandler(async (req, res) => {
         throw new Error('Please provide both year and division');
     }
 
-    const result = await Student.deleteMany({
+    const filter = {
         year: { $regex: new RegExp(`^${year}$`, 'i') },
         division: { $regex: new RegExp(`^${division}$`, 'i') }
-    });
+    };
+    const archivedStudents = await archiveStudents(req, filter);
 
-    if (result.deletedCount === 0) {
+    if (archivedStudents.length === 0) {
         res.status(404);
-        throw new Error(`No students found in ${year} division ${division}`);
+        throw new Error(`No active students found in ${year} division ${division}`);
+    }
+
+    await recordAudit(req, {
+        action: 'archive',
+        entity: 'student',
+        description: `Archived ${archivedStudents.length} students from ${year} division ${division}`,
+        after: { students: archivedStudents.map(st => `${st.prn} (${st.name})`) }
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `Moved ${archivedStudents.length} students from ${year} division ${division} to the recycle bin`,
+        data: {
+            archivedCount: archivedStudents.length
+        }
+    });
+});
+
+/**
+ * Work out which active students a promotion moves, grouped by class
+ * @param {Object} options - { academicYear, targetAcademicYear, years }
+ *   academicYear       - only promote students in this academic year (optional)
+ *   targetAcademicYear - academic year to move them to (default: the next one)
+ *   years              - only promote these years of study (optional)
+ * @returns {Promise<Object>} { groups, skipped } where each group is
+ *   { year, division, nextYear, graduating, students: [{ _id, year, academicYear }] }
+ */
+const planPromotion = async ({ academicYear, targetAcademicYear, years }) => {
+    const filter = { isActive: true, year: { $not: new RegExp(`^${ALUMNI}$`, 'i') } };
+    if (academicYear) filter.academicYear = academicYear;
+
+    const students = await Student.find(filter).select('year division academicYear').lean();
+    // Compare by position so "FE" also selects students stored as "1"
+    const onlyRanks = (years || []).map(getYearOfStudyRank);
+
+    const groups = new Map();
+    let skipped = 0;
+
+    students.forEach(student => {
+        const nextYear = getNextYearOfStudy(student.year);
+        if (!nextYear) {
+            // No recognisable year of study (blank or custom value)
+            skipped++;
+            return;
+        }
+
+        const year = student.year.trim().toUpperCase();
+        if (years?.length > 0 && !onlyRanks.includes(getYearOfStudyRank(year))) return;
+
+        const key = `${year}|${student.division || ''}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                year,
+                division: student.division || '',
+                nextYear,
+                graduating: nextYear === ALUMNI,
+                students: []
+            });
+        }
+        groups.get(key).students.push({
+            _id: student._id,
+            year: student.year,
+            academicYear: targetAcademicYear || getNextAcademicYear(student.academicYear) || student.academicYear
+        });
+    });
+
+    // In year-of-study order, then by division
+    const sorted = [...groups.values()].sort((a, b) =>
+        getYearOfStudyRank(a.year) - getYearOfStudyRank(b.year)
+        || a.year.localeCompare(b.year)
+        || a.division.localeCompare(b.division)
+    );
+
+    return { groups: sorted, skipped };
+};
+
+/**
+ * Shape a promotion plan for API responses (without student ids)
+ * @param {Object} plan - Result of planPromotion()
+ * @param {boolean} archiveGraduates
+ * @returns {Object}
+ */
+const summarizePromotion = ({ groups, skipped }, archiveGraduates) => {
+    const summary = groups.map(group => ({
+        year: group.year,
+        division: group.division,
+        nextYear: group.nextYear,
+        graduating: group.graduating,
+        archived: group.graduating && archiveGraduates,
+        count: group.students.length,
+        academicYears: [...new Set(group.students.map(st => st.academicYear).filter(Boolean))]
+    }));
+
+    return {
+        groups: summary,
+        totals: {
+            students: summary.reduce((sum, group) => sum + group.count, 0),
+            promoted: summary.filter(group => !group.graduating).reduce((sum, group) => sum + group.count, 0),
+            graduating: summary.filter(group => group.graduating).reduce((sum, group) => sum + group.count, 0),
+            skipped
+        }
+    };
+};
+
+/**
+ * Read promotion options from a request
+ * @param {Object} res - Express response (for the 400 status on bad input)
+ * @param {Object} source - req.query or req.body
+ * @returns {Object} { academicYear, targetAcademicYear, years, archiveGraduates }
+ */
+const getPromotionOptions = (res, source = {}) => {
+    const years = Array.isArray(source.years)
+        ? source.years
+        : (source.years ? String(source.years).split(',') : []);
+
+    const isText = (value) => typeof value === 'string' || typeof value === 'number';
+    const badField = ['academicYear', 'targetAcademicYear']
+        .find(field => source[field] !== undefined && source[field] !== null && !isText(source[field]));
+    if (badField || !years.every(isText)) {
+        res.status(400);
+        throw new Error(badField
+            ? `${badField} must be text`
+            : 'years must be a list of years of study (e.g. FE, SE)');
+    }
+
+    const academicYear = source.academicYear != null ? String(source.academicYear).trim() : '';
+    const targetAcademicYear = source.targetAcademicYear != null ? String(source.targetAcademicYear).trim() : '';
+
+    return {
+        academicYear: academicYear || undefined,
+        targetAcademicYear: targetAcademicYear
+            || getNextAcademicYear(academicYear)
+            || undefined,
+        years: years.map(y => String(y).trim()).filter(Boolean),
+        archiveGraduates: source.archiveGraduates === true || source.archiveGraduates === 'true'
+    };
+};
+
+/**
+ * @desc    Preview a year-end promotion
+ * @route   GET /api/students/promotion/preview
+ * @access  Private
+ * 
+ * Query Params: academicYear, targetAcademicYear, years (comma separated),
+ *               archiveGraduates
+ * 
+ * Returns the number of students per class and division that would move
+ * to the next year (FE → SE → TE → BE → Alumni). Nothing is changed.
+ */
+const previewPromotion = asyncHandler(async (req, res) => {
+    const options = getPromotionOptions(res, req.query);
+    const plan = await planPromotion(options);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            academicYear: options.academicYear || null,
+            targetAcademicYear: options.targetAcademicYear || null,
+            archiveGraduates: options.archiveGraduates,
+            ...summarizePromotion(plan, options.archiveGraduates)
+        }
+    });
+});
+
+/**
+ * @desc    Promote students to the next year of study
+ * @route   POST /api/students/promotion
+ * @access  Private
+ * 
+ * Request Body: { academicYear, targetAcademicYear, years, archiveGraduates }
+ * 
+ * Students keep their PRN and full payment history. Final-year students
+ * become Alumni and, with archiveGraduates, move to the recycle bin.
+ */
+const promoteStudents = asyncHandler(async (req, res) => {
+    const options = getPromotionOptions(res, req.body);
+    const plan = await planPromotion(options);
+
+    if (plan.groups.length === 0) {
+        res.status(400);
+        throw new Error('No students match the selected classes');
     }
 
+    const archivedAt = new Date();
+    const operations = [];
+    plan.groups.forEach(group => {
+        group.students.forEach(student => {
+            const update = { year: group.nextYear, academicYear: student.academicYear };
+            if (group.graduating && options.archiveGraduates) {
+                Object.assign(update, { isActive: false, archivedAt, archivedBy: req.admin._id });
+            }
+            operations.push({
+                updateOne: {
+                    // Matching the current year stops a student being promoted twice
+                    filter: { _id: student._id, isActive: true, year: student.year },
+                    update: { $set: update }
+                }
+            });
+        });
+    });
+
+    const result = await Student.bulkWrite(operations, { ordered: false });
+    const summary = summarizePromotion(plan, options.archiveGraduates);
+
+    await recordAudit(req, {
+        action: 'promote',
+        entity: 'student',
+        description: `Promoted ${result.modifiedCount} students`
+            + (options.targetAcademicYear ? ` to academic year ${options.targetAcademicYear}` : '')
+            + (options.archiveGraduates ? `, archived ${summary.totals.graduating} graduates` : ''),
+        after: {
+            academicYear: options.academicYear,
+            targetAcademicYear: options.targetAcademicYear,
+            archiveGraduates: options.archiveGraduates,
+            groups: summary.groups.map(({ year, division, nextYear, count }) => ({ year, division, nextYear, count }))
+        }
+    });
+
     res.status(200).json({
         success: true,
-        message: `Successfully deleted ${result.deletedCount} students from ${year} division ${division}`,
+        message: `Promoted ${result.modifiedCount} students`,
         data: {
-            deletedCount: result.deletedCount
+            promotedCount: result.modifiedCount,
+            academicYear: options.academicYear || null,
+            targetAcademicYear: options.targetAcademicYear || null,
+            archiveGraduates: options.archiveGraduates,
+            ...summary
         }
     });
 });
 
 module.exports = {
     uploadStudentsCSV,
+    confirmStudentImport,
+    cancelStudentImport,
     searchStudentByPRN,
     getStudentByPRN,
     addFineToStudent,
+    importPayments,
     getAllStudents,
     getStudentFines,
     markFineAsPaid,
+    reversePayment,
+    resendReceipt,
+    getReceiptPdf,
+    getStatement,
+    getStatementPdf,
+    waiveLateFee,
+    grantConcession,
+    reviewConcession,
+    getOutstandingDues,
     deleteStudent,
     addStudent,
     updateStudent,
     deleteStudentsByDivision,
     deleteStudentsByYear,
     deleteStudentsByClass,
+    restoreStudent,
+    purgeStudent,
+    previewPromotion,
+    promoteStudents,
     getAllStudentsAdvanced,
     searchStudents
 };
@@ -0,0 +1,267 @@
+/**
+ * ===========================================
+ * Student Portal Controller
+ * ===========================================
+ * Read-only self-service for students: sign in with
+ * their PRN and a code emailed to them, then see their
+ * own charges, dues and receipts.
+ *
+ * Every handler after sign-in works from req.student
+ * (set by protectStudent), so a student can only ever
+ * reach their own record.
+ */
+
+const crypto = require('crypto');
+const Student = require('../models/Student');
+const StudentLoginCode = require('../models/StudentLoginCode');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { generateStudentToken } = require('../middleware/authMiddleware');
+const { sendStudentLoginCodeEmail } = require('../utils/emailService');
+const { generateReceiptPDF, receiptFileName, findPaymentReceipt } = require('../utils/receiptPdf');
+const { signReceipt, verificationUrl } = require('../utils/receiptVerification');
+const { recordAudit } = require('../utils/auditLogger');
+
+// How long an emailed code works, and how often one can be asked for
+const CODE_TTL_MINUTES = 10;
+const CODE_COOLDOWN_SECONDS = 60;
+// Guesses allowed before a code is thrown away
+const MAX_CODE_ATTEMPTS = 5;
+
+// Same reply whether or not the PRN exists, so PRNs can't be probed
+const CODE_SENT_MESSAGE = 'If this PRN is registered with an email address, a sign-in code has been sent to it';
+
+/**
+ * Receipts for every installment on a charge, as the student sees them
+ * @param {Object} fine - Fine subdocument
+ * @returns {Array<Object>}
+ */
+const portalReceipts = (fine) => {
+    const installments = fine.payments.length > 0 ? fine.payments : (fine.isPaid && !fine.waivedAmount ? [fine] : []);
+    return installments
+        .map(installment => fine.getReceipt(installment._id))
+        .filter(Boolean)
+        .map(receipt => ({
+            _id: receipt._id,
+            chargeId: receipt.chargeId,
+            receiptNumber: receipt.receiptNumber || null,
+            amount: receipt.amount,
+            date: receipt.createdAt || receipt.date,
+            balance: receipt.balance,
+            isReversed: Boolean(receipt.isReversed),
+            creditNoteNumber: receipt.isReversed ? receipt.reversal?.creditNoteNumber : undefined,
+            verification: {
+                token: signReceipt(receipt),
+                url: verificationUrl(receipt)
+            }
+        }));
+};
+
+/**
+ * A charge with only the fields a student may see
+ * (no admin names, notes or pending concessions)
+ * @param {Object} fine - Fine subdocument
+ * @returns {Object}
+ */
+const portalCharge = (fine) => ({
+    _id: fine._id,
+    type: fine.type,
+    category: fine.category,
+    reason: fine.reason,
+    amount: fine.amount,
+    date: fine.date,
+    dueDate: fine.dueDate,
+    isPaid: fine.isPaid,
+    paidDate: fine.paidDate,
+    amountPaid: fine.amountPaid,
+    balance: fine.balance,
+    waivedAmount: fine.waivedAmount || 0,
+    concessions: fine.concessions
+        .filter(concession => concession.status === 'approved')
+        .map(({ kind, value, amount, approver }) => ({ kind, value, amount, approver })),
+    receipts: portalReceipts(fine)
+});
+
+/**
+ * @desc    Email a sign-in code to the student with this PRN
+ * @route   POST /api/portal/login-code
+ * @access  Public
+ *
+ * Request Body: { prn }
+ * Replies the same way for unknown PRNs and students without an email.
+ * A new code replaces any earlier one; at most one is sent a minute.
+ */
+const requestLoginCode = asyncHandler(async (req, res) => {
+    const prn = req.body.prn?.trim().toUpperCase();
+
+    if (!prn) {
+        res.status(400);
+        throw new Error('Please provide your PRN');
+    }
+
+    const student = await Student.findOne({ prn, isActive: true }).select('prn name email');
+
+    if (student?.email) {
+        const recent = await StudentLoginCode.findOne({
+            student: student._id,
+            createdAt: { $gt: new Date(Date.now() - CODE_COOLDOWN_SECONDS * 1000) }
+        });
+
+        if (!recent) {
+            const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+            await StudentLoginCode.deleteMany({ student: student._id });
+            await StudentLoginCode.create({
+                student: student._id,
+                codeHash: await StudentLoginCode.hashCode(code),
+                expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000)
+            });
+            await sendStudentLoginCodeEmail(student, code, CODE_TTL_MINUTES);
+        }
+    }
+
+    res.status(200).json({
+        success: true,
+        message: CODE_SENT_MESSAGE
+    });
+});
+
+/**
+ * @desc    Sign in with a PRN and emailed code
+ * @route   POST /api/portal/verify
+ * @access  Public
+ *
+ * Request Body: { prn, code }
+ * A code works once, for CODE_TTL_MINUTES, and is thrown away
+ * after MAX_CODE_ATTEMPTS guesses.
+ */
+const verifyLoginCode = asyncHandler(async (req, res) => {
+    const prn = req.body.prn?.trim().toUpperCase();
+    const code = String(req.body.code || '').trim();
+
+    if (!prn || !code) {
+        res.status(400);
+        throw new Error('Please provide your PRN and the code from your email');
+    }
+
+    const student = await Student.findOne({ prn, isActive: true }).select('prn name');
+
+    // Count the guess before checking it, so parallel guesses can't all slip under the limit
+    const loginCode = student && await StudentLoginCode.findOneAndUpdate(
+        {
+            student: student._id,
+            usedAt: null,
+            expiresAt: { $gt: new Date() },
+            attempts: { $lt: MAX_CODE_ATTEMPTS }
+        },
+        { $inc: { attempts: 1 } },
+        { sort: { createdAt: -1 }, new: true }
+    );
+
+    // Only one request can mark the code used, so it signs in once
+    const signedIn = loginCode && await loginCode.compareCode(code) && await StudentLoginCode.findOneAndUpdate(
+        { _id: loginCode._id, usedAt: null },
+        { $set: { usedAt: new Date() } }
+    );
+
+    if (!signedIn) {
+        await recordAudit(req, {
+            action: 'login-failed',
+            entity: 'student-portal',
+            entityId: prn,
+            description: `Failed student portal sign-in for PRN ${prn}`
+        });
+        res.status(401);
+        throw new Error('Invalid or expired code');
+    }
+
+    await recordAudit(req, {
+        action: 'login',
+        entity: 'student-portal',
+        entityId: student.prn,
+        description: `${student.name} (${student.prn}) signed in to the student portal`
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Signed in',
+        data: {
+            token: generateStudentToken(student._id),
+            student: {
+                prn: student.prn,
+                name: student.name
+            }
+        }
+    });
+});
+
+/**
+ * @desc    Signed-in student's profile, charges, dues and receipts
+ * @route   GET /api/portal/me
+ * @access  Private (student)
+ */
+const getMyAccount = asyncHandler(async (req, res) => {
+    const { student } = req;
+
+    const charges = [...student.fines]
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .map(portalCharge);
+
+    const outstanding = charges
+        .filter(charge => !charge.isPaid && charge.balance > 0)
+        .sort((a, b) => new Date(a.dueDate || a.date) - new Date(b.dueDate || b.date));
+
+    res.status(200).json({
+        success: true,
+        data: {
+            student: {
+                prn: student.prn,
+                name: student.name,
+                year: student.year,
+                division: student.division,
+                department: student.department,
+                rollNo: student.rollNo,
+                email: student.email
+            },
+            fines: charges,
+            outstanding,
+            summary: {
+                totalFines: student.totalFines,
+                fineCount: student.fines.length,
+                paidFines: student.paidFines,
+                unpaidFines: student.unpaidFines,
+                waivedFines: student.waivedFines
+            }
+        }
+    });
+});
+
+/**
+ * @desc    Download a receipt PDF for one of the student's own payments
+ * @route   GET /api/portal/fines/:fineId/receipt.pdf?paymentId=
+ * @access  Private (student)
+ */
+const getMyReceiptPdf = asyncHandler(async (req, res) => {
+    const { student } = req;
+    const receipt = findPaymentReceipt(student.fines.id(req.params.fineId), req.query.paymentId);
+
+    if (!receipt) {
+        res.status(404);
+        throw new Error('Payment not found');
+    }
+
+    const pdf = await generateReceiptPDF(student, receipt);
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${receiptFileName(receipt)}"`,
+        'Content-Length': pdf.length
+    });
+    res.status(200).send(pdf);
+});
+
+module.exports = {
+    requestLoginCode,
+    verifyLoginCode,
+    getMyAccount,
+    getMyReceiptPdf
+};
@@ -0,0 +1,76 @@
+/**
+ * ===========================================
+ * Verification Controller
+ * ===========================================
+ * Public checks of documents the system issues,
+ * reached from the QR code printed on them
+ */
+
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { findSignedReceipt, findSignedCertificate, maskName } = require('../utils/receiptVerification');
+
+/**
+ * @desc    Check that a receipt is genuine
+ * @route   GET /api/verify/receipts/:token
+ * @access  Public
+ *
+ * Shows only what is printed on the receipt, with the student's name masked.
+ * Unknown and altered tokens get the same 404, so neither can be told apart.
+ */
+const verifyReceipt = asyncHandler(async (req, res) => {
+    const found = await findSignedReceipt(req.params.token);
+
+    if (!found) {
+        res.status(404);
+        throw new Error('Receipt not found or has been tampered with');
+    }
+
+    const { student, receipt } = found;
+
+    res.status(200).json({
+        success: true,
+        data: {
+            receiptNumber: receipt.receiptNumber || null,
+            amount: receipt.amount,
+            date: receipt.createdAt || receipt.date,
+            type: receipt.type,
+            category: receipt.category || 'Others',
+            studentName: maskName(student.name),
+            isReversed: Boolean(receipt.isReversed),
+            creditNoteNumber: receipt.isReversed ? receipt.reversal?.creditNoteNumber : undefined
+        }
+    });
+});
+
+/**
+ * @desc    Check that a no-dues certificate is genuine
+ * @route   GET /api/verify/no-dues/:token
+ * @access  Public
+ *
+ * Shows what is printed on the certificate, with the student's name masked.
+ */
+const verifyCertificate = asyncHandler(async (req, res) => {
+    const certificate = await findSignedCertificate(req.params.token);
+
+    if (!certificate) {
+        res.status(404);
+        throw new Error('Certificate not found or has been tampered with');
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            certificateNumber: certificate.certificateNumber,
+            studentName: maskName(certificate.name),
+            year: certificate.year,
+            division: certificate.division,
+            academicYear: certificate.academicYear,
+            issuedAt: certificate.createdAt
+        }
+    });
+});
+
+module.exports = {
+    verifyReceipt,
+    verifyCertificate
+};
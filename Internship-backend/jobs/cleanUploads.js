@@ -0,0 +1,57 @@
+/**
+ * ===========================================
+ * Job: Clean Uploads
+ * ===========================================
+ * Deletes files left behind in uploads/ (e.g. when a
+ * request failed before the upload could be removed)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const uploadDir = path.join(__dirname, '..', 'uploads');
+
+module.exports = {
+    name: 'clean-uploads',
+    title: 'Clean uploads folder',
+    description: 'Deletes uploaded CSV/Excel files older than the given age',
+    schedule: '0 3 * * *',
+    enabled: true,
+    options: {
+        maxAgeHours: 24
+    },
+    // Younger files may be imports that are still being read
+    optionMinimums: {
+        maxAgeHours: 1
+    },
+
+    /**
+     * @param {Object} options - { maxAgeHours }
+     * @returns {Promise<{ deleted, kept }>}
+     */
+    run: async ({ maxAgeHours }) => {
+        const cutoff = Date.now() - Math.max(Number(maxAgeHours), 1) * 60 * 60 * 1000;
+        let files;
+        try {
+            files = await fs.readdir(uploadDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return { deleted: 0, kept: 0 };
+            throw error;
+        }
+
+        let deleted = 0;
+        let kept = 0;
+        for (const file of files) {
+            const filePath = path.join(uploadDir, file);
+            const stats = await fs.stat(filePath);
+            if (stats.isFile() && stats.mtimeMs < cutoff) {
+                await fs.unlink(filePath);
+                deleted++;
+            } else {
+                kept++;
+            }
+        }
+
+        return { deleted, kept };
+    }
+};
@@ -0,0 +1,57 @@
+/**
+ * ===========================================
+ * Job: Dues Reminders
+ * ===========================================
+ * Emails defaulters who haven't been reminded recently.
+ * Disabled until an admin turns it on.
+ */
+
+const { findDefaulters, sendDuesReminders } = require('../utils/defaulters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = {
+    name: 'dues-reminders',
+    title: 'Dues reminders',
+    description: 'Emails students with overdue charges, at most once per reminder interval',
+    schedule: '0 9 * * 1',
+    enabled: false,
+    options: {
+        minDays: 7,
+        remindEveryDays: 7
+    },
+
+    /**
+     * @param {Object} options - { minDays, remindEveryDays }
+     * @returns {Promise<{ sent, queued, skipped, failed }>}
+     */
+    run: async ({ minDays, remindEveryDays }) => {
+        const remindedBefore = new Date(Date.now() - Number(remindEveryDays) * DAY_MS);
+        const defaulters = await findDefaulters({
+            match: {
+                email: { $nin: [null, ''] },
+                $or: [
+                    { lastRemindedAt: null },
+                    { lastRemindedAt: { $lt: remindedBefore } }
+                ]
+            },
+            minDays: Number(minDays)
+        });
+
+        if (defaulters.length === 0) {
+            return { sent: 0, queued: 0, skipped: 0, failed: 0 };
+        }
+
+        const { results, summary } = await sendDuesReminders(
+            defaulters.map(student => student.prn),
+            { minDays: Number(minDays) }
+        );
+
+        // Nothing went out: fail the run so it is retried
+        if (summary.sent + summary.queued === 0 && summary.failed > 0) {
+            throw new Error(results.find(result => result.status === 'failed').message);
+        }
+
+        return summary;
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * ===========================================
+ * Scheduled Jobs
+ * ===========================================
+ * Every task the job scheduler can run. Each task has a
+ * name, title, description, default schedule, enabled
+ * flag and options, and an async run(options) returning
+ * a summary of what it did.
+ */
+
+module.exports = [
+    require('./cleanUploads'),
+    require('./duesReminders'),
+    require('./lateFees')
+];
@@ -0,0 +1,23 @@
+/**
+ * ===========================================
+ * Job: Late Fees
+ * ===========================================
+ * Applies the late-fee rules set on payment categories.
+ * Does nothing until a category has a rule enabled.
+ */
+
+const { applyLateFees } = require('../utils/lateFees');
+
+module.exports = {
+    name: 'late-fees',
+    title: 'Late fees',
+    description: 'Charges late fines on overdue charges in categories with a late-fee rule',
+    schedule: '0 1 * * *',
+    enabled: true,
+    options: {},
+
+    /**
+     * @returns {Promise<{ rules, students, created, updated, failed }>}
+     */
+    run: () => applyLateFees()
+};
@@ -7,6 +7,7 @@
 
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
+const Student = require('../models/Student');
 
 /**
  * Protect routes - Verify JWT token
@@ -35,6 +36,14 @@ const protect = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Student portal tokens never reach admin routes
+        if (decoded.scope === 'student') {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized. Invalid token.'
+            });
+        }
+
         // Find admin by ID from token payload
         // Exclude password from the result
         const admin = await Admin.findById(decoded.id).select('-password');
@@ -47,6 +56,22 @@ const protect = async (req, res, next) => {
             });
         }
 
+        // Deactivated admins lose access immediately
+        if (admin.isActive === false) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized. Account has been deactivated.'
+            });
+        }
+
+        // Tokens issued before a password reset or deactivation no longer work
+        if ((decoded.version || 0) !== (admin.tokenVersion || 0)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized. Session has ended, please log in again.'
+            });
+        }
+
         // Attach admin to request object
         req.admin = admin;
 
@@ -79,20 +104,105 @@ const protect = async (req, res, next) => {
     }
 };
 
+/**
+ * Restrict routes to admins with one of the given roles
+ * Must be used after protect
+ * @param  {...string} roles - Allowed roles
+ * @returns {Function} - Express middleware
+ */
+const authorize = (...roles) => {
+    return (req, res, next) => {
+        if (!req.admin || !roles.includes(req.admin.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized. Your role does not allow this action.'
+            });
+        }
+        next();
+    };
+};
+
+/**
+ * Protect student portal routes - Verify a student JWT token
+ * Attaches the signed-in student to the request; portal handlers
+ * only ever read req.student, never a PRN from the URL or body
+ */
+const protectStudent = async (req, res, next) => {
+    const token = req.headers.authorization?.startsWith('Bearer')
+        ? req.headers.authorization.split(' ')[1]
+        : null;
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            message: 'Not authorized. No token provided.'
+        });
+    }
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Admin tokens carry no student scope
+        if (decoded.scope !== 'student' || !decoded.student) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized. Invalid token.'
+            });
+        }
+
+        const student = await Student.findById(decoded.student);
+
+        if (!student || !student.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized. Student not found.'
+            });
+        }
+
+        req.student = student;
+        next();
+
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            message: error.name === 'TokenExpiredError'
+                ? 'Not authorized. Token has expired.'
+                : 'Not authorized. Invalid token.'
+        });
+    }
+};
+
 /**
  * Generate JWT Token
  * @param {string} id - Admin ID to include in token payload
+ * @param {number} version - Admin tokenVersion; tokens with an older version are rejected
  * @returns {string} - Signed JWT token
  */
-const generateToken = (id) => {
+const generateToken = (id, version = 0) => {
     return jwt.sign(
-        { id },
+        { id, version },
         process.env.JWT_SECRET,
         { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
     );
 };
 
+/**
+ * Generate a student portal JWT token
+ * @param {string} studentId - Student ID to include in token payload
+ * @returns {string} - Signed JWT token
+ */
+const generateStudentToken = (studentId) => {
+    return jwt.sign(
+        { student: studentId, scope: 'student' },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.STUDENT_TOKEN_EXPIRES_IN || '1d' }
+    );
+};
+
 module.exports = {
     protect,
-    generateToken
+    protectStudent,
+    authorize,
+    generateToken,
+    generateStudentToken
 };
@@ -0,0 +1,58 @@
+/**
+ * ===========================================
+ * Rate Limit Middleware
+ * ===========================================
+ * Caps how often public routes can be called, per
+ * client IP and per any other key the route picks
+ * (e.g. the PRN being signed in to). Counts are kept
+ * in memory, so each server process limits on its own.
+ */
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {number} options.windowMinutes - Length of each counting window
+ * @param {number} options.max - Requests allowed per key in a window
+ * @param {Function} [options.keys] - (req) => extra keys to count against, besides the IP
+ * @param {string} [options.message] - Error message once the limit is hit
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({ windowMinutes, max, keys = () => [], message = 'Too many requests. Please try again later.' }) => {
+    const windowMs = windowMinutes * 60 * 1000;
+    // key => { count, resetAt }
+    const hits = new Map();
+
+    return (req, res, next) => {
+        const now = Date.now();
+
+        // Forget finished windows so the map doesn't keep growing
+        hits.forEach((hit, key) => {
+            if (hit.resetAt <= now) hits.delete(key);
+        });
+
+        const requestKeys = [`ip:${req.ip}`, ...keys(req).filter(Boolean)];
+        let resetAt = 0;
+        let limited = false;
+
+        requestKeys.forEach(key => {
+            const hit = hits.get(key) || { count: 0, resetAt: now + windowMs };
+            hit.count += 1;
+            hits.set(key, hit);
+
+            if (hit.count > max) {
+                limited = true;
+                resetAt = Math.max(resetAt, hit.resetAt);
+            }
+        });
+
+        if (limited) {
+            res.set('Retry-After', String(Math.ceil((resetAt - now) / 1000)));
+            res.status(429);
+            return next(new Error(message));
+        }
+
+        next();
+    };
+};
+
+module.exports = { rateLimit };
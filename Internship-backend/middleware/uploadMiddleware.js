@@ -2,7 +2,7 @@
  * ===========================================
  * File Upload Middleware (Multer Configuration)
  * ===========================================
- * Configures Multer for handling CSV file uploads
+ * Configures Multer for handling CSV and Excel file uploads
  */
 
 const multer = require('multer');
@@ -35,8 +35,10 @@ const storage = multer.diskStorage({
 });
 
 // ===========================================
-// File Filter - Accept only CSV files
+// File Filter - Accept only CSV and .xlsx files
 // ===========================================
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
 const fileFilter = (req, file, cb) => {
     // Check file extension
     const ext = path.extname(file.originalname).toLowerCase();
@@ -44,8 +46,10 @@ const fileFilter = (req, file, cb) => {
     // Check MIME type and extension
     if (ext === '.csv' || file.mimetype === 'text/csv' || file.mimetype === 'application/csv') {
         cb(null, true);
+    } else if (ext === '.xlsx' || file.mimetype === XLSX_MIME_TYPE) {
+        cb(null, true);
     } else {
-        cb(new Error('Only CSV files are allowed!'), false);
+        cb(new Error('Only CSV and Excel (.xlsx) files are allowed!'), false);
     }
 };
 
@@ -38,6 +38,40 @@ const adminSchema = new mongoose.Schema({
         default: 'Admin'
     },
 
+    // Access role
+    // super-admin: everything, including bulk deletes
+    // treasurer:   manage students, payments, refunds, expenditures and categories
+    // collector:   look up students and collect payments
+    // viewer:      read-only access to records and reports
+    // Defaults to the least privileged role; admins created before roles
+    // existed are moved to super-admin by `npm run seed:roles`
+    role: {
+        type: String,
+        enum: {
+            values: ['super-admin', 'treasurer', 'collector', 'viewer'],
+            message: 'Role must be super-admin, treasurer, collector or viewer'
+        },
+        default: 'viewer'
+    },
+
+    // Deactivated admins cannot log in
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    // Written into each token; raising it signs the admin out everywhere
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+
+    // Super-admin who created this account (unset for the bootstrap admin)
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+
     // Account creation timestamp
     createdAt: {
         type: Date,
@@ -83,6 +117,14 @@ adminSchema.methods.comparePassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+/**
+ * Invalidate every token issued so far (password reset or change, deactivation)
+ * Takes effect when the admin is saved
+ */
+adminSchema.methods.revokeTokens = function () {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+};
+
 /**
  * Update last login timestamp
  */
@@ -0,0 +1,96 @@
+/**
+ * ===========================================
+ * AuditLog Model
+ * ===========================================
+ * Record of every change to students, payments,
+ * expenditures, categories and admin accounts,
+ * plus authentication events
+ */
+
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+    // Admin who performed the action (unset for failed logins)
+    admin: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+
+    // Copied so the entry stays readable if the admin is removed
+    adminEmail: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+
+    adminName: {
+        type: String,
+        trim: true
+    },
+
+    // What happened (e.g. "create", "update", "delete", "collect", "reverse", "login")
+    action: {
+        type: String,
+        required: [true, 'Audit action is required'],
+        trim: true
+    },
+
+    // What it happened to (e.g. "student", "payment", "expenditure", "category", "admin", "auth")
+    entity: {
+        type: String,
+        required: [true, 'Audit entity is required'],
+        trim: true
+    },
+
+    // Identifier of the record (ObjectId or PRN)
+    entityId: {
+        type: String,
+        trim: true
+    },
+
+    // Human readable summary
+    description: {
+        type: String,
+        trim: true
+    },
+
+    // Field-level changes: [{ field, before, after }]
+    changes: [{
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+
+    // Full snapshots of the record before and after the change
+    before: {
+        type: mongoose.Schema.Types.Mixed
+    },
+
+    after: {
+        type: mongoose.Schema.Types.Mixed
+    },
+
+    // Request origin
+    ip: {
+        type: String,
+        trim: true
+    },
+
+    userAgent: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the audit log viewer filters
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entity: 1, createdAt: -1 });
+auditLogSchema.index({ admin: 1, createdAt: -1 });
+
+// Create and export the model
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,84 @@
+/**
+ * ===========================================
+ * Counter Model
+ * ===========================================
+ * Atomic sequence counters (e.g. receipt numbers
+ * per financial year)
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+    // Sequence key (e.g., "receipt:2026-27")
+    key: {
+        type: String,
+        required: [true, 'Counter key is required'],
+        unique: true,
+        trim: true
+    },
+
+    // Last value issued
+    seq: {
+        type: Number,
+        default: 0
+    },
+
+    // Values given back below seq, handed out again before seq moves on
+    released: {
+        type: [Number],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Atomically take the next value: the lowest released one if any,
+ * otherwise increment the counter
+ * Creates the counter on first use
+ * @param {string} key - Counter key
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (key) {
+    // Returns the counter as it was, so released[0] is the value just removed
+    const reused = await this.findOneAndUpdate(
+        { key, 'released.0': { $exists: true } },
+        { $pop: { released: -1 } }
+    );
+    if (reused) return reused.released[0];
+
+    const counter = await this.findOneAndUpdate(
+        { key },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    return counter.seq;
+};
+
+/**
+ * Give back a value that was issued but never used
+ * The latest value just rolls the counter back; an older one (other
+ * values were issued since) is kept to be handed out again by next()
+ * @param {string} key - Counter key
+ * @param {number} seq - Value to release
+ * @returns {Promise<boolean>} - Whether the value was released
+ */
+counterSchema.statics.release = async function (key, seq) {
+    const rolledBack = await this.updateOne({ key, seq }, { $inc: { seq: -1 } });
+    if (rolledBack.modifiedCount > 0) return true;
+
+    const kept = await this.updateOne(
+        { key, seq: { $gt: seq }, released: { $ne: seq } },
+        { $push: { released: { $each: [seq], $sort: 1 } } }
+    );
+    return kept.modifiedCount > 0;
+};
+
+// Create and export the model
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,126 @@
+/**
+ * ===========================================
+ * Email Message Model
+ * ===========================================
+ * Outbox of every email the system sends, with
+ * its delivery status and retry attempts
+ */
+
+const mongoose = require('mongoose');
+
+const emailMessageSchema = new mongoose.Schema({
+    // What the email is for
+    kind: {
+        type: String,
+        enum: ['receipt', 'reminder', 'notice', 'test', 'admin-access', 'login-code'],
+        required: true
+    },
+
+    to: {
+        type: String,
+        required: [true, 'Recipient is required'],
+        trim: true,
+        lowercase: true
+    },
+
+    subject: {
+        type: String,
+        required: true
+    },
+
+    html: {
+        type: String
+    },
+
+    // Files sent with the email (e.g. the receipt PDF); images with a
+    // cid are shown in the body as <img src="cid:...">
+    attachments: [{
+        _id: false,
+        filename: String,
+        contentType: String,
+        content: Buffer,
+        cid: String
+    }],
+
+    // Body holds a password or sign-in code (never the subject); it is removed once the email is sent or given up on
+    sensitive: {
+        type: Boolean,
+        default: false
+    },
+
+    status: {
+        type: String,
+        enum: ['queued', 'sent', 'failed'],
+        default: 'queued'
+    },
+
+    // Delivery attempts made so far
+    attempts: {
+        type: Number,
+        default: 0
+    },
+
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+
+    // When a queued email is next tried
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Set while a server is delivering the email
+    lockedAt: {
+        type: Date
+    },
+
+    lastError: {
+        type: String
+    },
+
+    sentAt: {
+        type: Date
+    },
+
+    // Id given by the mail provider
+    messageId: {
+        type: String
+    },
+
+    // Student the email was sent to, and the payment for receipts
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student'
+    },
+
+    prn: {
+        type: String
+    },
+
+    fine: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+
+    payment: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+
+    // Admin whose action sent the email (unset for scheduled jobs)
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, {
+    timestamps: true
+});
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ student: 1, createdAt: -1 });
+emailMessageSchema.index({ payment: 1, createdAt: -1 });
+
+// Create and export the model
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+
+module.exports = EmailMessage;
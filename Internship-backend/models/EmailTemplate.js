@@ -0,0 +1,51 @@
+/**
+ * ===========================================
+ * Email Template Model
+ * ===========================================
+ * Admin edits to the built-in email templates.
+ * A template without a record here uses the default
+ * in templates/email/.
+ */
+
+const mongoose = require('mongoose');
+
+const emailTemplateSchema = new mongoose.Schema({
+    // Which email this template is for
+    key: {
+        type: String,
+        enum: ['receipt', 'reminder', 'notice'],
+        required: true,
+        unique: true
+    },
+
+    // Subject line, with placeholders
+    subject: {
+        type: String,
+        required: [true, 'Subject is required'],
+        trim: true,
+        maxlength: [200, 'Subject cannot exceed 200 characters']
+    },
+
+    // HTML body, with placeholders
+    html: {
+        type: String,
+        required: [true, 'Template body is required']
+    },
+
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+
+    updatedByName: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+// Create and export the model
+const EmailTemplate = mongoose.model('EmailTemplate', emailTemplateSchema);
+
+module.exports = EmailTemplate;
@@ -0,0 +1,81 @@
+/**
+ * ===========================================
+ * ImportBatch Model
+ * ===========================================
+ * A parsed student upload waiting for the admin to
+ * confirm or cancel it after reviewing the preview
+ */
+
+const mongoose = require('mongoose');
+
+const importBatchSchema = new mongoose.Schema({
+    // Original file name
+    fileName: {
+        type: String,
+        trim: true
+    },
+
+    // pending → confirmed or cancelled
+    status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'cancelled'],
+        default: 'pending'
+    },
+
+    // Column mapping profile used, if any (name kept for display)
+    profile: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImportProfile'
+    },
+
+    profileName: {
+        type: String,
+        trim: true
+    },
+
+    // Sheets chosen from an Excel workbook
+    sheets: [String],
+
+    // Student data extracted from each row of the file
+    rows: [{
+        _id: false,
+        rowNumber: Number,
+        // Worksheet name for Excel uploads
+        sheet: String,
+        data: mongoose.Schema.Types.Mixed
+    }],
+
+    // Admin who uploaded the file
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+
+    // Admin who confirmed or cancelled the batch
+    completedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+
+    completedAt: {
+        type: Date
+    },
+
+    // Outcome of a confirmed import
+    result: {
+        type: mongoose.Schema.Types.Mixed
+    }
+}, {
+    timestamps: true
+});
+
+// Unconfirmed uploads are discarded after a day
+importBatchSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: 24 * 60 * 60, partialFilterExpression: { status: 'pending' } }
+);
+
+// Create and export the model
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+module.exports = ImportBatch;
@@ -0,0 +1,79 @@
+/**
+ * ===========================================
+ * ImportProfile Model
+ * ===========================================
+ * Saved column mapping for a university export format,
+ * chosen when uploading students instead of relying on
+ * header guessing
+ */
+
+const mongoose = require('mongoose');
+
+// Student fields a profile can fill
+const STUDENT_FIELDS = ['prn', 'name', 'academicYear', 'semester', 'year', 'division', 'rollNo', 'department', 'email', 'phone'];
+
+const mappingSchema = new mongoose.Schema({
+    // Student field being filled
+    field: {
+        type: String,
+        required: [true, 'Mapping field is required'],
+        enum: STUDENT_FIELDS
+    },
+
+    // Header of the source column (matched ignoring case, dots and extra spaces)
+    column: {
+        type: String,
+        trim: true
+    },
+
+    // Used when the column is missing or empty (e.g. academicYear "2024-25")
+    defaultValue: {
+        type: String,
+        trim: true
+    },
+
+    // Copy another field when still empty (e.g. department from division)
+    derivedFrom: {
+        type: String,
+        enum: STUDENT_FIELDS
+    }
+}, { _id: false });
+
+const importProfileSchema = new mongoose.Schema({
+    // Profile name (e.g. "University Exam Portal Export")
+    name: {
+        type: String,
+        required: [true, 'Profile name is required'],
+        trim: true,
+        unique: true,
+        maxlength: [100, 'Profile name cannot exceed 100 characters']
+    },
+
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+
+    // Row holding the headers, counting from 1 as in a spreadsheet
+    // (detected from the PRN column when not set)
+    headerRow: {
+        type: Number,
+        min: [1, 'Header row must be 1 or more']
+    },
+
+    mappings: [mappingSchema],
+
+    // Admin who created the profile
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, {
+    timestamps: true
+});
+
+// Create and export the model
+const ImportProfile = mongoose.model('ImportProfile', importProfileSchema);
+
+module.exports = ImportProfile;
@@ -0,0 +1,101 @@
+/**
+ * ===========================================
+ * Job Model
+ * ===========================================
+ * A recurring background task run by the scheduler
+ * (see utils/jobScheduler.js). The task itself lives
+ * in jobs/; this record holds its schedule, settings
+ * and the outcome of the last run.
+ */
+
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+    // Key of the task in jobs/ (e.g. "clean-uploads")
+    name: {
+        type: String,
+        required: [true, 'Job name is required'],
+        unique: true,
+        trim: true
+    },
+
+    // Cron expression: minute hour day-of-month month day-of-week
+    schedule: {
+        type: String,
+        required: [true, 'Job schedule is required'],
+        trim: true
+    },
+
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+
+    // Task-specific settings (e.g. { maxAgeHours: 24 })
+    options: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    // Attempts per scheduled run before giving up until the next one
+    maxAttempts: {
+        type: Number,
+        default: 3,
+        min: [1, 'A job needs at least one attempt'],
+        max: [10, 'A job cannot be retried more than 10 times']
+    },
+
+    // Wait before the first retry; doubles after each failed attempt
+    retryDelayMinutes: {
+        type: Number,
+        default: 5,
+        min: [1, 'Retry delay must be at least a minute']
+    },
+
+    nextRunAt: {
+        type: Date
+    },
+
+    // Failed attempts of the current scheduled run
+    attempts: {
+        type: Number,
+        default: 0
+    },
+
+    // Outcome of the last run
+    lastRunAt: {
+        type: Date
+    },
+
+    lastStatus: {
+        type: String,
+        enum: ['never', 'running', 'success', 'failed'],
+        default: 'never'
+    },
+
+    lastError: {
+        type: String
+    },
+
+    lastDurationMs: {
+        type: Number
+    },
+
+    // Set while a server is running the job, so it never runs twice at once
+    lockedAt: {
+        type: Date
+    },
+
+    lockedBy: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+jobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+// Create and export the model
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
@@ -0,0 +1,78 @@
+/**
+ * ===========================================
+ * Job Run Model
+ * ===========================================
+ * History of scheduled job runs, kept for 90 days
+ */
+
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        required: true
+    },
+
+    jobName: {
+        type: String,
+        required: true
+    },
+
+    // What started the run
+    trigger: {
+        type: String,
+        enum: ['schedule', 'retry', 'manual'],
+        default: 'schedule'
+    },
+
+    // Admin who pressed "run now"
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+
+    // 1 for the first attempt of a scheduled run, 2+ for retries
+    attempt: {
+        type: Number,
+        default: 1
+    },
+
+    status: {
+        type: String,
+        enum: ['running', 'success', 'failed'],
+        default: 'running'
+    },
+
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    finishedAt: {
+        type: Date
+    },
+
+    durationMs: {
+        type: Number
+    },
+
+    // Summary returned by the task (e.g. { deleted: 4 })
+    result: {
+        type: mongoose.Schema.Types.Mixed
+    },
+
+    error: {
+        type: String
+    }
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+// Old runs are removed automatically
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Create and export the model
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+module.exports = JobRun;
@@ -0,0 +1,112 @@
+/**
+ * ===========================================
+ * Levy Model
+ * ===========================================
+ * A fee or fine charged to a whole group of students
+ * at once (e.g. ITSA membership for all SE students).
+ * Each student gets an outstanding charge linked back
+ * to the levy through `fines.levy`.
+ */
+
+const mongoose = require('mongoose');
+
+const levySchema = new mongoose.Schema({
+    // Title shown in lists (e.g. "ITSA Membership 2025-26")
+    title: {
+        type: String,
+        required: [true, 'Levy title is required'],
+        trim: true,
+        maxlength: [100, 'Levy title cannot exceed 100 characters']
+    },
+
+    // Charge details copied to every student
+    amount: {
+        type: Number,
+        required: [true, 'Levy amount is required'],
+        min: [1, 'Levy amount must be positive']
+    },
+
+    type: {
+        type: String,
+        enum: ['fine', 'fee'],
+        default: 'fee'
+    },
+
+    category: {
+        type: String,
+        required: [true, 'Levy category is required'],
+        trim: true
+    },
+
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters'],
+        default: ''
+    },
+
+    dueDate: {
+        type: Date
+    },
+
+    // Which students were charged
+    filter: {
+        year: String,
+        division: String,
+        academicYear: String,
+        prns: [String]
+    },
+
+    // Number of students charged when the levy was created
+    studentCount: {
+        type: Number,
+        default: 0
+    },
+
+    // active → cancelled (charges still unpaid are removed)
+    status: {
+        type: String,
+        enum: ['active', 'cancelled'],
+        default: 'active'
+    },
+
+    // Admin who created the levy
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+
+    cancelledAt: {
+        type: Date
+    },
+
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+
+    cancelReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Cancel reason cannot exceed 500 characters']
+    },
+
+    // Number of unpaid charges removed on cancellation
+    cancelledCount: {
+        type: Number,
+        default: 0
+    },
+
+    // Unpaid charges left in place on cancellation (concessions or a waiver on them, or a failed save)
+    keptCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Create and export the model
+const Levy = mongoose.model('Levy', levySchema);
+
+module.exports = Levy;
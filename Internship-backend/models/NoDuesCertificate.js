@@ -0,0 +1,91 @@
+/**
+ * ===========================================
+ * No-Dues Certificate Model
+ * ===========================================
+ * Numbered certificates stating that a student had
+ * nothing left to pay when the certificate was issued
+ */
+
+const mongoose = require('mongoose');
+
+const noDuesCertificateSchema = new mongoose.Schema({
+    // Sequential number (e.g. "ITSA/ND/2026-27/000012")
+    certificateNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+    },
+
+    // Student details as printed on the certificate
+    prn: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true
+    },
+
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    year: {
+        type: String,
+        trim: true
+    },
+
+    division: {
+        type: String,
+        trim: true
+    },
+
+    rollNo: {
+        type: String,
+        trim: true
+    },
+
+    // Academic year the certificate is for; a student gets one per academic year
+    academicYear: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    // Charges the student had cleared when the certificate was issued
+    totalCharged: {
+        type: Number,
+        default: 0
+    },
+
+    totalPaid: {
+        type: Number,
+        default: 0
+    },
+
+    // Admin who issued the certificate
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+
+    issuedByName: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+noDuesCertificateSchema.index({ student: 1, academicYear: 1 }, { unique: true });
+noDuesCertificateSchema.index({ year: 1, division: 1, academicYear: 1 });
+
+const NoDuesCertificate = mongoose.model('NoDuesCertificate', noDuesCertificateSchema);
+
+module.exports = NoDuesCertificate;
@@ -36,6 +36,54 @@ const paymentCategorySchema = new mongoose.Schema({
     isActive: {
         type: Boolean,
         default: true
+    },
+
+    // Late fee charged on outstanding charges of this category once they
+    // are past their due date (applied by the late-fees job)
+    lateFee: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+
+        // Days after the due date before a late fee is charged
+        graceDays: {
+            type: Number,
+            default: 0,
+            min: [0, 'Grace period cannot be negative']
+        },
+
+        // flat: one fixed amount; per-day: amount for every day past the grace period
+        mode: {
+            type: String,
+            enum: ['flat', 'per-day'],
+            default: 'flat'
+        },
+
+        amount: {
+            type: Number,
+            default: 0,
+            min: [0, 'Late fee amount cannot be negative']
+        },
+
+        // Most a single charge can be fined (0 = no cap)
+        cap: {
+            type: Number,
+            default: 0,
+            min: [0, 'Late fee cap cannot be negative']
+        },
+
+        // Category the late fine is recorded under
+        fineCategory: {
+            type: String,
+            trim: true,
+            default: 'Late Fine'
+        },
+
+        // Only charges due on or after this date get late fees
+        appliesFrom: {
+            type: Date
+        }
     }
 }, {
     timestamps: true
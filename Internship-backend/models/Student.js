@@ -6,6 +6,158 @@
  */
 
 const mongoose = require('mongoose');
+const { amountPaidExpr } = require('../utils/ledger');
+
+// ===========================================
+// Installment Subdocument Schema
+// ===========================================
+// A single payment collected against a charge; a fee can be
+// paid in several installments, each with its own receipt
+const installmentSchema = new mongoose.Schema({
+    // Amount collected in this installment
+    amount: {
+        type: Number,
+        required: [true, 'Installment amount is required'],
+        min: [0, 'Installment amount cannot be negative']
+    },
+
+    // Receipt number issued for this installment
+    // (an index on an array field can't keep numbers unique, so the
+    // receipt counter hands them out and the student is checked before saving)
+    receiptNumber: {
+        type: String,
+        index: true
+    },
+
+    // Date the installment was paid
+    date: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Admin who collected this installment
+    collectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+
+    // Reversal (refund/void) details - reversed installments stay on
+    // record for audit but no longer count towards the amount paid
+    isReversed: {
+        type: Boolean,
+        default: false
+    },
+
+    reversal: {
+        // Credit note number issued for the refund (kept unique the same way as receipt numbers)
+        creditNoteNumber: {
+            type: String,
+            index: true
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Reversal reason cannot exceed 500 characters']
+        },
+        reversedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        },
+        reversedByName: {
+            type: String,
+            trim: true
+        },
+        reversedAt: {
+            type: Date
+        }
+    }
+}, {
+    timestamps: true
+});
+
+// ===========================================
+// Concession Subdocument Schema
+// ===========================================
+// A discount granted on a charge (e.g. a scholarship fee waiver).
+// Only approved concessions reduce the balance.
+const concessionSchema = new mongoose.Schema({
+    // 'percent' of the charge amount or a 'flat' amount
+    kind: {
+        type: String,
+        enum: ['percent', 'flat'],
+        required: [true, 'Concession type is required']
+    },
+
+    // Percentage or amount as entered
+    value: {
+        type: Number,
+        required: [true, 'Concession value is required'],
+        min: [0, 'Concession value cannot be negative']
+    },
+
+    // Amount taken off the charge
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Concession amount cannot be negative']
+    },
+
+    // Authority who sanctioned the concession (e.g. "HOD Computer")
+    approver: {
+        type: String,
+        required: [true, 'Please name who approved the concession'],
+        trim: true,
+        maxlength: [100, 'Approver cannot exceed 100 characters']
+    },
+
+    justification: {
+        type: String,
+        required: [true, 'Please provide a justification'],
+        trim: true,
+        maxlength: [500, 'Justification cannot exceed 500 characters']
+    },
+
+    // Pending concessions wait for a second admin
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'approved'
+    },
+
+    // Admin who recorded the concession
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+
+    requestedByName: {
+        type: String,
+        trim: true
+    },
+
+    // Admin who approved or rejected a pending concession
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+
+    reviewedByName: {
+        type: String,
+        trim: true
+    },
+
+    reviewedAt: {
+        type: Date
+    },
+
+    reviewNote: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+}, {
+    timestamps: true
+});
 
 // ===========================================
 // Fine Subdocument Schema
@@ -41,6 +193,7 @@ const fineSchema = new mongoose.Schema({
     },
 
     // Receipt number for this payment
+    // (charges recorded before installments; new receipts live on payments)
     receiptNumber: {
         type: String,
         unique: true,
@@ -53,22 +206,272 @@ const fineSchema = new mongoose.Schema({
         default: Date.now
     },
 
+    // Date by which an outstanding charge should be paid (dues only)
+    dueDate: {
+        type: Date
+    },
+
     // Payment status - default to true (paid)
+    // Charges issued as outstanding dues are saved with isPaid: false
     isPaid: {
         type: Boolean,
         default: true
     },
 
-    // Date when fine was paid (if applicable)
+    // Date when fine was paid (unset while the charge is outstanding)
     paidDate: {
-        type: Date,
-        default: Date.now
-    }
+        type: Date
+    },
+
+    // Admin who issued this charge
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+
+    // Scheduled job that issued this charge, when no admin did (e.g. "late-fees")
+    issuedByJob: {
+        type: String,
+        trim: true
+    },
+
+    // Levy this charge was raised by, for class-wide charges
+    levy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Levy'
+    },
+
+    // On a late fine: the overdue charge it was applied to
+    lateFeeFor: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+
+    // Part of the amount the student no longer has to pay
+    // (approved concessions plus any late-fee waiver)
+    waivedAmount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Waived amount cannot be negative']
+    },
+
+    waiver: {
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Waiver reason cannot exceed 500 characters']
+        },
+        waivedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        },
+        waivedByName: {
+            type: String,
+            trim: true
+        },
+        waivedAt: {
+            type: Date
+        }
+    },
+
+    // Discounts granted on this charge
+    concessions: [concessionSchema],
+
+    // Installments collected against this charge
+    payments: [installmentSchema]
 }, {
     // Add timestamps for fine creation/update
     timestamps: true
 });
 
+/**
+ * Total amount collected against the charge (excluding reversed installments)
+ * Charges without installments count in full once marked paid
+ */
+fineSchema.virtual('amountPaid').get(function () {
+    if (this.payments && this.payments.length > 0) {
+        return this.payments
+            .filter(payment => !payment.isReversed)
+            .reduce((total, payment) => total + payment.amount, 0);
+    }
+    // A charge settled by a waiver alone was never paid
+    return this.isPaid && !this.waivedAmount ? this.amount : 0;
+});
+
+/**
+ * Remaining balance on the charge (after any waiver)
+ */
+fineSchema.virtual('balance').get(function () {
+    return Math.max(this.amount - (this.waivedAmount || 0) - this.amountPaid, 0);
+});
+
+/**
+ * Record an installment against the charge
+ * Marks the charge paid once the balance is cleared
+ * @param {Object} installment - { amount, receiptNumber, date }
+ * @returns {Object} - The saved installment subdocument
+ */
+fineSchema.methods.addInstallment = function (installment) {
+    this.payments.push({
+        amount: installment.amount,
+        receiptNumber: installment.receiptNumber,
+        date: installment.date || new Date(),
+        collectedBy: installment.collectedBy
+    });
+
+    if (this.balance <= 0) {
+        this.isPaid = true;
+        this.paidDate = installment.date || new Date();
+    }
+
+    return this.payments[this.payments.length - 1];
+};
+
+/**
+ * Reverse (void) an installment and reopen the charge balance
+ * Charges paid before installments existed are first recorded
+ * as a single installment so the reversal can be tracked
+ * @param {string} installmentId - Installment _id (or the charge _id for legacy records)
+ * @param {Object} reversal - { creditNoteNumber, reason, reversedBy, reversedByName }
+ * @returns {Object|null} - The reversed installment subdocument
+ */
+fineSchema.methods.reverseInstallment = function (installmentId, reversal) {
+    if (this.payments.length === 0 && this.isPaid && !this.waivedAmount && String(installmentId) === String(this._id)) {
+        this.payments.push({
+            _id: this._id,
+            amount: this.amount,
+            receiptNumber: this.receiptNumber,
+            date: this.paidDate || this.date
+        });
+        // The receipt number now lives on the installment
+        this.receiptNumber = undefined;
+    }
+
+    const installment = this.payments.id(installmentId);
+    if (!installment || installment.isReversed) return null;
+
+    installment.isReversed = true;
+    installment.reversal = {
+        ...reversal,
+        reversedAt: new Date()
+    };
+
+    if (this.balance > 0) {
+        this.isPaid = false;
+        this.paidDate = undefined;
+    }
+
+    return installment;
+};
+
+/**
+ * Waive the remaining balance of the charge
+ * The charge counts as settled; installments already collected stay
+ * @param {Object} waiver - { reason, waivedBy, waivedByName }
+ * @returns {number} Amount waived (0 when nothing was left to pay)
+ */
+fineSchema.methods.waive = function (waiver) {
+    const amount = this.balance;
+    if (amount <= 0) return 0;
+
+    this.waivedAmount = (this.waivedAmount || 0) + amount;
+    this.waiver = {
+        ...waiver,
+        waivedAt: new Date()
+    };
+    this.isPaid = true;
+
+    return amount;
+};
+
+/**
+ * Work out the amount a concession takes off the charge
+ * @param {string} kind - 'percent' or 'flat'
+ * @param {number} value - Percentage or amount
+ * @returns {number}
+ */
+fineSchema.methods.concessionAmount = function (kind, value) {
+    return kind === 'percent'
+        ? Math.round(this.amount * value / 100)
+        : value;
+};
+
+/**
+ * Take an approved concession off the balance
+ * Settles the charge when nothing is left to pay
+ * @param {Object} concession - Concession subdocument
+ * @returns {boolean} False when the concession is more than the balance
+ */
+fineSchema.methods.applyConcession = function (concession) {
+    if (concession.amount > this.balance) return false;
+
+    this.waivedAmount = (this.waivedAmount || 0) + concession.amount;
+    if (this.balance <= 0) {
+        this.isPaid = true;
+    }
+
+    return true;
+};
+
+/**
+ * Total of the approved concessions on the charge
+ */
+fineSchema.virtual('concessionTotal').get(function () {
+    return (this.concessions || [])
+        .filter(concession => concession.status === 'approved')
+        .reduce((total, concession) => total + concession.amount, 0);
+});
+
+/**
+ * Build a receipt for one installment of the charge
+ * Includes the charge details and the balance left after that installment
+ * @param {string} installmentId - Installment _id (defaults to the charge itself for legacy records)
+ * @returns {Object|null}
+ */
+fineSchema.methods.getReceipt = function (installmentId) {
+    const charge = this.toObject({ virtuals: false });
+    delete charge.payments;
+    // Receipts only show the concessions the student actually received
+    charge.concessions = (charge.concessions || []).filter(concession => concession.status === 'approved');
+    charge.concessionTotal = this.concessionTotal;
+
+    // Legacy charge paid in full without installments
+    if (this.payments.length === 0) {
+        if (!this.isPaid || this.waivedAmount || (installmentId && String(installmentId) !== String(this._id))) return null;
+        return {
+            ...charge,
+            chargeId: this._id,
+            chargeAmount: this.amount,
+            amountPaid: this.amount,
+            balance: 0
+        };
+    }
+
+    let paidSoFar = 0;
+    for (const payment of this.payments) {
+        if (!payment.isReversed) paidSoFar += payment.amount;
+        if (!installmentId || String(payment._id) === String(installmentId)) {
+            return {
+                ...charge,
+                _id: payment._id,
+                chargeId: this._id,
+                amount: payment.amount,
+                receiptNumber: payment.receiptNumber,
+                date: payment.date,
+                createdAt: payment.createdAt,
+                chargeAmount: this.amount,
+                amountPaid: paidSoFar,
+                balance: Math.max(this.amount - (this.waivedAmount || 0) - paidSoFar, 0),
+                isReversed: payment.isReversed,
+                reversal: payment.isReversed ? payment.reversal : undefined
+            };
+        }
+    }
+    return null;
+};
+
+fineSchema.set('toJSON', { virtuals: true });
+fineSchema.set('toObject', { virtuals: true });
+
 // ===========================================
 // Student Schema
 // ===========================================
@@ -149,9 +552,30 @@ const studentSchema = new mongoose.Schema({
     fines: [fineSchema],
 
     // Indicates if student record is active
+    // (false = archived in the recycle bin; payment history is kept)
     isActive: {
         type: Boolean,
         default: true
+    },
+
+    // When and by whom the student was archived
+    archivedAt: {
+        type: Date
+    },
+
+    archivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+
+    // When the student was last emailed a dues reminder, and how often
+    lastRemindedAt: {
+        type: Date
+    },
+
+    reminderCount: {
+        type: Number,
+        default: 0
     }
 }, {
     // Add createdAt and updatedAt timestamps
@@ -171,13 +595,29 @@ studentSchema.virtual('totalFines').get(function () {
 });
 
 /**
- * Calculate total unpaid fines
+ * Calculate total collected (paid) amount, including partial installments
+ */
+studentSchema.virtual('paidFines').get(function () {
+    if (!this.fines) return 0;
+    return this.fines.reduce((total, fine) => total + fine.amountPaid, 0);
+});
+
+/**
+ * Calculate total unpaid fines (remaining balance on unpaid charges)
  */
 studentSchema.virtual('unpaidFines').get(function () {
     if (!this.fines) return 0;
     return this.fines
         .filter(fine => !fine.isPaid)
-        .reduce((total, fine) => total + fine.amount, 0);
+        .reduce((total, fine) => total + fine.balance, 0);
+});
+
+/**
+ * Calculate total written off by concessions and waivers
+ */
+studentSchema.virtual('waivedFines').get(function () {
+    if (!this.fines) return 0;
+    return this.fines.reduce((total, fine) => total + (fine.waivedAmount || 0), 0);
 });
 
 /**
@@ -192,6 +632,37 @@ studentSchema.virtual('fineCount').get(function () {
 studentSchema.set('toJSON', { virtuals: true });
 studentSchema.set('toObject', { virtuals: true });
 
+// Receipt verification looks students up by charge or installment id
+studentSchema.index({ 'fines._id': 1 });
+studentSchema.index({ 'fines.payments._id': 1 });
+
+// ===========================================
+// Hooks
+// ===========================================
+
+// Receipt and credit note numbers must not repeat within one student
+studentSchema.pre('validate', function (next) {
+    const seen = new Set();
+
+    this.fines.forEach((fine, fineIndex) => {
+        (fine.payments || []).forEach((payment, paymentIndex) => {
+            const numbers = [
+                ['receiptNumber', payment.receiptNumber],
+                ['reversal.creditNoteNumber', payment.reversal && payment.reversal.creditNoteNumber]
+            ];
+            numbers.forEach(([field, number]) => {
+                if (!number) return;
+                if (seen.has(number)) {
+                    this.invalidate(`fines.${fineIndex}.payments.${paymentIndex}.${field}`, `Number ${number} is already used on this student`);
+                }
+                seen.add(number);
+            });
+        });
+    });
+
+    next();
+});
+
 // ===========================================
 // Static Methods
 // ===========================================
@@ -206,17 +677,35 @@ studentSchema.statics.findByPRN = function (prn) {
 };
 
 /**
- * Calculate total income from all student fines
+ * Calculate total income from all collected student fines
  * @returns {Promise<number>}
  */
 studentSchema.statics.calculateTotalIncome = async function () {
     const result = await this.aggregate([
         { $unwind: '$fines' },
-        { $group: { _id: null, totalIncome: { $sum: '$fines.amount' } } }
+        { $group: { _id: null, totalIncome: { $sum: amountPaidExpr('$fines') } } }
     ]);
     return result.length > 0 ? result[0].totalIncome : 0;
 };
 
+/**
+ * Check whether a receipt or credit note number is on another student
+ * @param {string} number - Receipt or credit note number
+ * @param {ObjectId} [excludeId] - Student to leave out of the check
+ * @returns {Promise<boolean>}
+ */
+studentSchema.statics.numberInUse = async function (number, excludeId) {
+    const filter = {
+        $or: [
+            { 'fines.receiptNumber': number },
+            { 'fines.payments.receiptNumber': number },
+            { 'fines.payments.reversal.creditNoteNumber': number }
+        ]
+    };
+    if (excludeId) filter._id = { $ne: excludeId };
+    return Boolean(await this.exists(filter));
+};
+
 // ===========================================
 // Instance Methods
 // ===========================================
@@ -0,0 +1,76 @@
+/**
+ * ===========================================
+ * Student Login Code Model
+ * ===========================================
+ * One-time codes emailed to students signing in
+ * to the student portal
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const studentLoginCodeSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+    },
+
+    // Only a hash of the code is stored
+    codeHash: {
+        type: String,
+        required: true
+    },
+
+    // Codes stop working after this; MongoDB removes them shortly after
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    // Wrong guesses made against this code
+    attempts: {
+        type: Number,
+        default: 0
+    },
+
+    // Set once the code has been used to sign in
+    usedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+studentLoginCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+studentLoginCodeSchema.index({ student: 1, createdAt: -1 });
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Hash a code before storing it
+ * @param {string} code - Plain code
+ * @returns {Promise<string>}
+ */
+studentLoginCodeSchema.statics.hashCode = async function (code) {
+    return bcrypt.hash(code, 10);
+};
+
+// ===========================================
+// Instance Methods
+// ===========================================
+
+/**
+ * Compare an entered code with the stored hash
+ * @param {string} code - Code the student typed
+ * @returns {Promise<boolean>}
+ */
+studentLoginCodeSchema.methods.compareCode = async function (code) {
+    return bcrypt.compare(code, this.codeHash);
+};
+
+const StudentLoginCode = mongoose.model('StudentLoginCode', studentLoginCodeSchema);
+
+module.exports = StudentLoginCode;
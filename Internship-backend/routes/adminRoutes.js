@@ -0,0 +1,38 @@
+/**
+ * ===========================================
+ * Admin Management Routes
+ * ===========================================
+ * Routes for managing admin accounts (super-admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+    getAdmins,
+    createAdmin,
+    updateAdmin,
+    setAdminStatus,
+    resetAdminPassword
+} = require('../controllers/adminController');
+
+// All routes are protected and limited to super-admins
+router.use(protect);
+router.use(authorize('super-admin'));
+
+// GET /api/admins - List admins
+router.get('/', getAdmins);
+
+// POST /api/admins - Create (invite) an admin
+router.post('/', createAdmin);
+
+// PUT /api/admins/:id - Update name or role
+router.put('/:id', updateAdmin);
+
+// PUT /api/admins/:id/status - Activate or deactivate
+router.put('/:id/status', setAdminStatus);
+
+// PUT /api/admins/:id/reset-password - Reset password
+router.put('/:id/reset-password', resetAdminPassword);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+/**
+ * ===========================================
+ * Audit Log Routes
+ * ===========================================
+ * Read-only routes for the audit trail
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { getAuditLogs } = require('../controllers/auditController');
+
+// All routes are protected and limited to roles that can view reports
+router.use(protect);
+router.use(authorize('super-admin', 'treasurer', 'viewer'));
+
+// GET /api/audit-logs - List audit entries with filters
+router.get('/', getAuditLogs);
+
+module.exports = router;
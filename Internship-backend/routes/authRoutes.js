@@ -30,8 +30,8 @@ router.post('/login', loginAdmin);
 
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new admin (initial setup)
- * @access  Public
+ * @desc    Register the first admin (first-run bootstrap)
+ * @access  Public until the first admin exists
  * 
  * Request Body:
  * {
@@ -40,7 +40,8 @@ router.post('/login', loginAdmin);
  *   "name": "Admin Name" (optional)
  * }
  * 
- * NOTE: This route should be disabled or protected after initial admin setup
+ * Returns 403 once any admin exists; super-admins create
+ * further accounts via /api/admins
  */
 router.post('/register', registerAdmin);
 
@@ -7,7 +7,7 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
 const {
     getAllCategories,
     createCategory,
@@ -22,12 +22,12 @@ router.use(protect);
 router.get('/', getAllCategories);
 
 // POST /api/categories - Create a new category
-router.post('/', createCategory);
+router.post('/', authorize('super-admin', 'treasurer'), createCategory);
 
 // PUT /api/categories/:id - Update a category
-router.put('/:id', updateCategory);
+router.put('/:id', authorize('super-admin', 'treasurer'), updateCategory);
 
 // DELETE /api/categories/:id - Delete a category
-router.delete('/:id', deleteCategory);
+router.delete('/:id', authorize('super-admin', 'treasurer'), deleteCategory);
 
 module.exports = router;
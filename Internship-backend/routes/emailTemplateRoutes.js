@@ -0,0 +1,42 @@
+/**
+ * ===========================================
+ * Email Template Routes
+ * ===========================================
+ * Routes for editing email templates and sending notices
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+    getTemplates,
+    updateTemplate,
+    resetTemplate,
+    previewTemplate,
+    sendTestEmail,
+    sendNotice
+} = require('../controllers/emailTemplateController');
+
+// All routes are protected and limited to super-admins and treasurers
+router.use(protect);
+router.use(authorize('super-admin', 'treasurer'));
+
+// GET /api/email-templates - List templates as currently in use
+router.get('/', getTemplates);
+
+// POST /api/email-templates/notice/send - Email a notice to a class
+router.post('/notice/send', sendNotice);
+
+// PUT /api/email-templates/:key - Save an edited template
+router.put('/:key', updateTemplate);
+
+// DELETE /api/email-templates/:key - Go back to the default template
+router.delete('/:key', resetTemplate);
+
+// POST /api/email-templates/:key/preview - Render with sample data
+router.post('/:key/preview', previewTemplate);
+
+// POST /api/email-templates/:key/test - Send a test email
+router.post('/:key/test', sendTestEmail);
+
+module.exports = router;
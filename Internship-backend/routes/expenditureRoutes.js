@@ -18,7 +18,7 @@ const {
     getMonthlyReport,
     getExpenditureReport
 } = require('../controllers/expenditureController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
 
 // ===========================================
 // All expenditure routes require authentication
@@ -28,7 +28,7 @@ router.use(protect);
 /**
  * @route   POST /api/expenditure/add
  * @desc    Add new expenditure
- * @access  Private
+ * @access  Private (super-admin, treasurer)
  * 
  * Request Body:
  * {
@@ -41,7 +41,7 @@ router.use(protect);
  *   "notes": "For AI lab" (optional)
  * }
  */
-router.post('/add', addExpenditure);
+router.post('/add', authorize('super-admin', 'treasurer'), addExpenditure);
 
 /**
  * @route   GET /api/expenditure/summary
@@ -112,15 +112,15 @@ router.get('/:id', getExpenditureById);
 /**
  * @route   PUT /api/expenditure/:id
  * @desc    Update expenditure
- * @access  Private
+ * @access  Private (super-admin, treasurer)
  */
-router.put('/:id', updateExpenditure);
+router.put('/:id', authorize('super-admin', 'treasurer'), updateExpenditure);
 
 /**
  * @route   DELETE /api/expenditure/:id
  * @desc    Delete expenditure
- * @access  Private
+ * @access  Private (super-admin, treasurer)
  */
-router.delete('/:id', deleteExpenditure);
+router.delete('/:id', authorize('super-admin', 'treasurer'), deleteExpenditure);
 
 module.exports = router;
@@ -0,0 +1,34 @@
+/**
+ * ===========================================
+ * Import Profile Routes
+ * ===========================================
+ * Routes for student import column mapping profiles
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+    getImportProfiles,
+    createImportProfile,
+    updateImportProfile,
+    deleteImportProfile
+} = require('../controllers/importProfileController');
+
+// All routes are protected and limited to admins who can import students
+router.use(protect);
+router.use(authorize('super-admin', 'treasurer'));
+
+// GET /api/import-profiles - Get all import profiles
+router.get('/', getImportProfiles);
+
+// POST /api/import-profiles - Create an import profile
+router.post('/', createImportProfile);
+
+// PUT /api/import-profiles/:id - Update an import profile
+router.put('/:id', updateImportProfile);
+
+// DELETE /api/import-profiles/:id - Delete an import profile
+router.delete('/:id', deleteImportProfile);
+
+module.exports = router;
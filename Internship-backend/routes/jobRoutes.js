@@ -0,0 +1,34 @@
+/**
+ * ===========================================
+ * Job Routes
+ * ===========================================
+ * Routes for scheduled background jobs
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+    getJobs,
+    getJobRuns,
+    updateJob,
+    runJob
+} = require('../controllers/jobController');
+
+// All routes are protected and limited to super-admins and treasurers
+router.use(protect);
+router.use(authorize('super-admin', 'treasurer'));
+
+// GET /api/jobs - List jobs with their last run
+router.get('/', getJobs);
+
+// GET /api/jobs/:name/runs - Run history of a job
+router.get('/:name/runs', getJobRuns);
+
+// PUT /api/jobs/:name - Change schedule, retries, options or enabled flag
+router.put('/:name', authorize('super-admin'), updateJob);
+
+// POST /api/jobs/:name/run - Run a job now
+router.post('/:name/run', runJob);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * ===========================================
+ * Levy Routes
+ * ===========================================
+ * Routes for class-wide fee/fine levies
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+    previewLevy,
+    createLevy,
+    getLevies,
+    getLevyById,
+    cancelLevy
+} = require('../controllers/levyController');
+
+// All routes are protected
+router.use(protect);
+
+// GET /api/levies - List levies with collection progress
+router.get('/', getLevies);
+
+// POST /api/levies/preview - Preview the students a levy would charge
+router.post('/preview', authorize('super-admin', 'treasurer'), previewLevy);
+
+// POST /api/levies - Create a levy and charge matching students
+router.post('/', authorize('super-admin', 'treasurer'), createLevy);
+
+// GET /api/levies/:id - Levy details with per-student status
+router.get('/:id', getLevyById);
+
+// POST /api/levies/:id/cancel - Cancel the levy for students who haven't paid
+router.post('/:id/cancel', authorize('super-admin', 'treasurer'), cancelLevy);
+
+module.exports = router;
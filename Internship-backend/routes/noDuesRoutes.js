@@ -0,0 +1,38 @@
+/**
+ * ===========================================
+ * No-Dues Routes
+ * ===========================================
+ * Routes for checking dues and issuing no-dues
+ * certificates to one student or a whole class
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+    checkStudent,
+    issueForStudent,
+    checkClass,
+    issueForClass,
+    getCertificatePdf
+} = require('../controllers/noDuesController');
+
+// All routes are protected
+router.use(protect);
+
+// GET /api/no-dues/class?year=&division= - Who in a class is clear and who is blocked
+router.get('/class', checkClass);
+
+// POST /api/no-dues/class - Issue certificates to everyone in a class who is clear
+router.post('/class', authorize('super-admin', 'treasurer'), issueForClass);
+
+// GET /api/no-dues/students/:prn - Whether a student is clear, with any blocking dues
+router.get('/students/:prn', checkStudent);
+
+// POST /api/no-dues/students/:prn - Issue a certificate (409 with the blocking dues if not clear)
+router.post('/students/:prn', authorize('super-admin', 'treasurer'), issueForStudent);
+
+// GET /api/no-dues/:id/certificate.pdf - Download a certificate
+router.get('/:id/certificate.pdf', getCertificatePdf);
+
+module.exports = router;
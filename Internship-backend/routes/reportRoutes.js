@@ -9,14 +9,19 @@ const express = require('express');
 const router = express.Router();
 const {
     getStudentPayments,
-    getTransactions
+    getTransactions,
+    getDefaulters,
+    remindDefaulters,
+    getConcessions
 } = require('../controllers/reportController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
 
 // ===========================================
 // All report routes require authentication
+// Reports are not available to collectors
 // ===========================================
 router.use(protect);
+router.use(authorize('super-admin', 'treasurer', 'viewer'));
 
 /**
  * @route   GET /api/reports/student-payments
@@ -53,4 +58,39 @@ router.get('/student-payments', getStudentPayments);
  */
 router.get('/transactions', getTransactions);
 
+/**
+ * @route   GET /api/reports/defaulters
+ * @desc    Get students with overdue charges grouped by year and division
+ * @access  Private
+ *
+ * Query Parameters:
+ * - year: Year filter
+ * - division: Division filter
+ * - search: Search by name or PRN
+ * - minDays: Minimum days overdue (default: 0)
+ */
+router.get('/defaulters', getDefaulters);
+
+/**
+ * @route   POST /api/reports/defaulters/remind
+ * @desc    Email a dues reminder to selected defaulters
+ * @access  Private (super-admin, treasurer)
+ */
+router.post('/defaulters/remind', authorize('super-admin', 'treasurer'), remindDefaulters);
+
+/**
+ * @route   GET /api/reports/concessions
+ * @desc    Concessions granted on student charges, with pending approvals
+ * @access  Private
+ *
+ * Query Parameters:
+ * - status: pending | approved | rejected
+ * - year: Year filter
+ * - division: Division filter
+ * - category: Charge category filter
+ * - search: Search by name or PRN
+ * - fromDate, toDate: Date recorded
+ */
+router.get('/concessions', getConcessions);
+
 module.exports = router;
@@ -0,0 +1,78 @@
+/**
+ * ===========================================
+ * Student Portal Routes
+ * ===========================================
+ * Student sign-in and read-only access to the
+ * signed-in student's own payment history
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    requestLoginCode,
+    verifyLoginCode,
+    getMyAccount,
+    getMyReceiptPdf
+} = require('../controllers/studentPortalController');
+const { protectStudent } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimitMiddleware');
+
+// Counted per IP and per PRN, so one PRN can't be hammered from many addresses
+const prnKey = (req) => [req.body?.prn && `prn:${String(req.body.prn).trim().toUpperCase()}`];
+
+const loginCodeLimit = rateLimit({
+    windowMinutes: 15,
+    max: 5,
+    keys: prnKey,
+    message: 'Too many sign-in codes requested. Please try again later.'
+});
+
+const verifyLimit = rateLimit({
+    windowMinutes: 15,
+    max: 10,
+    keys: prnKey,
+    message: 'Too many sign-in attempts. Please try again later.'
+});
+
+/**
+ * @route   POST /api/portal/login-code
+ * @desc    Email a one-time sign-in code to the student
+ * @access  Public (rate limited per IP and PRN)
+ *
+ * Request Body:
+ * {
+ *   "prn": "PRN001"
+ * }
+ */
+router.post('/login-code', loginCodeLimit, requestLoginCode);
+
+/**
+ * @route   POST /api/portal/verify
+ * @desc    Exchange the PRN and emailed code for a student token
+ * @access  Public (rate limited per IP and PRN)
+ *
+ * Request Body:
+ * {
+ *   "prn": "PRN001",
+ *   "code": "123456"
+ * }
+ */
+router.post('/verify', verifyLimit, verifyLoginCode);
+
+/**
+ * @route   GET /api/portal/me
+ * @desc    Signed-in student's charges, outstanding dues and receipts
+ * @access  Private (student token)
+ */
+router.get('/me', protectStudent, getMyAccount);
+
+/**
+ * @route   GET /api/portal/fines/:fineId/receipt.pdf
+ * @desc    Download a receipt PDF for one of the student's own payments
+ * @access  Private (student token)
+ *
+ * Query: paymentId (optional, defaults to the latest installment)
+ */
+router.get('/fines/:fineId/receipt.pdf', protectStudent, getMyReceiptPdf);
+
+module.exports = router;
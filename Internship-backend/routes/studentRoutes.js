@@ -10,22 +10,38 @@ const express = require('express');
 const router = express.Router();
 const {
     uploadStudentsCSV,
+    confirmStudentImport,
+    cancelStudentImport,
     searchStudentByPRN,
     getStudentByPRN,
     addFineToStudent,
+    importPayments,
     getAllStudents,
     getStudentFines,
     markFineAsPaid,
+    reversePayment,
+    resendReceipt,
+    getReceiptPdf,
+    getStatement,
+    getStatementPdf,
+    waiveLateFee,
+    grantConcession,
+    reviewConcession,
+    getOutstandingDues,
     deleteStudent,
     addStudent,
     updateStudent,
     deleteStudentsByDivision,
     deleteStudentsByYear,
     deleteStudentsByClass,
+    restoreStudent,
+    purgeStudent,
+    previewPromotion,
+    promoteStudents,
     getAllStudentsAdvanced,
     searchStudents
 } = require('../controllers/studentController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
 const { upload, handleMulterError } = require('../middleware/uploadMiddleware');
 
 // ===========================================
@@ -35,8 +51,8 @@ router.use(protect);
 
 /**
  * @route   POST /api/students/upload-csv
- * @desc    Upload students from CSV file
- * @access  Private
+ * @desc    Upload students from CSV file and preview the import
+ * @access  Private (super-admin, treasurer)
  * 
  * Form Data:
  * - file: CSV file with headers (prn, name, department, email, phone)
@@ -46,11 +62,26 @@ router.use(protect);
  * PRN001,John Doe,Computer Science,john@example.com,1234567890
  */
 router.post('/upload-csv',
+    authorize('super-admin', 'treasurer'),
     upload.single('file'),
     handleMulterError,
     uploadStudentsCSV
 );
 
+/**
+ * @route   POST /api/students/imports/:batchId/confirm
+ * @desc    Apply a previewed student import
+ * @access  Private (super-admin, treasurer)
+ */
+router.post('/imports/:batchId/confirm', authorize('super-admin', 'treasurer'), confirmStudentImport);
+
+/**
+ * @route   DELETE /api/students/imports/:batchId
+ * @desc    Cancel a previewed student import
+ * @access  Private (super-admin, treasurer)
+ */
+router.delete('/imports/:batchId', authorize('super-admin', 'treasurer'), cancelStudentImport);
+
 /**
  * @route   GET /api/students
  * @desc    Get all students with pagination
@@ -83,16 +114,35 @@ router.get('/search/:prn', searchStudentByPRN);
 /**
  * @route   POST /api/students/add-fine/:prn
  * @desc    Add fine to a student
- * @access  Private
+ * @access  Private (super-admin, treasurer, collector)
  * 
  * Request Body:
  * {
  *   "amount": 100,
  *   "reason": "Late library book return",
- *   "date": "2024-01-21" (optional, defaults to now)
+ *   "date": "2024-01-21" (optional, defaults to now),
+ *   "isPaid": false (optional, issue as an outstanding due),
+ *   "dueDate": "2024-02-15" (optional, for outstanding dues)
  * }
  */
-router.post('/add-fine/:prn', addFineToStudent);
+router.post('/add-fine/:prn', authorize('super-admin', 'treasurer', 'collector'), addFineToStudent);
+
+/**
+ * @route   POST /api/students/payments/import
+ * @desc    Import payments collected offline from a CSV file
+ * @access  Private (super-admin, treasurer, collector)
+ * 
+ * Form Data:
+ * - file: CSV file with headers (prn, amount, type, category, date, reason)
+ * - sendEmail: 'true' to email each receipt
+ * - dryRun: 'true' to validate without recording payments
+ */
+router.post('/payments/import',
+    authorize('super-admin', 'treasurer', 'collector'),
+    upload.single('file'),
+    handleMulterError,
+    importPayments
+);
 
 // ===========================================
 // Student Management Routes (MUST be before /:prn routes)
@@ -102,36 +152,82 @@ router.post('/add-fine/:prn', addFineToStudent);
  * @route   GET /api/students/management
  * @desc    Get all students with advanced filters and payment summary
  * @access  Private
+ * 
+ * Query Parameters:
+ * - archived: 'true' to list the recycle bin
  */
 router.get('/management', getAllStudentsAdvanced);
 
+/**
+ * @route   GET /api/students/dues
+ * @desc    List outstanding dues grouped per student
+ * @access  Private
+ * 
+ * Query Parameters:
+ * - year, division, search: Student filters
+ * - overdueOnly: 'true' to include only charges past their due date
+ * - page, limit: Pagination
+ */
+router.get('/dues', getOutstandingDues);
+
 /**
  * @route   POST /api/students/add
  * @desc    Add a new student
- * @access  Private
+ * @access  Private (super-admin, treasurer)
  */
-router.post('/add', addStudent);
+router.post('/add', authorize('super-admin', 'treasurer'), addStudent);
 
 /**
  * @route   PUT /api/students/update/:prn
  * @desc    Update student details
- * @access  Private
+ * @access  Private (super-admin, treasurer)
  */
-router.put('/update/:prn', updateStudent);
+router.put('/update/:prn', authorize('super-admin', 'treasurer'), updateStudent);
 
 /**
  * @route   DELETE /api/students/division/:division
- * @desc    Delete all students by division
- * @access  Private
+ * @desc    Archive all students by division
+ * @access  Private (super-admin)
  */
-router.delete('/division/:division', deleteStudentsByDivision);
+router.delete('/division/:division', authorize('super-admin'), deleteStudentsByDivision);
 
 /**
  * @route   DELETE /api/students/year/:year
- * @desc    Delete all students by year
- * @access  Private
+ * @desc    Archive all students by year
+ * @access  Private (super-admin)
+ */
+router.delete('/year/:year', authorize('super-admin'), deleteStudentsByYear);
+
+/**
+ * @route   DELETE /api/students/class
+ * @desc    Archive all students of a class (year + division)
+ * @access  Private (super-admin)
+ * 
+ * Request Body: { year, division }
  */
-router.delete('/year/:year', deleteStudentsByYear);
+router.delete('/class', authorize('super-admin'), deleteStudentsByClass);
+
+/**
+ * @route   GET /api/students/promotion/preview
+ * @desc    Preview a year-end promotion (counts per class and division)
+ * @access  Private (super-admin)
+ * 
+ * Query Parameters:
+ * - academicYear: Only students in this academic year (e.g. 2024-25)
+ * - targetAcademicYear: Academic year to move to (default: the next one)
+ * - years: Comma separated years of study to include (default: all)
+ * - archiveGraduates: 'true' to archive final-year students
+ */
+router.get('/promotion/preview', authorize('super-admin'), previewPromotion);
+
+/**
+ * @route   POST /api/students/promotion
+ * @desc    Promote students to the next year (FE → SE → TE → BE → Alumni)
+ * @access  Private (super-admin)
+ * 
+ * Request Body: { academicYear, targetAcademicYear, years, archiveGraduates }
+ */
+router.post('/promotion', authorize('super-admin'), promoteStudents);
 
 // ===========================================
 // Dynamic PRN Routes (MUST be after specific routes)
@@ -152,17 +248,119 @@ router.get('/:prn', getStudentByPRN);
 router.get('/:prn/fines', getStudentFines);
 
 /**
- * @route   PUT /api/students/:prn/fines/:fineId/pay
- * @desc    Mark a fine as paid
+ * @route   GET /api/students/:prn/fines/:fineId/receipt.pdf
+ * @desc    Download a payment receipt as a PDF (?paymentId= picks the installment)
  * @access  Private
  */
-router.put('/:prn/fines/:fineId/pay', markFineAsPaid);
+router.get('/:prn/fines/:fineId/receipt.pdf', getReceiptPdf);
 
 /**
- * @route   DELETE /api/students/:prn
- * @desc    Delete a student
+ * @route   GET /api/students/:prn/statement
+ * @desc    Account statement with running balance (?fromDate=&toDate=)
+ * @access  Private
+ */
+router.get('/:prn/statement', getStatement);
+
+/**
+ * @route   GET /api/students/:prn/statement.pdf
+ * @desc    Download the account statement as a PDF (?fromDate=&toDate=)
  * @access  Private
  */
-router.delete('/:prn', deleteStudent);
+router.get('/:prn/statement.pdf', getStatementPdf);
+
+/**
+ * @route   PUT /api/students/:prn/fines/:fineId/pay
+ * @desc    Collect an outstanding charge (in full or as an installment) and generate its receipt
+ * @access  Private (super-admin, treasurer, collector)
+ * 
+ * Request Body:
+ * {
+ *   "amount": 500 (optional, defaults to the remaining balance),
+ *   "paidDate": "2024-02-10" (optional, defaults to now),
+ *   "sendEmail": true (optional)
+ * }
+ */
+router.put('/:prn/fines/:fineId/pay', authorize('super-admin', 'treasurer', 'collector'), markFineAsPaid);
+
+/**
+ * @route   POST /api/students/:prn/fines/:fineId/payments/:paymentId/reverse
+ * @desc    Reverse a payment and issue a credit note
+ * @access  Private (super-admin, treasurer)
+ * 
+ * Request Body:
+ * {
+ *   "reason": "Entered against the wrong student" (required)
+ * }
+ */
+router.post('/:prn/fines/:fineId/payments/:paymentId/reverse', authorize('super-admin', 'treasurer'), reversePayment);
+
+/**
+ * @route   POST /api/students/:prn/fines/:fineId/payments/:paymentId/resend-receipt
+ * @desc    Queue the payment's receipt email again
+ * @access  Private (super-admin, treasurer, collector)
+ */
+router.post('/:prn/fines/:fineId/payments/:paymentId/resend-receipt', authorize('super-admin', 'treasurer', 'collector'), resendReceipt);
+
+/**
+ * @route   POST /api/students/:prn/fines/:fineId/waive
+ * @desc    Waive the rest of a late fee
+ * @access  Private (super-admin, treasurer)
+ *
+ * Request Body:
+ * {
+ *   "reason": "Paid on time at the desk, entry was late" (required)
+ * }
+ */
+router.post('/:prn/fines/:fineId/waive', authorize('super-admin', 'treasurer'), waiveLateFee);
+
+/**
+ * @route   POST /api/students/:prn/fines/:fineId/concessions
+ * @desc    Grant a percentage or flat concession on a charge
+ * @access  Private (super-admin, treasurer)
+ *
+ * Request Body:
+ * {
+ *   "kind": "percent" | "flat" (required),
+ *   "value": 50 (required),
+ *   "approver": "HOD Computer" (required),
+ *   "justification": "Merit scholarship 2025-26" (required),
+ *   "requireApproval": true (optional, wait for a second admin)
+ * }
+ */
+router.post('/:prn/fines/:fineId/concessions', authorize('super-admin', 'treasurer'), grantConcession);
+
+/**
+ * @route   PUT /api/students/:prn/fines/:fineId/concessions/:concessionId/review
+ * @desc    Approve or reject a pending concession (by a different admin)
+ * @access  Private (super-admin, treasurer)
+ *
+ * Request Body:
+ * {
+ *   "decision": "approve" | "reject" (required),
+ *   "note": "Scholarship letter checked" (optional)
+ * }
+ */
+router.put('/:prn/fines/:fineId/concessions/:concessionId/review', authorize('super-admin', 'treasurer'), reviewConcession);
+
+/**
+ * @route   PUT /api/students/:prn/restore
+ * @desc    Restore an archived student from the recycle bin
+ * @access  Private (super-admin)
+ */
+router.put('/:prn/restore', authorize('super-admin'), restoreStudent);
+
+/**
+ * @route   DELETE /api/students/:prn/purge
+ * @desc    Permanently delete an archived student without payment history
+ * @access  Private (super-admin)
+ */
+router.delete('/:prn/purge', authorize('super-admin'), purgeStudent);
+
+/**
+ * @route   DELETE /api/students/:prn
+ * @desc    Archive (soft delete) a student
+ * @access  Private (super-admin)
+ */
+router.delete('/:prn', authorize('super-admin'), deleteStudent);
 
 module.exports = router;
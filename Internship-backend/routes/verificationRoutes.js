@@ -0,0 +1,26 @@
+/**
+ * ===========================================
+ * Verification Routes
+ * ===========================================
+ * Public routes for checking issued documents
+ */
+
+const express = require('express');
+const router = express.Router();
+const { verifyReceipt, verifyCertificate } = require('../controllers/verificationController');
+
+/**
+ * @route   GET /api/verify/receipts/:token
+ * @desc    Check that a receipt is genuine (token from the receipt's QR code)
+ * @access  Public
+ */
+router.get('/receipts/:token', verifyReceipt);
+
+/**
+ * @route   GET /api/verify/no-dues/:token
+ * @desc    Check that a no-dues certificate is genuine (token from its QR code)
+ * @access  Public
+ */
+router.get('/no-dues/:token', verifyCertificate);
+
+module.exports = router;
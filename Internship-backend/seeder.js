@@ -8,6 +8,7 @@
  * Usage:
  * - To seed: npm run seed
  * - To clear: npm run seed:clear
+ * - To give pre-role admins super-admin: npm run seed:roles
  */
 
 const mongoose = require('mongoose');
@@ -37,7 +38,8 @@ const connectDB = async () => {
 const sampleAdmin = {
     email: process.env.ADMIN_EMAIL || 'admin@college.edu',
     password: process.env.ADMIN_PASSWORD || 'Admin@123',
-    name: 'System Admin'
+    name: 'System Admin',
+    role: 'super-admin'
 };
 
 // ===========================================
@@ -128,6 +130,27 @@ const seedAdminOnly = async () => {
     }
 };
 
+/**
+ * Give admins created before roles existed the super-admin role
+ * One-off migration: the schema now defaults missing roles to viewer
+ */
+const migrateRoles = async () => {
+    try {
+        await connectDB();
+
+        const result = await Admin.updateMany(
+            { role: { $exists: false } },
+            { $set: { role: 'super-admin' } }
+        );
+
+        console.log(`✓ ${result.modifiedCount} admin(s) without a role set to super-admin`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error migrating admin roles:', error.message);
+        process.exit(1);
+    }
+};
+
 // ===========================================
 // Run based on command line argument
 // ===========================================
@@ -138,6 +161,8 @@ if (arg === '-c' || arg === '--clear') {
     clearData();
 } else if (arg === '-a' || arg === '--admin') {
     seedAdminOnly();
+} else if (arg === '-r' || arg === '--roles') {
+    migrateRoles();
 } else {
     seedData();
 }
@@ -11,6 +11,8 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
 const { errorHandler, notFound } = require('./middleware/errorMiddleware');
+const { startScheduler } = require('./utils/jobScheduler');
+const { startOutbox } = require('./utils/emailOutbox');
 
 // Load environment variables
 dotenv.config();
@@ -21,6 +23,20 @@ connectDB();
 // Initialize Express app
 const app = express();
 
+/**
+ * Proxies to trust for X-Forwarded-For, from TRUST_PROXY:
+ * a hop count ("1"), "true", or addresses/subnets ("loopback, 10.0.0.0/8").
+ * Unset trusts none, so req.ip is the connecting address.
+ */
+const trustProxy = (value) => {
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return Number(value);
+    return value.split(',').map(entry => entry.trim());
+};
+
+app.set('trust proxy', trustProxy(process.env.TRUST_PROXY));
+
 // ===========================================
 // Middleware Setup
 // ===========================================
@@ -50,6 +66,9 @@ app.get('/api/health', (req, res) => {
 // Authentication routes
 app.use('/api/auth', require('./routes/authRoutes'));
 
+// Admin management routes
+app.use('/api/admins', require('./routes/adminRoutes'));
+
 // Student routes
 app.use('/api/students', require('./routes/studentRoutes'));
 
@@ -59,9 +78,33 @@ app.use('/api/expenditure', require('./routes/expenditureRoutes'));
 // Category routes
 app.use('/api/categories', require('./routes/categoryRoutes'));
 
+// Student import profile routes
+app.use('/api/import-profiles', require('./routes/importProfileRoutes'));
+
+// Levy routes
+app.use('/api/levies', require('./routes/levyRoutes'));
+
 // Report routes (new)
 app.use('/api/reports', require('./routes/reportRoutes'));
 
+// Audit log routes
+app.use('/api/audit-logs', require('./routes/auditRoutes'));
+
+// Scheduled job routes
+app.use('/api/jobs', require('./routes/jobRoutes'));
+
+// Email template and notice routes
+app.use('/api/email-templates', require('./routes/emailTemplateRoutes'));
+
+// No-dues certificate routes
+app.use('/api/no-dues', require('./routes/noDuesRoutes'));
+
+// Public receipt and certificate verification routes
+app.use('/api/verify', require('./routes/verificationRoutes'));
+
+// Student self-service portal routes
+app.use('/api/portal', require('./routes/studentPortalRoutes'));
+
 // ===========================================
 // Error Handling Middleware
 // ===========================================
@@ -84,6 +127,10 @@ app.listen(PORT, () => {
     console.log(`📡 Server listening on port ${PORT}`);
     console.log(`🌐 API URL: http://localhost:${PORT}/api`);
     console.log(`===========================================\n`);
+
+    // Start running scheduled background jobs
+    startScheduler();
+    startOutbox();
 });
 
 // Handle unhandled promise rejections
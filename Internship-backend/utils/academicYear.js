@@ -0,0 +1,69 @@
+/**
+ * ===========================================
+ * Academic Year Helpers
+ * ===========================================
+ * Year-of-study sequence (FE → SE → TE → BE → Alumni)
+ * and academic year labels (e.g. "2024-25") used when
+ * promoting students at the end of the year
+ */
+
+const ALUMNI = 'Alumni';
+
+// Years of study in order, in both naming styles used by uploads
+const YEAR_SEQUENCES = [
+    ['FE', 'SE', 'TE', 'BE'],
+    ['1', '2', '3', '4']
+];
+
+/**
+ * Position of a year of study in its sequence (FE/1 = 0 ... BE/4 = 3)
+ * @param {string} year
+ * @returns {number} -1 when the year is not recognised
+ */
+const getYearOfStudyRank = (year) => {
+    const normalized = String(year || '').trim().toUpperCase();
+    for (const sequence of YEAR_SEQUENCES) {
+        const index = sequence.indexOf(normalized);
+        if (index !== -1) return index;
+    }
+    return -1;
+};
+
+/**
+ * Year of study that follows the given one
+ * @param {string} year - e.g. "FE", "se", "3"
+ * @returns {string|null} Next year, "Alumni" after the final year,
+ *                        or null when the year is not recognised
+ */
+const getNextYearOfStudy = (year) => {
+    const normalized = String(year || '').trim().toUpperCase();
+    const sequence = YEAR_SEQUENCES.find(seq => seq.includes(normalized));
+    if (!sequence) return null;
+
+    const index = sequence.indexOf(normalized);
+    return index === sequence.length - 1 ? ALUMNI : sequence[index + 1];
+};
+
+/**
+ * Academic year label that follows the given one
+ * Keeps the label style: "2024-25" → "2025-26", "2024-2025" → "2025-2026", "2024" → "2025"
+ * @param {string} academicYear
+ * @returns {string|null} Null when the label is not recognised
+ */
+const getNextAcademicYear = (academicYear) => {
+    const match = String(academicYear || '').trim().match(/^(\d{4})(?:\s*([-/])\s*(\d{2}|\d{4}))?$/);
+    if (!match) return null;
+
+    const startYear = parseInt(match[1]) + 1;
+    if (!match[2]) return String(startYear);
+
+    const end = String(startYear + 1);
+    return `${startYear}${match[2]}${match[3].length === 2 ? end.slice(-2) : end}`;
+};
+
+module.exports = {
+    ALUMNI,
+    getYearOfStudyRank,
+    getNextYearOfStudy,
+    getNextAcademicYear
+};
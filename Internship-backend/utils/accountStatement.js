@@ -0,0 +1,151 @@
+/**
+ * ===========================================
+ * Account Statement
+ * ===========================================
+ * Turns a student's charges into a dated ledger:
+ * every charge, payment, concession, waiver and
+ * reversal with a running balance, for a period
+ */
+
+// Order of entries recorded at the same moment
+const KIND_ORDER = ['charge', 'payment', 'concession', 'waiver', 'reversal'];
+
+/**
+ * Short label for a charge (e.g. "Fee - ITSA Committee Fees")
+ * @param {Object} fine - Fine subdocument
+ * @returns {string}
+ */
+const chargeLabel = (fine) => `${fine.type === 'fee' ? 'Fee' : 'Fine'} - ${fine.category || 'Others'}`;
+
+/**
+ * Every ledger entry on one charge, undated order
+ * Debits raise what the student owes, credits lower it
+ * @param {Object} fine - Fine subdocument
+ * @returns {Array<Object>}
+ */
+const chargeEntries = (fine) => {
+    const label = chargeLabel(fine);
+    const entries = [{
+        kind: 'charge',
+        date: fine.date,
+        description: fine.reason ? `${label}: ${fine.reason}` : label,
+        reference: '',
+        debit: fine.amount,
+        credit: 0,
+        chargeId: fine._id
+    }];
+
+    if (fine.payments.length > 0) {
+        fine.payments.forEach(payment => {
+            entries.push({
+                kind: 'payment',
+                date: payment.date,
+                description: `Payment - ${label}`,
+                reference: payment.receiptNumber || '',
+                debit: 0,
+                credit: payment.amount,
+                chargeId: fine._id
+            });
+
+            if (payment.isReversed) {
+                entries.push({
+                    kind: 'reversal',
+                    date: payment.reversal?.reversedAt || payment.updatedAt || payment.date,
+                    description: `Reversal of ${payment.receiptNumber || 'payment'}` +
+                        (payment.reversal?.reason ? `: ${payment.reversal.reason}` : ''),
+                    reference: payment.reversal?.creditNoteNumber || '',
+                    debit: payment.amount,
+                    credit: 0,
+                    chargeId: fine._id
+                });
+            }
+        });
+    } else if (fine.isPaid && !fine.waivedAmount) {
+        // Legacy charge paid in full without installments
+        entries.push({
+            kind: 'payment',
+            date: fine.paidDate || fine.date,
+            description: `Payment - ${label}`,
+            reference: fine.receiptNumber || '',
+            debit: 0,
+            credit: fine.amount,
+            chargeId: fine._id
+        });
+    }
+
+    const approved = fine.concessions.filter(concession => concession.status === 'approved');
+    approved.forEach(concession => {
+        entries.push({
+            kind: 'concession',
+            date: concession.reviewedAt || concession.createdAt || fine.date,
+            description: `Concession - ${label} (${concession.approver})`,
+            reference: '',
+            debit: 0,
+            credit: concession.amount,
+            chargeId: fine._id
+        });
+    });
+
+    // Whatever was written off beyond the concessions came from a waiver
+    const waived = (fine.waivedAmount || 0) - fine.concessionTotal;
+    if (waived > 0) {
+        entries.push({
+            kind: 'waiver',
+            date: fine.waiver?.waivedAt || fine.updatedAt || fine.date,
+            description: `Waived - ${label}` + (fine.waiver?.reason ? `: ${fine.waiver.reason}` : ''),
+            reference: '',
+            debit: 0,
+            credit: waived,
+            chargeId: fine._id
+        });
+    }
+
+    return entries;
+};
+
+/**
+ * Build a student's statement for a period
+ * Entries before the period make up the opening balance
+ * @param {Object} student - Student document
+ * @param {Object} period - { from, to } Dates (either may be left out)
+ * @returns {Object} { period, openingBalance, entries, totals, closingBalance }
+ */
+const buildStatement = (student, { from, to } = {}) => {
+    const all = student.fines
+        .flatMap(chargeEntries)
+        .map(entry => ({ ...entry, date: new Date(entry.date) }))
+        .sort((a, b) => (a.date - b.date) || (KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind)));
+
+    let openingBalance = 0;
+    const entries = [];
+    const totals = { charges: 0, payments: 0, concessions: 0, waivers: 0, reversals: 0, debit: 0, credit: 0 };
+    const totalKey = { charge: 'charges', payment: 'payments', concession: 'concessions', waiver: 'waivers', reversal: 'reversals' };
+
+    let balance = 0;
+    all.forEach(entry => {
+        if (from && entry.date < from) {
+            openingBalance += entry.debit - entry.credit;
+            balance = openingBalance;
+            return;
+        }
+        if (to && entry.date > to) return;
+
+        balance += entry.debit - entry.credit;
+        totals[totalKey[entry.kind]] += entry.debit + entry.credit;
+        totals.debit += entry.debit;
+        totals.credit += entry.credit;
+        entries.push({ ...entry, balance });
+    });
+
+    return {
+        period: { from: from || null, to: to || null },
+        openingBalance,
+        entries,
+        totals,
+        closingBalance: openingBalance + totals.debit - totals.credit
+    };
+};
+
+module.exports = {
+    buildStatement
+};
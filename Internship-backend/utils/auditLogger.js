@@ -0,0 +1,92 @@
+/**
+ * ===========================================
+ * Audit Logger
+ * ===========================================
+ * Writes AuditLog entries for changes made through
+ * the API. Logging never fails the request it records.
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+// Fields left out of snapshots and diffs
+const IGNORED_FIELDS = ['_id', '__v', 'id', 'password', 'createdAt', 'updatedAt', 'fines'];
+
+/**
+ * Turn a document into a plain snapshot without internal/sensitive fields
+ * @param {Object|null} doc - Mongoose document or plain object
+ * @returns {Object|undefined}
+ */
+const snapshot = (doc) => {
+    if (!doc) return undefined;
+    const plain = typeof doc.toObject === 'function'
+        ? doc.toObject({ virtuals: false, depopulate: true })
+        : { ...doc };
+    IGNORED_FIELDS.forEach(field => delete plain[field]);
+    // Round-trip through JSON so ObjectIds and dates are stored as plain values
+    return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Field-level differences between two snapshots
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<{ field, before, after }>}
+ */
+const diff = (before = {}, after = {}) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+    fields.forEach(field => {
+        const oldValue = before ? before[field] : undefined;
+        const newValue = after ? after[field] : undefined;
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes.push({ field, before: oldValue, after: newValue });
+        }
+    });
+    return changes;
+};
+
+/**
+ * Client IP address
+ * X-Forwarded-For is only honoured for the proxies trusted through
+ * TRUST_PROXY (see server.js), so callers can't write their own IP
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress;
+
+/**
+ * Record an audit entry
+ * @param {Object|null} req - Express request (admin, IP and user agent are read from it);
+ *                            null for scheduled jobs, which pass a system `admin`
+ * @param {Object} entry - { action, entity, entityId, description, before, after, admin }
+ *                         `admin` overrides req.admin (e.g. for logins)
+ */
+const recordAudit = async (req, { action, entity, entityId, description, before, after, admin }) => {
+    try {
+        const actor = admin || req?.admin;
+        const beforeSnapshot = snapshot(before);
+        const afterSnapshot = snapshot(after);
+
+        await AuditLog.create({
+            admin: actor?._id,
+            adminEmail: actor?.email || req?.body?.email,
+            adminName: actor?.name,
+            action,
+            entity,
+            entityId: entityId !== undefined ? String(entityId) : undefined,
+            description,
+            changes: beforeSnapshot && afterSnapshot ? diff(beforeSnapshot, afterSnapshot) : [],
+            before: beforeSnapshot,
+            after: afterSnapshot,
+            ip: req ? getClientIp(req) : undefined,
+            userAgent: req?.headers['user-agent']
+        });
+    } catch (error) {
+        console.error('Audit log write failed:', error.message);
+    }
+};
+
+module.exports = {
+    recordAudit,
+    snapshot
+};
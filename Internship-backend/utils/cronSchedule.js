@@ -0,0 +1,147 @@
+/**
+ * ===========================================
+ * Cron Schedules
+ * ===========================================
+ * Parses five-field cron expressions
+ * (minute hour day-of-month month day-of-week)
+ * and finds the next time one is due, in server time
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// Longest gap to search for the next run (covers 29 February)
+const SEARCH_LIMIT_YEARS = 5;
+
+/**
+ * Parse one cron field into the set of values it allows
+ * Supports *, numbers, ranges (1-5), lists (1,15) and steps (*\/10, 8-18/2)
+ * @param {string} part
+ * @param {{ name, min, max }} field
+ * @returns {Set<number>}
+ */
+const parseField = (part, field) => {
+    const values = new Set();
+
+    part.split(',').forEach(item => {
+        const match = item.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid ${field.name} "${item}"`);
+        }
+
+        const [, range, stepText] = match;
+        let [start, end] = range === '*'
+            ? [field.min, field.max]
+            : range.split('-').map(Number);
+        if (end === undefined) end = stepText ? field.max : start;
+        const step = stepText ? Number(stepText) : 1;
+
+        if (start < field.min || end > field.max || start > end || step < 1) {
+            throw new Error(`Invalid ${field.name} "${item}" (allowed ${field.min}-${field.max})`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    });
+
+    return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 9 * * 1" (09:00 every Monday)
+ * @returns {Object} Parsed schedule
+ * @throws {Error} When the expression is not valid
+ */
+const parseCron = (expression) => {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('Schedule must have five fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+    // 7 is Sunday too
+    if (weekdays.has(7)) weekdays.add(0);
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // Standard cron: when both day fields are restricted, either may match
+        anyDay: !parts[2].startsWith('*') && !parts[4].startsWith('*')
+    };
+};
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateCron = (expression) => {
+    try {
+        parseCron(expression);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+/**
+ * Next time a schedule is due, strictly after the given date
+ * @param {string} expression
+ * @param {Date} from
+ * @returns {Date|null} Null when nothing matches (e.g. 31 February)
+ */
+const nextRunAfter = (expression, from = new Date()) => {
+    const schedule = parseCron(expression);
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    const limit = new Date(date);
+    limit.setFullYear(limit.getFullYear() + SEARCH_LIMIT_YEARS);
+
+    while (date < limit) {
+        date.setMinutes(date.getMinutes() + 1);
+
+        if (!schedule.months.has(date.getMonth() + 1)) {
+            // Skip to the start of the next month
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, -1, 0, 0);
+            continue;
+        }
+
+        const dayMatches = schedule.days.has(date.getDate());
+        const weekdayMatches = schedule.weekdays.has(date.getDay());
+        if (schedule.anyDay ? !(dayMatches || weekdayMatches) : !(dayMatches && weekdayMatches)) {
+            // Skip to the start of the next day
+            date.setHours(23, 59, 0, 0);
+            continue;
+        }
+
+        if (!schedule.hours.has(date.getHours())) {
+            // Skip to the start of the next hour
+            date.setMinutes(59);
+            continue;
+        }
+
+        if (schedule.minutes.has(date.getMinutes())) {
+            return date;
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    parseCron,
+    validateCron,
+    nextRunAfter
+};
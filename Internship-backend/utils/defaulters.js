@@ -0,0 +1,161 @@
+/**
+ * ===========================================
+ * Defaulters
+ * ===========================================
+ * Finds active students with charges past their due date
+ * and sends them reminder emails
+ */
+
+const Student = require('../models/Student');
+const { amountPaidExpr, balanceExpr } = require('./ledger');
+const { sendDuesReminderEmail } = require('./emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Aggregation stages producing one document per defaulter
+ * @param {Object} options
+ * @param {Object} options.match - Extra student conditions (year, division, prn...)
+ * @param {number} options.minDays - Only count charges at least this many days overdue
+ * @param {Date} options.now - Reference date for days overdue
+ * @returns {Array<Object>} Stages yielding { prn, name, year, division, rollNo, email,
+ *   lastRemindedAt, reminderCount, dues, overdueAmount, totalOutstanding, daysOverdue }
+ */
+const defaulterStages = ({ match = {}, minDays = 0, now = new Date() } = {}) => {
+    const cutoff = new Date(now.getTime() - minDays * DAY_MS);
+
+    return [
+        { $match: { ...match, isActive: true, 'fines.isPaid': false } },
+        {
+            $project: {
+                prn: 1,
+                rollNo: 1,
+                name: 1,
+                year: 1,
+                division: 1,
+                email: 1,
+                lastRemindedAt: 1,
+                reminderCount: 1,
+                totalOutstanding: {
+                    $sum: {
+                        $map: {
+                            input: { $filter: { input: '$fines', as: 'f', cond: { $eq: ['$$f.isPaid', false] } } },
+                            as: 'f',
+                            in: balanceExpr('$$f')
+                        }
+                    }
+                },
+                dues: {
+                    $map: {
+                        input: {
+                            $filter: {
+                                input: '$fines',
+                                as: 'f',
+                                cond: {
+                                    $and: [
+                                        { $eq: ['$$f.isPaid', false] },
+                                        { $gt: ['$$f.dueDate', null] },
+                                        { $lt: ['$$f.dueDate', cutoff] }
+                                    ]
+                                }
+                            }
+                        },
+                        as: 'f',
+                        in: {
+                            _id: '$$f._id',
+                            category: '$$f.category',
+                            reason: '$$f.reason',
+                            type: '$$f.type',
+                            amount: '$$f.amount',
+                            dueDate: '$$f.dueDate',
+                            amountPaid: amountPaidExpr('$$f'),
+                            balance: balanceExpr('$$f'),
+                            daysOverdue: {
+                                $floor: { $divide: [{ $subtract: [now, '$$f.dueDate'] }, DAY_MS] }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        { $match: { 'dues.0': { $exists: true } } },
+        {
+            $addFields: {
+                overdueAmount: { $sum: '$dues.balance' },
+                daysOverdue: { $max: '$dues.daysOverdue' }
+            }
+        },
+        { $sort: { year: 1, division: 1, rollNo: 1, name: 1 } }
+    ];
+};
+
+/**
+ * Find defaulters
+ * @param {Object} options - See defaulterStages
+ * @returns {Promise<Array<Object>>}
+ */
+const findDefaulters = (options) => Student.aggregate(defaulterStages(options));
+
+/**
+ * Email a reminder to each of the given defaulters and record when they were reminded
+ * Students who have cleared their overdue charges since being selected are skipped.
+ * A reminder still in the outbox (first attempt failed or another server is sending it)
+ * is reported as 'queued' and counts as reminded, since the outbox keeps retrying it.
+ * @param {Array<string>} prns
+ * @param {Object} options - { minDays }
+ * @returns {Promise<{ results: Array, summary: { sent, queued, skipped, failed } }>}
+ *   Each result: { prn, name, email, status ('sent', 'queued', 'skipped' or 'failed'), overdueAmount, message }
+ */
+const sendDuesReminders = async (prns, { minDays = 0 } = {}) => {
+    const wanted = [...new Set(prns.map(prn => String(prn).trim().toUpperCase()).filter(Boolean))];
+    const defaulters = await findDefaulters({ match: { prn: { $in: wanted } }, minDays });
+    const byPRN = new Map(defaulters.map(student => [student.prn, student]));
+
+    const results = [];
+    const summary = { sent: 0, queued: 0, skipped: 0, failed: 0 };
+
+    // One at a time so a large class doesn't trip the mail provider's rate limits
+    for (const prn of wanted) {
+        const student = byPRN.get(prn);
+        let result;
+
+        if (!student) {
+            result = { prn, status: 'skipped', message: 'No overdue dues' };
+        } else if (!student.email) {
+            result = { prn, name: student.name, status: 'skipped', overdueAmount: student.overdueAmount, message: 'No email address' };
+        } else {
+            const email = await sendDuesReminderEmail(student, student);
+            const messages = {
+                sent: undefined,
+                queued: email.lastError ? `${email.lastError} (will be retried)` : 'Queued for delivery',
+                failed: email.lastError || 'Could not be sent'
+            };
+            result = {
+                prn,
+                name: student.name,
+                email: student.email,
+                status: email.status,
+                overdueAmount: student.overdueAmount,
+                message: messages[email.status]
+            };
+
+            if (email.status !== 'failed') {
+                await Student.updateOne(
+                    { _id: student._id },
+                    { $set: { lastRemindedAt: new Date() }, $inc: { reminderCount: 1 } }
+                );
+            }
+        }
+
+        summary[result.status]++;
+        results.push(result);
+    }
+
+    return { results, summary };
+};
+
+module.exports = {
+    defaulterStages,
+    findDefaulters,
+    sendDuesReminders
+};
@@ -0,0 +1,177 @@
+/**
+ * ===========================================
+ * Email Outbox
+ * ===========================================
+ * Every email is saved to the outbox before it is sent.
+ * Delivery happens in the background; failed emails are
+ * retried with a doubling delay, so a mail provider hiccup
+ * no longer loses a receipt.
+ */
+
+const nodemailer = require('nodemailer');
+const EmailMessage = require('../models/EmailMessage');
+
+// How often queued emails are looked for
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Delay before the first retry; doubles with every attempt
+const RETRY_DELAY_MS = 2 * 60 * 1000;
+
+// A lock older than this belongs to a server that stopped mid-send
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+let timer = null;
+let processing = false;
+
+// Create transporter
+const createTransporter = () => {
+    return nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASS
+        }
+    });
+};
+
+/**
+ * Lock a queued email for delivery
+ * @param {Object} filter - Extra conditions on the email
+ * @returns {Promise<Object|null>} The locked email, or null if none is due
+ */
+const claimEmail = (filter) => EmailMessage.findOneAndUpdate(
+    {
+        ...filter,
+        status: 'queued',
+        $or: [
+            { lockedAt: null },
+            { lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } }
+        ]
+    },
+    { $set: { lockedAt: new Date() } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+/**
+ * Try to send a locked email and record the outcome
+ * @param {Object} message - Locked EmailMessage document
+ * @returns {Promise<Object>} The updated email
+ */
+const attemptDelivery = async (message) => {
+    const update = { lockedAt: null, attempts: message.attempts + 1 };
+
+    try {
+        if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+            // Retrying won't help until the server is configured
+            update.attempts = message.maxAttempts;
+            throw new Error('Email not configured');
+        }
+
+        const result = await createTransporter().sendMail({
+            from: `"ITSA Accounts" <${process.env.EMAIL_USER}>`,
+            to: message.to,
+            subject: message.subject,
+            html: message.html,
+            attachments: message.attachments.map(({ filename, contentType, content, cid }) => ({ filename, contentType, content, cid }))
+        });
+
+        update.status = 'sent';
+        update.sentAt = new Date();
+        update.messageId = result.messageId;
+        update.lastError = null;
+        console.log(`✓ ${message.kind} email sent to ${message.to}`);
+    } catch (error) {
+        update.lastError = error.message;
+        if (update.attempts < message.maxAttempts) {
+            update.nextAttemptAt = new Date(Date.now() + RETRY_DELAY_MS * 2 ** (update.attempts - 1));
+        } else {
+            update.status = 'failed';
+        }
+        console.error(`Failed to send ${message.kind} email to ${message.to} (attempt ${update.attempts}): ${error.message}`);
+    }
+
+    const changes = { $set: update };
+    if (message.sensitive && update.status) {
+        changes.$unset = { html: 1 };
+    }
+
+    return EmailMessage.findByIdAndUpdate(message._id, changes, { new: true });
+};
+
+/**
+ * Send every queued email that is due, one at a time
+ */
+const processOutbox = async () => {
+    if (processing) return;
+    processing = true;
+    try {
+        let message;
+        while ((message = await claimEmail({ nextAttemptAt: { $lte: new Date() } }))) {
+            await attemptDelivery(message);
+        }
+    } finally {
+        processing = false;
+    }
+};
+
+/**
+ * Save an email to the outbox and start sending it
+ * @param {Object} email - { kind, to, subject, html, attachments, sensitive, student, prn, fine, payment, createdBy }
+ * @param {Object} options - { wait: wait for the first delivery attempt }
+ * @returns {Promise<Object>} The email, with its status after the first attempt when waiting
+ */
+const queueEmail = async (email, { wait = false } = {}) => {
+    const message = await EmailMessage.create(email);
+
+    if (wait) {
+        const claimed = await claimEmail({ _id: message._id });
+        return claimed ? attemptDelivery(claimed) : message;
+    }
+
+    processOutbox().catch(error => {
+        console.error(`Email outbox error: ${error.message}`);
+    });
+    return message;
+};
+
+/**
+ * Latest email about each of the given payments
+ * @param {Array} paymentIds
+ * @returns {Promise<Map<string, Object>>} Payment id → { _id, status, to, attempts, lastError, sentAt, createdAt }
+ */
+const getPaymentEmails = async (paymentIds) => {
+    const messages = await EmailMessage.find({ payment: { $in: paymentIds } })
+        .sort({ createdAt: -1 })
+        .select('payment status to attempts lastError sentAt createdAt')
+        .lean();
+
+    const latest = new Map();
+    messages.forEach(message => {
+        const key = String(message.payment);
+        if (!latest.has(key)) {
+            latest.set(key, message);
+        }
+    });
+    return latest;
+};
+
+/**
+ * Start sending queued emails in the background
+ */
+const startOutbox = () => {
+    if (timer) return;
+
+    const tick = () => processOutbox().catch(error => {
+        console.error(`Email outbox error: ${error.message}`);
+    });
+
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+    tick();
+};
+
+module.exports = {
+    queueEmail,
+    processOutbox,
+    getPaymentEmails,
+    startOutbox
+};
@@ -0,0 +1,301 @@
+/**
+ * ===========================================
+ * Email Templates
+ * ===========================================
+ * The emails admins can reword: their defaults, the
+ * placeholders each one offers and the values those
+ * placeholders are filled with
+ */
+
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+const EmailTemplate = require('../models/EmailTemplate');
+const { escapeHTML, renderTemplate } = require('./templateRenderer');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+
+const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-IN', {
+        style: 'currency',
+        currency: 'INR',
+        maximumFractionDigits: 0,
+    }).format(amount || 0);
+};
+
+const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-IN', {
+        day: '2-digit',
+        month: 'short',
+        year: 'numeric'
+    });
+};
+
+const formatDateTime = (date) => {
+    return new Date(date).toLocaleString('en-IN', {
+        day: '2-digit',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: true
+    });
+};
+
+const STUDENT_PLACEHOLDERS = [
+    { name: 'student.name', description: 'Student name' },
+    { name: 'student.prn', description: 'PRN' },
+    { name: 'student.year', description: 'Year of study (FE, SE, TE, BE)' },
+    { name: 'student.division', description: 'Division (may be empty)' },
+    { name: 'student.rollNo', description: 'Roll number' },
+    { name: 'student.email', description: 'Email address' },
+    { name: 'today', description: "Today's date" }
+];
+
+/**
+ * Template values for a student
+ * @param {Object} student
+ * @returns {Object}
+ */
+const studentValues = (student) => ({
+    name: student.name,
+    prn: student.prn,
+    year: student.year || '',
+    division: student.division || '',
+    rollNo: student.rollNo || '',
+    email: student.email || ''
+});
+
+/**
+ * Values for the receipt template
+ * @param {Object} student - Student document
+ * @param {Object} payment - Receipt from fine.getReceipt()
+ * @param {Object} verification - { verifyUrl, qrCode: image src of the QR code }
+ * @returns {Object}
+ */
+const receiptValues = (student, payment, { verifyUrl, qrCode } = {}) => ({
+    student: studentValues(student),
+    amount: formatCurrency(payment.amount),
+    payment: {
+        receiptNumber: payment.receiptNumber || 'N/A',
+        amount: formatCurrency(payment.amount),
+        date: formatDateTime(payment.createdAt || payment.date),
+        type: payment.type === 'fee' ? 'Fee' : 'Fine',
+        isFee: payment.type === 'fee',
+        category: payment.category || 'Others',
+        reason: payment.reason || '',
+        chargeAmount: formatCurrency(payment.chargeAmount),
+        amountPaid: formatCurrency(payment.amountPaid),
+        balance: formatCurrency(payment.balance),
+        hasBalance: payment.balance > 0,
+        concessionTotal: formatCurrency(payment.concessionTotal),
+        hasConcession: payment.concessionTotal > 0,
+        concessionApprovers: (payment.concessions || []).map(concession => concession.approver).join(', '),
+        verifyUrl: verifyUrl || '',
+        qrCode: qrCode || ''
+    }
+});
+
+/**
+ * Values for the dues reminder template
+ * @param {Object} student - Student (name, prn, division)
+ * @param {Object} reminder - { dues: [{ category, reason, dueDate, balance, daysOverdue }], overdueAmount }
+ * @returns {Object}
+ */
+const reminderValues = (student, reminder) => ({
+    student: studentValues(student),
+    amount: formatCurrency(reminder.overdueAmount),
+    dues: reminder.dues.map(due => ({
+        category: due.category || 'Others',
+        reason: due.reason || '',
+        dueDate: formatDate(due.dueDate),
+        daysOverdue: due.daysOverdue,
+        balance: formatCurrency(due.balance)
+    }))
+});
+
+/**
+ * Values for the notice template
+ * @param {Object} student
+ * @param {Object} notice - { title, message }
+ * @returns {Object}
+ */
+const noticeValues = (student, notice) => ({
+    student: studentValues(student),
+    title: notice.title,
+    message: notice.message,
+    // Line breaks typed into the message are kept
+    messageHtml: escapeHTML(notice.message).replace(/\r?\n/g, '<br>')
+});
+
+const SAMPLE_STUDENT = {
+    name: 'Aarav Sharma',
+    prn: '72200123A',
+    year: 'TE',
+    division: 'A',
+    rollNo: '21',
+    email: 'aarav.sharma@example.com'
+};
+
+const SAMPLE_VERIFY_URL = 'https://accounts.example.com/verify/65f1c2a9e4b0a1b2c3d4e5f6.sample-signature';
+
+// ===========================================
+// Template Registry
+// ===========================================
+const TEMPLATES = [
+    {
+        key: 'receipt',
+        name: 'Payment Receipt',
+        description: 'Sent when a payment or installment is collected, and when a receipt is resent',
+        subject: '✅ Payment Receipt - {{payment.receiptNumber}} | {{amount}}',
+        file: 'receipt.html',
+        placeholders: [
+            ...STUDENT_PLACEHOLDERS,
+            { name: 'amount', description: 'Amount paid' },
+            { name: 'payment.receiptNumber', description: 'Receipt number' },
+            { name: 'payment.date', description: 'Payment date and time' },
+            { name: 'payment.type', description: 'Fee or Fine' },
+            { name: 'payment.category', description: 'Category' },
+            { name: 'payment.reason', description: 'Description (may be empty)' },
+            { name: 'payment.chargeAmount', description: 'Full amount of the charge' },
+            { name: 'payment.amountPaid', description: 'Paid so far on the charge' },
+            { name: 'payment.balance', description: 'Balance left' },
+            { name: 'payment.concessionTotal', description: 'Concessions on the charge' },
+            { name: 'payment.concessionApprovers', description: 'Who approved the concessions' },
+            { name: 'payment.verifyUrl', description: 'Link to the public verification page (empty without FRONTEND_URL)' },
+            { name: 'payment.qrCode', description: 'QR code image for the verification link, for <img src="...">' },
+            { name: '#payment.isFee', description: 'Section shown for fees' },
+            { name: '#payment.hasBalance', description: 'Section shown while a balance is left' },
+            { name: '#payment.hasConcession', description: 'Section shown when a concession was given' },
+            { name: '#payment.verifyUrl', description: 'Section shown when receipts can be verified' }
+        ],
+        sample: async () => receiptValues(SAMPLE_STUDENT, {
+            receiptNumber: 'ITSA/2026-27/000123',
+            amount: 1500,
+            createdAt: new Date(),
+            type: 'fee',
+            category: 'ITSA Committee Fees',
+            reason: 'Committee fees 2026-27, first installment',
+            chargeAmount: 4000,
+            amountPaid: 1500,
+            balance: 500,
+            concessionTotal: 2000,
+            concessions: [{ approver: 'HOD IT' }]
+        }, {
+            verifyUrl: SAMPLE_VERIFY_URL,
+            qrCode: await QRCode.toDataURL(SAMPLE_VERIFY_URL, { margin: 1, width: 240 })
+        })
+    },
+    {
+        key: 'reminder',
+        name: 'Dues Reminder',
+        description: 'Sent to defaulters from the defaulters report and the dues-reminders job',
+        subject: '⏰ Payment Reminder - {{amount}} overdue | {{student.prn}}',
+        file: 'reminder.html',
+        placeholders: [
+            ...STUDENT_PLACEHOLDERS,
+            { name: 'amount', description: 'Total overdue' },
+            { name: '#dues', description: 'Repeated for each overdue charge, with {{category}}, {{reason}}, {{dueDate}}, {{daysOverdue}} and {{balance}}' }
+        ],
+        sample: () => reminderValues(SAMPLE_STUDENT, {
+            overdueAmount: 1150,
+            dues: [
+                { category: 'ITSA Committee Fees', reason: 'Committee fees 2026-27', dueDate: new Date(Date.now() - 12 * 86400000), daysOverdue: 12, balance: 1000 },
+                { category: 'Late Fine', reason: '', dueDate: new Date(Date.now() - 3 * 86400000), daysOverdue: 3, balance: 150 }
+            ]
+        })
+    },
+    {
+        key: 'notice',
+        name: 'Notice',
+        description: 'General notices sent to a class or division',
+        subject: '📢 {{title}}',
+        file: 'notice.html',
+        placeholders: [
+            ...STUDENT_PLACEHOLDERS,
+            { name: 'title', description: 'Notice title' },
+            { name: 'message', description: 'Notice text' },
+            { name: '{messageHtml}', description: 'Notice text with its line breaks, use with triple braces' }
+        ],
+        sample: () => noticeValues(SAMPLE_STUDENT, {
+            title: 'Committee fee collection',
+            message: 'The ITSA desk will collect committee fees from 10 to 14 August, 10 am to 4 pm.\nPlease bring your ID card.'
+        })
+    }
+];
+
+const defaultBodies = new Map();
+
+/**
+ * Find a template definition by key
+ * @param {string} key
+ * @returns {Object|undefined}
+ */
+const getDefinition = (key) => TEMPLATES.find(template => template.key === key);
+
+/**
+ * Built-in body of a template
+ * @param {Object} definition
+ * @returns {string}
+ */
+const defaultBody = (definition) => {
+    if (!defaultBodies.has(definition.key)) {
+        defaultBodies.set(definition.key, fs.readFileSync(path.join(TEMPLATE_DIR, definition.file), 'utf8'));
+    }
+    return defaultBodies.get(definition.key);
+};
+
+/**
+ * Template as currently in use: the admin's version, or the default
+ * @param {string} key
+ * @returns {Promise<Object>} { key, name, description, placeholders, subject, html, isCustomized, updatedAt, updatedByName }
+ */
+const getTemplate = async (key) => {
+    const definition = getDefinition(key);
+    if (!definition) {
+        throw new Error(`Unknown email template "${key}"`);
+    }
+
+    const saved = await EmailTemplate.findOne({ key }).lean();
+
+    return {
+        key,
+        name: definition.name,
+        description: definition.description,
+        placeholders: definition.placeholders,
+        subject: saved?.subject || definition.subject,
+        html: saved?.html || defaultBody(definition),
+        defaultSubject: definition.subject,
+        defaultHtml: defaultBody(definition),
+        isCustomized: Boolean(saved),
+        updatedAt: saved?.updatedAt,
+        updatedByName: saved?.updatedByName
+    };
+};
+
+/**
+ * Render an email from its template
+ * @param {string} key - Template key
+ * @param {Object} values - From receiptValues(), reminderValues() or noticeValues()
+ * @param {Object} template - { subject, html } to render instead of the saved template
+ * @returns {Promise<{ subject, html }>}
+ */
+const renderEmail = async (key, values, template) => {
+    const { subject, html } = template || await getTemplate(key);
+    const context = { today: formatDate(new Date()), ...values };
+
+    return {
+        subject: renderTemplate(subject, context, { escape: false }),
+        html: renderTemplate(html, context)
+    };
+};
+
+module.exports = {
+    TEMPLATES,
+    getDefinition,
+    getTemplate,
+    renderEmail,
+    receiptValues,
+    reminderValues,
+    noticeValues
+};
@@ -0,0 +1,209 @@
+/**
+ * ===========================================
+ * Job Scheduler
+ * ===========================================
+ * Runs the tasks in jobs/ on their cron schedules.
+ * Job state lives in MongoDB, so schedules and history
+ * survive restarts and a job claimed by one server is
+ * never run by another at the same time.
+ */
+
+const os = require('os');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const tasks = require('../jobs');
+const { nextRunAfter } = require('./cronSchedule');
+
+// How often due jobs are looked for
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// A lock older than this belongs to a server that stopped mid-run
+const LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Find a task by name
+ * @param {string} name
+ * @returns {Object|undefined}
+ */
+const getTask = (name) => tasks.find(task => task.name === name);
+
+/**
+ * Create a Job record for every task that doesn't have one yet
+ * Existing records keep the schedule and settings admins gave them
+ */
+const syncJobs = async () => {
+    await Promise.all(tasks.map(task => Job.updateOne(
+        { name: task.name },
+        {
+            $setOnInsert: {
+                schedule: task.schedule,
+                enabled: task.enabled,
+                options: task.options,
+                nextRunAt: nextRunAfter(task.schedule)
+            }
+        },
+        { upsert: true }
+    )));
+};
+
+/**
+ * Lock a job for this server
+ * @param {Object} filter - Extra conditions on the job
+ * @returns {Promise<Object|null>} The locked job, or null if none matched or it is already running
+ */
+const claimJob = (filter) => Job.findOneAndUpdate(
+    {
+        ...filter,
+        $or: [
+            { lockedAt: null },
+            { lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } }
+        ]
+    },
+    { $set: { lockedAt: new Date(), lockedBy: WORKER_ID, lastStatus: 'running' } },
+    { new: true }
+);
+
+/**
+ * Run a locked job's task, record the outcome and release the lock
+ * Scheduled runs that fail are retried with a doubling delay until
+ * maxAttempts is reached; manual runs leave the schedule alone.
+ * @param {Object} job - Locked Job document
+ * @param {Object} run - JobRun document for this run
+ * @returns {Promise<Object>} The finished JobRun
+ */
+const executeRun = async (job, run) => {
+    const task = getTask(job.name);
+    let result;
+    let error;
+
+    try {
+        if (!task) {
+            throw new Error(`No task named "${job.name}"`);
+        }
+        result = await task.run({ ...task.options, ...job.options });
+    } catch (err) {
+        error = err;
+    }
+
+    const finishedAt = new Date();
+    run.status = error ? 'failed' : 'success';
+    run.result = result;
+    run.error = error?.message;
+    run.finishedAt = finishedAt;
+    run.durationMs = finishedAt - run.startedAt;
+    await run.save();
+
+    const update = {
+        lockedAt: null,
+        lockedBy: null,
+        lastRunAt: run.startedAt,
+        lastStatus: run.status,
+        lastError: error ? error.message : null,
+        lastDurationMs: run.durationMs
+    };
+
+    if (run.trigger !== 'manual') {
+        if (error && run.attempt < job.maxAttempts) {
+            update.attempts = run.attempt;
+            update.nextRunAt = new Date(finishedAt.getTime()
+                + job.retryDelayMinutes * 60 * 1000 * 2 ** (run.attempt - 1));
+        } else {
+            update.attempts = 0;
+            update.nextRunAt = nextRunAfter(job.schedule, finishedAt);
+        }
+    }
+
+    await Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, { $set: update });
+
+    if (error) {
+        console.error(`Job ${job.name} failed (attempt ${run.attempt}): ${error.message}`);
+    }
+
+    return run;
+};
+
+/**
+ * Run every enabled job that is due, one at a time
+ */
+const runDueJobs = async () => {
+    let job;
+    while ((job = await claimJob({ enabled: true, nextRunAt: { $lte: new Date() } }))) {
+        const run = await JobRun.create({
+            job: job._id,
+            jobName: job.name,
+            trigger: job.attempts > 0 ? 'retry' : 'schedule',
+            attempt: job.attempts + 1
+        });
+        await executeRun(job, run);
+    }
+};
+
+/**
+ * Start a job straight away, whether or not it is enabled or due
+ * The task keeps running after this returns.
+ * @param {string} name
+ * @param {Object} admin - Admin who asked for the run
+ * @returns {Promise<Object|null>} The started JobRun, or null if the job is already running
+ */
+const runJobNow = async (name, admin) => {
+    const job = await claimJob({ name });
+    if (!job) return null;
+
+    const run = await JobRun.create({
+        job: job._id,
+        jobName: job.name,
+        trigger: 'manual',
+        triggeredBy: admin?._id
+    });
+
+    executeRun(job, run).catch(error => {
+        console.error(`Job ${name} could not be recorded: ${error.message}`);
+    });
+
+    return run;
+};
+
+/**
+ * Start polling for due jobs
+ * Set JOBS_ENABLED=false to keep a server from running jobs.
+ */
+const startScheduler = async () => {
+    if (process.env.JOBS_ENABLED === 'false' || timer) {
+        return;
+    }
+
+    try {
+        await syncJobs();
+    } catch (error) {
+        console.error(`Job scheduler could not start: ${error.message}`);
+        return;
+    }
+
+    const tick = async () => {
+        // A slow job must not overlap with the next poll
+        if (ticking) return;
+        ticking = true;
+        try {
+            await runDueJobs();
+        } catch (error) {
+            console.error(`Job scheduler error: ${error.message}`);
+        } finally {
+            ticking = false;
+        }
+    };
+
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+    tick();
+    console.log(`⏱️  Job scheduler started (${tasks.length} jobs)`);
+};
+
+module.exports = {
+    getTask,
+    startScheduler,
+    runJobNow
+};
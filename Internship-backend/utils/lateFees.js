@@ -0,0 +1,142 @@
+/**
+ * ===========================================
+ * Late Fees
+ * ===========================================
+ * Applies the late-fee rules of payment categories:
+ * each overdue charge gets one linked late fine, which
+ * grows with per-day rules until the charge is paid,
+ * the cap is reached or the fine is waived
+ */
+
+const Student = require('../models/Student');
+const PaymentCategory = require('../models/PaymentCategory');
+const { recordAudit } = require('./auditLogger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recorded as the issuer of late fines and the actor in their audit entries
+const JOB_NAME = 'late-fees';
+const SYSTEM_ACTOR = { name: 'Late-fee job' };
+
+/**
+ * Late fee owed on a charge under a rule
+ * @param {Object} rule - PaymentCategory.lateFee
+ * @param {Date} dueDate - Due date of the charge
+ * @param {Date} now
+ * @returns {number} 0 while the charge is within its grace period
+ */
+const calculateLateFee = (rule, dueDate, now = new Date()) => {
+    // Per-day fees count the days after the grace period
+    const daysLate = Math.floor((now - dueDate) / DAY_MS) - (rule.graceDays || 0);
+    if (daysLate <= 0 || !rule.amount) return 0;
+
+    const amount = rule.mode === 'per-day' ? rule.amount * daysLate : rule.amount;
+    return rule.cap > 0 ? Math.min(amount, rule.cap) : amount;
+};
+
+/**
+ * Create or raise the late fines of every overdue charge covered by a rule
+ * @param {Date} now
+ * @returns {Promise<{ rules, students, created, updated, failed }>}
+ */
+const applyLateFees = async (now = new Date()) => {
+    const categories = await PaymentCategory.find({
+        'lateFee.enabled': true,
+        'lateFee.amount': { $gt: 0 }
+    }).lean();
+
+    const summary = { rules: categories.length, students: 0, created: 0, updated: 0, failed: 0 };
+    if (categories.length === 0) return summary;
+
+    const rules = new Map(categories.map(category => [category.name.toLowerCase(), category.lateFee]));
+
+    // Category names are matched case-insensitively, like the rules above
+    const cursor = Student.find({
+        isActive: true,
+        fines: {
+            $elemMatch: {
+                isPaid: false,
+                dueDate: { $lt: now },
+                category: { $in: categories.map(category => category.name) },
+                lateFeeFor: null
+            }
+        }
+    }).collation({ locale: 'en', strength: 2 }).cursor();
+
+    for await (const student of cursor) {
+        let created = 0;
+        let updated = 0;
+        const changes = [];
+
+        // Late fines are added while looping, so walk a copy
+        for (const charge of [...student.fines]) {
+            if (charge.isPaid || !charge.dueDate || charge.lateFeeFor) continue;
+
+            const rule = rules.get((charge.category || '').toLowerCase());
+            if (!rule || (rule.appliesFrom && charge.dueDate < rule.appliesFrom)) continue;
+
+            const fee = calculateLateFee(rule, charge.dueDate, now);
+            if (fee <= 0) continue;
+
+            const lateFine = student.fines.find(fine => String(fine.lateFeeFor) === String(charge._id));
+            if (!lateFine) {
+                student.fines.push({
+                    amount: fee,
+                    reason: `Late fee on ${charge.category} due ${charge.dueDate.toLocaleDateString('en-IN', {
+                        day: '2-digit', month: 'short', year: 'numeric'
+                    })}`,
+                    type: 'fine',
+                    category: rule.fineCategory || 'Late Fine',
+                    date: now,
+                    isPaid: false,
+                    lateFeeFor: charge._id,
+                    issuedByJob: JOB_NAME
+                });
+                created++;
+                changes.push({ lateFeeFor: charge._id, category: charge.category, amount: fee });
+            } else if (!lateFine.waiver?.waivedAt && lateFine.amount < fee) {
+                changes.push({ lateFeeFor: charge._id, category: charge.category, from: lateFine.amount, amount: fee });
+                lateFine.amount = fee;
+                // A late fine paid off earlier is owed again once it grows
+                if (lateFine.isPaid && lateFine.balance > 0) {
+                    lateFine.isPaid = false;
+                    lateFine.paidDate = undefined;
+                }
+                updated++;
+            }
+        }
+
+        if (created === 0 && updated === 0) continue;
+
+        try {
+            await student.save();
+            summary.students++;
+            summary.created += created;
+            summary.updated += updated;
+
+            await recordAudit(null, {
+                action: 'late-fee',
+                entity: 'payment',
+                entityId: student.prn,
+                description: `Late fees for ${student.name} (${student.prn}): ${created} charged, ${updated} raised`,
+                after: { lateFees: changes },
+                admin: SYSTEM_ACTOR
+            });
+        } catch (error) {
+            // e.g. a payment saved at the same moment; picked up on the next run
+            console.error(`Late fees for ${student.prn} not saved: ${error.message}`);
+            summary.failed++;
+        }
+    }
+
+    if (summary.failed > 0 && summary.students === 0) {
+        throw new Error(`Late fees could not be saved for ${summary.failed} students`);
+    }
+
+    return summary;
+};
+
+module.exports = {
+    calculateLateFee,
+    applyLateFees
+};
@@ -0,0 +1,120 @@
+/**
+ * ===========================================
+ * Ledger Helpers
+ * ===========================================
+ * Shared aggregation expressions for student charges
+ * (fines/fees) and the payment installments recorded
+ * against them
+ */
+
+/**
+ * Date a legacy charge was collected on.
+ * The recorded paidDate when there is one, otherwise the
+ * date entered with the charge (direct payments).
+ * @param {string} fine - Path to the charge (e.g. '$fines')
+ * @returns {Object} - Aggregation expression
+ */
+const legacyPaidOnExpr = (fine) => ({
+    $ifNull: [`${fine}.paidDate`, `${fine}.date`]
+});
+
+/**
+ * Installments recorded against a charge.
+ * Charges saved before installments existed have no payments
+ * array; when marked paid they count as a single installment.
+ * @param {string} fine - Path to the charge (e.g. '$fines', '$$f')
+ * @returns {Object} - Aggregation expression resolving to an array
+ */
+const paymentsExpr = (fine) => ({
+    $cond: [
+        { $gt: [{ $size: { $ifNull: [`${fine}.payments`, []] } }, 0] },
+        `${fine}.payments`,
+        {
+            // Charges settled by a waiver alone were never paid
+            $cond: [
+                {
+                    $and: [
+                        { $ne: [`${fine}.isPaid`, false] },
+                        { $not: [{ $gt: [{ $ifNull: [`${fine}.waivedAmount`, 0] }, 0] }] }
+                    ]
+                },
+                [{
+                    _id: `${fine}._id`,
+                    amount: `${fine}.amount`,
+                    receiptNumber: `${fine}.receiptNumber`,
+                    date: legacyPaidOnExpr(fine),
+                    createdAt: { $ifNull: [`${fine}.paidDate`, `${fine}.createdAt`] }
+                }],
+                []
+            ]
+        }
+    ]
+});
+
+/**
+ * Total amount collected against a charge (reversed installments excluded)
+ * @param {string} fine - Path to the charge (e.g. '$fines', '$$f')
+ * @returns {Object} - Aggregation expression
+ */
+const amountPaidExpr = (fine) => ({
+    $sum: {
+        $map: {
+            input: paymentsExpr(fine),
+            as: 'p',
+            in: { $cond: [{ $eq: ['$$p.isReversed', true] }, 0, '$$p.amount'] }
+        }
+    }
+});
+
+/**
+ * Remaining balance on a charge (after any waiver)
+ * @param {string} fine - Path to the charge (e.g. '$fines', '$$f')
+ * @returns {Object} - Aggregation expression
+ */
+const balanceExpr = (fine) => ({
+    $max: [{
+        $subtract: [
+            { $subtract: [`${fine}.amount`, { $ifNull: [`${fine}.waivedAmount`, 0] }] },
+            amountPaidExpr(fine)
+        ]
+    }, 0]
+});
+
+/**
+ * Sum an expression over the student's charges matching a condition
+ * @param {Object|boolean} cond - $filter condition on '$$this' (true for all charges)
+ * @param {Function} valueExpr - Expression builder called with '$$f'
+ * @returns {Object} - Aggregation expression
+ */
+const sumChargesExpr = (cond, valueExpr) => ({
+    $sum: {
+        $map: {
+            input: { $filter: { input: { $ifNull: ['$fines', []] }, cond } },
+            as: 'f',
+            in: valueExpr('$$f')
+        }
+    }
+});
+
+/**
+ * Pipeline stages turning student documents into one row per payment.
+ * Each row keeps the student fields, the charge under `fines`
+ * and the installment under `payment`. Reversed installments are
+ * left out unless requested.
+ * @param {Object} options - { includeReversed }
+ * @returns {Array} - Aggregation stages
+ */
+const paymentRowStages = ({ includeReversed = false } = {}) => [
+    { $unwind: '$fines' },
+    { $addFields: { payment: paymentsExpr('$fines') } },
+    { $unwind: '$payment' },
+    ...(includeReversed ? [] : [{ $match: { 'payment.isReversed': { $ne: true } } }])
+];
+
+module.exports = {
+    paymentsExpr,
+    amountPaidExpr,
+    balanceExpr,
+    sumChargesExpr,
+    paymentRowStages
+};
@@ -0,0 +1,143 @@
+/**
+ * ===========================================
+ * No-Dues Certificate PDF
+ * ===========================================
+ * Renders a no-dues certificate, with a QR code linking
+ * to its verification page when FRONTEND_URL is set
+ */
+
+const PDFDocument = require('pdfkit');
+const { certificateVerificationUrl, verificationQRCode } = require('./receiptVerification');
+
+// A4 portrait, in points
+const PAGE_WIDTH = 595.28;
+const MARGIN = 56;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const COLORS = {
+    primary: '#1e40af',
+    text: '#1f2937',
+    muted: '#6b7280',
+    divider: '#e5e7eb',
+    clear: '#15803d'
+};
+
+// The built-in PDF fonts have no ₹ sign
+const formatAmount = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 0 })}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'long',
+    year: 'numeric'
+});
+
+/**
+ * File name for a certificate PDF (e.g. NoDues-ITSA-ND-2026-27-000012.pdf)
+ * @param {Object} certificate - NoDuesCertificate
+ * @returns {string}
+ */
+const certificateFileName = (certificate) =>
+    `NoDues-${certificate.certificateNumber.replace(/[^\w-]+/g, '-')}.pdf`;
+
+/**
+ * Render a no-dues certificate
+ * @param {Object} certificate - NoDuesCertificate
+ * @returns {Promise<Buffer>} PDF file
+ */
+const generateNoDuesPDF = async (certificate) => {
+    const verifyUrl = certificateVerificationUrl(certificate);
+    const qrCode = verifyUrl ? await verificationQRCode(verifyUrl) : null;
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 0,
+            info: {
+                Title: `No Dues Certificate ${certificate.certificateNumber}`,
+                Author: 'ITSA Accounts',
+                Subject: `${certificate.name} (${certificate.prn})`
+            }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        // Header
+        doc.rect(0, 0, PAGE_WIDTH, 110).fill(COLORS.primary);
+        doc.font('Helvetica-Bold').fontSize(22).fillColor('#ffffff')
+            .text('ITSA Accounts', MARGIN, 34, { width: CONTENT_WIDTH, align: 'center' });
+        doc.font('Helvetica').fontSize(11).fillColor('#dbeafe')
+            .text('Information Technology Student Association', MARGIN, 64, { width: CONTENT_WIDTH, align: 'center' });
+
+        // Title and number
+        let y = 150;
+        doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.text)
+            .text('NO DUES CERTIFICATE', MARGIN, y, { width: CONTENT_WIDTH, align: 'center', characterSpacing: 2 });
+        y += 36;
+        doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+            .text(`Certificate No. ${certificate.certificateNumber}`, MARGIN, y, { width: CONTENT_WIDTH / 2 });
+        doc.text(`Date: ${formatDate(certificate.createdAt)}`, MARGIN + CONTENT_WIDTH / 2, y, { width: CONTENT_WIDTH / 2, align: 'right' });
+        y += 22;
+        doc.moveTo(MARGIN, y).lineTo(PAGE_WIDTH - MARGIN, y).lineWidth(0.5).strokeColor(COLORS.divider).stroke();
+
+        // Body
+        y += 30;
+        const classLabel = [
+            certificate.year,
+            certificate.division && `Division ${certificate.division}`,
+            certificate.rollNo && `Roll No. ${certificate.rollNo}`
+        ].filter(Boolean).join(', ');
+        doc.font('Helvetica').fontSize(12).fillColor(COLORS.text)
+            .text('This is to certify that ', MARGIN, y, { width: CONTENT_WIDTH, continued: true, lineGap: 6 })
+            .font('Helvetica-Bold').text(certificate.name, { continued: true })
+            .font('Helvetica').text(` (PRN ${certificate.prn}${classLabel ? `, ${classLabel}` : ''}) has no outstanding dues ` +
+                `towards the Information Technology Student Association for the academic year ${certificate.academicYear}, ` +
+                `as on ${formatDate(certificate.createdAt)}.`);
+        y = doc.y + 24;
+
+        // Totals
+        doc.rect(MARGIN, y, CONTENT_WIDTH, 56).fill('#f0fdf4');
+        const third = CONTENT_WIDTH / 3;
+        [
+            ['Total Charged', formatAmount(certificate.totalCharged)],
+            ['Total Paid', formatAmount(certificate.totalPaid)],
+            ['Outstanding', formatAmount(0)]
+        ].forEach(([label, value], index) => {
+            doc.font('Helvetica-Bold').fontSize(8).fillColor(COLORS.muted)
+                .text(label.toUpperCase(), MARGIN + index * third, y + 12, { width: third, align: 'center', characterSpacing: 0.8 });
+            doc.font('Helvetica-Bold').fontSize(14).fillColor(index === 2 ? COLORS.clear : COLORS.text)
+                .text(value, MARGIN + index * third, y + 28, { width: third, align: 'center' });
+        });
+        y += 96;
+
+        // Verification and signature
+        if (qrCode) {
+            doc.image(qrCode, MARGIN, y, { width: 84 });
+            doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.text)
+                .text('Scan to verify this certificate', MARGIN + 96, y + 14, { width: 220 });
+            doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted)
+                .text(verifyUrl, MARGIN + 96, y + 28, { width: 220, link: verifyUrl });
+        }
+
+        const signX = PAGE_WIDTH - MARGIN - 170;
+        doc.moveTo(signX, y + 60).lineTo(PAGE_WIDTH - MARGIN, y + 60).lineWidth(0.5).strokeColor(COLORS.muted).stroke();
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text)
+            .text(certificate.issuedByName || 'ITSA Accounts', signX, y + 66, { width: 170, align: 'center' });
+        doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+            .text('Issued by', signX, y + 80, { width: 170, align: 'center' });
+
+        // Footer
+        doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+            .text('This is a computer generated certificate and reflects the student\'s account on the date of issue.',
+                MARGIN, 780, { width: CONTENT_WIDTH, align: 'center' });
+
+        doc.end();
+    });
+};
+
+module.exports = {
+    generateNoDuesPDF,
+    certificateFileName
+};
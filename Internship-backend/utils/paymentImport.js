@@ -0,0 +1,194 @@
+/**
+ * ===========================================
+ * Payment Import
+ * ===========================================
+ * Parses CSV sheets of payments collected offline
+ * (e.g. at collection drives) and checks each row
+ * against existing students and active categories
+ */
+
+const Student = require('../models/Student');
+const PaymentCategory = require('../models/PaymentCategory');
+const { readCSVRows, getValue } = require('./studentImport');
+
+const PAYMENT_TYPES = ['fine', 'fee'];
+
+/**
+ * Parse a payments CSV into rows keyed by normalised header
+ * @param {string} filePath
+ * @returns {Promise<Array<Object>>}
+ */
+const parsePaymentsCSV = (filePath) => readCSVRows(filePath, {
+    // The header row must mention the PRN and the amount
+    isHeaderRow: (line) => line.includes('prn') && line.includes('amount')
+});
+
+/**
+ * Map a parsed row to payment fields using the known header variations
+ * @param {Object} row
+ * @returns {Object} Raw payment values (empty values left undefined)
+ */
+const extractPayment = (row) => ({
+    prn: getValue(row, 'prn number', 'prn')?.toUpperCase() || undefined,
+    amount: getValue(row, 'amount') || undefined,
+    type: getValue(row, 'type')?.toLowerCase() || undefined,
+    category: getValue(row, 'category') || undefined,
+    date: getValue(row, 'date') || undefined,
+    reason: getValue(row, 'reason', 'remarks', 'description') || undefined
+});
+
+/**
+ * Parse a payment date written as YYYY-MM-DD or DD/MM/YYYY (also DD-MM-YYYY)
+ * @param {string} value
+ * @returns {Date|null} Null when the date is not valid
+ */
+const parsePaymentDate = (value) => {
+    const dayFirst = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (!dayFirst) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    const [, day, month, year] = dayFirst.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    // Reject dates that roll over, such as 31/02/2025
+    return date.getUTCDate() === day && date.getUTCMonth() === month - 1 ? date : null;
+};
+
+/**
+ * Key identifying a payment for duplicate checks: PRN, amount, category and day
+ * @param {string} prn
+ * @param {number} amount
+ * @param {string} category
+ * @param {Date} date
+ * @returns {string}
+ */
+const paymentKey = (prn, amount, category, date) =>
+    [prn, Number(amount), category.toLowerCase(), new Date(date).toISOString().slice(0, 10)].join('|');
+
+/**
+ * Keys of the payments already recorded for a student (reversed ones don't count)
+ * @param {Object} student - Lean student with fines
+ * @returns {Set<string>}
+ */
+const recordedPaymentKeys = (student) => {
+    const keys = new Set();
+    (student.fines || []).forEach(fine => {
+        (fine.payments || [])
+            .filter(payment => !payment.isReversed)
+            .forEach(payment => keys.add(paymentKey(student.prn, payment.amount, fine.category, payment.date)));
+
+        // Charges paid before installments were tracked
+        if ((fine.payments || []).length === 0 && fine.isPaid && !fine.waivedAmount) {
+            keys.add(paymentKey(student.prn, fine.amount, fine.category, fine.paidDate || fine.date));
+        }
+    });
+    return keys;
+};
+
+/**
+ * Validate payment rows
+ * Rows matching a payment already recorded (same PRN, amount, category and day),
+ * or an earlier row of the same sheet, are rejected so a sheet can't be imported twice
+ * @param {Array<{ rowNumber, data }>} records - Extracted payment values per row
+ * @returns {Promise<{ rows: Array, summary: Object }>}
+ *   Each row: { rowNumber, status ('valid' or 'reject'), prn, name, amount,
+ *               type, category, date, reason, errors }
+ */
+const planPaymentImport = async (records) => {
+    const prns = [...new Set(records.map(({ data }) => data.prn).filter(Boolean))];
+    const [students, categories] = await Promise.all([
+        Student.find({ prn: { $in: prns } }).select('prn name isActive fines').lean(),
+        PaymentCategory.find({ isActive: true }).lean()
+    ]);
+    const studentsByPRN = new Map(students.map(student => [student.prn, student]));
+    const categoriesByName = new Map(categories.map(category => [category.name.toLowerCase(), category]));
+
+    const now = new Date();
+    const summary = { valid: 0, reject: 0, totalAmount: 0 };
+    const recordedKeys = new Map();
+    // Key => row number of the first valid row with it
+    const sheetKeys = new Map();
+
+    const rows = records.map(({ rowNumber, data }) => {
+        const errors = [];
+
+        const student = data.prn ? studentsByPRN.get(data.prn) : null;
+        if (!data.prn) {
+            errors.push('Missing PRN');
+        } else if (!student) {
+            errors.push(`Student with PRN ${data.prn} not found`);
+        } else if (!student.isActive) {
+            errors.push(`Student ${data.prn} is archived`);
+        }
+
+        const amount = Number(data.amount);
+        if (!data.amount || isNaN(amount) || amount <= 0) {
+            errors.push(data.amount ? `Invalid amount "${data.amount}"` : 'Missing amount');
+        }
+
+        const category = data.category ? categoriesByName.get(data.category.toLowerCase()) : null;
+        if (!data.category) {
+            errors.push('Missing category');
+        } else if (!category) {
+            errors.push(`Category "${data.category}" does not exist or is inactive`);
+        }
+
+        if (data.type && !PAYMENT_TYPES.includes(data.type)) {
+            errors.push(`Type must be fine or fee, not "${data.type}"`);
+        } else if (data.type && category && data.type !== category.type) {
+            errors.push(`${category.name} is a ${category.type}, not a ${data.type}`);
+        }
+
+        let date = now;
+        if (data.date) {
+            date = parsePaymentDate(data.date);
+            if (!date) {
+                errors.push(`Invalid date "${data.date}" (use YYYY-MM-DD or DD/MM/YYYY)`);
+            } else if (date > now) {
+                errors.push('Date is in the future');
+            }
+        }
+
+        if (errors.length === 0) {
+            const key = paymentKey(data.prn, amount, category.name, date);
+            if (!recordedKeys.has(data.prn)) recordedKeys.set(data.prn, recordedPaymentKeys(student));
+
+            if (recordedKeys.get(data.prn).has(key)) {
+                errors.push(`A ${category.name} payment of ${amount} on this date is already recorded for ${data.prn}`);
+            } else if (sheetKeys.has(key)) {
+                errors.push(`Same payment as row ${sheetKeys.get(key)}`);
+            } else {
+                sheetKeys.set(key, rowNumber);
+            }
+        }
+
+        const row = {
+            rowNumber,
+            status: errors.length > 0 ? 'reject' : 'valid',
+            prn: data.prn,
+            name: student?.name,
+            amount: isNaN(amount) ? undefined : amount,
+            // Type follows the category when the sheet leaves it out
+            type: data.type || category?.type,
+            category: category?.name || data.category,
+            date: date || undefined,
+            reason: data.reason,
+            errors
+        };
+
+        summary[row.status]++;
+        if (row.status === 'valid') summary.totalAmount += amount;
+        return row;
+    });
+
+    return { rows, summary };
+};
+
+module.exports = {
+    parsePaymentsCSV,
+    extractPayment,
+    parsePaymentDate,
+    planPaymentImport
+};
@@ -0,0 +1,83 @@
+/**
+ * ===========================================
+ * Receipt Numbering
+ * ===========================================
+ * Sequential document numbers per financial year
+ * (e.g. ITSA/2026-27/000123) for payment receipts,
+ * refund credit notes and no-dues certificates.
+ * Numbers given back after a failed save are reused, so
+ * failures don't leave gaps; a server crash between issuing
+ * a number and saving the document still can.
+ *
+ * Configuration (.env):
+ *   RECEIPT_PREFIX                 - Receipt prefix (default "ITSA")
+ *   CREDIT_NOTE_PREFIX             - Credit note prefix (default "ITSA/CN")
+ *   NO_DUES_PREFIX                 - No-dues certificate prefix (default "ITSA/ND")
+ *   RECEIPT_NUMBER_FORMAT          - Format with {prefix}, {fy} and {seq} (default "{prefix}/{fy}/{seq}")
+ *   RECEIPT_NUMBER_PADDING         - Digits in the sequence (default 6)
+ *   FINANCIAL_YEAR_START_MONTH     - Month the financial year starts, 1-12 (default 4, April)
+ */
+
+const Counter = require('../models/Counter');
+
+// Document series, each with its own counter
+const SERIES = {
+    receipt: () => process.env.RECEIPT_PREFIX || 'ITSA',
+    creditNote: () => process.env.CREDIT_NOTE_PREFIX || 'ITSA/CN',
+    noDues: () => process.env.NO_DUES_PREFIX || 'ITSA/ND'
+};
+
+/**
+ * Financial year label for a date (e.g. "2026-27")
+ * @param {Date} date - Defaults to now
+ * @returns {string}
+ */
+const getFinancialYear = (date = new Date()) => {
+    const startMonth = parseInt(process.env.FINANCIAL_YEAR_START_MONTH) || 4;
+    const startYear = date.getMonth() + 1 >= startMonth ? date.getFullYear() : date.getFullYear() - 1;
+    // Calendar financial years (January start) are labelled with a single year
+    if (startMonth === 1) return String(startYear);
+    return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+/**
+ * Format a document number
+ * @param {Object} parts - { prefix, fy, seq }
+ * @returns {string}
+ */
+const formatNumber = ({ prefix, fy, seq }) => {
+    const format = process.env.RECEIPT_NUMBER_FORMAT || '{prefix}/{fy}/{seq}';
+    const padding = parseInt(process.env.RECEIPT_NUMBER_PADDING) || 6;
+    return format
+        .replace('{prefix}', prefix)
+        .replace('{fy}', fy)
+        .replace('{seq}', String(seq).padStart(padding, '0'));
+};
+
+/**
+ * Issue the next number in a series
+ * If the document using the number fails to save, call release()
+ * so the number is handed out again
+ * @param {string} series - 'receipt', 'creditNote' or 'noDues'
+ * @param {Date} date - Date of the document (e.g. a backdated payment); picks the financial year
+ * @returns {Promise<{ number: string, release: Function }>}
+ */
+const issueNumber = async (series = 'receipt', date = new Date()) => {
+    if (!SERIES[series]) {
+        throw new Error(`Unknown document series: ${series}`);
+    }
+
+    const fy = getFinancialYear(date);
+    const key = `${series}:${fy}`;
+    const seq = await Counter.next(key);
+
+    return {
+        number: formatNumber({ prefix: SERIES[series](), fy, seq }),
+        release: () => Counter.release(key, seq)
+    };
+};
+
+module.exports = {
+    getFinancialYear,
+    issueNumber
+};
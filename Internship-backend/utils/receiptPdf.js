@@ -0,0 +1,217 @@
+/**
+ * ===========================================
+ * Receipt PDF
+ * ===========================================
+ * Renders a payment receipt as a PDF. The same document
+ * is downloaded from the receipt modal and attached to
+ * receipt emails.
+ */
+
+const PDFDocument = require('pdfkit');
+const { verificationUrl, verificationQRCode } = require('./receiptVerification');
+
+// A5 portrait, in points
+const PAGE_WIDTH = 419.53;
+const MARGIN = 32;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const COLORS = {
+    primary: '#1e40af',
+    label: '#9ca3af',
+    text: '#1f2937',
+    muted: '#4b5563',
+    divider: '#e5e7eb',
+    fee: '#1d4ed8',
+    fine: '#dc2626',
+    paid: '#16a34a',
+    concession: '#15803d',
+    balance: '#b45309',
+    reversed: '#b91c1c',
+    footer: '#1f2937'
+};
+
+// The built-in PDF fonts have no ₹ sign
+const formatAmount = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 0 })}`;
+
+const formatDateTime = (date) => {
+    return new Date(date).toLocaleString('en-IN', {
+        day: '2-digit',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: true
+    });
+};
+
+/**
+ * File name for a receipt PDF (e.g. Receipt-ITSA-2026-27-000123.pdf)
+ * @param {Object} receipt - Receipt from fine.getReceipt()
+ * @returns {string}
+ */
+const receiptFileName = (receipt) =>
+    `Receipt-${(receipt.receiptNumber || 'payment').replace(/[^\w-]+/g, '-')}.pdf`;
+
+/**
+ * Receipt for one payment on a charge
+ * @param {Object} fine - Fine subdocument (may be missing)
+ * @param {string} [paymentId] - Installment id; defaults to the latest installment
+ * @returns {Object|null} Receipt from fine.getReceipt(), or null when there is no such payment
+ */
+const findPaymentReceipt = (fine, paymentId) => {
+    if (!fine) return null;
+    const id = paymentId || fine.payments[fine.payments.length - 1]?._id;
+    const receipt = fine.getReceipt(id);
+    if (!receipt || (id && String(receipt._id) !== String(id))) return null;
+    return receipt;
+};
+
+/**
+ * Small uppercase label with its value underneath
+ * @returns {number} y below the value
+ */
+const field = (doc, label, value, x, y, width, { size = 11, color = COLORS.text, bold = false } = {}) => {
+    doc.font('Helvetica-Bold').fontSize(7).fillColor(COLORS.label)
+        .text(label.toUpperCase(), x, y, { width, characterSpacing: 0.8 });
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size).fillColor(color)
+        .text(value, x, y + 12, { width });
+    return doc.y;
+};
+
+const divider = (doc, y) => {
+    doc.moveTo(MARGIN, y).lineTo(PAGE_WIDTH - MARGIN, y).lineWidth(0.5).strokeColor(COLORS.divider).stroke();
+};
+
+/**
+ * Render a payment receipt, with a QR code linking to its
+ * verification page when FRONTEND_URL is set
+ * @param {Object} student - Student (name, prn, division)
+ * @param {Object} receipt - Receipt from fine.getReceipt()
+ * @returns {Promise<Buffer>} PDF file
+ */
+const generateReceiptPDF = async (student, receipt) => {
+    const verifyUrl = verificationUrl(receipt);
+    const qrCode = verifyUrl ? await verificationQRCode(verifyUrl) : null;
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A5',
+            margin: 0,
+            info: {
+                Title: `Payment Receipt ${receipt.receiptNumber || ''}`.trim(),
+                Author: 'ITSA Accounts',
+                Subject: `${student.name} (${student.prn})`
+            }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        // Header
+        doc.rect(0, 0, PAGE_WIDTH, 118).fill(COLORS.primary);
+        doc.font('Helvetica-Bold').fontSize(20).fillColor('#ffffff')
+            .text('ITSA Accounts', MARGIN, 28, { width: CONTENT_WIDTH, align: 'center' });
+        doc.font('Helvetica').fontSize(10).fillColor('#dbeafe')
+            .text('Official Payment Receipt', MARGIN, 54, { width: CONTENT_WIDTH, align: 'center' });
+
+        const receiptNumber = receipt.receiptNumber || 'N/A';
+        doc.font('Helvetica-Bold').fontSize(11);
+        const pillWidth = doc.widthOfString(receiptNumber) + 40;
+        doc.roundedRect((PAGE_WIDTH - pillWidth) / 2, 76, pillWidth, 24, 12).fill('#3b5bc4');
+        doc.fillColor('#ffffff').text(receiptNumber, MARGIN, 83, { width: CONTENT_WIDTH, align: 'center' });
+
+        let y = 118;
+
+        // Reversal notice
+        if (receipt.isReversed) {
+            const reversal = receipt.reversal || {};
+            doc.rect(0, y, PAGE_WIDTH, 58).fill('#fef2f2');
+            doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.reversed)
+                .text(`REVERSED - CREDIT NOTE ${reversal.creditNoteNumber || 'N/A'}`, MARGIN, y + 10, { width: CONTENT_WIDTH });
+            doc.font('Helvetica').fontSize(9).fillColor('#7f1d1d')
+                .text(reversal.reason || '', MARGIN, y + 24, { width: CONTENT_WIDTH, height: 12, ellipsis: true });
+            doc.fontSize(8).fillColor('#991b1b')
+                .text(`By ${reversal.reversedByName || 'Admin'} on ${reversal.reversedAt ? formatDateTime(reversal.reversedAt) : '-'}`,
+                    MARGIN, y + 38, { width: CONTENT_WIDTH });
+            y += 58;
+        }
+
+        // Student
+        y += 20;
+        y = field(doc, 'Student Name', student.name, MARGIN, y, CONTENT_WIDTH, { size: 14, bold: true }) + 12;
+        const half = CONTENT_WIDTH / 2;
+        const prnBottom = field(doc, 'PRN Number', student.prn, MARGIN, y, half - 8);
+        const divisionBottom = field(doc, 'Division', student.division || student.department || 'N/A', MARGIN + half, y, half);
+        y = Math.max(prnBottom, divisionBottom) + 16;
+        divider(doc, y);
+
+        // Payment details
+        y += 16;
+        const isFee = receipt.type === 'fee';
+        const typeBottom = field(doc, 'Payment Type', isFee ? 'Fee' : 'Fine', MARGIN, y, half - 8,
+            { bold: true, color: isFee ? COLORS.fee : COLORS.fine });
+        const categoryBottom = field(doc, 'Category', receipt.category || 'Others', MARGIN + half, y, half);
+        y = Math.max(typeBottom, categoryBottom) + 12;
+        const dateBottom = field(doc, 'Payment Date & Time', formatDateTime(receipt.createdAt || receipt.date), MARGIN, y, half - 8);
+        const statusBottom = field(doc, 'Status', receipt.isReversed ? 'Reversed' : 'Paid', MARGIN + half, y, half,
+            { bold: true, color: receipt.isReversed ? COLORS.reversed : COLORS.paid });
+        y = Math.max(dateBottom, statusBottom) + 16;
+
+        if (receipt.reason) {
+            divider(doc, y);
+            y = field(doc, 'Description', receipt.reason, MARGIN, y + 16, CONTENT_WIDTH, { size: 10, color: COLORS.muted }) + 16;
+        }
+
+        // Amount
+        const isInstallment = receipt.chargeAmount !== undefined && receipt.chargeAmount !== receipt.amount;
+        const lines = [];
+        if (isInstallment) {
+            lines.push({ text: `Charge Total ${formatAmount(receipt.chargeAmount)} - Paid to Date ${formatAmount(receipt.amountPaid)}`, color: '#6b7280' });
+        }
+        if (receipt.concessionTotal > 0) {
+            const approvers = (receipt.concessions || []).map(concession => concession.approver).join(', ');
+            lines.push({ text: `Concession ${formatAmount(receipt.concessionTotal)}${approvers ? ` (${approvers})` : ''}`, color: COLORS.concession });
+        }
+        if (isInstallment || receipt.balance > 0) {
+            lines.push({ text: `Balance Due: ${formatAmount(receipt.balance)}`, color: receipt.balance > 0 ? COLORS.balance : COLORS.concession, bold: true });
+        }
+
+        const amountHeight = 84 + lines.length * 15;
+        doc.rect(0, y, PAGE_WIDTH, amountHeight).fill('#f1f5f9');
+        doc.font('Helvetica-Bold').fontSize(8).fillColor(COLORS.label)
+            .text('AMOUNT PAID', MARGIN, y + 18, { width: CONTENT_WIDTH, align: 'center', characterSpacing: 1.2 });
+        doc.font('Helvetica-Bold').fontSize(30).fillColor(COLORS.primary)
+            .text(formatAmount(receipt.amount), MARGIN, y + 32, { width: CONTENT_WIDTH, align: 'center' });
+        lines.forEach((line, index) => {
+            doc.font(line.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(line.color)
+                .text(line.text, MARGIN, y + 72 + index * 15, { width: CONTENT_WIDTH, align: 'center' });
+        });
+        y += amountHeight;
+
+        if (qrCode) {
+            doc.image(qrCode, MARGIN, y + 12, { width: 64 });
+            doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.text)
+                .text('Scan to verify this receipt', MARGIN + 78, y + 22, { width: CONTENT_WIDTH - 78 });
+            doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted)
+                .text(verifyUrl, MARGIN + 78, y + 36, { width: CONTENT_WIDTH - 78, link: verifyUrl });
+            y += 88;
+        }
+
+        // Footer
+        doc.rect(0, y, PAGE_WIDTH, 52).fill(COLORS.footer);
+        doc.font('Helvetica').fontSize(9).fillColor('#d1d5db')
+            .text('This is a computer generated receipt', MARGIN, y + 14, { width: CONTENT_WIDTH, align: 'center' });
+        doc.fontSize(8).fillColor('#9ca3af')
+            .text('Thank you for your payment - ITSA Department', MARGIN, y + 29, { width: CONTENT_WIDTH, align: 'center' });
+
+        doc.end();
+    });
+};
+
+module.exports = {
+    generateReceiptPDF,
+    receiptFileName,
+    findPaymentReceipt
+};
@@ -0,0 +1,167 @@
+/**
+ * ===========================================
+ * Receipt Verification
+ * ===========================================
+ * Signed tokens printed on receipts and no-dues certificates
+ * (as a QR code and link) so anyone holding one can check
+ * it is genuine
+ *
+ * Configuration (.env):
+ *   RECEIPT_SIGNING_SECRET - Key for receipt and certificate tokens (default: JWT_SECRET)
+ *   FRONTEND_URL           - Where the verification pages are served; without it,
+ *                            PDFs and emails carry no QR code
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+const Student = require('../models/Student');
+const NoDuesCertificate = require('../models/NoDuesCertificate');
+
+const signingSecret = () => process.env.RECEIPT_SIGNING_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Shortened HMAC of a message
+ * @param {string} message
+ * @returns {string}
+ */
+const hmac = (message) => crypto
+    .createHmac('sha256', signingSecret())
+    .update(message)
+    .digest('base64url')
+    .slice(0, 22);
+
+/**
+ * Signature over what a receipt says: any change to the
+ * receipt number or amount breaks it
+ * @param {string} id - Payment id
+ * @param {Object} receipt - { receiptNumber, amount }
+ * @returns {string}
+ */
+const signature = (id, { receiptNumber, amount }) => hmac(`${id}:${receiptNumber || ''}:${amount}`);
+
+/**
+ * Signature over what a certificate says: its number and the student's PRN
+ * @param {string} id - Certificate id
+ * @param {Object} certificate - { certificateNumber, prn }
+ * @returns {string}
+ */
+const certificateSignature = (id, { certificateNumber, prn }) => hmac(`no-dues:${id}:${certificateNumber}:${prn}`);
+
+/**
+ * Compare a signature from a token with the expected one in constant time
+ * @param {string} expected
+ * @param {string} given
+ * @returns {boolean}
+ */
+const signaturesMatch = (expected, given) => {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(given);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Verification token for a receipt
+ * @param {Object} receipt - Receipt from fine.getReceipt()
+ * @returns {string} "<payment id>.<signature>"
+ */
+const signReceipt = (receipt) => `${receipt._id}.${signature(String(receipt._id), receipt)}`;
+
+/**
+ * Public verification link for a receipt
+ * @param {Object} receipt - Receipt from fine.getReceipt()
+ * @returns {string|null} Null when FRONTEND_URL is not set
+ */
+const verificationUrl = (receipt) => {
+    if (!process.env.FRONTEND_URL) return null;
+    return `${process.env.FRONTEND_URL.replace(/\/+$/, '')}/verify/${signReceipt(receipt)}`;
+};
+
+/**
+ * Verification token for a no-dues certificate
+ * @param {Object} certificate - NoDuesCertificate
+ * @returns {string} "<certificate id>.<signature>"
+ */
+const signCertificate = (certificate) => `${certificate._id}.${certificateSignature(String(certificate._id), certificate)}`;
+
+/**
+ * Public verification link for a no-dues certificate
+ * @param {Object} certificate - NoDuesCertificate
+ * @returns {string|null} Null when FRONTEND_URL is not set
+ */
+const certificateVerificationUrl = (certificate) => {
+    if (!process.env.FRONTEND_URL) return null;
+    return `${process.env.FRONTEND_URL.replace(/\/+$/, '')}/verify/no-dues/${signCertificate(certificate)}`;
+};
+
+/**
+ * QR code for a verification link
+ * @param {string} url
+ * @returns {Promise<Buffer>} PNG image
+ */
+const verificationQRCode = (url) => QRCode.toBuffer(url, { margin: 1, width: 240 });
+
+/**
+ * Hide most of a name: "Aarav Sharma" → "A**** S*****"
+ * @param {string} name
+ * @returns {string}
+ */
+const maskName = (name) => (name || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => word[0] + '*'.repeat(Math.max(word.length - 1, 1)))
+    .join(' ');
+
+/**
+ * Look up the receipt a token was issued for
+ * @param {string} token
+ * @returns {Promise<{ student, receipt }|null>} Null when the token is malformed,
+ *          the payment doesn't exist or the receipt no longer matches the signature
+ */
+const findSignedReceipt = async (token) => {
+    const [id, tokenSignature] = String(token || '').split('.');
+    if (!tokenSignature || !mongoose.Types.ObjectId.isValid(id)) return null;
+
+    // Installments, or charges paid in full before installments existed
+    const student = await Student.findOne({
+        $or: [{ 'fines.payments._id': id }, { 'fines._id': id }]
+    });
+    if (!student) return null;
+
+    const fine = student.fines.find(charge => charge.payments.id(id) || String(charge._id) === id);
+    const receipt = fine?.getReceipt(id);
+    if (!receipt || String(receipt._id) !== id) return null;
+
+    if (!signaturesMatch(signature(id, receipt), tokenSignature)) return null;
+
+    return { student, receipt };
+};
+
+/**
+ * Look up the no-dues certificate a token was issued for
+ * @param {string} token
+ * @returns {Promise<Object|null>} Null when the token is malformed, the
+ *          certificate doesn't exist or no longer matches the signature
+ */
+const findSignedCertificate = async (token) => {
+    const [id, tokenSignature] = String(token || '').split('.');
+    if (!tokenSignature || !mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const certificate = await NoDuesCertificate.findById(id);
+    if (!certificate) return null;
+
+    if (!signaturesMatch(certificateSignature(id, certificate), tokenSignature)) return null;
+
+    return certificate;
+};
+
+module.exports = {
+    signReceipt,
+    verificationUrl,
+    verificationQRCode,
+    signCertificate,
+    certificateVerificationUrl,
+    maskName,
+    findSignedReceipt,
+    findSignedCertificate
+};
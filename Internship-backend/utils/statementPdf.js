@@ -0,0 +1,226 @@
+/**
+ * ===========================================
+ * Account Statement PDF
+ * ===========================================
+ * Renders a student's account statement (from
+ * buildStatement) as a PDF to hand over on request
+ */
+
+const PDFDocument = require('pdfkit');
+
+// A4 portrait, in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 40;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const COLORS = {
+    primary: '#1e40af',
+    text: '#1f2937',
+    muted: '#6b7280',
+    divider: '#e5e7eb',
+    headerFill: '#dce6f1',
+    stripe: '#f8fafc',
+    credit: '#15803d',
+    debit: '#b91c1c'
+};
+
+// Date | Description | Reference | Debit | Credit | Balance
+const COLUMNS = [
+    { key: 'date', label: 'Date', width: 62 },
+    { key: 'description', label: 'Description', width: 190 },
+    { key: 'reference', label: 'Reference', width: 100 },
+    { key: 'debit', label: 'Debit', width: 55, align: 'right' },
+    { key: 'credit', label: 'Credit', width: 55, align: 'right' },
+    { key: 'balance', label: 'Balance', width: CONTENT_WIDTH - 462, align: 'right' }
+];
+
+// The built-in PDF fonts have no ₹ sign
+const formatAmount = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 0 })}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+});
+
+/**
+ * Period a statement covers, as shown on it
+ * @param {Object} period - { from, to }
+ * @returns {string}
+ */
+const periodLabel = ({ from, to }) => {
+    if (from && to) return `${formatDate(from)} to ${formatDate(to)}`;
+    if (from) return `From ${formatDate(from)}`;
+    if (to) return `Up to ${formatDate(to)}`;
+    return 'All transactions';
+};
+
+/**
+ * File name for a statement PDF (e.g. Statement-PRN001.pdf)
+ * @param {Object} student - Student (prn)
+ * @returns {string}
+ */
+const statementFileName = (student) => `Statement-${String(student.prn).replace(/[^\w-]+/g, '-')}.pdf`;
+
+/**
+ * Draw one table row
+ * @returns {number} Row height
+ */
+const drawRow = (doc, values, y, { bold = false, fill, colors = {} } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const height = Math.max(...COLUMNS.map(column =>
+        doc.heightOfString(values[column.key] || '', { width: column.width - 8 }))) + 10;
+
+    if (fill) doc.rect(MARGIN, y, CONTENT_WIDTH, height).fill(fill);
+
+    let x = MARGIN;
+    COLUMNS.forEach(column => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8)
+            .fillColor(colors[column.key] || COLORS.text)
+            .text(values[column.key] || '', x + 4, y + 5, { width: column.width - 8, align: column.align || 'left' });
+        x += column.width;
+    });
+
+    return height;
+};
+
+const tableHeader = (doc, y) => drawRow(doc,
+    Object.fromEntries(COLUMNS.map(column => [column.key, column.label])),
+    y, { bold: true, fill: COLORS.headerFill });
+
+/**
+ * Render an account statement
+ * @param {Object} student - Student (name, prn, year, division, rollNo)
+ * @param {Object} statement - From buildStatement()
+ * @returns {Promise<Buffer>} PDF file
+ */
+const generateStatementPDF = (student, statement) => {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: MARGIN,
+            bufferPages: true,
+            info: {
+                Title: `Account Statement - ${student.prn}`,
+                Author: 'ITSA Accounts',
+                Subject: `${student.name} (${student.prn})`
+            }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        // Header
+        doc.rect(0, 0, PAGE_WIDTH, 80).fill(COLORS.primary);
+        doc.font('Helvetica-Bold').fontSize(18).fillColor('#ffffff')
+            .text('ITSA Accounts', MARGIN, 22, { width: CONTENT_WIDTH });
+        doc.font('Helvetica').fontSize(10).fillColor('#dbeafe')
+            .text('Student Account Statement', MARGIN, 46, { width: CONTENT_WIDTH });
+
+        // Student and period
+        let y = 100;
+        doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.text).text(student.name, MARGIN, y);
+        y = doc.y + 2;
+        const details = [
+            `PRN: ${student.prn}`,
+            student.year && `Year: ${student.year}`,
+            student.division && `Division: ${student.division}`,
+            student.rollNo && `Roll No: ${student.rollNo}`
+        ].filter(Boolean).join('   ');
+        doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(details, MARGIN, y);
+        doc.text(`Period: ${periodLabel(statement.period)}`, MARGIN, doc.y + 2);
+        doc.text(`Generated on: ${new Date().toLocaleString('en-IN')}`, MARGIN, doc.y + 2);
+        y = doc.y + 14;
+
+        // Summary
+        const summary = [
+            ['Opening Balance', statement.openingBalance],
+            ['Charges', statement.totals.charges + statement.totals.reversals],
+            ['Paid', statement.totals.payments],
+            ['Concessions & Waivers', statement.totals.concessions + statement.totals.waivers],
+            ['Closing Balance', statement.closingBalance]
+        ];
+        const boxWidth = CONTENT_WIDTH / summary.length;
+        doc.rect(MARGIN, y, CONTENT_WIDTH, 42).fill('#f1f5f9');
+        summary.forEach(([label, amount], index) => {
+            const x = MARGIN + index * boxWidth;
+            doc.font('Helvetica-Bold').fontSize(7).fillColor(COLORS.muted)
+                .text(label.toUpperCase(), x + 6, y + 8, { width: boxWidth - 12 });
+            doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text)
+                .text(formatAmount(amount), x + 6, y + 22, { width: boxWidth - 12 });
+        });
+        y += 58;
+
+        // Entries
+        y += tableHeader(doc, y);
+        y += drawRow(doc, {
+            date: statement.period.from ? formatDate(statement.period.from) : '',
+            description: 'Opening balance',
+            balance: formatAmount(statement.openingBalance)
+        }, y, { bold: true });
+
+        statement.entries.forEach((entry, index) => {
+            const values = {
+                date: formatDate(entry.date),
+                description: entry.description,
+                reference: entry.reference,
+                debit: entry.debit ? formatAmount(entry.debit) : '',
+                credit: entry.credit ? formatAmount(entry.credit) : '',
+                balance: formatAmount(entry.balance)
+            };
+
+            doc.font('Helvetica').fontSize(8);
+            const needed = doc.heightOfString(entry.description, { width: COLUMNS[1].width - 8 }) + 10;
+            if (y + needed > PAGE_HEIGHT - MARGIN - 20) {
+                doc.addPage();
+                y = MARGIN;
+                y += tableHeader(doc, y);
+            }
+
+            y += drawRow(doc, values, y, {
+                fill: index % 2 === 1 ? COLORS.stripe : undefined,
+                colors: { debit: COLORS.debit, credit: COLORS.credit }
+            });
+        });
+
+        if (statement.entries.length === 0) {
+            y += drawRow(doc, { description: 'No transactions in this period' }, y, { colors: { description: COLORS.muted } });
+        }
+
+        if (y + 50 > PAGE_HEIGHT - MARGIN - 20) {
+            doc.addPage();
+            y = MARGIN;
+        }
+        y += drawRow(doc, {
+            description: 'Closing balance',
+            debit: formatAmount(statement.totals.debit),
+            credit: formatAmount(statement.totals.credit),
+            balance: formatAmount(statement.closingBalance)
+        }, y, { bold: true, fill: '#f2f2f2' });
+
+        doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+            .text('Debits are charges and reversed payments; credits are payments, concessions and waivers. ' +
+                'A positive balance is owed by the student.', MARGIN, y + 12, { width: CONTENT_WIDTH });
+
+        // Page numbers
+        const range = doc.bufferedPageRange();
+        for (let page = range.start; page < range.start + range.count; page++) {
+            doc.switchToPage(page);
+            // Writing inside the bottom margin would otherwise start a new page
+            doc.page.margins.bottom = 0;
+            doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+                .text(`This is a computer generated statement - Page ${page + 1} of ${range.count}`,
+                    MARGIN, PAGE_HEIGHT - MARGIN, { width: CONTENT_WIDTH, align: 'center', lineBreak: false });
+        }
+
+        doc.end();
+    });
+};
+
+module.exports = {
+    generateStatementPDF,
+    statementFileName
+};
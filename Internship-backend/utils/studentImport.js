@@ -0,0 +1,373 @@
+/**
+ * ===========================================
+ * Student Import
+ * ===========================================
+ * Parses uploaded class lists (CSV or Excel workbooks),
+ * validates each row and
+ * compares it with existing students so an import
+ * can be previewed before anything is written
+ */
+
+const fs = require('fs');
+const stream = require('stream');
+const csv = require('csv-parser');
+const XLSX = require('xlsx-js-style');
+const Student = require('../models/Student');
+
+// Same pattern as the Student email validator
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
+// Student fields an import can set (PRN identifies the student)
+const IMPORT_FIELDS = ['name', 'academicYear', 'semester', 'year', 'division', 'rollNo', 'department', 'email', 'phone'];
+
+// Fields an import profile can map
+const PROFILE_FIELDS = ['prn', ...IMPORT_FIELDS];
+
+// How far down to look for the header row of a profile without a fixed one
+const PROFILE_HEADER_SCAN_ROWS = 20;
+
+// Handle different header variations - normalize to lowercase and remove special chars
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/[.\s]+/g, ' ').trim();
+
+/**
+ * Find the header row of a file
+ * Class lists often have a title or college name above the headers
+ * @param {Array<string>} lines - Text of each line
+ * @param {Function} isHeaderRow - Tests a normalised line
+ * @param {number} [scanRows=5] - How many lines to search
+ * @returns {number} Index of the header row (0 when none is recognised)
+ */
+const findHeaderRow = (lines, isHeaderRow, scanRows = 5) => {
+    for (let i = 0; i < Math.min(scanRows, lines.length); i++) {
+        if (isHeaderRow(normalizeHeader(lines[i]))) {
+            return i;
+        }
+    }
+    return 0;
+};
+
+/**
+ * How to find the header row of a student upload
+ * Without a profile the first five lines are searched for PRN and name
+ * headers; with one, a longer stretch for the column mapped to the PRN.
+ * @param {Object} [profile] - ImportProfile
+ * @returns {{ isHeaderRow: Function, scanRows: number }}
+ */
+const studentHeaderSearch = (profile) => {
+    const prnColumn = profile?.mappings.find(mapping => mapping.field === 'prn')?.column;
+    if (prnColumn) {
+        return { isHeaderRow: (line) => line.includes(normalizeHeader(prnColumn)), scanRows: PROFILE_HEADER_SCAN_ROWS };
+    }
+
+    // The header row must mention the PRN and the student name
+    return { isHeaderRow: (line) => line.includes('prn') && (line.includes('name') || line.includes('student')), scanRows: 5 };
+};
+
+/**
+ * Make sure every column a profile maps is in the header row
+ * @param {Array<string>} headers - Normalised headers
+ * @param {Object} [profile] - ImportProfile
+ * @param {string} [sheet] - Worksheet name, for the error message
+ * @throws {Error} Naming the first missing column
+ */
+const checkProfileColumns = (headers, profile, sheet) => {
+    if (!profile) return;
+
+    const missing = profile.mappings.find(mapping => mapping.column && !headers.includes(normalizeHeader(mapping.column)));
+    if (missing) {
+        throw new Error(`Column "${missing.column}" (${missing.field}) is not in the header row${sheet ? ` of sheet ${sheet}` : ''}`);
+    }
+};
+
+/**
+ * Read a CSV file into rows keyed by normalised header
+ * Title lines above the header row are skipped
+ * @param {string} filePath
+ * @param {Object} options
+ * @param {Function} options.isHeaderRow - Tests a normalised line
+ * @param {number} [options.scanRows] - How many lines to search for the header row
+ * @param {number} [options.headerRow] - Fixed header row, counting from 1
+ * @param {Function} [options.checkHeaders] - Receives the headers; throws to refuse the file
+ * @returns {Promise<Array<Object>>}
+ */
+const readCSVRows = (filePath, { isHeaderRow, scanRows, headerRow, checkHeaders }) => {
+    // Read the file content to detect the header row
+    const fileContent = fs.readFileSync(filePath, 'utf-8');
+    const allLines = fileContent.split(/\r?\n/);
+
+    // A fixed header row counts blank lines too, as a spreadsheet does
+    const lines = (headerRow ? allLines.slice(headerRow - 1) : allLines).filter(line => line.trim());
+    const headerRowIndex = headerRow ? 0 : findHeaderRow(lines, isHeaderRow, scanRows);
+
+    const rows = [];
+    return new Promise((resolve, reject) => {
+        const readable = new stream.Readable();
+        readable.push(lines.slice(headerRowIndex).join('\n'));
+        readable.push(null);
+
+        readable
+            .pipe(csv({ mapHeaders: ({ header }) => normalizeHeader(header) }))
+            .on('headers', (headers) => {
+                try {
+                    checkHeaders?.(headers);
+                } catch (error) {
+                    reject(error);
+                }
+            })
+            .on('data', (row) => rows.push(row))
+            .on('end', () => resolve(rows))
+            .on('error', reject);
+    });
+};
+
+/**
+ * Parse a student CSV file into rows keyed by normalised header
+ * @param {string} filePath
+ * @param {Object} [profile] - ImportProfile used to find the header row
+ * @returns {Promise<Array<Object>>}
+ */
+const parseCSVFile = (filePath, profile) => readCSVRows(filePath, {
+    ...studentHeaderSearch(profile),
+    headerRow: profile?.headerRow,
+    checkHeaders: (headers) => checkProfileColumns(headers, profile)
+});
+
+/**
+ * List the sheets of an Excel workbook with their row counts
+ * @param {Object} workbook - Workbook read by xlsx-js-style
+ * @returns {Array<{ name: string, rowCount: number }>}
+ */
+const getWorkbookSheets = (workbook) => workbook.SheetNames.map(name => {
+    const ref = workbook.Sheets[name]['!ref'];
+    return { name, rowCount: ref ? XLSX.utils.decode_range(ref).e.r + 1 : 0 };
+});
+
+/**
+ * Parse the chosen sheets of an Excel workbook into rows keyed by
+ * normalised header. The header row is detected separately on each
+ * sheet, so divisions laid out differently can share a workbook.
+ * @param {string} filePath
+ * @param {Array<string>} [sheetNames] - Sheets to read (all when empty)
+ * @param {Object} [profile] - ImportProfile used to find the header row
+ * @returns {{ sheets: Array, rows: Array<{ sheet: string, row: Object }> }}
+ * @throws {Error} When a requested sheet or mapped column is missing
+ */
+const parseWorkbookFile = (filePath, sheetNames = [], profile) => {
+    const workbook = XLSX.readFile(filePath, { cellDates: true });
+    const sheets = getWorkbookSheets(workbook);
+
+    const unknown = sheetNames.filter(name => !workbook.SheetNames.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Sheet not found in workbook: ${unknown.join(', ')}`);
+    }
+
+    const selected = sheetNames.length > 0 ? sheetNames : workbook.SheetNames;
+    const rows = [];
+
+    selected.forEach(sheet => {
+        // Formatted cell text, so PRNs and phone numbers keep their digits
+        const options = { header: 1, raw: false, defval: '', blankrows: false };
+        if (profile?.headerRow) options.range = profile.headerRow - 1;
+
+        const lines = XLSX.utils.sheet_to_json(workbook.Sheets[sheet], options)
+            .filter(cells => cells.some(cell => String(cell).trim()));
+        if (lines.length === 0) return;
+
+        const { isHeaderRow, scanRows } = studentHeaderSearch(profile);
+        const headerRowIndex = profile?.headerRow ? 0 : findHeaderRow(lines.map(cells => cells.join(',')), isHeaderRow, scanRows);
+        const headers = lines[headerRowIndex].map(normalizeHeader);
+        checkProfileColumns(headers, profile, sheet);
+
+        lines.slice(headerRowIndex + 1).forEach(cells => {
+            const row = {};
+            headers.forEach((header, index) => {
+                if (header) row[header] = String(cells[index] ?? '');
+            });
+            rows.push({ sheet, row });
+        });
+    });
+
+    return { sheets, rows };
+};
+
+/**
+ * Whether an uploaded file is an Excel workbook rather than CSV
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+const isWorkbookFile = (fileName) => /\.xlsx$/i.test(fileName || '');
+
+/**
+ * Find a value in a row by exact or partial header match
+ * @param {Object} row - Parsed row keyed by normalised header
+ * @param {...string} possibleKeys - Header names to try, in order
+ * @returns {string|undefined}
+ */
+const getValue = (row, ...possibleKeys) => {
+    for (const key of possibleKeys) {
+        // Try exact match first
+        if (row[key] !== undefined) return row[key]?.trim();
+        // Try partial match
+        const rowKeys = Object.keys(row);
+        for (const rowKey of rowKeys) {
+            if (rowKey.includes(key) || key.includes(rowKey)) {
+                return row[rowKey]?.trim();
+            }
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Map a parsed row to Student fields with an import profile
+ * Each field takes its column, else the default value, else a copy of
+ * another field. Fields the profile does not map are left undefined.
+ * @param {Object} row
+ * @param {Object} profile - ImportProfile
+ * @returns {Object} Student data
+ */
+const applyProfile = (row, profile) => {
+    const data = {};
+    profile.mappings.forEach(({ field, column, defaultValue }) => {
+        const value = column ? row[normalizeHeader(column)]?.trim() : undefined;
+        data[field] = value || defaultValue || undefined;
+    });
+
+    // Copies run last so they can use any column or default
+    profile.mappings.forEach(({ field, derivedFrom }) => {
+        if (!data[field] && derivedFrom) data[field] = data[derivedFrom];
+    });
+
+    return {
+        ...data,
+        prn: data.prn?.toUpperCase(),
+        email: data.email?.toLowerCase()
+    };
+};
+
+/**
+ * Map a parsed row to Student fields
+ * Uses the profile when given, otherwise the known header variations
+ * @param {Object} row
+ * @param {Object} [profile] - ImportProfile
+ * @returns {Object} Student data (empty values left undefined)
+ */
+const extractStudent = (row, profile) => {
+    if (profile) return applyProfile(row, profile);
+
+    const division = getValue(row, 'division') || undefined;
+
+    return {
+        prn: getValue(row, 'prn number', 'prn', 'prnnumber')?.toUpperCase() || undefined,
+        name: getValue(row, 'student name', 'name', 'studentname') || undefined,
+        academicYear: getValue(row, 'academic year', 'academicyear') || undefined,
+        semester: getValue(row, 'semester') || undefined,
+        year: getValue(row, 'year') || undefined,
+        division,
+        rollNo: getValue(row, 'roll no', 'rollno', 'roll') || undefined,
+        department: division,
+        email: getValue(row, 'email id', 'email', 'emailid')?.toLowerCase() || undefined,
+        phone: getValue(row, 'mobile number', 'mobile', 'phone') || undefined
+    };
+};
+
+/**
+ * Classify import records as create, update, unchanged or reject
+ * @param {Array<{ rowNumber, sheet, data }>} records - Extracted student data per row
+ *   (sheet is set for Excel uploads; row numbers count from 1 on each sheet)
+ * @returns {Promise<{ rows: Array, summary: Object }>}
+ *   Each row: { rowNumber, sheet, status, prn, name, data, changes, errors, archived }
+ */
+const planImport = async (records) => {
+    // Rows per PRN, to reject PRNs that appear more than once in the file
+    const rowsByPRN = new Map();
+    records.forEach(({ rowNumber, sheet, data }) => {
+        if (!data.prn) return;
+        const label = sheet ? `${sheet} row ${rowNumber}` : `row ${rowNumber}`;
+        rowsByPRN.set(data.prn, [...(rowsByPRN.get(data.prn) || []), label]);
+    });
+
+    const existingStudents = await Student.find({ prn: { $in: [...rowsByPRN.keys()] } })
+        .select(['prn', 'isActive', ...IMPORT_FIELDS].join(' '))
+        .lean();
+    const existingByPRN = new Map(existingStudents.map(student => [student.prn, student]));
+
+    const summary = { create: 0, update: 0, unchanged: 0, reject: 0 };
+
+    const rows = records.map(({ rowNumber, sheet, data }) => {
+        const errors = [];
+        if (!data.prn) errors.push('Missing PRN Number');
+        if (!data.name) errors.push('Missing Student Name');
+        if (data.email && !EMAIL_PATTERN.test(data.email)) errors.push(`Invalid email address "${data.email}"`);
+
+        const duplicateRows = data.prn ? rowsByPRN.get(data.prn) : [];
+        if (duplicateRows.length > 1) {
+            errors.push(`Duplicate PRN in file (${duplicateRows.join(', ')})`);
+        }
+
+        const row = { rowNumber, sheet, prn: data.prn, name: data.name, data, changes: [], errors };
+
+        if (errors.length > 0) {
+            row.status = 'reject';
+        } else if (!existingByPRN.has(data.prn)) {
+            row.status = 'create';
+        } else {
+            // Existing students are only updated where the file has a value
+            const existing = existingByPRN.get(data.prn);
+            IMPORT_FIELDS.forEach(field => {
+                if (data[field] !== undefined && String(existing[field] ?? '') !== data[field]) {
+                    row.changes.push({ field, before: existing[field] ?? null, after: data[field] });
+                }
+            });
+            row.archived = existing.isActive === false;
+            row.status = row.changes.length > 0 ? 'update' : 'unchanged';
+        }
+
+        summary[row.status]++;
+        return row;
+    });
+
+    return { rows, summary };
+};
+
+/**
+ * Write the create and update rows of a plan to the database
+ * @param {Array} rows - Rows from planImport()
+ * @returns {Promise<{ created: string[], updated: string[], failed: Array }>}
+ */
+const applyImport = async (rows) => {
+    const created = [];
+    const updated = [];
+    const failed = [];
+
+    for (const row of rows) {
+        try {
+            if (row.status === 'create') {
+                await Student.create(row.data);
+                created.push(row.prn);
+            } else if (row.status === 'update') {
+                // Don't overwrite fines - only the changed fields are set
+                const student = await Student.findOne({ prn: row.prn });
+                row.changes.forEach(({ field, after }) => { student[field] = after; });
+                await student.save();
+                updated.push(row.prn);
+            }
+        } catch (error) {
+            failed.push({ rowNumber: row.rowNumber, sheet: row.sheet, prn: row.prn, error: error.message });
+        }
+    }
+
+    return { created, updated, failed };
+};
+
+module.exports = {
+    PROFILE_FIELDS,
+    readCSVRows,
+    parseCSVFile,
+    parseWorkbookFile,
+    isWorkbookFile,
+    getValue,
+    extractStudent,
+    planImport,
+    applyImport
+};
@@ -0,0 +1,137 @@
+/**
+ * ===========================================
+ * Template Renderer
+ * ===========================================
+ * Fills placeholders in admin-editable templates.
+ * A small subset of Mustache:
+ *   {{student.name}}          value, HTML-escaped
+ *   {{{messageHtml}}}         value, as is
+ *   {{#dues}}...{{/dues}}     repeated for each item of a list,
+ *                             or shown once when the value is set
+ *   {{^reason}}...{{/reason}} shown when the value is empty
+ */
+
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Escape a value for use in HTML
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeHTML = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Parse a template into text, value and section nodes
+ * @param {string} template
+ * @returns {Array} Nodes
+ * @throws {Error} When a section is not closed or closed out of order
+ */
+const parseTemplate = (template) => {
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(template))) {
+        const current = stack[stack.length - 1];
+        if (match.index > lastIndex) {
+            current.children.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+        }
+        lastIndex = TAG_PATTERN.lastIndex;
+
+        const [, rawPath, symbol, path] = match;
+        if (rawPath) {
+            current.children.push({ type: 'value', path: rawPath, raw: true });
+        } else if (symbol === '#' || symbol === '^') {
+            const section = { type: 'section', path, inverted: symbol === '^', children: [] };
+            current.children.push(section);
+            stack.push(section);
+        } else if (symbol === '/') {
+            if (stack.length === 1 || current.path !== path) {
+                throw new Error(`{{/${path}}} does not close an open section`);
+            }
+            stack.pop();
+        } else {
+            current.children.push({ type: 'value', path, raw: false });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`{{#${stack[stack.length - 1].path}}} is never closed`);
+    }
+
+    if (lastIndex < template.length) {
+        root.children.push({ type: 'text', value: template.slice(lastIndex) });
+    }
+    return root.children;
+};
+
+/**
+ * Look a dotted path up, innermost context first
+ * @param {string} path - e.g. "student.name", or "." for the current item
+ * @param {Array<Object>} contexts
+ * @returns {*}
+ */
+const lookup = (path, contexts) => {
+    if (path === '.') return contexts[contexts.length - 1];
+
+    const [first, ...rest] = path.split('.');
+    for (let i = contexts.length - 1; i >= 0; i--) {
+        const context = contexts[i];
+        if (context !== null && typeof context === 'object' && first in context) {
+            return rest.reduce((value, key) => (value == null ? undefined : value[key]), context[first]);
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Render parsed nodes
+ * @param {Array} nodes
+ * @param {Array<Object>} contexts
+ * @param {boolean} escape - Escape values for HTML
+ * @returns {string}
+ */
+const renderNodes = (nodes, contexts, escape) => nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    const value = lookup(node.path, contexts);
+
+    if (node.type === 'value') {
+        if (value === undefined || value === null) return '';
+        return escape && !node.raw ? escapeHTML(value) : String(value);
+    }
+
+    const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+    if (node.inverted) {
+        return isEmpty ? renderNodes(node.children, contexts, escape) : '';
+    }
+    if (isEmpty) return '';
+    if (Array.isArray(value)) {
+        return value.map(item => renderNodes(node.children, [...contexts, item], escape)).join('');
+    }
+    return renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts, escape);
+}).join('');
+
+/**
+ * Render a template with the given values
+ * @param {string} template
+ * @param {Object} context - Values for the placeholders
+ * @param {Object} options - { escape: HTML-escape values (default true; off for subjects) }
+ * @returns {string}
+ * @throws {Error} When the template's sections don't match up
+ */
+const renderTemplate = (template, context, { escape = true } = {}) =>
+    renderNodes(parseTemplate(template || ''), [context], escape);
+
+module.exports = {
+    escapeHTML,
+    parseTemplate,
+    renderTemplate
+};
@@ -1,5 +1,5 @@
 import { Routes, Route, Navigate } from 'react-router-dom';
-import { useAuth } from './context/AuthContext';
+import { useAuth, ROLES } from './context/AuthContext';
 
 // Components
 import Navbar from './components/Navbar';
@@ -10,16 +10,31 @@ import Loading from './components/Loading';
 import LoginPage from './pages/LoginPage';
 import Dashboard from './pages/Dashboard';
 import UploadCSV from './pages/UploadCSV';
+import ImportProfiles from './pages/ImportProfiles';
 import SearchStudent from './pages/SearchStudent';
 import StudentDetails from './pages/StudentDetails';
 import AddPayment from './pages/AddPayment';
+import ImportPayments from './pages/ImportPayments';
 import AddExpenditure from './pages/AddExpenditure';
 import ManageCategories from './pages/ManageCategories';
 import About from './pages/About';
+import ManageAdmins from './pages/ManageAdmins';
+import VerifyReceipt from './pages/VerifyReceipt';
+import VerifyCertificate from './pages/VerifyCertificate';
+import StudentLogin from './pages/StudentLogin';
+import StudentPortal from './pages/StudentPortal';
 
 // New Report Pages
 import StudentManagement from './pages/StudentManagement';
 import TransactionReport from './pages/TransactionReport';
+import OutstandingDues from './pages/OutstandingDues';
+import Defaulters from './pages/Defaulters';
+import Concessions from './pages/Concessions';
+import AuditLog from './pages/AuditLog';
+import Levies from './pages/Levies';
+import ScheduledJobs from './pages/ScheduledJobs';
+import EmailTemplates from './pages/EmailTemplates';
+import NoDues from './pages/NoDues';
 
 // Layout wrapper for authenticated pages
 const AuthenticatedLayout = ({ children }) => {
@@ -46,8 +61,14 @@ function App() {
 
     return (
         <Routes>
-            {/* Public Route */}
+            {/* Public Routes */}
             <Route path="/login" element={<LoginPage />} />
+            <Route path="/verify/:token" element={<VerifyReceipt />} />
+            <Route path="/verify/no-dues/:token" element={<VerifyCertificate />} />
+
+            {/* Student Portal (separate sign-in, no admin layout) */}
+            <Route path="/portal/login" element={<StudentLogin />} />
+            <Route path="/portal" element={<StudentPortal />} />
 
             {/* Protected Routes */}
             <Route
@@ -64,7 +85,7 @@ function App() {
             <Route
                 path="/upload"
                 element={
-                    <ProtectedRoute>
+                    <ProtectedRoute roles={ROLES.MANAGERS}>
                         <AuthenticatedLayout>
                             <UploadCSV />
                         </AuthenticatedLayout>
@@ -72,6 +93,17 @@ function App() {
                 }
             />
 
+            <Route
+                path="/upload/profiles"
+                element={
+                    <ProtectedRoute roles={ROLES.MANAGERS}>
+                        <AuthenticatedLayout>
+                            <ImportProfiles />
+                        </AuthenticatedLayout>
+                    </ProtectedRoute>
+                }
+            />
+
             <Route
                 path="/search"
                 element={
@@ -97,7 +129,7 @@ function App() {
             <Route
                 path="/add-payment/:prn"
                 element={
-                    <ProtectedRoute>
+                    <ProtectedRoute roles={ROLES.COLLECTORS}>
                         <AuthenticatedLayout>
                             <AddPayment />
                         </AuthenticatedLayout>
@@ -105,10 +137,21 @@ function App() {
                 }
             />
 
+            <Route
+                path="/payments/import"
+                element={
+                    <ProtectedRoute roles={ROLES.COLLECTORS}>
+                        <AuthenticatedLayout>
+                            <ImportPayments />
+                        </AuthenticatedLayout>
+                    </ProtectedRoute>
+                }
+            />
+
             <Route
                 path="/expenditure"
                 element={
-                    <ProtectedRoute>
+                    <ProtectedRoute roles={ROLES.MANAGERS}>
                         <AuthenticatedLayout>
                             <AddExpenditure />
                         </AuthenticatedLayout>
@@ -119,7 +162,7 @@ function App() {
             <Route
                 path="/categories"
                 element={
-                    <ProtectedRoute>
+                    <ProtectedRoute roles={ROLES.MANAGERS}>
                         <AuthenticatedLayout>
                             <ManageCategories />
                         </AuthenticatedLayout>
@@ -138,6 +181,17 @@ function App() {
                 }
             />
 
+            <Route
+                path="/admins"
+                element={
+                    <ProtectedRoute roles={ROLES.SUPER_ADMIN}>
+                        <AuthenticatedLayout>
+                            <ManageAdmins />
+                        </AuthenticatedLayout>
+                    </ProtectedRoute>
+                }
+            />
+
             {/* New Report Routes */}
             <Route
                 path="/admin/students"
@@ -153,7 +207,7 @@ function App() {
             <Route
                 path="/admin/transactions"
                 element={
-                    <ProtectedRoute>
+                    <ProtectedRoute roles={ROLES.REPORT_VIEWERS}>
                         <AuthenticatedLayout>
                             <TransactionReport />
                         </AuthenticatedLayout>
@@ -161,6 +215,94 @@ function App() {
                 }
             />
 
+            <Route
+                path="/admin/dues"
+                element={
+                    <ProtectedRoute>
+                        <AuthenticatedLayout>
+                            <OutstandingDues />
+                        </AuthenticatedLayout>
+                    </ProtectedRoute>
+                }
+            />
+
+            <Route
+                path="/admin/defaulters"
+                element={
+                    <ProtectedRoute roles={ROLES.REPORT_VIEWERS}>
+                        <AuthenticatedLayout>
+                            <Defaulters />
+                        </AuthenticatedLayout>
+                    </ProtectedRoute>
+                }
+            />
+
+            <Route
+                path="/admin/concessions"
+                element={
+                    <ProtectedRoute roles={ROLES.REPORT_VIEWERS}>
+                        <AuthenticatedLayout>
+                            <Concessions />
+                        </AuthenticatedLayout>
+                    </ProtectedRoute>
+                }
+            />
+
+            <Route
+                path="/admin/levies"
+                element={
+                    <ProtectedRoute>
+                        <AuthenticatedLayout>
+                            <Levies />
+                        </AuthenticatedLayout>
+                    </ProtectedRoute>
+                }
+            />
+
+            <Route
+                path="/admin/audit"
+                element={
+                    <ProtectedRoute roles={ROLES.REPORT_VIEWERS}>
+                        <AuthenticatedLayout>
+                            <AuditLog />
+                        </AuthenticatedLayout>
+                    </ProtectedRoute>
+                }
+            />
+
+            <Route
+                path="/admin/jobs"
+                element={
+                    <ProtectedRoute roles={ROLES.MANAGERS}>
+                        <AuthenticatedLayout>
+                            <ScheduledJobs />
+                        </AuthenticatedLayout>
+                    </ProtectedRoute>
+                }
+            />
+
+            <Route
+                path="/admin/email-templates"
+                element={
+                    <ProtectedRoute roles={ROLES.MANAGERS}>
+                        <AuthenticatedLayout>
+                            <EmailTemplates />
+                        </AuthenticatedLayout>
+                    </ProtectedRoute>
+                }
+            />
+
+            <Route
+                path="/admin/no-dues"
+                element={
+                    <ProtectedRoute>
+                        <AuthenticatedLayout>
+                            <NoDues />
+                        </AuthenticatedLayout>
+                    </ProtectedRoute>
+                }
+            />
+
             {/* Default redirect */}
             <Route path="/" element={<Navigate to="/dashboard" replace />}
             />
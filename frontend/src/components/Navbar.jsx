@@ -1,6 +1,6 @@
 import { useState, useRef, useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
-import { useAuth } from '../context/AuthContext';
+import { useAuth, ROLES } from '../context/AuthContext';
 import {
     FiHome,
     FiUpload,
@@ -13,7 +13,8 @@ import {
     FiTag,
     FiFileText,
     FiChevronDown,
-    FiInfo
+    FiInfo,
+    FiShield
 } from 'react-icons/fi';
 import { FaRupeeSign } from 'react-icons/fa';
 
@@ -21,7 +22,7 @@ const Navbar = () => {
     const [isOpen, setIsOpen] = useState(false);
     const [showReports, setShowReports] = useState(false);
     const dropdownRef = useRef(null);
-    const { admin, logout } = useAuth();
+    const { admin, logout, hasRole } = useAuth();
     const location = useLocation();
     const navigate = useNavigate();
 
@@ -30,18 +31,29 @@ const Navbar = () => {
         navigate('/login');
     };
 
+    // Links without roles are visible to every admin
     const navLinks = [
         { path: '/dashboard', label: 'Dashboard', icon: FiHome },
-        { path: '/upload', label: 'Upload CSV', icon: FiUpload },
+        { path: '/upload', label: 'Upload CSV', icon: FiUpload, roles: ROLES.MANAGERS },
         { path: '/search', label: 'Search Student', icon: FiSearch },
-        { path: '/expenditure', label: 'Add Expense', icon: FaRupeeSign },
-        { path: '/categories', label: 'Categories', icon: FiTag },
-    ];
+        { path: '/payments/import', label: 'Import Payments', icon: FiDollarSign, roles: ROLES.COLLECTORS },
+        { path: '/expenditure', label: 'Add Expense', icon: FaRupeeSign, roles: ROLES.MANAGERS },
+        { path: '/categories', label: 'Categories', icon: FiTag, roles: ROLES.MANAGERS },
+        { path: '/admins', label: 'Admins', icon: FiShield, roles: ROLES.SUPER_ADMIN },
+    ].filter(link => !link.roles || hasRole(link.roles));
 
     const reportLinks = [
         { path: '/admin/students', label: 'Student Management' },
-        { path: '/admin/transactions', label: 'Transactions' },
-    ];
+        { path: '/admin/transactions', label: 'Transactions', roles: ROLES.REPORT_VIEWERS },
+        { path: '/admin/dues', label: 'Outstanding Dues' },
+        { path: '/admin/defaulters', label: 'Defaulters', roles: ROLES.REPORT_VIEWERS },
+        { path: '/admin/concessions', label: 'Concessions', roles: ROLES.REPORT_VIEWERS },
+        { path: '/admin/levies', label: 'Levies' },
+        { path: '/admin/no-dues', label: 'No Dues' },
+        { path: '/admin/audit', label: 'Audit Log', roles: ROLES.REPORT_VIEWERS },
+        { path: '/admin/jobs', label: 'Scheduled Jobs', roles: ROLES.MANAGERS },
+        { path: '/admin/email-templates', label: 'Email Templates', roles: ROLES.MANAGERS },
+    ].filter(link => !link.roles || hasRole(link.roles));
 
     const isActive = (path) => location.pathname === path;
 
@@ -142,6 +154,9 @@ const Navbar = () => {
                         <div className="flex items-center space-x-2 px-3 py-1.5 bg-white/10 rounded-lg">
                             <FiUser className="w-4 h-4" />
                             <span className="text-sm font-medium">{admin?.name || 'Admin'}</span>
+                            {admin?.role && (
+                                <span className="text-xs text-white/70 capitalize">({admin.role.replace('-', ' ')})</span>
+                            )}
                         </div>
                         <button
                             onClick={handleLogout}
@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react';
+import { FiX, FiDownload, FiCheckCircle, FiAlertTriangle, FiAward } from 'react-icons/fi';
+import { noDuesAPI } from '../services/api';
+import Loading from './Loading';
+
+// Checks a student's dues and issues or downloads their no-dues certificate
+const NoDuesModal = ({ isOpen, onClose, student, canIssue }) => {
+    const [status, setStatus] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+
+    const fetchStatus = async () => {
+        try {
+            setLoading(true);
+            setError('');
+            const response = await noDuesAPI.checkStudent(student.prn);
+            setStatus(response.data.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to check dues');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        if (isOpen && student) {
+            setMessage('');
+            fetchStatus();
+        }
+    }, [isOpen, student?.prn]);
+
+    if (!isOpen || !student) return null;
+
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+        day: '2-digit', month: 'short', year: 'numeric'
+    });
+
+    const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+        style: 'currency', currency: 'INR', maximumFractionDigits: 0
+    }).format(amount || 0);
+
+    const handleDownload = async (certificate) => {
+        try {
+            setBusy(true);
+            setError('');
+            const response = await noDuesAPI.getCertificatePdf(certificate._id);
+            const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `NoDues-${certificate.certificateNumber.replace(/[^\w-]+/g, '-')}.pdf`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            setError('Failed to download the certificate');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleIssue = async () => {
+        try {
+            setBusy(true);
+            setError('');
+            const response = await noDuesAPI.issueForStudent(student.prn);
+            setMessage(response.data.message);
+            setStatus(prev => ({ ...prev, certificate: response.data.data }));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to issue the certificate');
+            // Dues may have changed since the check
+            if (err.response?.status === 409) {
+                setStatus(prev => ({ ...prev, eligible: false, ...err.response.data.data }));
+            }
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto animate-fadeIn">
+                {/* Modal Header */}
+                <div className="flex items-center justify-between p-4 border-b border-gray-200">
+                    <div>
+                        <h2 className="text-lg font-semibold text-gray-800">No Dues Certificate</h2>
+                        <p className="text-sm text-gray-500">{student.name} · {student.prn}</p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                    >
+                        <FiX className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <div className="p-6">
+                    {error && (
+                        <p className="mb-4 p-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">{error}</p>
+                    )}
+                    {message && !error && (
+                        <p className="mb-4 p-3 text-sm text-green-700 bg-green-50 border border-green-200 rounded-lg">{message}</p>
+                    )}
+
+                    {loading ? (
+                        <div className="flex justify-center py-8"><Loading text="Checking dues..." /></div>
+                    ) : status && (status.eligible ? (
+                        <div className="text-center">
+                            <FiCheckCircle className="w-12 h-12 text-green-500 mx-auto" />
+                            <p className="mt-3 font-semibold text-gray-800">No outstanding dues</p>
+                            <p className="text-sm text-gray-500">Academic year {status.student.academicYear}</p>
+
+                            {status.certificate ? (
+                                <div className="mt-6 p-4 bg-gray-50 rounded-lg text-sm text-left">
+                                    <p className="text-gray-500">Certificate</p>
+                                    <p className="font-semibold text-gray-800">{status.certificate.certificateNumber}</p>
+                                    <p className="text-gray-500 mt-1">
+                                        Issued {formatDate(status.certificate.issuedAt)}
+                                        {status.certificate.issuedByName && <> by {status.certificate.issuedByName}</>}
+                                    </p>
+                                    <button onClick={() => handleDownload(status.certificate)} disabled={busy}
+                                        className="mt-4 w-full flex items-center justify-center gap-2 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50">
+                                        <FiDownload /> Download PDF
+                                    </button>
+                                </div>
+                            ) : canIssue ? (
+                                <button onClick={handleIssue} disabled={busy || student.isActive === false}
+                                    className="mt-6 w-full flex items-center justify-center gap-2 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50">
+                                    <FiAward /> {busy ? 'Issuing...' : 'Issue Certificate'}
+                                </button>
+                            ) : (
+                                <p className="mt-6 text-sm text-gray-500">No certificate has been issued yet.</p>
+                            )}
+                        </div>
+                    ) : (
+                        <div>
+                            <div className="flex items-start gap-3 p-4 bg-amber-50 border border-amber-200 rounded-lg">
+                                <FiAlertTriangle className="w-5 h-5 text-amber-500 mt-0.5 flex-shrink-0" />
+                                <div>
+                                    <p className="font-semibold text-amber-800">
+                                        {formatCurrency(status.outstanding)} outstanding
+                                    </p>
+                                    <p className="text-sm text-amber-700">
+                                        These dues must be cleared before a certificate can be issued.
+                                    </p>
+                                </div>
+                            </div>
+                            <ul className="mt-4 divide-y divide-gray-100">
+                                {status.blockingDues.map(due => (
+                                    <li key={due._id} className="py-3 flex justify-between gap-4 text-sm">
+                                        <div>
+                                            <p className="font-medium text-gray-800">
+                                                {due.category} <span className="text-xs text-gray-400">({due.type === 'fee' ? 'Fee' : 'Fine'})</span>
+                                            </p>
+                                            {due.reason && <p className="text-gray-500">{due.reason}</p>}
+                                            <p className="text-xs text-gray-500">
+                                                {due.dueDate ? `Due ${formatDate(due.dueDate)}` : `Charged ${formatDate(due.date)}`}
+                                            </p>
+                                        </div>
+                                        <p className="font-semibold text-amber-700 whitespace-nowrap">{formatCurrency(due.balance)}</p>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default NoDuesModal;
@@ -0,0 +1,229 @@
+import { useState } from 'react';
+import { studentManagementAPI } from '../services/api';
+import ErrorMessage from './ErrorMessage';
+import { FiX, FiArrowRight, FiArrowLeft, FiCheck, FiTrendingUp } from 'react-icons/fi';
+
+const YEARS = ['FE', 'SE', 'TE', 'BE'];
+
+const PromotionWizard = ({ isOpen, onClose, onComplete }) => {
+    const [step, setStep] = useState(1);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [preview, setPreview] = useState(null);
+    const [options, setOptions] = useState({
+        academicYear: '',
+        targetAcademicYear: '',
+        years: YEARS,
+        archiveGraduates: false
+    });
+
+    if (!isOpen) return null;
+
+    const buildParams = () => ({
+        academicYear: options.academicYear || undefined,
+        targetAcademicYear: options.targetAcademicYear || undefined,
+        years: options.years.length < YEARS.length ? options.years.join(',') : undefined,
+        archiveGraduates: options.archiveGraduates
+    });
+
+    const toggleYear = (year) => {
+        setOptions(prev => ({
+            ...prev,
+            years: prev.years.includes(year) ? prev.years.filter(y => y !== year) : [...prev.years, year]
+        }));
+    };
+
+    const handlePreview = async () => {
+        if (options.years.length === 0) {
+            setError('Select at least one class to promote');
+            return;
+        }
+
+        try {
+            setLoading(true);
+            setError('');
+            const response = await studentManagementAPI.previewPromotion(buildParams());
+            setPreview(response.data.data);
+            setStep(2);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to preview promotion');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handlePromote = async () => {
+        if (!window.confirm(`Promote ${preview.totals.students} students? This updates their class and academic year.`)) {
+            return;
+        }
+
+        try {
+            setLoading(true);
+            setError('');
+            const response = await studentManagementAPI.promote(buildParams());
+            setPreview(response.data.data);
+            setStep(3);
+            onComplete?.(response.data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to promote students');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleClose = () => {
+        setStep(1);
+        setPreview(null);
+        setError('');
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-center p-6 border-b">
+                    <div className="flex items-center gap-3">
+                        <div className="p-2 bg-primary-100 rounded-full"><FiTrendingUp className="text-primary-600 text-xl" /></div>
+                        <div>
+                            <h3 className="text-lg font-semibold">Year-End Promotion</h3>
+                            <p className="text-xs text-gray-500">Step {step} of 3 &middot; FE → SE → TE → BE → Alumni</p>
+                        </div>
+                    </div>
+                    <button onClick={handleClose}><FiX className="text-xl" /></button>
+                </div>
+
+                <div className="p-6 space-y-4">
+                    {error && <ErrorMessage message={error} onClose={() => setError('')} />}
+
+                    {/* Step 1: Options */}
+                    {step === 1 && (
+                        <>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Current Academic Year</label>
+                                    <input type="text" value={options.academicYear} placeholder="e.g. 2024-25 (blank = all)"
+                                        onChange={(e) => setOptions({ ...options, academicYear: e.target.value })}
+                                        className="w-full px-3 py-2 border rounded-lg" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">New Academic Year</label>
+                                    <input type="text" value={options.targetAcademicYear} placeholder="Auto (next year)"
+                                        onChange={(e) => setOptions({ ...options, targetAcademicYear: e.target.value })}
+                                        className="w-full px-3 py-2 border rounded-lg" />
+                                </div>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">Classes to Promote</label>
+                                <div className="flex gap-4">
+                                    {YEARS.map(year => (
+                                        <label key={year} className="flex items-center gap-2 text-sm">
+                                            <input type="checkbox" checked={options.years.includes(year)} onChange={() => toggleYear(year)} />
+                                            {year}
+                                        </label>
+                                    ))}
+                                </div>
+                                <p className="text-xs text-gray-500 mt-1">Numeric years (1-4) are promoted along with FE-BE.</p>
+                            </div>
+                            <label className="flex items-start gap-2 text-sm">
+                                <input type="checkbox" className="mt-1" checked={options.archiveGraduates}
+                                    onChange={(e) => setOptions({ ...options, archiveGraduates: e.target.checked })} />
+                                <span>
+                                    Archive graduating BE students
+                                    <span className="block text-xs text-gray-500">They move to the recycle bin as Alumni, keeping their payment history.</span>
+                                </span>
+                            </label>
+                        </>
+                    )}
+
+                    {/* Step 2: Preview, Step 3: Result */}
+                    {step > 1 && preview && (
+                        <>
+                            {step === 3 && (
+                                <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-green-700">
+                                    Promoted {preview.promotedCount} students
+                                    {preview.targetAcademicYear && <> to academic year <b>{preview.targetAcademicYear}</b></>}.
+                                </div>
+                            )}
+                            {step === 2 && (
+                                <p className="text-sm text-gray-600">
+                                    Review the classes below. Nothing has been changed yet.
+                                    {preview.targetAcademicYear && <> Students move to academic year <b>{preview.targetAcademicYear}</b>.</>}
+                                </p>
+                            )}
+                            <table className="w-full text-sm">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Class</th>
+                                        <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Division</th>
+                                        <th className="px-3 py-2 text-right text-xs font-semibold text-gray-600 uppercase">Students</th>
+                                        <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Moves To</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {preview.groups.length === 0 ? (
+                                        <tr><td colSpan="4" className="px-3 py-6 text-center text-gray-500">No students match the selected classes</td></tr>
+                                    ) : preview.groups.map(group => (
+                                        <tr key={`${group.year}-${group.division}`}>
+                                            <td className="px-3 py-2">{group.year}</td>
+                                            <td className="px-3 py-2">{group.division || '-'}</td>
+                                            <td className="px-3 py-2 text-right font-medium">{group.count}</td>
+                                            <td className="px-3 py-2">
+                                                {group.nextYear}
+                                                {group.archived && <span className="ml-2 text-xs text-red-600">(archived)</span>}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <div className="grid grid-cols-3 gap-3 text-center">
+                                <div className="p-3 bg-gray-50 rounded-lg">
+                                    <p className="text-xs text-gray-500">Promoted</p>
+                                    <p className="text-lg font-bold text-gray-800">{preview.totals.promoted}</p>
+                                </div>
+                                <div className="p-3 bg-gray-50 rounded-lg">
+                                    <p className="text-xs text-gray-500">Graduating</p>
+                                    <p className="text-lg font-bold text-gray-800">{preview.totals.graduating}</p>
+                                </div>
+                                <div className="p-3 bg-gray-50 rounded-lg">
+                                    <p className="text-xs text-gray-500">Skipped (no class set)</p>
+                                    <p className="text-lg font-bold text-gray-800">{preview.totals.skipped}</p>
+                                </div>
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                <div className="flex gap-3 p-6 border-t">
+                    {step === 1 && (
+                        <>
+                            <button onClick={handleClose}
+                                className="flex-1 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">Cancel</button>
+                            <button onClick={handlePreview} disabled={loading}
+                                className="flex-1 flex items-center justify-center gap-2 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50">
+                                Preview <FiArrowRight />
+                            </button>
+                        </>
+                    )}
+                    {step === 2 && (
+                        <>
+                            <button onClick={() => setStep(1)} disabled={loading}
+                                className="flex-1 flex items-center justify-center gap-2 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                                <FiArrowLeft /> Back
+                            </button>
+                            <button onClick={handlePromote} disabled={loading || preview.totals.students === 0}
+                                className="flex-1 flex items-center justify-center gap-2 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50">
+                                <FiCheck /> {loading ? 'Promoting...' : `Promote ${preview.totals.students} Students`}
+                            </button>
+                        </>
+                    )}
+                    {step === 3 && (
+                        <button onClick={handleClose}
+                            className="flex-1 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">Done</button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PromotionWizard;
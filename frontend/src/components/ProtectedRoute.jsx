@@ -2,8 +2,8 @@ import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import Loading from './Loading';
 
-const ProtectedRoute = ({ children }) => {
-    const { isAuthenticated, loading } = useAuth();
+const ProtectedRoute = ({ children, roles }) => {
+    const { isAuthenticated, hasRole, loading } = useAuth();
     const location = useLocation();
 
     if (loading) {
@@ -19,6 +19,11 @@ const ProtectedRoute = ({ children }) => {
         return <Navigate to="/login" state={{ from: location }} replace />;
     }
 
+    if (roles && !hasRole(roles)) {
+        // Logged in but not allowed to open this page
+        return <Navigate to="/dashboard" replace />;
+    }
+
     return children;
 };
 
@@ -1,9 +1,31 @@
-import { useRef } from 'react';
+import { useRef, useState, useEffect } from 'react';
 import { FiX, FiDownload, FiPrinter, FiCheck, FiMail } from 'react-icons/fi';
-import html2pdf from 'html2pdf.js';
+import QRCode from 'qrcode';
+import { studentsAPI } from '../services/api';
 
 const ReceiptModal = ({ isOpen, onClose, payment, student }) => {
     const receiptRef = useRef(null);
+    const [busy, setBusy] = useState(false);
+    const [pdfError, setPdfError] = useState('');
+    const [qrCode, setQrCode] = useState('');
+
+    // Same link as the QR code on the PDF and in the email
+    const verification = payment?.verification;
+    const verifyUrl = verification
+        ? verification.url || `${window.location.origin}/verify/${verification.token}`
+        : null;
+
+    useEffect(() => {
+        setPdfError('');
+    }, [payment]);
+
+    useEffect(() => {
+        setQrCode('');
+        if (!verifyUrl) return;
+        QRCode.toDataURL(verifyUrl, { margin: 1, width: 240 })
+            .then(setQrCode)
+            .catch(() => setQrCode(''));
+    }, [verifyUrl]);
 
     if (!isOpen || !payment || !student) return null;
 
@@ -26,158 +48,54 @@ const ReceiptModal = ({ isOpen, onClose, payment, student }) => {
         }).format(amount || 0);
     };
 
-    // Generate HTML content for PDF
-    const getPDFContent = () => {
-        return `
-            <div style="font-family: 'Segoe UI', Arial, sans-serif; width: 100%; max-width: 400px; margin: 0 auto;">
-                <!-- Header Banner -->
-                <div style="background: linear-gradient(135deg, #1e40af 0%, #3b82f6 100%); padding: 32px 24px; text-align: center; border-radius: 12px 12px 0 0;">
-                    <div style="width: 56px; height: 56px; background: rgba(255,255,255,0.2); border-radius: 50%; margin: 0 auto 12px; display: flex; align-items: center; justify-content: center;">
-                        <span style="font-size: 28px; color: white; font-weight: bold;">₹</span>
-                    </div>
-                    <h1 style="margin: 0; color: #ffffff; font-size: 22px; font-weight: 700;">ITSA Accounts</h1>
-                    <p style="margin: 6px 0 0 0; color: rgba(255,255,255,0.85); font-size: 13px;">Official Payment Receipt</p>
-                    <div style="display: inline-block; background: rgba(255,255,255,0.2); padding: 10px 24px; border-radius: 25px; margin-top: 16px;">
-                        <span style="color: white; font-size: 14px; font-weight: 600; letter-spacing: 0.5px;">${payment.receiptNumber || 'N/A'}</span>
-                    </div>
-                </div>
-                
-                <!-- Body -->
-                <div style="background: #ffffff; border: 1px solid #e5e7eb; border-top: none;">
-                    
-                    <!-- Student Info -->
-                    <div style="padding: 24px; border-bottom: 1px solid #f0f0f0;">
-                        <table width="100%" cellspacing="0" cellpadding="0">
-                            <tr>
-                                <td style="padding-bottom: 16px;">
-                                    <p style="margin: 0; font-size: 10px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1px; font-weight: 600;">Student Name</p>
-                                    <p style="margin: 6px 0 0 0; font-size: 16px; color: #1f2937; font-weight: 600;">${student.name}</p>
-                                </td>
-                            </tr>
-                            <tr>
-                                <td>
-                                    <table width="100%" cellspacing="0" cellpadding="0">
-                                        <tr>
-                                            <td width="50%">
-                                                <p style="margin: 0; font-size: 10px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1px; font-weight: 600;">PRN Number</p>
-                                                <p style="margin: 6px 0 0 0; font-size: 14px; color: #374151; font-weight: 500;">${student.prn}</p>
-                                            </td>
-                                            <td width="50%">
-                                                <p style="margin: 0; font-size: 10px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1px; font-weight: 600;">Division</p>
-                                                <p style="margin: 6px 0 0 0; font-size: 14px; color: #374151; font-weight: 500;">${student.division || student.department || 'N/A'}</p>
-                                            </td>
-                                        </tr>
-                                    </table>
-                                </td>
-                            </tr>
-                        </table>
-                    </div>
-                    
-                    <!-- Payment Details Grid -->
-                    <div style="padding: 24px; border-bottom: 1px solid #f0f0f0;">
-                        <table width="100%" cellspacing="0" cellpadding="0">
-                            <tr>
-                                <td width="50%" style="padding-bottom: 20px; vertical-align: top;">
-                                    <p style="margin: 0; font-size: 10px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1px; font-weight: 600;">Payment Type</p>
-                                    <div style="margin-top: 8px;">
-                                        <span style="display: inline-block; padding: 6px 14px; border-radius: 20px; font-size: 12px; font-weight: 600; ${payment.type === 'fee' ? 'background: #dbeafe; color: #1d4ed8;' : 'background: #fee2e2; color: #dc2626;'}">
-                                            ${payment.type === 'fee' ? '💰 Fee' : '⚠️ Fine'}
-                                        </span>
-                                    </div>
-                                </td>
-                                <td width="50%" style="padding-bottom: 20px; vertical-align: top;">
-                                    <p style="margin: 0; font-size: 10px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1px; font-weight: 600;">Category</p>
-                                    <p style="margin: 8px 0 0 0; font-size: 14px; color: #374151; font-weight: 500;">${payment.category || 'Others'}</p>
-                                </td>
-                            </tr>
-                            <tr>
-                                <td width="50%" style="vertical-align: top;">
-                                    <p style="margin: 0; font-size: 10px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1px; font-weight: 600;">Payment Date & Time</p>
-                                    <p style="margin: 8px 0 0 0; font-size: 14px; color: #374151; font-weight: 500;">${formatDate(payment.createdAt || payment.date)}</p>
-                                </td>
-                                <td width="50%" style="vertical-align: top;">
-                                    <p style="margin: 0; font-size: 10px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1px; font-weight: 600;">Status</p>
-                                    <div style="margin-top: 8px;">
-                                        <span style="display: inline-block; padding: 6px 14px; background: #dcfce7; color: #16a34a; border-radius: 20px; font-size: 12px; font-weight: 600;">
-                                            ✓ Paid
-                                        </span>
-                                    </div>
-                                </td>
-                            </tr>
-                        </table>
-                    </div>
-                    
-                    ${payment.reason ? `
-                    <!-- Description -->
-                    <div style="padding: 20px 24px; border-bottom: 1px solid #f0f0f0;">
-                        <p style="margin: 0; font-size: 10px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1px; font-weight: 600;">Description</p>
-                        <p style="margin: 8px 0 0 0; font-size: 14px; color: #4b5563; line-height: 1.6;">${payment.reason}</p>
-                    </div>
-                    ` : ''}
-                    
-                    <!-- Amount Section -->
-                    <div style="background: linear-gradient(135deg, #f8fafc 0%, #f1f5f9 100%); padding: 32px 24px; text-align: center;">
-                        <p style="margin: 0; font-size: 11px; color: #9ca3af; text-transform: uppercase; letter-spacing: 1.5px; font-weight: 600;">Amount Paid</p>
-                        <p style="margin: 10px 0 0 0; font-size: 42px; color: #1e40af; font-weight: 700;">${formatCurrency(payment.amount)}</p>
-                    </div>
-                    
-                </div>
-                
-                <!-- Footer -->
-                <div style="background: #1f2937; padding: 20px 24px; text-align: center; border-radius: 0 0 12px 12px;">
-                    <p style="margin: 0; color: rgba(255,255,255,0.7); font-size: 12px;">This is a computer generated receipt</p>
-                    <p style="margin: 6px 0 0 0; color: rgba(255,255,255,0.5); font-size: 11px;">Thank you for your payment • ITSA Department</p>
-                </div>
-            </div>
-        `;
-    };
+    // Installment receipts carry the charge total and the balance left after them
+    const isInstallment = payment.chargeAmount !== undefined && payment.chargeAmount !== payment.amount;
 
-    const handleDownload = () => {
-        const element = document.createElement('div');
-        element.innerHTML = getPDFContent();
-        element.style.padding = '20px';
-        element.style.background = '#f3f4f6';
-        document.body.appendChild(element);
+    const concessionApprovers = (payment.concessions || []).map(concession => concession.approver).join(', ');
 
-        const opt = {
-            margin: 10,
-            filename: `Receipt-${payment.receiptNumber || 'payment'}.pdf`,
-            image: { type: 'jpeg', quality: 0.98 },
-            html2canvas: { scale: 2, useCORS: true, logging: false },
-            jsPDF: { unit: 'mm', format: 'a4', orientation: 'portrait' }
-        };
+    const fileName = `Receipt-${(payment.receiptNumber || 'payment').replace(/[^\w-]+/g, '-')}.pdf`;
 
-        html2pdf().set(opt).from(element).save().then(() => {
-            document.body.removeChild(element);
-        });
+    // The PDF comes from the server, so it matches the one attached to the receipt email
+    const fetchPDF = async () => {
+        const response = await studentsAPI.getReceiptPdf(student.prn, payment.chargeId, payment._id);
+        return window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
     };
 
-    const handlePrint = () => {
+    const handleDownload = async () => {
+        try {
+            setBusy(true);
+            setPdfError('');
+            const url = await fetchPDF();
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            setPdfError('Failed to download the receipt');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handlePrint = async () => {
+        // Opened before the request so the browser doesn't block it as a popup
         const printWindow = window.open('', '_blank');
-        printWindow.document.write(`
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>Receipt - ${payment.receiptNumber || 'N/A'}</title>
-                <style>
-                    * { margin: 0; padding: 0; box-sizing: border-box; }
-                    body { font-family: 'Segoe UI', Arial, sans-serif; background: #f3f4f6; padding: 20px; }
-                    @media print { 
-                        body { -webkit-print-color-adjust: exact !important; print-color-adjust: exact !important; } 
-                    }
-                </style>
-            </head>
-            <body>
-                ${getPDFContent()}
-            </body>
-            </html>
-        `);
-        printWindow.document.close();
-        printWindow.focus();
-        setTimeout(() => {
-            printWindow.print();
-            printWindow.close();
-        }, 250);
+
+        try {
+            setBusy(true);
+            setPdfError('');
+            const url = await fetchPDF();
+            printWindow.location.href = url;
+            setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+        } catch (err) {
+            printWindow?.close();
+            setPdfError('Failed to load the receipt');
+        } finally {
+            setBusy(false);
+        }
     };
 
     return (
@@ -189,6 +107,7 @@ const ReceiptModal = ({ isOpen, onClose, payment, student }) => {
                     <div className="flex items-center space-x-1">
                         <button
                             onClick={handlePrint}
+                            disabled={busy}
                             className="p-2 text-gray-500 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
                             title="Print Receipt"
                         >
@@ -196,6 +115,7 @@ const ReceiptModal = ({ isOpen, onClose, payment, student }) => {
                         </button>
                         <button
                             onClick={handleDownload}
+                            disabled={busy}
                             className="p-2 text-gray-500 hover:text-green-600 hover:bg-green-50 rounded-lg transition-colors"
                             title="Download PDF"
                         >
@@ -227,6 +147,21 @@ const ReceiptModal = ({ isOpen, onClose, payment, student }) => {
                             </div>
                         </div>
 
+                        {/* Reversal Notice */}
+                        {payment.isReversed && (
+                            <div className="bg-red-50 border-b border-red-200 px-6 py-4">
+                                <p className="text-xs font-bold text-red-700 uppercase tracking-wider">
+                                    Reversed • Credit Note {payment.reversal?.creditNoteNumber || 'N/A'}
+                                </p>
+                                {payment.reversal?.reason && (
+                                    <p className="text-sm text-red-900 mt-1">{payment.reversal.reason}</p>
+                                )}
+                                <p className="text-xs text-red-800 mt-1">
+                                    By {payment.reversal?.reversedByName || 'Admin'} on {payment.reversal?.reversedAt ? formatDate(payment.reversal.reversedAt) : '-'}
+                                </p>
+                            </div>
+                        )}
+
                         {/* Student Info */}
                         <div className="p-6 border-b border-gray-100">
                             <div className="space-y-4">
@@ -292,8 +227,37 @@ const ReceiptModal = ({ isOpen, onClose, payment, student }) => {
                         <div className="bg-gradient-to-br from-gray-50 to-gray-100 p-8 text-center">
                             <p className="text-[10px] text-gray-400 uppercase tracking-wider font-semibold">Amount Paid</p>
                             <p className="text-4xl font-bold text-primary-700 mt-2">{formatCurrency(payment.amount)}</p>
+                            {isInstallment && (
+                                <div className="mt-4 text-sm">
+                                    <p className="text-gray-500">
+                                        Charge Total {formatCurrency(payment.chargeAmount)} • Paid to Date {formatCurrency(payment.amountPaid)}
+                                    </p>
+                                    {payment.concessionTotal > 0 && (
+                                        <p className="text-green-700 mt-1">
+                                            Concession {formatCurrency(payment.concessionTotal)} ({concessionApprovers})
+                                        </p>
+                                    )}
+                                    <p className={`font-semibold mt-1 ${payment.balance > 0 ? 'text-amber-700' : 'text-green-700'}`}>
+                                        Balance Due: {formatCurrency(payment.balance)}
+                                    </p>
+                                </div>
+                            )}
                         </div>
 
+                        {/* Verification */}
+                        {qrCode && (
+                            <div className="flex items-center gap-4 px-6 py-4 border-t border-gray-100">
+                                <img src={qrCode} alt="Receipt verification QR code" className="w-20 h-20" />
+                                <div className="min-w-0">
+                                    <p className="text-sm font-semibold text-gray-800">Scan to verify this receipt</p>
+                                    <a href={verifyUrl} target="_blank" rel="noreferrer"
+                                        className="text-xs text-primary-600 hover:underline break-all">
+                                        {verifyUrl}
+                                    </a>
+                                </div>
+                            </div>
+                        )}
+
                         {/* Footer */}
                         <div className="bg-gray-800 p-5 text-center">
                             <p className="text-gray-400 text-xs">This is a computer generated receipt</p>
@@ -304,15 +268,19 @@ const ReceiptModal = ({ isOpen, onClose, payment, student }) => {
 
                 {/* Modal Footer */}
                 <div className="p-4 bg-white rounded-b-2xl border-t border-gray-200 flex justify-between items-center">
-                    <button
-                        onClick={onClose}
-                        className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium transition-colors"
-                    >
-                        Close
-                    </button>
+                    <div>
+                        <button
+                            onClick={onClose}
+                            className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium transition-colors"
+                        >
+                            Close
+                        </button>
+                        {pdfError && <p className="px-4 text-xs text-red-600">{pdfError}</p>}
+                    </div>
                     <div className="flex space-x-2">
                         <button
                             onClick={handlePrint}
+                            disabled={busy}
                             className="flex items-center space-x-2 px-4 py-2.5 border border-gray-300 text-gray-700 
                              rounded-xl hover:bg-gray-50 transition-all"
                         >
@@ -321,11 +289,12 @@ const ReceiptModal = ({ isOpen, onClose, payment, student }) => {
                         </button>
                         <button
                             onClick={handleDownload}
+                            disabled={busy}
                             className="flex items-center space-x-2 px-5 py-2.5 bg-gradient-to-r from-green-500 to-green-600 
                              text-white rounded-xl hover:from-green-400 hover:to-green-500 transition-all shadow-lg shadow-green-200"
                         >
                             <FiDownload className="w-4 h-4" />
-                            <span className="font-medium">Download PDF</span>
+                            <span className="font-medium">{busy ? 'Preparing...' : 'Download PDF'}</span>
                         </button>
                     </div>
                 </div>
@@ -0,0 +1,277 @@
+import { useState, useEffect } from 'react';
+import * as XLSX from 'xlsx-js-style';
+import { headerStyle, cellStyle, totalStyle } from '../utils/excelStyles';
+import { FiX, FiDownload, FiFileText } from 'react-icons/fi';
+import { studentsAPI } from '../services/api';
+import Loading from './Loading';
+
+const KIND_LABELS = {
+    charge: 'Charge',
+    payment: 'Payment',
+    concession: 'Concession',
+    waiver: 'Waiver',
+    reversal: 'Reversal',
+};
+
+// Account statement for one student over a chosen period, exportable as PDF or Excel
+const StatementModal = ({ isOpen, onClose, student }) => {
+    const [period, setPeriod] = useState({ fromDate: '', toDate: '' });
+    const [statement, setStatement] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const params = () => Object.fromEntries(Object.entries(period).filter(([, value]) => value));
+
+    const fetchStatement = async () => {
+        try {
+            setLoading(true);
+            setError('');
+            const response = await studentsAPI.getStatement(student.prn, params());
+            setStatement(response.data.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load the statement');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        if (isOpen && student) fetchStatement();
+    }, [isOpen, student?.prn]);
+
+    if (!isOpen || !student) return null;
+
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+        day: '2-digit', month: 'short', year: 'numeric'
+    });
+
+    const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+        style: 'currency', currency: 'INR', maximumFractionDigits: 0
+    }).format(amount || 0);
+
+    const getPeriodLabel = () => {
+        if (period.fromDate && period.toDate) return `${formatDate(period.fromDate)} to ${formatDate(period.toDate)}`;
+        if (period.fromDate) return `From ${formatDate(period.fromDate)}`;
+        if (period.toDate) return `Up to ${formatDate(period.toDate)}`;
+        return 'All transactions';
+    };
+
+    const fileBase = `Statement_${student.prn}_${new Date().toISOString().split('T')[0]}`;
+
+    const handleDownloadPDF = async () => {
+        try {
+            setBusy(true);
+            setError('');
+            const response = await studentsAPI.getStatementPdf(student.prn, params());
+            const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${fileBase}.pdf`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            setError('Failed to download the statement');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleExportExcel = () => {
+        const amountCell = (value, style = cellStyle) => ({ v: value || 0, t: 'n', s: { ...style, numFmt: "₹#,##0" } });
+
+        const wsData = [
+            [{ v: "INFORMATION TECHNOLOGY STUDENT ASSOCIATION (ITSA)", s: { font: { bold: true, sz: 14 } } }],
+            [{ v: "STUDENT ACCOUNT STATEMENT", s: { font: { bold: true, sz: 12 } } }],
+            [],
+            [{ v: `Student: ${statement.student.name} (${statement.student.prn})`, s: { font: { bold: true } } }],
+            [{ v: `Class: ${[statement.student.year, statement.student.division].filter(Boolean).join(' ') || 'N/A'}` }],
+            [{ v: "Period: " + getPeriodLabel(), s: { font: { bold: true } } }],
+            [{ v: "Generated On: " + new Date().toLocaleString('en-IN'), s: { font: { italic: true } } }],
+            [],
+            [
+                { v: "Date", s: headerStyle },
+                { v: "Type", s: headerStyle },
+                { v: "Description", s: headerStyle },
+                { v: "Reference", s: headerStyle },
+                { v: "Debit (₹)", s: headerStyle },
+                { v: "Credit (₹)", s: headerStyle },
+                { v: "Balance (₹)", s: headerStyle }
+            ],
+            [
+                { v: period.fromDate ? formatDate(period.fromDate) : '', s: totalStyle },
+                { v: "", s: totalStyle },
+                { v: "Opening balance", s: totalStyle },
+                { v: "", s: totalStyle },
+                { v: "", s: totalStyle },
+                { v: "", s: totalStyle },
+                amountCell(statement.openingBalance, totalStyle)
+            ]
+        ];
+
+        statement.entries.forEach(entry => {
+            wsData.push([
+                { v: formatDate(entry.date), s: cellStyle },
+                { v: KIND_LABELS[entry.kind], s: cellStyle },
+                { v: entry.description, s: cellStyle },
+                { v: entry.reference || '-', s: cellStyle },
+                entry.debit ? amountCell(entry.debit, { ...cellStyle, font: { color: { rgb: "FF0000" } } }) : { v: "", s: cellStyle },
+                entry.credit ? amountCell(entry.credit, { ...cellStyle, font: { color: { rgb: "006400" } } }) : { v: "", s: cellStyle },
+                amountCell(entry.balance)
+            ]);
+        });
+
+        wsData.push([
+            { v: "", s: totalStyle },
+            { v: "", s: totalStyle },
+            { v: "Closing balance", s: totalStyle },
+            { v: "", s: totalStyle },
+            amountCell(statement.totals.debit, totalStyle),
+            amountCell(statement.totals.credit, totalStyle),
+            amountCell(statement.closingBalance, totalStyle)
+        ]);
+
+        const worksheet = XLSX.utils.aoa_to_sheet([]);
+        XLSX.utils.sheet_add_aoa(worksheet, wsData, { origin: "A1" });
+
+        worksheet['!cols'] = [
+            { wch: 13 }, // Date
+            { wch: 12 }, // Type
+            { wch: 45 }, // Description
+            { wch: 22 }, // Reference
+            { wch: 13 }, // Debit
+            { wch: 13 }, // Credit
+            { wch: 13 }  // Balance
+        ];
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'Statement');
+        XLSX.writeFile(workbook, `${fileBase}.xlsx`);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[90vh] flex flex-col animate-fadeIn">
+                {/* Modal Header */}
+                <div className="flex items-center justify-between p-4 border-b border-gray-200">
+                    <div>
+                        <h2 className="text-lg font-semibold text-gray-800">Account Statement</h2>
+                        <p className="text-sm text-gray-500">{student.name} · {student.prn}</p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                    >
+                        <FiX className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {/* Period */}
+                <div className="p-4 border-b border-gray-100 flex flex-wrap items-end gap-3">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">From</label>
+                        <input type="date" value={period.fromDate}
+                            onChange={(e) => setPeriod(prev => ({ ...prev, fromDate: e.target.value }))}
+                            className="px-3 py-2 border border-gray-300 rounded-lg" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">To</label>
+                        <input type="date" value={period.toDate}
+                            onChange={(e) => setPeriod(prev => ({ ...prev, toDate: e.target.value }))}
+                            className="px-3 py-2 border border-gray-300 rounded-lg" />
+                    </div>
+                    <button onClick={fetchStatement} disabled={loading}
+                        className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50">
+                        Apply
+                    </button>
+                    <div className="flex-1" />
+                    <button onClick={handleDownloadPDF} disabled={busy || loading || !statement}
+                        className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50">
+                        <FiFileText /> {busy ? 'Preparing...' : 'PDF'}
+                    </button>
+                    <button onClick={handleExportExcel} disabled={loading || !statement}
+                        className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50">
+                        <FiDownload /> Excel
+                    </button>
+                </div>
+
+                {error && (
+                    <p className="mx-4 mt-4 p-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">{error}</p>
+                )}
+
+                <div className="overflow-y-auto p-4">
+                    {loading ? (
+                        <div className="flex justify-center py-12"><Loading text="Loading statement..." /></div>
+                    ) : statement && (
+                        <>
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 text-sm">
+                                <div className="p-3 bg-gray-50 rounded-lg">
+                                    <p className="text-xs text-gray-500 uppercase tracking-wide">Opening Balance</p>
+                                    <p className="font-semibold text-gray-800">{formatCurrency(statement.openingBalance)}</p>
+                                </div>
+                                <div className="p-3 bg-gray-50 rounded-lg">
+                                    <p className="text-xs text-gray-500 uppercase tracking-wide">Debits</p>
+                                    <p className="font-semibold text-red-600">{formatCurrency(statement.totals.debit)}</p>
+                                </div>
+                                <div className="p-3 bg-gray-50 rounded-lg">
+                                    <p className="text-xs text-gray-500 uppercase tracking-wide">Credits</p>
+                                    <p className="font-semibold text-green-700">{formatCurrency(statement.totals.credit)}</p>
+                                </div>
+                                <div className="p-3 bg-gray-50 rounded-lg">
+                                    <p className="text-xs text-gray-500 uppercase tracking-wide">Closing Balance</p>
+                                    <p className="font-semibold text-gray-800">{formatCurrency(statement.closingBalance)}</p>
+                                </div>
+                            </div>
+
+                            <table className="w-full text-sm">
+                                <thead className="bg-gray-50 text-gray-600">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left font-medium">Date</th>
+                                        <th className="px-3 py-2 text-left font-medium">Description</th>
+                                        <th className="px-3 py-2 text-left font-medium">Reference</th>
+                                        <th className="px-3 py-2 text-right font-medium">Debit</th>
+                                        <th className="px-3 py-2 text-right font-medium">Credit</th>
+                                        <th className="px-3 py-2 text-right font-medium">Balance</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    <tr className="font-medium text-gray-700">
+                                        <td className="px-3 py-2">{period.fromDate ? formatDate(period.fromDate) : ''}</td>
+                                        <td className="px-3 py-2" colSpan={4}>Opening balance</td>
+                                        <td className="px-3 py-2 text-right">{formatCurrency(statement.openingBalance)}</td>
+                                    </tr>
+                                    {statement.entries.map((entry, index) => (
+                                        <tr key={index} className="text-gray-700">
+                                            <td className="px-3 py-2 whitespace-nowrap">{formatDate(entry.date)}</td>
+                                            <td className="px-3 py-2">{entry.description}</td>
+                                            <td className="px-3 py-2 text-gray-500">{entry.reference || '-'}</td>
+                                            <td className="px-3 py-2 text-right text-red-600">{entry.debit ? formatCurrency(entry.debit) : ''}</td>
+                                            <td className="px-3 py-2 text-right text-green-700">{entry.credit ? formatCurrency(entry.credit) : ''}</td>
+                                            <td className="px-3 py-2 text-right font-medium">{formatCurrency(entry.balance)}</td>
+                                        </tr>
+                                    ))}
+                                    {statement.entries.length === 0 && (
+                                        <tr>
+                                            <td colSpan={6} className="px-3 py-6 text-center text-gray-500">No transactions in this period</td>
+                                        </tr>
+                                    )}
+                                    <tr className="font-semibold text-gray-800 bg-gray-50">
+                                        <td className="px-3 py-2"></td>
+                                        <td className="px-3 py-2" colSpan={2}>Closing balance</td>
+                                        <td className="px-3 py-2 text-right">{formatCurrency(statement.totals.debit)}</td>
+                                        <td className="px-3 py-2 text-right">{formatCurrency(statement.totals.credit)}</td>
+                                        <td className="px-3 py-2 text-right">{formatCurrency(statement.closingBalance)}</td>
+                                    </tr>
+                                </tbody>
+                            </table>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default StatementModal;
@@ -3,6 +3,14 @@ import { authAPI } from '../services/api';
 
 const AuthContext = createContext(null);
 
+// Role groups used to show/hide actions (mirrors the backend authorize() checks)
+export const ROLES = {
+    SUPER_ADMIN: ['super-admin'],
+    MANAGERS: ['super-admin', 'treasurer'],
+    COLLECTORS: ['super-admin', 'treasurer', 'collector'],
+    REPORT_VIEWERS: ['super-admin', 'treasurer', 'viewer'],
+};
+
 export const useAuth = () => {
     const context = useContext(AuthContext);
     if (!context) {
@@ -44,11 +52,11 @@ export const AuthProvider = ({ children }) => {
         try {
             setError(null);
             const response = await authAPI.login({ email, password });
-            // API returns: { success, message, data: { id, email, name, lastLogin, token } }
-            const { token, id, email: adminEmail, name, lastLogin } = response.data.data;
+            // API returns: { success, message, data: { id, email, name, role, lastLogin, token } }
+            const { token, id, email: adminEmail, name, role, lastLogin } = response.data.data;
 
             localStorage.setItem('adminToken', token);
-            setAdmin({ id, email: adminEmail, name, lastLogin });
+            setAdmin({ id, email: adminEmail, name, role, lastLogin });
 
             return { success: true };
         } catch (err) {
@@ -69,6 +77,11 @@ export const AuthProvider = ({ children }) => {
         return !!admin && !!localStorage.getItem('adminToken');
     };
 
+    // Check if the admin has one of the given roles
+    const hasRole = (roles) => {
+        return !!admin && roles.includes(admin.role || 'super-admin');
+    };
+
     const value = {
         admin,
         loading,
@@ -76,6 +89,7 @@ export const AuthProvider = ({ children }) => {
         login,
         logout,
         isAuthenticated,
+        hasRole,
         setError,
     };
 
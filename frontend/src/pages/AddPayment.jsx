@@ -9,7 +9,8 @@ import {
     FiCalendar,
     FiCheck,
     FiUser,
-    FiTag
+    FiTag,
+    FiClock
 } from 'react-icons/fi';
 import { BiRupee } from 'react-icons/bi';
 
@@ -30,9 +31,12 @@ const AddPayment = () => {
         type: 'fine',
         category: '',
         customCategory: '',
-        date: new Date().toLocaleString('sv').slice(0, 16).replace(' ', 'T') // Format: YYYY-MM-DDTHH:mm
+        date: new Date().toLocaleString('sv').slice(0, 16).replace(' ', 'T'), // Format: YYYY-MM-DDTHH:mm
+        dueDate: '',
+        paidAmount: ''
     });
     const [sendEmail, setSendEmail] = useState(true);
+    const [issueAsDue, setIssueAsDue] = useState(false);
 
     useEffect(() => {
         fetchData();
@@ -72,6 +76,12 @@ const AddPayment = () => {
             return;
         }
 
+        if (!issueAsDue && formData.paidAmount &&
+            (parseFloat(formData.paidAmount) <= 0 || parseFloat(formData.paidAmount) > parseFloat(formData.amount))) {
+            setError('Amount received must be between 1 and the charge amount');
+            return;
+        }
+
         const selectedCategory = formData.category === 'Others'
             ? (formData.customCategory.trim() || 'Others')
             : formData.category;
@@ -91,6 +101,9 @@ const AddPayment = () => {
                 type: formData.type,
                 category: selectedCategory,
                 date: formData.date,
+                isPaid: !issueAsDue,
+                dueDate: issueAsDue && formData.dueDate ? formData.dueDate : undefined,
+                paidAmount: !issueAsDue && formData.paidAmount ? parseFloat(formData.paidAmount) : undefined,
                 sendEmail: sendEmail
             });
 
@@ -103,7 +116,9 @@ const AddPayment = () => {
                 type: 'fine',
                 category: '',
                 customCategory: '',
-                date: new Date().toLocaleString('sv').slice(0, 16).replace(' ', 'T')
+                date: new Date().toLocaleString('sv').slice(0, 16).replace(' ', 'T'),
+                dueDate: '',
+                paidAmount: ''
             });
 
             // Redirect after delay
@@ -184,7 +199,9 @@ const AddPayment = () => {
                             <FiCheck className="w-5 h-5 text-white" />
                         </div>
                         <div>
-                            <h3 className="font-semibold text-green-800">Payment Added Successfully!</h3>
+                            <h3 className="font-semibold text-green-800">
+                                {issueAsDue ? 'Outstanding Charge Issued!' : 'Payment Added Successfully!'}
+                            </h3>
                             <p className="text-sm text-green-700">Redirecting to student details...</p>
                         </div>
                     </div>
@@ -316,6 +333,35 @@ const AddPayment = () => {
                         </div>
                     </div>
 
+                    {/* Partial Payment */}
+                    {!issueAsDue && (
+                        <div>
+                            <label htmlFor="paidAmount" className="block text-sm font-medium text-gray-700 mb-2">
+                                Amount Received Now (₹) <span className="text-gray-400 text-xs">(Optional)</span>
+                            </label>
+                            <div className="relative">
+                                <div className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400 font-medium">
+                                    ₹
+                                </div>
+                                <input
+                                    type="number"
+                                    id="paidAmount"
+                                    name="paidAmount"
+                                    value={formData.paidAmount}
+                                    onChange={handleChange}
+                                    placeholder={formData.amount ? `Full amount (${formData.amount})` : 'Full amount'}
+                                    min="1"
+                                    max={formData.amount || undefined}
+                                    step="1"
+                                    className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 
+                           focus:ring-primary-500 focus:border-primary-500 text-gray-800 
+                           placeholder-gray-400"
+                                />
+                            </div>
+                            <p className="mt-1 text-sm text-gray-500">Enter a smaller amount to record the first installment; the balance stays outstanding</p>
+                        </div>
+                    )}
+
                     {/* Reason */}
                     <div>
                         <label htmlFor="reason" className="block text-sm font-medium text-gray-700 mb-2">
@@ -358,20 +404,58 @@ const AddPayment = () => {
                         <p className="mt-1 text-sm text-gray-500">Defaults to current time if not specified</p>
                     </div>
 
-                    {/* Email Notification Option */}
-                    <div className="flex items-center space-x-3">
-                        <input
-                            type="checkbox"
-                            id="sendEmail"
-                            checked={sendEmail}
-                            onChange={(e) => setSendEmail(e.target.checked)}
-                            className="w-5 h-5 text-primary-600 border-gray-300 rounded focus:ring-primary-500 cursor-pointer"
-                        />
-                        <label htmlFor="sendEmail" className="text-sm font-medium text-gray-700 cursor-pointer">
-                            Send email notification to student
-                        </label>
+                    {/* Outstanding Due Option */}
+                    <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg space-y-4">
+                        <div className="flex items-center space-x-3">
+                            <input
+                                type="checkbox"
+                                id="issueAsDue"
+                                checked={issueAsDue}
+                                onChange={(e) => setIssueAsDue(e.target.checked)}
+                                className="w-5 h-5 text-amber-600 border-gray-300 rounded focus:ring-amber-500 cursor-pointer"
+                            />
+                            <label htmlFor="issueAsDue" className="text-sm font-medium text-amber-800 cursor-pointer">
+                                Issue as outstanding due (collect payment later)
+                            </label>
+                        </div>
+                        {issueAsDue && (
+                            <div>
+                                <label htmlFor="dueDate" className="block text-sm font-medium text-gray-700 mb-2">
+                                    Due Date <span className="text-gray-400 text-xs">(Optional)</span>
+                                </label>
+                                <div className="relative">
+                                    <FiClock className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                                    <input
+                                        type="date"
+                                        id="dueDate"
+                                        name="dueDate"
+                                        value={formData.dueDate}
+                                        onChange={handleChange}
+                                        className="w-full pl-12 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 
+                                   focus:ring-primary-500 focus:border-primary-500 text-gray-800"
+                                    />
+                                </div>
+                                <p className="mt-1 text-sm text-amber-700">No receipt is generated until the due is collected</p>
+                            </div>
+                        )}
                     </div>
 
+                    {/* Email Notification Option */}
+                    {!issueAsDue && (
+                        <div className="flex items-center space-x-3">
+                            <input
+                                type="checkbox"
+                                id="sendEmail"
+                                checked={sendEmail}
+                                onChange={(e) => setSendEmail(e.target.checked)}
+                                className="w-5 h-5 text-primary-600 border-gray-300 rounded focus:ring-primary-500 cursor-pointer"
+                            />
+                            <label htmlFor="sendEmail" className="text-sm font-medium text-gray-700 cursor-pointer">
+                                Send email notification to student
+                            </label>
+                        </div>
+                    )}
+
                     {/* Submit Button */}
                     <div className="flex justify-end space-x-4 pt-4">
                         <button
@@ -394,12 +478,12 @@ const AddPayment = () => {
                             {submitting ? (
                                 <>
                                     <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
-                                    <span>Adding Payment...</span>
+                                    <span>{issueAsDue ? 'Issuing Charge...' : 'Adding Payment...'}</span>
                                 </>
                             ) : (
                                 <>
                                     <BiRupee className="w-5 h-5" />
-                                    <span>Add {formData.type === 'fine' ? 'Fine' : 'Fee'}</span>
+                                    <span>{issueAsDue ? 'Issue' : 'Add'} {formData.type === 'fine' ? 'Fine' : 'Fee'}</span>
                                 </>
                             )}
                         </button>
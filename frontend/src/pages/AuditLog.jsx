@@ -0,0 +1,286 @@
+import { Fragment, useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { auditAPI } from '../services/api';
+import Loading from '../components/Loading';
+import ErrorMessage from '../components/ErrorMessage';
+import {
+    FiFilter,
+    FiChevronLeft,
+    FiChevronRight,
+    FiChevronDown,
+    FiChevronUp
+} from 'react-icons/fi';
+
+const EMPTY_FILTERS = {
+    entity: '', action: '', admin: '', entityId: '', search: '',
+    startDate: '', endDate: '', page: 1, limit: 25
+};
+
+const ACTION_STYLES = {
+    create: 'bg-green-100 text-green-700',
+    collect: 'bg-green-100 text-green-700',
+    update: 'bg-blue-100 text-blue-700',
+    delete: 'bg-red-100 text-red-700',
+    reverse: 'bg-orange-100 text-orange-700',
+    'late-fee': 'bg-amber-100 text-amber-700',
+    'login-failed': 'bg-red-100 text-red-700',
+    'password-change-failed': 'bg-red-100 text-red-700',
+};
+
+const AuditLog = () => {
+    const [logs, setLogs] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [pagination, setPagination] = useState({});
+    const [filterOptions, setFilterOptions] = useState({ entities: [], actions: [], admins: [] });
+    const [showFilters, setShowFilters] = useState(false);
+    const [expanded, setExpanded] = useState(null);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+    useEffect(() => {
+        fetchLogs();
+    }, [filters.page, filters.limit]);
+
+    const fetchLogs = async (activeFilters = filters) => {
+        try {
+            setLoading(true);
+            const params = {};
+            Object.entries(activeFilters).forEach(([key, value]) => {
+                if (value) params[key] = value;
+            });
+            const response = await auditAPI.getLogs(params);
+            setLogs(response.data.data.logs);
+            setPagination(response.data.data.pagination);
+            setFilterOptions(response.data.data.filters);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load audit log');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleFilterChange = (e) => {
+        setFilters(prev => ({ ...prev, [e.target.name]: e.target.value, page: 1 }));
+    };
+
+    const clearFilters = () => {
+        setFilters(EMPTY_FILTERS);
+        fetchLogs(EMPTY_FILTERS);
+    };
+
+    const formatDate = (date) => new Date(date).toLocaleString('en-IN', {
+        day: '2-digit', month: 'short', year: 'numeric',
+        hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: true
+    });
+
+    const formatValue = (value) => {
+        if (value === undefined || value === null || value === '') return '-';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    };
+
+    return (
+        <div className="animate-fadeIn">
+            {/* Header */}
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
+                <div>
+                    <div className="flex items-center gap-2 text-sm text-gray-500 mb-2">
+                        <Link to="/dashboard" className="hover:text-primary-600">Dashboard</Link>
+                        <span>/</span>
+                        <span className="text-gray-700">Audit Log</span>
+                    </div>
+                    <h1 className="text-2xl font-bold text-gray-800">Audit Log</h1>
+                    <p className="text-gray-600 mt-1">Who changed what, and when</p>
+                </div>
+                <button onClick={() => setShowFilters(!showFilters)}
+                    className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50">
+                    <FiFilter /> Filters
+                </button>
+            </div>
+
+            {/* Filters */}
+            {showFilters && (
+                <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 mb-6">
+                    <div className="flex justify-between items-center mb-4">
+                        <h3 className="font-semibold">Filters</h3>
+                        <button onClick={clearFilters} className="text-sm text-red-600">Clear All</button>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-600 mb-1">Record Type</label>
+                            <select name="entity" value={filters.entity} onChange={handleFilterChange}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg capitalize">
+                                <option value="">All</option>
+                                {filterOptions.entities.map(e => <option key={e} value={e}>{e}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-600 mb-1">Action</label>
+                            <select name="action" value={filters.action} onChange={handleFilterChange}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg capitalize">
+                                <option value="">All</option>
+                                {filterOptions.actions.map(a => <option key={a} value={a}>{a}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-600 mb-1">Admin</label>
+                            <select name="admin" value={filters.admin} onChange={handleFilterChange}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                <option value="">All</option>
+                                {filterOptions.admins.map(a => <option key={a} value={a}>{a}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-600 mb-1">Record ID / PRN</label>
+                            <input type="text" name="entityId" value={filters.entityId} onChange={handleFilterChange}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-600 mb-1">From Date</label>
+                            <input type="date" name="startDate" value={filters.startDate} onChange={handleFilterChange}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-600 mb-1">To Date</label>
+                            <input type="date" name="endDate" value={filters.endDate} onChange={handleFilterChange}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-600 mb-1">Search</label>
+                            <input type="text" name="search" value={filters.search} onChange={handleFilterChange}
+                                placeholder="Description, PRN, email"
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                        </div>
+                        <div className="flex items-end">
+                            <button onClick={() => fetchLogs()}
+                                className="w-full px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+                                Apply
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {error && <ErrorMessage message={error} onClose={() => setError('')} />}
+
+            {loading ? (
+                <div className="flex justify-center py-12"><Loading size="lg" /></div>
+            ) : (
+                <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+                    <div className="overflow-x-auto">
+                        <table className="w-full">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">When</th>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Admin</th>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Action</th>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Record</th>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Description</th>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">IP</th>
+                                    <th className="px-4 py-3"></th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {logs.length === 0 ? (
+                                    <tr><td colSpan="7" className="px-4 py-12 text-center text-gray-500">No audit entries found</td></tr>
+                                ) : (
+                                    logs.map((log) => {
+                                        const isExpanded = expanded === log._id;
+                                        const hasDetails = log.changes?.length > 0 || log.before || log.after;
+                                        return (
+                                            <Fragment key={log._id}>
+                                                <tr className="hover:bg-gray-50">
+                                                    <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">{formatDate(log.createdAt)}</td>
+                                                    <td className="px-4 py-3 text-sm text-gray-700">
+                                                        {log.adminName || '-'}
+                                                        <p className="text-xs text-gray-400">{log.adminEmail}</p>
+                                                    </td>
+                                                    <td className="px-4 py-3">
+                                                        <span className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${ACTION_STYLES[log.action] || 'bg-gray-100 text-gray-700'}`}>
+                                                            {log.action}
+                                                        </span>
+                                                    </td>
+                                                    <td className="px-4 py-3 text-sm text-gray-600">
+                                                        <span className="capitalize">{log.entity}</span>
+                                                        {log.entityId && <p className="text-xs text-gray-400 font-mono">{log.entityId}</p>}
+                                                    </td>
+                                                    <td className="px-4 py-3 text-sm text-gray-600 max-w-md">{log.description || '-'}</td>
+                                                    <td className="px-4 py-3 text-xs text-gray-500" title={log.userAgent}>{log.ip || '-'}</td>
+                                                    <td className="px-4 py-3 text-right">
+                                                        {hasDetails && (
+                                                            <button onClick={() => setExpanded(isExpanded ? null : log._id)}
+                                                                className="p-1 text-gray-400 hover:text-primary-600">
+                                                                {isExpanded ? <FiChevronUp /> : <FiChevronDown />}
+                                                            </button>
+                                                        )}
+                                                    </td>
+                                                </tr>
+                                                {isExpanded && (
+                                                    <tr className="bg-gray-50">
+                                                        <td colSpan="7" className="px-6 py-4">
+                                                            {log.changes?.length > 0 ? (
+                                                                <table className="w-full text-xs">
+                                                                    <thead>
+                                                                        <tr className="text-gray-500">
+                                                                            <th className="text-left py-1 pr-4">Field</th>
+                                                                            <th className="text-left py-1 pr-4">Before</th>
+                                                                            <th className="text-left py-1">After</th>
+                                                                        </tr>
+                                                                    </thead>
+                                                                    <tbody>
+                                                                        {log.changes.map(change => (
+                                                                            <tr key={change.field} className="align-top">
+                                                                                <td className="py-1 pr-4 font-medium text-gray-700">{change.field}</td>
+                                                                                <td className="py-1 pr-4 text-red-600 font-mono break-all">{formatValue(change.before)}</td>
+                                                                                <td className="py-1 text-green-700 font-mono break-all">{formatValue(change.after)}</td>
+                                                                            </tr>
+                                                                        ))}
+                                                                    </tbody>
+                                                                </table>
+                                                            ) : (
+                                                                <pre className="text-xs text-gray-600 whitespace-pre-wrap break-all">
+                                                                    {JSON.stringify(log.after || log.before, null, 2)}
+                                                                </pre>
+                                                            )}
+                                                        </td>
+                                                    </tr>
+                                                )}
+                                            </Fragment>
+                                        );
+                                    })
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {/* Pagination */}
+                    <div className="flex items-center justify-between px-4 py-4 border-t border-gray-100">
+                        <select value={filters.limit} onChange={(e) => setFilters(prev => ({ ...prev, limit: e.target.value, page: 1 }))}
+                            className="px-2 py-1 border rounded text-sm">
+                            <option value={25}>25</option>
+                            <option value={50}>50</option>
+                            <option value={100}>100</option>
+                        </select>
+                        <div className="flex items-center gap-4">
+                            <span className="text-sm text-gray-600">
+                                Page {pagination.currentPage} of {pagination.totalPages || 1} ({pagination.totalLogs || 0} entries)
+                            </span>
+                            <div className="flex gap-2">
+                                <button onClick={() => setFilters(prev => ({ ...prev, page: prev.page - 1 }))}
+                                    disabled={!pagination.hasPrevPage} className="p-2 rounded border disabled:opacity-50">
+                                    <FiChevronLeft />
+                                </button>
+                                <button onClick={() => setFilters(prev => ({ ...prev, page: prev.page + 1 }))}
+                                    disabled={!pagination.hasNextPage} className="p-2 rounded border disabled:opacity-50">
+                                    <FiChevronRight />
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AuditLog;
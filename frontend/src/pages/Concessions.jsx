@@ -0,0 +1,387 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { reportsAPI, studentsAPI } from '../services/api';
+import { useAuth, ROLES } from '../context/AuthContext';
+import Loading from '../components/Loading';
+import ErrorMessage from '../components/ErrorMessage';
+import * as XLSX from 'xlsx-js-style';
+import { headerStyle, cellStyle } from '../utils/excelStyles';
+import {
+    FiSearch,
+    FiDownload,
+    FiUsers,
+    FiClock,
+    FiCheck,
+    FiX
+} from 'react-icons/fi';
+import { BiRupee } from 'react-icons/bi';
+
+const STATUS_STYLES = {
+    approved: 'bg-green-100 text-green-700',
+    pending: 'bg-amber-100 text-amber-700',
+    rejected: 'bg-gray-100 text-gray-500',
+};
+
+const Concessions = () => {
+    const { admin, hasRole } = useAuth();
+    const canReview = hasRole(ROLES.MANAGERS);
+    const [concessions, setConcessions] = useState([]);
+    const [summary, setSummary] = useState({});
+    const [filterOptions, setFilterOptions] = useState({ years: [], divisions: [], categories: [] });
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [reviewing, setReviewing] = useState(null);
+
+    const [filters, setFilters] = useState({
+        status: '', year: '', division: '', category: '', search: '', fromDate: '', toDate: ''
+    });
+
+    useEffect(() => {
+        fetchConcessions();
+    }, []);
+
+    const getParams = () => {
+        const params = {};
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params[key] = value;
+        });
+        return params;
+    };
+
+    const fetchConcessions = async () => {
+        try {
+            setLoading(true);
+            const response = await reportsAPI.getConcessions(getParams());
+            setConcessions(response.data.data.concessions);
+            setSummary(response.data.data.summary);
+            setFilterOptions(response.data.data.filterOptions);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load concessions');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleFilterChange = (e) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleReview = async (concession, decision) => {
+        const note = window.prompt(
+            `${decision === 'approve' ? 'Approve' : 'Reject'} the concession of ${formatCurrency(concession.amount)} for ${concession.name}?\n\nNote (optional):`
+        );
+        if (note === null) {
+            return;
+        }
+
+        try {
+            setReviewing(concession._id);
+            setError('');
+            await studentsAPI.reviewConcession(concession.prn, concession.fineId, concession._id, {
+                decision,
+                note: note.trim() || undefined
+            });
+            await fetchConcessions();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to review concession');
+        } finally {
+            setReviewing(null);
+        }
+    };
+
+    const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+        style: 'currency', currency: 'INR', maximumFractionDigits: 0
+    }).format(amount || 0);
+
+    const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', {
+        day: '2-digit', month: 'short', year: 'numeric'
+    }) : '-');
+
+    const describeValue = (concession) => (concession.kind === 'percent'
+        ? `${concession.value}% of ${formatCurrency(concession.chargeAmount)}`
+        : 'Flat');
+
+    const exportToExcel = () => {
+        const wsData = [
+            [{ v: "INFORMATION TECHNOLOGY STUDENT ASSOCIATION (ITSA)", s: { font: { bold: true, sz: 14 } } }],
+            [{ v: "CONCESSIONS GRANTED", s: { font: { bold: true, sz: 12 } } }],
+            [],
+            [{ v: "Generated On: " + new Date().toLocaleString('en-IN'), s: { font: { italic: true } } }],
+            [{ v: "Total Granted:", s: { font: { bold: true } } }, { v: summary.approvedAmount || 0, t: 'n', s: { numFmt: "₹#,##0" } }],
+            [{ v: "Students:", s: { font: { bold: true } } }, { v: summary.studentCount || 0, t: 'n' }],
+            [],
+            [
+                { v: "Date", s: headerStyle },
+                { v: "PRN", s: headerStyle },
+                { v: "Name", s: headerStyle },
+                { v: "Class", s: headerStyle },
+                { v: "Category", s: headerStyle },
+                { v: "Charge (₹)", s: headerStyle },
+                { v: "Concession", s: headerStyle },
+                { v: "Amount (₹)", s: headerStyle },
+                { v: "Approved By", s: headerStyle },
+                { v: "Justification", s: headerStyle },
+                { v: "Recorded By", s: headerStyle },
+                { v: "Status", s: headerStyle },
+                { v: "Reviewed By", s: headerStyle }
+            ]
+        ];
+
+        concessions.forEach(c => {
+            wsData.push([
+                { v: formatDate(c.createdAt), s: cellStyle },
+                { v: c.prn, s: cellStyle },
+                { v: c.name, s: cellStyle },
+                { v: `${c.year || ''} ${c.division || ''}`.trim() || '-', s: cellStyle },
+                { v: c.category || 'Others', s: cellStyle },
+                { v: c.chargeAmount, t: 'n', s: cellStyle },
+                { v: c.kind === 'percent' ? `${c.value}%` : 'Flat', s: cellStyle },
+                { v: c.amount, t: 'n', s: cellStyle },
+                { v: c.approver, s: cellStyle },
+                { v: c.justification, s: cellStyle },
+                { v: c.requestedByName || '-', s: cellStyle },
+                { v: c.status, s: cellStyle },
+                { v: c.reviewedByName || '-', s: cellStyle }
+            ]);
+        });
+
+        const worksheet = XLSX.utils.aoa_to_sheet([]);
+        XLSX.utils.sheet_add_aoa(worksheet, wsData, { origin: "A1" });
+
+        worksheet['!cols'] = [
+            { wch: 13 }, // Date
+            { wch: 15 }, // PRN
+            { wch: 28 }, // Name
+            { wch: 10 }, // Class
+            { wch: 22 }, // Category
+            { wch: 12 }, // Charge
+            { wch: 12 }, // Concession
+            { wch: 12 }, // Amount
+            { wch: 20 }, // Approved By
+            { wch: 40 }, // Justification
+            { wch: 20 }, // Recorded By
+            { wch: 10 }, // Status
+            { wch: 20 }  // Reviewed By
+        ];
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'Concessions');
+        XLSX.writeFile(workbook, `Concessions_Report_${new Date().toISOString().split('T')[0]}.xlsx`);
+    };
+
+    return (
+        <div className="animate-fadeIn">
+            {/* Header */}
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
+                <div>
+                    <div className="flex items-center gap-2 text-sm text-gray-500 mb-2">
+                        <Link to="/dashboard" className="hover:text-primary-600">Dashboard</Link>
+                        <span>/</span>
+                        <span className="text-gray-700">Concessions</span>
+                    </div>
+                    <h1 className="text-2xl font-bold text-gray-800">Concessions</h1>
+                    <p className="text-gray-600 mt-1">Discounts granted on student charges and those awaiting approval</p>
+                </div>
+                <button onClick={exportToExcel} disabled={concessions.length === 0}
+                    className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50">
+                    <FiDownload /> Export Excel
+                </button>
+            </div>
+
+            {error && <ErrorMessage message={error} onClose={() => setError('')} />}
+
+            {/* Summary Cards */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+                <div className="bg-gradient-to-br from-green-50 to-green-100 rounded-xl p-6 border border-green-200">
+                    <div className="flex items-center space-x-4">
+                        <div className="w-10 h-10 bg-green-500 rounded-lg flex items-center justify-center">
+                            <BiRupee className="w-5 h-5 text-white" />
+                        </div>
+                        <div>
+                            <p className="text-sm text-green-600 font-medium">Granted</p>
+                            <p className="text-xl font-bold text-green-800">{formatCurrency(summary.approvedAmount)}</p>
+                            <p className="text-xs text-green-600">{summary.approvedCount || 0} concessions</p>
+                        </div>
+                    </div>
+                </div>
+                <div className="bg-gradient-to-br from-blue-50 to-blue-100 rounded-xl p-6 border border-blue-200">
+                    <div className="flex items-center space-x-4">
+                        <div className="w-10 h-10 bg-blue-500 rounded-lg flex items-center justify-center">
+                            <FiUsers className="w-5 h-5 text-white" />
+                        </div>
+                        <div>
+                            <p className="text-sm text-blue-600 font-medium">Students</p>
+                            <p className="text-xl font-bold text-blue-800">{summary.studentCount || 0}</p>
+                        </div>
+                    </div>
+                </div>
+                <div className="bg-gradient-to-br from-amber-50 to-amber-100 rounded-xl p-6 border border-amber-200">
+                    <div className="flex items-center space-x-4">
+                        <div className="w-10 h-10 bg-amber-500 rounded-lg flex items-center justify-center">
+                            <FiClock className="w-5 h-5 text-white" />
+                        </div>
+                        <div>
+                            <p className="text-sm text-amber-600 font-medium">Awaiting Approval</p>
+                            <p className="text-xl font-bold text-amber-800">{summary.pendingCount || 0}</p>
+                            <p className="text-xs text-amber-600">{formatCurrency(summary.pendingAmount)}</p>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            {/* By Category */}
+            {summary.byCategory?.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-6">
+                    {summary.byCategory.map(row => (
+                        <span key={row.category} className="text-sm px-3 py-1 bg-white border border-gray-200 rounded-full text-gray-700">
+                            {row.category}: <b>{formatCurrency(row.amount)}</b> ({row.count})
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            {/* Filters */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 mb-6">
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">Status</label>
+                        <select name="status" value={filters.status} onChange={handleFilterChange}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            <option value="">All</option>
+                            <option value="approved">Approved</option>
+                            <option value="pending">Awaiting approval</option>
+                            <option value="rejected">Rejected</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">Class</label>
+                        <select name="year" value={filters.year} onChange={handleFilterChange}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            <option value="">All Classes</option>
+                            {filterOptions.years.map(y => <option key={y} value={y}>{y}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">Division</label>
+                        <select name="division" value={filters.division} onChange={handleFilterChange}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            <option value="">All Divisions</option>
+                            {filterOptions.divisions.map(d => <option key={d} value={d}>{d}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">Category</label>
+                        <select name="category" value={filters.category} onChange={handleFilterChange}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            <option value="">All Categories</option>
+                            {filterOptions.categories.map(c => <option key={c} value={c}>{c}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">Search</label>
+                        <div className="relative">
+                            <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                            <input type="text" name="search" value={filters.search} onChange={handleFilterChange}
+                                placeholder="PRN or Name" className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg" />
+                        </div>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">From</label>
+                        <input type="date" name="fromDate" value={filters.fromDate} onChange={handleFilterChange}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">To</label>
+                        <input type="date" name="toDate" value={filters.toDate} onChange={handleFilterChange}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                    </div>
+                    <div className="flex items-end">
+                        <button onClick={fetchConcessions}
+                            className="w-full px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+                            Apply
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            {/* Concessions */}
+            {loading ? (
+                <div className="flex justify-center py-12"><Loading size="lg" /></div>
+            ) : concessions.length === 0 ? (
+                <div className="bg-white rounded-xl shadow-sm border border-gray-100 px-6 py-12 text-center text-gray-500">
+                    No concessions found
+                </div>
+            ) : (
+                <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-x-auto">
+                    <table className="w-full">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Date</th>
+                                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Student</th>
+                                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Charge</th>
+                                <th className="px-6 py-3 text-right text-xs font-semibold text-gray-600 uppercase">Concession</th>
+                                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Approved By</th>
+                                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Status</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {concessions.map(c => (
+                                <tr key={c._id} className="hover:bg-gray-50 align-top">
+                                    <td className="px-6 py-4 text-sm text-gray-600 whitespace-nowrap">{formatDate(c.createdAt)}</td>
+                                    <td className="px-6 py-4 text-sm">
+                                        <Link to={`/student/${c.prn}`} className="font-medium text-primary-600">{c.prn}</Link>
+                                        <p className="text-gray-700">{c.name}</p>
+                                        <p className="text-xs text-gray-400">{`${c.year || ''} ${c.division || ''}`.trim()}</p>
+                                    </td>
+                                    <td className="px-6 py-4 text-sm text-gray-700">
+                                        {c.category || 'Others'}
+                                        {c.reason && <p className="text-xs text-gray-500">{c.reason}</p>}
+                                    </td>
+                                    <td className="px-6 py-4 text-right whitespace-nowrap">
+                                        <p className="text-sm font-semibold text-gray-800">{formatCurrency(c.amount)}</p>
+                                        <p className="text-xs text-gray-500">{describeValue(c)}</p>
+                                    </td>
+                                    <td className="px-6 py-4 text-sm text-gray-700 max-w-xs">
+                                        {c.approver}
+                                        <p className="text-xs text-gray-500">{c.justification}</p>
+                                        <p className="text-xs text-gray-400">Recorded by {c.requestedByName || '-'}</p>
+                                    </td>
+                                    <td className="px-6 py-4 text-sm">
+                                        <span className={`text-xs px-2 py-1 rounded-full font-medium capitalize ${STATUS_STYLES[c.status]}`}>
+                                            {c.status === 'pending' ? 'Awaiting approval' : c.status}
+                                        </span>
+                                        {c.reviewedByName && (
+                                            <p className="text-xs text-gray-500 mt-1">
+                                                by {c.reviewedByName}, {formatDate(c.reviewedAt)}
+                                                {c.reviewNote && ` · ${c.reviewNote}`}
+                                            </p>
+                                        )}
+                                        {c.status === 'pending' && canReview && (
+                                            String(c.requestedBy) === String(admin?.id) ? (
+                                                <p className="text-xs text-gray-400 mt-1">Needs another admin</p>
+                                            ) : (
+                                                <div className="flex gap-1 mt-2">
+                                                    <button onClick={() => handleReview(c, 'approve')} disabled={reviewing === c._id}
+                                                        className="inline-flex items-center gap-1 px-2 py-1 text-xs bg-green-100 text-green-700 rounded hover:bg-green-200 disabled:opacity-50">
+                                                        <FiCheck /> Approve
+                                                    </button>
+                                                    <button onClick={() => handleReview(c, 'reject')} disabled={reviewing === c._id}
+                                                        className="inline-flex items-center gap-1 px-2 py-1 text-xs bg-red-50 text-red-600 rounded hover:bg-red-100 disabled:opacity-50">
+                                                        <FiX /> Reject
+                                                    </button>
+                                                </div>
+                                            )
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Concessions;
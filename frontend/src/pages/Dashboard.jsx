@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { expenditureAPI } from '../services/api';
+import { useAuth, ROLES } from '../context/AuthContext';
 import Loading from '../components/Loading';
 import ErrorMessage from '../components/ErrorMessage';
 import {
@@ -10,11 +11,13 @@ import {
     FiFileText,
     FiUpload,
     FiSearch,
-    FiPlusCircle
+    FiPlusCircle,
+    FiClock
 } from 'react-icons/fi';
 import { FaRupeeSign } from 'react-icons/fa';
 
 const Dashboard = () => {
+    const { hasRole } = useAuth();
     const [summary, setSummary] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
@@ -76,7 +79,11 @@ const Dashboard = () => {
                             <p className="text-2xl font-bold text-gray-800 mt-1">
                                 {formatCurrency(summary?.financial?.totalIncome)}
                             </p>
-                            <p className="text-xs text-gray-400 mt-1">From all fines collected</p>
+                            <p className="text-xs text-gray-400 mt-1">
+                                {summary?.financial?.totalRefunded > 0
+                                    ? `Net of ${formatCurrency(summary.financial.totalRefunded)} refunded`
+                                    : 'From all payments collected'}
+                            </p>
                         </div>
                         <div className="w-12 h-12 bg-gradient-to-br from-green-400 to-green-600 rounded-xl 
                             flex items-center justify-center shadow-lg shadow-green-200">
@@ -140,7 +147,7 @@ const Dashboard = () => {
             </div>
 
             {/* Quick Stats Row */}
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
                 <Link to="/admin/transactions"
                     className="bg-gradient-to-br from-emerald-50 to-emerald-100 rounded-xl p-6 border border-emerald-200 hover:border-emerald-300 transition-colors cursor-pointer">
                     <div className="flex items-center space-x-4">
@@ -148,7 +155,7 @@ const Dashboard = () => {
                             <FiFileText className="w-5 h-5 text-white" />
                         </div>
                         <div>
-                            <p className="text-sm text-emerald-600 font-medium">Total Payments</p>
+                            <p className="text-sm text-emerald-600 font-medium">Collected Payments</p>
                             <p className="text-xl font-bold text-emerald-800">
                                 {summary?.statistics?.totalFines || 0}
                             </p>
@@ -170,6 +177,24 @@ const Dashboard = () => {
                         </div>
                     </div>
                 </Link>
+
+                <Link to="/admin/dues"
+                    className="bg-gradient-to-br from-amber-50 to-amber-100 rounded-xl p-6 border border-amber-200 hover:border-amber-300 transition-colors cursor-pointer">
+                    <div className="flex items-center space-x-4">
+                        <div className="w-10 h-10 bg-amber-500 rounded-lg flex items-center justify-center">
+                            <FiClock className="w-5 h-5 text-white" />
+                        </div>
+                        <div>
+                            <p className="text-sm text-amber-600 font-medium">Outstanding Dues</p>
+                            <p className="text-xl font-bold text-amber-800">
+                                {formatCurrency(summary?.financial?.totalOutstanding)}
+                            </p>
+                            <p className="text-xs text-amber-600">
+                                {summary?.statistics?.outstandingDues || 0} charges • {summary?.statistics?.studentsWithDues || 0} students
+                            </p>
+                        </div>
+                    </div>
+                </Link>
             </div>
 
             {/* Category Breakdown & Quick Actions */}
@@ -217,18 +242,20 @@ const Dashboard = () => {
                 <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
                     <h2 className="text-lg font-semibold text-gray-800 mb-4">Quick Actions</h2>
                     <div className="grid grid-cols-2 gap-4">
-                        <Link
-                            to="/upload"
-                            className="flex flex-col items-center justify-center p-6 bg-gradient-to-br 
-                         from-primary-50 to-primary-100 rounded-xl border border-primary-200 
-                         hover:from-primary-100 hover:to-primary-200 transition-all group"
-                        >
-                            <div className="w-12 h-12 bg-primary-700 rounded-xl flex items-center justify-center 
-                              mb-3 group-hover:scale-110 transition-transform">
-                                <FiUpload className="w-6 h-6 text-white" />
-                            </div>
-                            <span className="text-sm font-medium text-primary-800">Upload CSV</span>
-                        </Link>
+                        {hasRole(ROLES.MANAGERS) && (
+                            <Link
+                                to="/upload"
+                                className="flex flex-col items-center justify-center p-6 bg-gradient-to-br 
+                             from-primary-50 to-primary-100 rounded-xl border border-primary-200 
+                             hover:from-primary-100 hover:to-primary-200 transition-all group"
+                            >
+                                <div className="w-12 h-12 bg-primary-700 rounded-xl flex items-center justify-center 
+                                  mb-3 group-hover:scale-110 transition-transform">
+                                    <FiUpload className="w-6 h-6 text-white" />
+                                </div>
+                                <span className="text-sm font-medium text-primary-800">Upload CSV</span>
+                            </Link>
+                        )}
 
                         <Link
                             to="/search"
@@ -243,31 +270,35 @@ const Dashboard = () => {
                             <span className="text-sm font-medium text-secondary-800">Search Student</span>
                         </Link>
 
-                        <Link
-                            to="/expenditure"
-                            className="flex flex-col items-center justify-center p-6 bg-gradient-to-br 
-                         from-amber-50 to-amber-100 rounded-xl border border-amber-200 
-                         hover:from-amber-100 hover:to-amber-200 transition-all group"
-                        >
-                            <div className="w-12 h-12 bg-amber-500 rounded-xl flex items-center justify-center 
-                              mb-3 group-hover:scale-110 transition-transform">
-                                <FiPlusCircle className="w-6 h-6 text-white" />
-                            </div>
-                            <span className="text-sm font-medium text-amber-800">Add Expenditure</span>
-                        </Link>
+                        {hasRole(ROLES.MANAGERS) && (
+                            <Link
+                                to="/expenditure"
+                                className="flex flex-col items-center justify-center p-6 bg-gradient-to-br 
+                             from-amber-50 to-amber-100 rounded-xl border border-amber-200 
+                             hover:from-amber-100 hover:to-amber-200 transition-all group"
+                            >
+                                <div className="w-12 h-12 bg-amber-500 rounded-xl flex items-center justify-center 
+                                  mb-3 group-hover:scale-110 transition-transform">
+                                    <FiPlusCircle className="w-6 h-6 text-white" />
+                                </div>
+                                <span className="text-sm font-medium text-amber-800">Add Expenditure</span>
+                            </Link>
+                        )}
 
-                        <Link
-                            to="/admin/transactions"
-                            className="flex flex-col items-center justify-center p-6 bg-gradient-to-br 
-                         from-purple-50 to-purple-100 rounded-xl border border-purple-200 
-                         hover:from-purple-100 hover:to-purple-200 transition-all group"
-                        >
-                            <div className="w-12 h-12 bg-purple-600 rounded-xl flex items-center justify-center 
-                              mb-3 group-hover:scale-110 transition-transform">
-                                <FiFileText className="w-6 h-6 text-white" />
-                            </div>
-                            <span className="text-sm font-medium text-purple-800">View Transactions</span>
-                        </Link>
+                        {hasRole(ROLES.REPORT_VIEWERS) && (
+                            <Link
+                                to="/admin/transactions"
+                                className="flex flex-col items-center justify-center p-6 bg-gradient-to-br 
+                             from-purple-50 to-purple-100 rounded-xl border border-purple-200 
+                             hover:from-purple-100 hover:to-purple-200 transition-all group"
+                            >
+                                <div className="w-12 h-12 bg-purple-600 rounded-xl flex items-center justify-center 
+                                  mb-3 group-hover:scale-110 transition-transform">
+                                    <FiFileText className="w-6 h-6 text-white" />
+                                </div>
+                                <span className="text-sm font-medium text-purple-800">View Transactions</span>
+                            </Link>
+                        )}
                     </div>
                 </div>
             </div>
@@ -0,0 +1,417 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { reportsAPI } from '../services/api';
+import { useAuth, ROLES } from '../context/AuthContext';
+import Loading from '../components/Loading';
+import ErrorMessage from '../components/ErrorMessage';
+import * as XLSX from 'xlsx-js-style';
+import { headerStyle, cellStyle, totalStyle } from '../utils/excelStyles';
+import {
+    FiSearch,
+    FiDownload,
+    FiMail,
+    FiUsers,
+    FiClock,
+    FiX
+} from 'react-icons/fi';
+import { BiRupee } from 'react-icons/bi';
+
+const RESULT_STYLES = {
+    sent: 'text-green-700',
+    queued: 'text-amber-600',
+    skipped: 'text-gray-500',
+    failed: 'text-red-600',
+};
+
+const Defaulters = () => {
+    const { hasRole } = useAuth();
+    const canRemind = hasRole(ROLES.MANAGERS);
+    const [groups, setGroups] = useState([]);
+    const [summary, setSummary] = useState({});
+    const [filterOptions, setFilterOptions] = useState({ years: [], divisions: [] });
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [selected, setSelected] = useState(new Set());
+    const [sending, setSending] = useState(false);
+    const [reminderReport, setReminderReport] = useState(null);
+
+    const [filters, setFilters] = useState({ year: '', division: '', search: '', minDays: '' });
+
+    useEffect(() => {
+        fetchDefaulters();
+    }, []);
+
+    const getParams = () => {
+        const params = {};
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params[key] = value;
+        });
+        return params;
+    };
+
+    const fetchDefaulters = async () => {
+        try {
+            setLoading(true);
+            const response = await reportsAPI.getDefaulters(getParams());
+            setGroups(response.data.data.groups);
+            setSummary(response.data.data.summary);
+            setFilterOptions(response.data.data.filterOptions);
+            setSelected(new Set());
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load defaulters');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleFilterChange = (e) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({ ...prev, [name]: value }));
+    };
+
+    const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+        style: 'currency', currency: 'INR', maximumFractionDigits: 0
+    }).format(amount || 0);
+
+    const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', {
+        day: '2-digit', month: 'short', year: 'numeric'
+    }) : '-');
+
+    const groupLabel = (group) => `${group.year || 'No class'}${group.division ? ` / ${group.division}` : ''}`;
+
+    const toggleStudent = (prn) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            if (next.has(prn)) next.delete(prn);
+            else next.add(prn);
+            return next;
+        });
+    };
+
+    const toggleGroup = (group) => {
+        const prns = group.students.map(s => s.prn);
+        const allSelected = prns.every(prn => selected.has(prn));
+        setSelected(prev => {
+            const next = new Set(prev);
+            prns.forEach(prn => (allSelected ? next.delete(prn) : next.add(prn)));
+            return next;
+        });
+    };
+
+    const sendReminders = async () => {
+        if (!window.confirm(`Email a dues reminder to ${selected.size} student${selected.size === 1 ? '' : 's'}?`)) {
+            return;
+        }
+
+        try {
+            setSending(true);
+            setError('');
+            const response = await reportsAPI.remindDefaulters({
+                prns: [...selected],
+                minDays: filters.minDays || undefined
+            });
+            setReminderReport(response.data.data);
+            await fetchDefaulters();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to send reminders');
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const exportToExcel = () => {
+        const wsData = [
+            [{ v: "INFORMATION TECHNOLOGY STUDENT ASSOCIATION (ITSA)", s: { font: { bold: true, sz: 14 } } }],
+            [{ v: "DEFAULTERS REPORT", s: { font: { bold: true, sz: 12 } } }],
+            [],
+            [{ v: "Generated On: " + new Date().toLocaleString('en-IN'), s: { font: { italic: true } } }],
+            [{ v: `Overdue by at least ${filters.minDays || 0} days`, s: { font: { italic: true } } }],
+            [{ v: "Total Overdue:", s: { font: { bold: true } } }, { v: summary.overdueAmount || 0, t: 'n', s: { numFmt: "₹#,##0" } }],
+            [{ v: "Students:", s: { font: { bold: true } } }, { v: summary.studentCount || 0, t: 'n' }],
+            [],
+            [
+                { v: "PRN", s: headerStyle },
+                { v: "Name", s: headerStyle },
+                { v: "Roll No", s: headerStyle },
+                { v: "Email", s: headerStyle },
+                { v: "Overdue Charges", s: headerStyle },
+                { v: "Overdue (₹)", s: headerStyle },
+                { v: "Total Outstanding (₹)", s: headerStyle },
+                { v: "Days Overdue", s: headerStyle },
+                { v: "Last Reminded", s: headerStyle }
+            ]
+        ];
+
+        groups.forEach(group => {
+            wsData.push([
+                { v: groupLabel(group), s: totalStyle },
+                { v: `${group.studentCount} students`, s: totalStyle },
+                { v: "", s: totalStyle },
+                { v: "", s: totalStyle },
+                { v: "", s: totalStyle },
+                { v: group.overdueAmount, t: 'n', s: totalStyle },
+                { v: "", s: totalStyle },
+                { v: "", s: totalStyle },
+                { v: "", s: totalStyle }
+            ]);
+            group.students.forEach(s => {
+                wsData.push([
+                    { v: s.prn, s: cellStyle },
+                    { v: s.name, s: cellStyle },
+                    { v: s.rollNo || '-', s: cellStyle },
+                    { v: s.email || '-', s: cellStyle },
+                    { v: s.dues.map(due => `${due.category || 'Others'} (${formatDate(due.dueDate)})`).join(', '), s: cellStyle },
+                    { v: s.overdueAmount, t: 'n', s: cellStyle },
+                    { v: s.totalOutstanding, t: 'n', s: cellStyle },
+                    { v: s.daysOverdue, t: 'n', s: cellStyle },
+                    { v: s.lastRemindedAt ? formatDate(s.lastRemindedAt) : 'Never', s: cellStyle }
+                ]);
+            });
+        });
+
+        const worksheet = XLSX.utils.aoa_to_sheet([]);
+        XLSX.utils.sheet_add_aoa(worksheet, wsData, { origin: "A1" });
+
+        worksheet['!cols'] = [
+            { wch: 15 }, // PRN
+            { wch: 28 }, // Name
+            { wch: 10 }, // Roll No
+            { wch: 28 }, // Email
+            { wch: 40 }, // Overdue Charges
+            { wch: 14 }, // Overdue
+            { wch: 20 }, // Total Outstanding
+            { wch: 14 }, // Days Overdue
+            { wch: 15 }  // Last Reminded
+        ];
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'Defaulters');
+        XLSX.writeFile(workbook, `Defaulters_Report_${new Date().toISOString().split('T')[0]}.xlsx`);
+    };
+
+    return (
+        <div className="animate-fadeIn">
+            {/* Header */}
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
+                <div>
+                    <div className="flex items-center gap-2 text-sm text-gray-500 mb-2">
+                        <Link to="/dashboard" className="hover:text-primary-600">Dashboard</Link>
+                        <span>/</span>
+                        <span className="text-gray-700">Defaulters</span>
+                    </div>
+                    <h1 className="text-2xl font-bold text-gray-800">Defaulters</h1>
+                    <p className="text-gray-600 mt-1">Students with charges past their due date</p>
+                </div>
+                <div className="flex gap-3">
+                    {canRemind && (
+                        <button onClick={sendReminders} disabled={selected.size === 0 || sending}
+                            className="flex items-center gap-2 px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 disabled:opacity-50">
+                            <FiMail /> {sending ? 'Sending...' : `Send Reminder${selected.size ? ` (${selected.size})` : ''}`}
+                        </button>
+                    )}
+                    <button onClick={exportToExcel} disabled={groups.length === 0}
+                        className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50">
+                        <FiDownload /> Export Excel
+                    </button>
+                </div>
+            </div>
+
+            {error && <ErrorMessage message={error} onClose={() => setError('')} />}
+
+            {/* Reminder Report */}
+            {reminderReport && (
+                <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 mb-6">
+                    <div className="flex justify-between items-start">
+                        <h3 className="font-semibold text-gray-800">
+                            Reminders: {reminderReport.summary.sent} sent, {reminderReport.summary.queued} queued, {reminderReport.summary.skipped} skipped, {reminderReport.summary.failed} failed
+                        </h3>
+                        <button onClick={() => setReminderReport(null)} className="text-gray-400 hover:text-gray-600">
+                            <FiX />
+                        </button>
+                    </div>
+                    {reminderReport.results.some(r => r.status !== 'sent') && (
+                        <ul className="mt-3 space-y-1 text-sm">
+                            {reminderReport.results.filter(r => r.status !== 'sent').map(r => (
+                                <li key={r.prn} className={RESULT_STYLES[r.status]}>
+                                    {r.prn}{r.name && ` (${r.name})`}: {r.message}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+
+            {/* Summary Cards */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+                <div className="bg-gradient-to-br from-rose-50 to-rose-100 rounded-xl p-6 border border-rose-200">
+                    <div className="flex items-center space-x-4">
+                        <div className="w-10 h-10 bg-rose-500 rounded-lg flex items-center justify-center">
+                            <BiRupee className="w-5 h-5 text-white" />
+                        </div>
+                        <div>
+                            <p className="text-sm text-rose-600 font-medium">Total Overdue</p>
+                            <p className="text-xl font-bold text-rose-800">{formatCurrency(summary.overdueAmount)}</p>
+                        </div>
+                    </div>
+                </div>
+                <div className="bg-gradient-to-br from-blue-50 to-blue-100 rounded-xl p-6 border border-blue-200">
+                    <div className="flex items-center space-x-4">
+                        <div className="w-10 h-10 bg-blue-500 rounded-lg flex items-center justify-center">
+                            <FiUsers className="w-5 h-5 text-white" />
+                        </div>
+                        <div>
+                            <p className="text-sm text-blue-600 font-medium">Defaulters</p>
+                            <p className="text-xl font-bold text-blue-800">{summary.studentCount || 0}</p>
+                        </div>
+                    </div>
+                </div>
+                <div className="bg-gradient-to-br from-amber-50 to-amber-100 rounded-xl p-6 border border-amber-200">
+                    <div className="flex items-center space-x-4">
+                        <div className="w-10 h-10 bg-amber-500 rounded-lg flex items-center justify-center">
+                            <FiClock className="w-5 h-5 text-white" />
+                        </div>
+                        <div>
+                            <p className="text-sm text-amber-600 font-medium">Never Reminded</p>
+                            <p className="text-xl font-bold text-amber-800">{summary.neverReminded || 0}</p>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            {/* Filters */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 mb-6">
+                <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">Class</label>
+                        <select name="year" value={filters.year} onChange={handleFilterChange}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            <option value="">All Classes</option>
+                            {filterOptions.years.map(y => <option key={y} value={y}>{y}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">Division</label>
+                        <select name="division" value={filters.division} onChange={handleFilterChange}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            <option value="">All Divisions</option>
+                            {filterOptions.divisions.map(d => <option key={d} value={d}>{d}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">Search</label>
+                        <div className="relative">
+                            <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                            <input type="text" name="search" value={filters.search} onChange={handleFilterChange}
+                                placeholder="PRN or Name" className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg" />
+                        </div>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">Overdue by at least</label>
+                        <select name="minDays" value={filters.minDays} onChange={handleFilterChange}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            <option value="">Any time</option>
+                            <option value="7">7 days</option>
+                            <option value="15">15 days</option>
+                            <option value="30">30 days</option>
+                            <option value="60">60 days</option>
+                        </select>
+                    </div>
+                    <div className="flex items-end">
+                        <button onClick={fetchDefaulters}
+                            className="w-full px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+                            Apply
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            {/* Groups */}
+            {loading ? (
+                <div className="flex justify-center py-12"><Loading size="lg" /></div>
+            ) : groups.length === 0 ? (
+                <div className="bg-white rounded-xl shadow-sm border border-gray-100 px-6 py-12 text-center text-gray-500">
+                    No overdue dues
+                </div>
+            ) : (
+                <div className="space-y-6">
+                    {groups.map(group => (
+                        <div key={groupLabel(group)} className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+                            <div className="flex items-center justify-between px-6 py-3 bg-gray-50 border-b border-gray-100">
+                                <label className="flex items-center gap-3 font-semibold text-gray-800">
+                                    {canRemind && (
+                                        <input type="checkbox"
+                                            checked={group.students.every(s => selected.has(s.prn))}
+                                            onChange={() => toggleGroup(group)}
+                                            className="w-4 h-4 rounded border-gray-300" />
+                                    )}
+                                    {groupLabel(group)}
+                                    <span className="text-sm font-normal text-gray-500">{group.studentCount} students</span>
+                                </label>
+                                <span className="font-semibold text-rose-700">{formatCurrency(group.overdueAmount)}</span>
+                            </div>
+                            <div className="overflow-x-auto">
+                                <table className="w-full">
+                                    <thead>
+                                        <tr>
+                                            {canRemind && <th className="w-10"></th>}
+                                            <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">PRN</th>
+                                            <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Name</th>
+                                            <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Overdue Charges</th>
+                                            <th className="px-6 py-3 text-right text-xs font-semibold text-gray-600 uppercase">Overdue</th>
+                                            <th className="px-6 py-3 text-right text-xs font-semibold text-gray-600 uppercase">Days</th>
+                                            <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Last Reminded</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-100">
+                                        {group.students.map(s => (
+                                            <tr key={s.prn} className="hover:bg-gray-50 align-top">
+                                                {canRemind && (
+                                                    <td className="pl-6 py-4">
+                                                        <input type="checkbox" checked={selected.has(s.prn)}
+                                                            onChange={() => toggleStudent(s.prn)}
+                                                            className="w-4 h-4 rounded border-gray-300" />
+                                                    </td>
+                                                )}
+                                                <td className="px-6 py-4 text-sm font-medium text-primary-600">
+                                                    <Link to={`/student/${s.prn}`}>{s.prn}</Link>
+                                                </td>
+                                                <td className="px-6 py-4 text-sm text-gray-700">
+                                                    {s.name}
+                                                    {!s.email && <p className="text-xs text-gray-400">No email</p>}
+                                                </td>
+                                                <td className="px-6 py-4">
+                                                    <ul className="space-y-1">
+                                                        {s.dues.map(due => (
+                                                            <li key={due._id} className="text-sm text-gray-700">
+                                                                {due.category || 'Others'}: {formatCurrency(due.balance)}
+                                                                <span className="text-xs text-red-600"> due {formatDate(due.dueDate)}</span>
+                                                            </li>
+                                                        ))}
+                                                    </ul>
+                                                </td>
+                                                <td className="px-6 py-4 text-sm font-semibold text-rose-700 text-right">
+                                                    {formatCurrency(s.overdueAmount)}
+                                                </td>
+                                                <td className="px-6 py-4 text-sm text-gray-700 text-right">{s.daysOverdue}</td>
+                                                <td className="px-6 py-4 text-sm text-gray-600">
+                                                    {s.lastRemindedAt ? (
+                                                        <>
+                                                            {formatDate(s.lastRemindedAt)}
+                                                            <span className="text-xs text-gray-400"> ({s.reminderCount}×)</span>
+                                                        </>
+                                                    ) : 'Never'}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Defaulters;
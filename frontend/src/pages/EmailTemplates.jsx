@@ -0,0 +1,331 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { emailTemplateAPI } from '../services/api';
+import Loading from '../components/Loading';
+import ErrorMessage from '../components/ErrorMessage';
+import {
+    FiX,
+    FiSave,
+    FiRotateCcw,
+    FiSend,
+    FiMail,
+    FiRefreshCw
+} from 'react-icons/fi';
+
+// '#dues' is a section, '{messageHtml}' is inserted without escaping
+const placeholderTag = (name) => (name.startsWith('#')
+    ? `{{${name}}}…{{/${name.slice(1)}}}`
+    : `{{${name}}}`);
+
+const EmailTemplates = () => {
+    const [templates, setTemplates] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    // Template being edited
+    const [selectedKey, setSelectedKey] = useState('receipt');
+    const [draft, setDraft] = useState({ subject: '', html: '' });
+    const [preview, setPreview] = useState(null);
+    const [previewError, setPreviewError] = useState('');
+    const [saving, setSaving] = useState(false);
+    const bodyRef = useRef(null);
+
+    // Test email
+    const [testTo, setTestTo] = useState('');
+    const [testing, setTesting] = useState(false);
+
+    // Notice
+    const [notice, setNotice] = useState({ year: '', division: '', title: '', message: '' });
+    const [sendingNotice, setSendingNotice] = useState(false);
+
+    useEffect(() => {
+        fetchTemplates();
+    }, []);
+
+    // Re-render the preview shortly after the draft stops changing
+    useEffect(() => {
+        if (!draft.subject && !draft.html) return;
+
+        const timer = setTimeout(async () => {
+            try {
+                const response = await emailTemplateAPI.preview(selectedKey, draft);
+                setPreview(response.data.data);
+                setPreviewError('');
+            } catch (err) {
+                setPreviewError(err.response?.data?.message || 'Failed to render preview');
+            }
+        }, 500);
+        return () => clearTimeout(timer);
+    }, [selectedKey, draft]);
+
+    const fetchTemplates = async (key = selectedKey) => {
+        try {
+            setLoading(true);
+            const response = await emailTemplateAPI.getAll();
+            const list = response.data.data.templates;
+            setTemplates(list);
+            selectTemplate(list.find(template => template.key === key) || list[0]);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load email templates');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const selectTemplate = (template) => {
+        if (!template) return;
+        setSelectedKey(template.key);
+        setDraft({ subject: template.subject, html: template.html });
+        setPreview(null);
+        setPreviewError('');
+    };
+
+    const selected = templates.find(template => template.key === selectedKey);
+    const isDirty = selected && (draft.subject !== selected.subject || draft.html !== selected.html);
+
+    const changeTemplate = (template) => {
+        if (isDirty && !window.confirm('Discard your unsaved changes to this template?')) return;
+        selectTemplate(template);
+    };
+
+    const insertPlaceholder = (name) => {
+        const tag = placeholderTag(name);
+        const textarea = bodyRef.current;
+        const start = textarea ? textarea.selectionStart : draft.html.length;
+        const end = textarea ? textarea.selectionEnd : draft.html.length;
+
+        setDraft(prev => ({ ...prev, html: prev.html.slice(0, start) + tag + prev.html.slice(end) }));
+        requestAnimationFrame(() => {
+            textarea?.focus();
+            textarea?.setSelectionRange(start + tag.length, start + tag.length);
+        });
+    };
+
+    const formatDateTime = (date) => (date ? new Date(date).toLocaleString('en-IN', {
+        day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: true
+    }) : '-');
+
+    const handleSave = async () => {
+        try {
+            setSaving(true);
+            setError('');
+            await emailTemplateAPI.update(selectedKey, draft);
+            setSuccess(`${selected.name} template saved`);
+            await fetchTemplates(selectedKey);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save template');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleReset = async () => {
+        if (!window.confirm(`Go back to the default ${selected.name} template? Your changes will be lost.`)) return;
+
+        try {
+            setError('');
+            await emailTemplateAPI.reset(selectedKey);
+            setSuccess(`${selected.name} template reset to the default`);
+            await fetchTemplates(selectedKey);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to reset template');
+        }
+    };
+
+    const handleTest = async (e) => {
+        e.preventDefault();
+
+        try {
+            setTesting(true);
+            setError('');
+            const response = await emailTemplateAPI.sendTest(selectedKey, { ...draft, to: testTo || undefined });
+            if (response.data.data.status === 'sent') {
+                setSuccess(response.data.message);
+            } else {
+                setError(response.data.message);
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to send test email');
+        } finally {
+            setTesting(false);
+        }
+    };
+
+    const handleSendNotice = async (e) => {
+        e.preventDefault();
+
+        const target = [notice.year, notice.division && `Division ${notice.division}`].filter(Boolean).join(', ');
+        if (!window.confirm(`Email "${notice.title}" to every student in ${target}?`)) return;
+
+        try {
+            setSendingNotice(true);
+            setError('');
+            const response = await emailTemplateAPI.sendNotice(notice);
+            const { withoutEmail } = response.data.data;
+            setSuccess(`${response.data.message}${withoutEmail ? ` · ${withoutEmail} without an email skipped` : ''}`);
+            setNotice(prev => ({ ...prev, title: '', message: '' }));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to send notice');
+        } finally {
+            setSendingNotice(false);
+        }
+    };
+
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+    return (
+        <div className="animate-fadeIn">
+            {/* Header */}
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
+                <div>
+                    <div className="flex items-center gap-2 text-sm text-gray-500 mb-2">
+                        <Link to="/dashboard" className="hover:text-primary-600">Dashboard</Link>
+                        <span>/</span>
+                        <span className="text-gray-700">Email Templates</span>
+                    </div>
+                    <h1 className="text-2xl font-bold text-gray-800">Email Templates</h1>
+                    <p className="text-gray-600 mt-1">Wording of the receipt, reminder and notice emails</p>
+                </div>
+                <button onClick={() => fetchTemplates()}
+                    className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50">
+                    <FiRefreshCw /> Refresh
+                </button>
+            </div>
+
+            {error && <ErrorMessage message={error} onClose={() => setError('')} />}
+
+            {success && (
+                <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg text-green-700 flex justify-between">
+                    <span>{success}</span>
+                    <button onClick={() => setSuccess('')}><FiX /></button>
+                </div>
+            )}
+
+            {loading && templates.length === 0 ? (
+                <div className="flex justify-center py-12"><Loading size="lg" /></div>
+            ) : selected && (
+                <>
+                    {/* Template Tabs */}
+                    <div className="flex flex-wrap gap-2 mb-6">
+                        {templates.map(template => (
+                            <button key={template.key} onClick={() => changeTemplate(template)}
+                                className={`px-4 py-2 rounded-lg text-sm font-medium border ${template.key === selectedKey
+                                    ? 'bg-primary-600 text-white border-primary-600'
+                                    : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}>
+                                {template.name}
+                                {template.isCustomized && (
+                                    <span className={`ml-2 px-1.5 py-0.5 text-xs rounded ${template.key === selectedKey ? 'bg-white/20' : 'bg-amber-100 text-amber-700'}`}>
+                                        Edited
+                                    </span>
+                                )}
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+                        {/* Editor */}
+                        <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+                            <p className="text-sm text-gray-500 mb-4">
+                                {selected.description}
+                                {selected.isCustomized && ` · Last edited by ${selected.updatedByName || 'an admin'} on ${formatDateTime(selected.updatedAt)}`}
+                            </p>
+
+                            <label className="block text-sm font-medium text-gray-600 mb-1">Subject</label>
+                            <input type="text" value={draft.subject} maxLength={200}
+                                onChange={(e) => setDraft(prev => ({ ...prev, subject: e.target.value }))}
+                                className={`${inputClass} mb-4`} />
+
+                            <label className="block text-sm font-medium text-gray-600 mb-1">Body (HTML)</label>
+                            <textarea ref={bodyRef} value={draft.html} rows={18} spellCheck={false}
+                                onChange={(e) => setDraft(prev => ({ ...prev, html: e.target.value }))}
+                                className={`${inputClass} font-mono text-xs`} />
+
+                            <div className="mt-4">
+                                <p className="text-xs font-semibold text-gray-600 uppercase mb-2">Placeholders (click to insert)</p>
+                                <div className="flex flex-wrap gap-2">
+                                    {selected.placeholders.map(placeholder => (
+                                        <button key={placeholder.name} type="button" title={placeholder.description}
+                                            onClick={() => insertPlaceholder(placeholder.name)}
+                                            className="px-2 py-1 text-xs font-mono bg-gray-100 text-gray-700 rounded hover:bg-primary-50 hover:text-primary-700">
+                                            {placeholderTag(placeholder.name)}
+                                        </button>
+                                    ))}
+                                </div>
+                                <p className="text-xs text-gray-500 mt-2">
+                                    Values are HTML-escaped. <span className="font-mono">{'{{#x}}…{{/x}}'}</span> shows a part only when x is set
+                                    (or repeats it for each item of a list); <span className="font-mono">{'{{^x}}…{{/x}}'}</span> shows it when x is empty.
+                                </p>
+                            </div>
+
+                            <div className="flex flex-wrap items-center justify-between gap-3 mt-6">
+                                <button type="button" onClick={handleReset} disabled={!selected.isCustomized}
+                                    className="flex items-center gap-2 px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50">
+                                    <FiRotateCcw /> Reset to Default
+                                </button>
+                                <div className="flex gap-2">
+                                    {isDirty && (
+                                        <button type="button" onClick={() => selectTemplate(selected)}
+                                            className="px-4 py-2 text-gray-600 hover:text-gray-800">
+                                            Discard
+                                        </button>
+                                    )}
+                                    <button type="button" onClick={handleSave} disabled={saving || !isDirty || Boolean(previewError)}
+                                        className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50">
+                                        <FiSave /> {saving ? 'Saving...' : 'Save'}
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+
+                        {/* Preview */}
+                        <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden flex flex-col">
+                            <div className="px-6 py-4 border-b border-gray-100">
+                                <p className="text-xs font-semibold text-gray-500 uppercase">Preview with sample data</p>
+                                <p className="text-sm font-medium text-gray-800 mt-1">{preview?.subject || '-'}</p>
+                            </div>
+                            {previewError ? (
+                                <div className="p-6 text-sm text-red-600">{previewError}</div>
+                            ) : (
+                                <iframe title="Email preview" sandbox="" srcDoc={preview?.html || ''}
+                                    className="w-full flex-1 min-h-[520px] bg-gray-50" />
+                            )}
+                            <form onSubmit={handleTest} className="flex gap-2 px-6 py-4 border-t border-gray-100">
+                                <input type="email" value={testTo} placeholder="Send a test to (defaults to your email)"
+                                    onChange={(e) => setTestTo(e.target.value)} className={inputClass} />
+                                <button type="submit" disabled={testing || Boolean(previewError)}
+                                    className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 whitespace-nowrap disabled:opacity-50">
+                                    <FiMail /> {testing ? 'Sending...' : 'Send Test'}
+                                </button>
+                            </form>
+                        </div>
+                    </div>
+                </>
+            )}
+
+            {/* Send Notice */}
+            <form onSubmit={handleSendNotice} className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+                <h3 className="font-semibold text-gray-800">Send a Notice</h3>
+                <p className="text-sm text-gray-500 mb-4">Emailed to every active student in the class, using the saved Notice template</p>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                    <input type="text" value={notice.year} placeholder="Year (e.g., SE)" className={inputClass}
+                        onChange={(e) => setNotice(prev => ({ ...prev, year: e.target.value }))} />
+                    <input type="text" value={notice.division} placeholder="Division (e.g., A)" className={inputClass}
+                        onChange={(e) => setNotice(prev => ({ ...prev, division: e.target.value }))} />
+                    <input type="text" value={notice.title} placeholder="Title" required className={`${inputClass} md:col-span-2`}
+                        onChange={(e) => setNotice(prev => ({ ...prev, title: e.target.value }))} />
+                    <textarea value={notice.message} placeholder="Message" rows={4} required className={`${inputClass} md:col-span-4`}
+                        onChange={(e) => setNotice(prev => ({ ...prev, message: e.target.value }))} />
+                </div>
+                <div className="flex justify-end mt-4">
+                    <button type="submit" disabled={sendingNotice || (!notice.year.trim() && !notice.division.trim())}
+                        className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50">
+                        <FiSend /> {sendingNotice ? 'Sending...' : 'Send Notice'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default EmailTemplates;
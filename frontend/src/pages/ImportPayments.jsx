@@ -0,0 +1,314 @@
+import { useState, useRef } from 'react';
+import { studentsAPI } from '../services/api';
+import ErrorMessage from '../components/ErrorMessage';
+import {
+    FiUpload,
+    FiFile,
+    FiCheck,
+    FiX,
+    FiDownload,
+    FiAlertCircle,
+    FiCheckCircle
+} from 'react-icons/fi';
+
+const STATUS_STYLES = {
+    valid: { label: 'Ready', className: 'bg-blue-100 text-blue-700' },
+    imported: { label: 'Imported', className: 'bg-green-100 text-green-700' },
+    reject: { label: 'Rejected', className: 'bg-red-100 text-red-700' },
+    failed: { label: 'Failed', className: 'bg-amber-100 text-amber-700' },
+};
+
+const SAMPLE_CSV = 'PRN,Amount,Type,Category,Date,Reason\n'
+    + 'PRN2024001,200,fine,Late Fine,15/08/2025,Late submission\n'
+    + 'PRN2024002,500,fee,ITSA Committee Fees,2025-08-15,';
+
+const ImportPayments = () => {
+    const [file, setFile] = useState(null);
+    const [sendEmail, setSendEmail] = useState(true);
+    const [isProcessing, setIsProcessing] = useState(false);
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState('');
+    const fileInputRef = useRef(null);
+
+    const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+        style: 'currency', currency: 'INR', maximumFractionDigits: 0
+    }).format(amount || 0);
+
+    const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', {
+        day: '2-digit', month: 'short', year: 'numeric'
+    }) : '-');
+
+    const handleFileSelect = (e) => {
+        const selectedFile = e.target.files[0];
+        setError('');
+        setReport(null);
+
+        if (!selectedFile) return;
+
+        if (!selectedFile.name.toLowerCase().endsWith('.csv')) {
+            setError('Please upload a CSV file only');
+            return;
+        }
+
+        if (selectedFile.size > 5 * 1024 * 1024) {
+            setError('File size should be less than 5MB');
+            return;
+        }
+
+        setFile(selectedFile);
+    };
+
+    const removeFile = () => {
+        setFile(null);
+        setReport(null);
+        if (fileInputRef.current) {
+            fileInputRef.current.value = '';
+        }
+    };
+
+    const processFile = async (dryRun) => {
+        if (!file) {
+            setError('Please select a file first');
+            return;
+        }
+
+        if (!dryRun && !window.confirm('Record these payments and generate a receipt for each valid row?')) {
+            return;
+        }
+
+        setIsProcessing(true);
+        setError('');
+
+        try {
+            const formData = new FormData();
+            formData.append('file', file);
+            formData.append('dryRun', String(dryRun));
+            formData.append('sendEmail', String(sendEmail));
+
+            const response = await studentsAPI.importPayments(formData);
+            setReport(response.data.data);
+
+            // The file can't be imported twice by accident
+            if (!dryRun) {
+                setFile(null);
+                if (fileInputRef.current) {
+                    fileInputRef.current.value = '';
+                }
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to process the file. Please try again.');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    const downloadSample = () => {
+        const blob = new Blob([SAMPLE_CSV], { type: 'text/csv' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'sample_payments.csv';
+        a.click();
+        window.URL.revokeObjectURL(url);
+    };
+
+    return (
+        <div className="animate-fadeIn max-w-5xl mx-auto">
+            {/* Header */}
+            <div className="mb-8">
+                <h1 className="text-3xl font-bold text-gray-800">Import Payments</h1>
+                <p className="text-gray-600 mt-1">Record payments collected offline from a CSV sheet</p>
+            </div>
+
+            {/* CSV Format Info */}
+            <div className="bg-blue-50 border border-blue-200 rounded-xl p-6 mb-6">
+                <h3 className="text-sm font-semibold text-blue-800 mb-2 flex items-center">
+                    <FiAlertCircle className="w-4 h-4 mr-2" />
+                    CSV Format Requirements
+                </h3>
+                <p className="text-sm text-blue-700 mb-3">
+                    One payment per row. Category must match an active category; type and date are optional
+                    (type follows the category, date defaults to today).
+                </p>
+                <div className="bg-white rounded-lg p-4 font-mono text-xs text-gray-700 overflow-x-auto">
+                    <p className="text-blue-600 font-semibold">PRN, Amount, Type, Category, Date, Reason</p>
+                    <p className="text-gray-500 mt-1">PRN2024001, 200, fine, Late Fine, 15/08/2025, Late submission</p>
+                </div>
+                <button
+                    onClick={downloadSample}
+                    className="mt-3 inline-flex items-center space-x-2 text-sm text-primary-600 hover:text-primary-700 font-medium"
+                >
+                    <FiDownload className="w-4 h-4" />
+                    <span>Download Sample CSV</span>
+                </button>
+            </div>
+
+            {error && (
+                <div className="mb-6">
+                    <ErrorMessage message={error} onClose={() => setError('')} />
+                </div>
+            )}
+
+            {/* File Picker */}
+            <div className="bg-white border border-gray-200 rounded-xl p-6 mb-6">
+                <input
+                    type="file"
+                    ref={fileInputRef}
+                    onChange={handleFileSelect}
+                    accept=".csv"
+                    className="hidden"
+                />
+
+                {file ? (
+                    <div className="flex items-center justify-between">
+                        <div className="flex items-center space-x-4">
+                            <div className="w-12 h-12 bg-primary-100 rounded-lg flex items-center justify-center">
+                                <FiFile className="w-6 h-6 text-primary-600" />
+                            </div>
+                            <p className="font-medium text-gray-800">{file.name}</p>
+                        </div>
+                        <button
+                            onClick={removeFile}
+                            className="p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                        >
+                            <FiX className="w-5 h-5" />
+                        </button>
+                    </div>
+                ) : (
+                    <button
+                        onClick={() => fileInputRef.current?.click()}
+                        className="w-full border-2 border-dashed border-gray-300 rounded-xl p-8 text-center
+                         hover:border-primary-400 hover:bg-gray-50 transition-all duration-200"
+                    >
+                        <FiUpload className="w-8 h-8 text-gray-400 mx-auto mb-2" />
+                        <p className="font-medium text-gray-700">Choose a payments CSV file</p>
+                        <p className="text-xs text-gray-400 mt-1">Maximum file size: 5MB</p>
+                    </button>
+                )}
+
+                <div className="mt-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={sendEmail}
+                            onChange={(e) => setSendEmail(e.target.checked)}
+                        />
+                        Email receipts to students
+                    </label>
+                    <div className="flex gap-3">
+                        <button
+                            onClick={() => processFile(true)}
+                            disabled={!file || isProcessing}
+                            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50
+                             transition-colors disabled:opacity-50"
+                        >
+                            Check File
+                        </button>
+                        <button
+                            onClick={() => processFile(false)}
+                            disabled={!file || isProcessing}
+                            className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg
+                             hover:bg-primary-700 transition-colors disabled:opacity-50"
+                        >
+                            {isProcessing ? (
+                                <>
+                                    <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+                                    <span>Processing...</span>
+                                </>
+                            ) : (
+                                <>
+                                    <FiCheck className="w-4 h-4" />
+                                    <span>Import Payments</span>
+                                </>
+                            )}
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            {/* Result Report */}
+            {report && (
+                <div className="bg-white border border-gray-200 rounded-xl overflow-hidden">
+                    <div className="p-6 border-b border-gray-100">
+                        <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+                            {!report.dryRun && <FiCheckCircle className="text-green-600" />}
+                            {report.dryRun ? 'File Check' : 'Import Report'}: {report.fileName}
+                        </h3>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4 text-center">
+                            <div className="p-3 bg-gray-50 rounded-lg">
+                                <p className="text-xs text-gray-500">Rows</p>
+                                <p className="text-lg font-bold text-gray-800">{report.summary.total}</p>
+                            </div>
+                            <div className="p-3 bg-green-50 rounded-lg">
+                                <p className="text-xs text-gray-500">{report.dryRun ? 'Ready' : 'Imported'}</p>
+                                <p className="text-lg font-bold text-green-700">
+                                    {report.dryRun ? report.summary.valid : report.summary.imported}
+                                </p>
+                            </div>
+                            <div className="p-3 bg-red-50 rounded-lg">
+                                <p className="text-xs text-gray-500">Rejected{!report.dryRun && ' / Failed'}</p>
+                                <p className="text-lg font-bold text-red-700">
+                                    {report.summary.rejected}{!report.dryRun && ` / ${report.summary.failed}`}
+                                </p>
+                            </div>
+                            <div className="p-3 bg-gray-50 rounded-lg">
+                                <p className="text-xs text-gray-500">Amount</p>
+                                <p className="text-lg font-bold text-gray-800">{formatCurrency(report.summary.totalAmount)}</p>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="max-h-[32rem] overflow-y-auto">
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-50 sticky top-0">
+                                <tr>
+                                    <th className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Row</th>
+                                    <th className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Status</th>
+                                    <th className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Student</th>
+                                    <th className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Category</th>
+                                    <th className="px-4 py-2 text-right text-xs font-semibold text-gray-600 uppercase">Amount</th>
+                                    <th className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Date</th>
+                                    <th className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Details</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {report.rows.map(row => (
+                                    <tr key={row.rowNumber} className="align-top">
+                                        <td className="px-4 py-2 text-gray-500">{row.rowNumber}</td>
+                                        <td className="px-4 py-2">
+                                            <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_STYLES[row.status].className}`}>
+                                                {STATUS_STYLES[row.status].label}
+                                            </span>
+                                        </td>
+                                        <td className="px-4 py-2">
+                                            <p className="font-mono text-xs">{row.prn || '-'}</p>
+                                            {row.name && <p className="text-gray-600">{row.name}</p>}
+                                        </td>
+                                        <td className="px-4 py-2">
+                                            {row.category || '-'}
+                                            {row.type && <span className="ml-1 text-xs text-gray-500">({row.type})</span>}
+                                        </td>
+                                        <td className="px-4 py-2 text-right">{row.amount ? formatCurrency(row.amount) : '-'}</td>
+                                        <td className="px-4 py-2">{formatDate(row.date)}</td>
+                                        <td className="px-4 py-2 text-xs">
+                                            {row.receiptNumber && (
+                                                <p className="text-green-700">
+                                                    Receipt {row.receiptNumber}{row.emailStatus && ' · email queued'}
+                                                </p>
+                                            )}
+                                            {row.errors.map(err => (
+                                                <p key={err} className="text-red-600">{err}</p>
+                                            ))}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ImportPayments;
@@ -0,0 +1,405 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { importProfileAPI } from '../services/api';
+import Loading from '../components/Loading';
+import ErrorMessage from '../components/ErrorMessage';
+import {
+    FiPlus,
+    FiEdit2,
+    FiTrash2,
+    FiColumns,
+    FiCheck,
+    FiArrowLeft
+} from 'react-icons/fi';
+
+// Student fields a profile can map, in upload column order
+const FIELDS = [
+    { key: 'prn', label: 'PRN Number', required: true },
+    { key: 'name', label: 'Student Name', required: true },
+    { key: 'academicYear', label: 'Academic Year' },
+    { key: 'semester', label: 'Semester' },
+    { key: 'year', label: 'Year' },
+    { key: 'division', label: 'Division' },
+    { key: 'rollNo', label: 'Roll No' },
+    { key: 'department', label: 'Department' },
+    { key: 'email', label: 'Email' },
+    { key: 'phone', label: 'Mobile Number' },
+];
+
+const fieldLabel = (key) => FIELDS.find(field => field.key === key)?.label || key;
+
+const emptyMappings = () => FIELDS.reduce((acc, field) => ({
+    ...acc,
+    [field.key]: { column: '', defaultValue: '', derivedFrom: '' }
+}), {});
+
+const emptyForm = () => ({
+    name: '',
+    description: '',
+    headerRow: '',
+    mappings: emptyMappings()
+});
+
+const ImportProfiles = () => {
+    const [profiles, setProfiles] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [isAdding, setIsAdding] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [formData, setFormData] = useState(emptyForm());
+    const [submitting, setSubmitting] = useState(false);
+
+    useEffect(() => {
+        fetchProfiles();
+    }, []);
+
+    const fetchProfiles = async () => {
+        try {
+            setLoading(true);
+            const response = await importProfileAPI.getAll();
+            setProfiles(response.data.data?.profiles || []);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load import profiles');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const updateMapping = (field, key, value) => {
+        setFormData(prev => ({
+            ...prev,
+            mappings: { ...prev.mappings, [field]: { ...prev.mappings[field], [key]: value } }
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!formData.name.trim()) {
+            setError('Profile name is required');
+            return;
+        }
+
+        // Only send fields that have a column, default or copy set
+        const mappings = FIELDS
+            .map(field => ({ field: field.key, ...formData.mappings[field.key] }))
+            .filter(mapping => mapping.column || mapping.defaultValue || mapping.derivedFrom);
+
+        const payload = {
+            name: formData.name,
+            description: formData.description,
+            headerRow: formData.headerRow ? Number(formData.headerRow) : null,
+            mappings
+        };
+
+        try {
+            setSubmitting(true);
+            setError('');
+
+            if (editingId) {
+                await importProfileAPI.update(editingId, payload);
+            } else {
+                await importProfileAPI.create(payload);
+            }
+
+            await fetchProfiles();
+            resetForm();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save import profile');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleEdit = (profile) => {
+        const mappings = emptyMappings();
+        profile.mappings.forEach(mapping => {
+            mappings[mapping.field] = {
+                column: mapping.column || '',
+                defaultValue: mapping.defaultValue || '',
+                derivedFrom: mapping.derivedFrom || ''
+            };
+        });
+
+        setEditingId(profile._id);
+        setFormData({
+            name: profile.name,
+            description: profile.description || '',
+            headerRow: profile.headerRow || '',
+            mappings
+        });
+        setIsAdding(true);
+    };
+
+    const handleDelete = async (id) => {
+        if (!window.confirm('Are you sure you want to delete this import profile?')) {
+            return;
+        }
+
+        try {
+            await importProfileAPI.delete(id);
+            await fetchProfiles();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to delete import profile');
+        }
+    };
+
+    const resetForm = () => {
+        setFormData(emptyForm());
+        setIsAdding(false);
+        setEditingId(null);
+    };
+
+    const describeMapping = (mapping) => {
+        const parts = [];
+        if (mapping.column) parts.push(`"${mapping.column}"`);
+        if (mapping.defaultValue) parts.push(`default ${mapping.defaultValue}`);
+        if (mapping.derivedFrom) parts.push(`copy of ${fieldLabel(mapping.derivedFrom)}`);
+        return `${fieldLabel(mapping.field)} ← ${parts.join(', ')}`;
+    };
+
+    if (loading) {
+        return <Loading message="Loading import profiles..." />;
+    }
+
+    return (
+        <div className="animate-fadeIn max-w-5xl mx-auto">
+            {/* Header */}
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-8 gap-4">
+                <div>
+                    <Link to="/upload" className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700 mb-2">
+                        <FiArrowLeft className="w-4 h-4 mr-1" />
+                        Back to Upload
+                    </Link>
+                    <h1 className="text-3xl font-bold text-gray-800">Import Profiles</h1>
+                    <p className="text-gray-600 mt-1">Map the columns of each university export format to student fields</p>
+                </div>
+                {!isAdding && (
+                    <button
+                        onClick={() => setIsAdding(true)}
+                        className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-primary-700
+                         to-primary-800 text-white font-medium rounded-lg hover:from-primary-600
+                         hover:to-primary-700 transition-all duration-200 shadow-lg shadow-primary-200"
+                    >
+                        <FiPlus className="w-5 h-5" />
+                        <span>Add Profile</span>
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <div className="mb-6">
+                    <ErrorMessage message={error} onClose={() => setError('')} />
+                </div>
+            )}
+
+            {/* Add/Edit Form */}
+            {isAdding && (
+                <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6 mb-8">
+                    <h2 className="text-lg font-semibold text-gray-800 mb-4">
+                        {editingId ? 'Edit Import Profile' : 'Add New Import Profile'}
+                    </h2>
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            <div className="md:col-span-2">
+                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                    Profile Name *
+                                </label>
+                                <input
+                                    type="text"
+                                    value={formData.name}
+                                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                                    placeholder="e.g., University Exam Portal Export"
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2
+                                     focus:ring-primary-500 focus:border-primary-500 transition-colors"
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                    Header Row
+                                </label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={formData.headerRow}
+                                    onChange={(e) => setFormData({ ...formData, headerRow: e.target.value })}
+                                    placeholder="Auto-detect"
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2
+                                     focus:ring-primary-500 focus:border-primary-500 transition-colors"
+                                />
+                            </div>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Description (Optional)
+                            </label>
+                            <textarea
+                                value={formData.description}
+                                onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                                placeholder="Where this export comes from"
+                                rows={2}
+                                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2
+                                 focus:ring-primary-500 focus:border-primary-500 transition-colors resize-none"
+                            />
+                        </div>
+
+                        {/* Column Mappings */}
+                        <div>
+                            <p className="text-sm font-medium text-gray-700 mb-1">Column Mapping</p>
+                            <p className="text-xs text-gray-500 mb-3">
+                                Each field takes its column, else the default value, else a copy of another field.
+                                Leave a field blank to skip it.
+                            </p>
+                            <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                                <table className="w-full text-sm">
+                                    <thead className="bg-gray-50">
+                                        <tr>
+                                            <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Student Field</th>
+                                            <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Source Column</th>
+                                            <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Default Value</th>
+                                            <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Copy From</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-100">
+                                        {FIELDS.map(field => (
+                                            <tr key={field.key}>
+                                                <td className="px-3 py-2 font-medium text-gray-700">
+                                                    {field.label}{field.required && ' *'}
+                                                </td>
+                                                <td className="px-3 py-2">
+                                                    <input
+                                                        type="text"
+                                                        value={formData.mappings[field.key].column}
+                                                        onChange={(e) => updateMapping(field.key, 'column', e.target.value)}
+                                                        placeholder="Header in the file"
+                                                        required={field.required}
+                                                        className="w-full px-2 py-1 border border-gray-300 rounded"
+                                                    />
+                                                </td>
+                                                <td className="px-3 py-2">
+                                                    <input
+                                                        type="text"
+                                                        value={formData.mappings[field.key].defaultValue}
+                                                        onChange={(e) => updateMapping(field.key, 'defaultValue', e.target.value)}
+                                                        className="w-full px-2 py-1 border border-gray-300 rounded"
+                                                    />
+                                                </td>
+                                                <td className="px-3 py-2">
+                                                    <select
+                                                        value={formData.mappings[field.key].derivedFrom}
+                                                        onChange={(e) => updateMapping(field.key, 'derivedFrom', e.target.value)}
+                                                        className="w-full px-2 py-1 border border-gray-300 rounded"
+                                                    >
+                                                        <option value="">—</option>
+                                                        {FIELDS.filter(other => other.key !== field.key).map(other => (
+                                                            <option key={other.key} value={other.key}>{other.label}</option>
+                                                        ))}
+                                                    </select>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+
+                        <div className="flex justify-end space-x-3">
+                            <button
+                                type="button"
+                                onClick={resetForm}
+                                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg
+                                 hover:bg-gray-50 transition-colors"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={submitting}
+                                className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white
+                                 rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+                            >
+                                {submitting ? (
+                                    <>
+                                        <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+                                        <span>Saving...</span>
+                                    </>
+                                ) : (
+                                    <>
+                                        <FiCheck className="w-4 h-4" />
+                                        <span>{editingId ? 'Update' : 'Create'}</span>
+                                    </>
+                                )}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            {/* Profiles List */}
+            <div className="bg-white rounded-xl shadow-lg border border-gray-100 overflow-hidden">
+                <div className="px-6 py-4 border-b border-gray-100">
+                    <h2 className="font-semibold text-gray-800">All Profiles ({profiles.length})</h2>
+                </div>
+
+                {profiles.length === 0 ? (
+                    <div className="p-12 text-center">
+                        <FiColumns className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                        <h3 className="text-lg font-medium text-gray-600 mb-2">No import profiles yet</h3>
+                        <p className="text-gray-500 mb-4">Without a profile, uploads guess columns from their headers</p>
+                        <button
+                            onClick={() => setIsAdding(true)}
+                            className="inline-flex items-center space-x-2 text-primary-600 hover:text-primary-700 font-medium"
+                        >
+                            <FiPlus className="w-4 h-4" />
+                            <span>Add Profile</span>
+                        </button>
+                    </div>
+                ) : (
+                    <div className="divide-y divide-gray-100">
+                        {profiles.map((profile) => (
+                            <div key={profile._id} className="px-6 py-4 flex items-start justify-between hover:bg-gray-50">
+                                <div className="flex items-start space-x-4">
+                                    <div className="w-10 h-10 rounded-lg flex items-center justify-center bg-primary-100 flex-shrink-0">
+                                        <FiColumns className="w-5 h-5 text-primary-600" />
+                                    </div>
+                                    <div>
+                                        <h3 className="font-medium text-gray-800">{profile.name}</h3>
+                                        {profile.description && (
+                                            <p className="text-xs text-gray-500 mt-0.5">{profile.description}</p>
+                                        )}
+                                        <p className="text-xs text-gray-500 mt-1">
+                                            Header row: {profile.headerRow || 'auto-detect'}
+                                        </p>
+                                        <div className="flex flex-wrap gap-1 mt-2">
+                                            {profile.mappings.map(mapping => (
+                                                <span key={mapping.field} className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">
+                                                    {describeMapping(mapping)}
+                                                </span>
+                                            ))}
+                                        </div>
+                                    </div>
+                                </div>
+                                <div className="flex items-center space-x-2">
+                                    <button
+                                        onClick={() => handleEdit(profile)}
+                                        className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                                    >
+                                        <FiEdit2 className="w-4 h-4" />
+                                    </button>
+                                    <button
+                                        onClick={() => handleDelete(profile._id)}
+                                        className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                    >
+                                        <FiTrash2 className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ImportProfiles;
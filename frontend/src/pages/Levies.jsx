@@ -0,0 +1,532 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { levyAPI, categoryAPI } from '../services/api';
+import { useAuth, ROLES } from '../context/AuthContext';
+import Loading from '../components/Loading';
+import ErrorMessage from '../components/ErrorMessage';
+import {
+    FiPlus,
+    FiLayers,
+    FiUsers,
+    FiCheck,
+    FiX,
+    FiArrowLeft,
+    FiSlash
+} from 'react-icons/fi';
+
+const emptyForm = () => ({
+    title: '',
+    category: '',
+    amount: '',
+    dueDate: '',
+    reason: '',
+    year: '',
+    division: '',
+    academicYear: '',
+    prns: ''
+});
+
+const Levies = () => {
+    const { hasRole } = useAuth();
+    const canManage = hasRole(ROLES.MANAGERS);
+
+    const [levies, setLevies] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    // Create form
+    const [isAdding, setIsAdding] = useState(false);
+    const [formData, setFormData] = useState(emptyForm());
+    const [preview, setPreview] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+
+    // Selected levy
+    const [selected, setSelected] = useState(null);
+    const [detailLoading, setDetailLoading] = useState(false);
+    const [cancelReason, setCancelReason] = useState('');
+    const [showCancel, setShowCancel] = useState(false);
+
+    useEffect(() => {
+        fetchLevies();
+        if (canManage) fetchCategories();
+    }, []);
+
+    const fetchLevies = async () => {
+        try {
+            setLoading(true);
+            const response = await levyAPI.getAll();
+            setLevies(response.data.data?.levies || []);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load levies');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchCategories = async () => {
+        try {
+            const response = await categoryAPI.getAll({ activeOnly: 'true' });
+            setCategories(response.data.data?.categories || []);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load categories');
+        }
+    };
+
+    const openLevy = async (id) => {
+        try {
+            setDetailLoading(true);
+            setError('');
+            setShowCancel(false);
+            setCancelReason('');
+            const response = await levyAPI.getById(id);
+            setSelected(response.data.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load levy');
+        } finally {
+            setDetailLoading(false);
+        }
+    };
+
+    const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+        style: 'currency', currency: 'INR', maximumFractionDigits: 0
+    }).format(amount || 0);
+
+    const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', {
+        day: '2-digit', month: 'short', year: 'numeric'
+    }) : '-');
+
+    const describeTarget = (filter = {}) => {
+        const parts = [];
+        if (filter.year) parts.push(filter.year);
+        if (filter.division) parts.push(`Div ${filter.division}`);
+        if (filter.academicYear) parts.push(filter.academicYear);
+        if (filter.prns?.length) parts.push(`${filter.prns.length} PRNs`);
+        return parts.join(' · ') || '-';
+    };
+
+    const targetParams = () => ({
+        year: formData.year,
+        division: formData.division,
+        academicYear: formData.academicYear,
+        prns: formData.prns
+    });
+
+    const updateForm = (changes) => {
+        setFormData(prev => ({ ...prev, ...changes }));
+        // Changing the target invalidates the preview
+        if (['year', 'division', 'academicYear', 'prns'].some(key => key in changes)) {
+            setPreview(null);
+        }
+    };
+
+    const handlePreview = async () => {
+        try {
+            setSubmitting(true);
+            setError('');
+            const response = await levyAPI.preview(targetParams());
+            setPreview(response.data.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to preview students');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!preview) {
+            await handlePreview();
+            return;
+        }
+
+        if (!window.confirm(`Charge ${formatCurrency(formData.amount)} to ${preview.studentCount} students?`)) {
+            return;
+        }
+
+        try {
+            setSubmitting(true);
+            setError('');
+            const response = await levyAPI.create({ ...formData });
+            setSuccess(response.data.message);
+            resetForm();
+            await fetchLevies();
+            openLevy(response.data.data.levy._id);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to create levy');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleCancelLevy = async () => {
+        if (!cancelReason.trim()) {
+            setError('Please give a reason for cancelling the levy');
+            return;
+        }
+
+        try {
+            setSubmitting(true);
+            setError('');
+            const response = await levyAPI.cancel(selected.levy._id, { reason: cancelReason });
+            setSuccess(response.data.message);
+            await fetchLevies();
+            await openLevy(selected.levy._id);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to cancel levy');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const resetForm = () => {
+        setFormData(emptyForm());
+        setPreview(null);
+        setIsAdding(false);
+    };
+
+    const ProgressBar = ({ progress }) => {
+        const percent = progress.totalAmount > 0 ? Math.round((progress.collectedAmount / progress.totalAmount) * 100) : 0;
+        return (
+            <div>
+                <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden">
+                    <div className="h-2 bg-green-500" style={{ width: `${percent}%` }}></div>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                    {formatCurrency(progress.collectedAmount)} of {formatCurrency(progress.totalAmount)} ({percent}%)
+                </p>
+            </div>
+        );
+    };
+
+    if (loading) {
+        return <Loading message="Loading levies..." />;
+    }
+
+    const inputClass = `w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2
+                         focus:ring-primary-500 focus:border-primary-500 transition-colors`;
+
+    return (
+        <div className="animate-fadeIn max-w-6xl mx-auto">
+            {/* Header */}
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-8 gap-4">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-800">Levies</h1>
+                    <p className="text-gray-600 mt-1">Charge a fee or fine to a whole class at once and track collection</p>
+                </div>
+                {canManage && !isAdding && (
+                    <button
+                        onClick={() => { setIsAdding(true); setSelected(null); }}
+                        className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-primary-700
+                         to-primary-800 text-white font-medium rounded-lg hover:from-primary-600
+                         hover:to-primary-700 transition-all duration-200 shadow-lg shadow-primary-200"
+                    >
+                        <FiPlus className="w-5 h-5" />
+                        <span>New Levy</span>
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <div className="mb-6">
+                    <ErrorMessage message={error} onClose={() => setError('')} />
+                </div>
+            )}
+
+            {success && (
+                <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg text-green-700 flex justify-between">
+                    <span>{success}</span>
+                    <button onClick={() => setSuccess('')}><FiX /></button>
+                </div>
+            )}
+
+            {/* Create Form */}
+            {isAdding && (
+                <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6 mb-8">
+                    <h2 className="text-lg font-semibold text-gray-800 mb-4">New Levy</h2>
+                    <form onSubmit={handleCreate} className="space-y-4">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Title *</label>
+                                <input type="text" required value={formData.title} className={inputClass}
+                                    placeholder="e.g., ITSA Membership 2025-26"
+                                    onChange={(e) => updateForm({ title: e.target.value })} />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Category *</label>
+                                <select required value={formData.category} className={inputClass}
+                                    onChange={(e) => updateForm({ category: e.target.value })}>
+                                    <option value="">Select category</option>
+                                    {categories.map(category => (
+                                        <option key={category._id} value={category.name}>
+                                            {category.name} ({category.type})
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Amount per Student *</label>
+                                <input type="number" min="1" required value={formData.amount} className={inputClass}
+                                    onChange={(e) => updateForm({ amount: e.target.value })} />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Due Date</label>
+                                <input type="date" value={formData.dueDate} className={inputClass}
+                                    onChange={(e) => updateForm({ dueDate: e.target.value })} />
+                            </div>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Reason (Optional)</label>
+                            <input type="text" value={formData.reason} className={inputClass}
+                                placeholder="Defaults to the title"
+                                onChange={(e) => updateForm({ reason: e.target.value })} />
+                        </div>
+
+                        {/* Target Students */}
+                        <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+                            <p className="text-sm font-medium text-gray-700">Students to Charge</p>
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                                <input type="text" value={formData.year} className={inputClass} placeholder="Year (e.g., SE)"
+                                    onChange={(e) => updateForm({ year: e.target.value })} />
+                                <input type="text" value={formData.division} className={inputClass} placeholder="Division (e.g., A)"
+                                    onChange={(e) => updateForm({ division: e.target.value })} />
+                                <input type="text" value={formData.academicYear} className={inputClass} placeholder="Academic Year (e.g., 2025-26)"
+                                    onChange={(e) => updateForm({ academicYear: e.target.value })} />
+                            </div>
+                            <textarea rows={2} value={formData.prns} className={`${inputClass} resize-none`}
+                                placeholder="Or list PRNs, separated by commas or new lines"
+                                onChange={(e) => updateForm({ prns: e.target.value })} />
+                            <p className="text-xs text-gray-500">
+                                Students must match every field you fill in. Archived students are never charged.
+                            </p>
+
+                            {preview && (
+                                <div className="p-3 bg-white border border-gray-200 rounded-lg text-sm">
+                                    <p className="font-medium text-gray-800 flex items-center gap-2">
+                                        <FiUsers /> {preview.studentCount} students will be charged
+                                    </p>
+                                    {preview.missingPRNs.length > 0 && (
+                                        <p className="text-amber-600 mt-1">
+                                            Not found or archived: {preview.missingPRNs.join(', ')}
+                                        </p>
+                                    )}
+                                    {preview.students.length > 0 && (
+                                        <p className="text-xs text-gray-500 mt-1">
+                                            {preview.students.slice(0, 8).map(s => `${s.prn} ${s.name}`).join(', ')}
+                                            {preview.students.length > 8 && ` and ${preview.students.length - 8} more`}
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+
+                        <div className="flex justify-end space-x-3">
+                            <button type="button" onClick={resetForm}
+                                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors">
+                                Cancel
+                            </button>
+                            <button type="button" onClick={handlePreview} disabled={submitting}
+                                className="px-4 py-2 border border-primary-300 text-primary-700 rounded-lg hover:bg-primary-50 transition-colors disabled:opacity-50">
+                                Preview Students
+                            </button>
+                            <button type="submit" disabled={submitting || (preview && preview.studentCount === 0)}
+                                className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50">
+                                <FiCheck className="w-4 h-4" />
+                                <span>{preview ? `Charge ${preview.studentCount} Students` : 'Continue'}</span>
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            {/* Levy Details */}
+            {detailLoading && <Loading message="Loading levy..." />}
+            {selected && !detailLoading && (
+                <div className="bg-white rounded-xl shadow-lg border border-gray-100 mb-8 overflow-hidden">
+                    <div className="p-6 border-b border-gray-100">
+                        <button onClick={() => setSelected(null)}
+                            className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700 mb-3">
+                            <FiArrowLeft className="w-4 h-4 mr-1" /> All levies
+                        </button>
+                        <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                            <div>
+                                <h2 className="text-xl font-semibold text-gray-800 flex items-center gap-2">
+                                    {selected.levy.title}
+                                    {selected.levy.status === 'cancelled' && (
+                                        <span className="text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-700">Cancelled</span>
+                                    )}
+                                </h2>
+                                <p className="text-sm text-gray-500 mt-1">
+                                    {formatCurrency(selected.levy.amount)} {selected.levy.category} ({selected.levy.type})
+                                    {' · '}{describeTarget(selected.levy.filter)}
+                                    {selected.levy.dueDate && <> · due {formatDate(selected.levy.dueDate)}</>}
+                                </p>
+                                {selected.levy.status === 'cancelled' && (
+                                    <p className="text-sm text-red-600 mt-1">
+                                        Cancelled {formatDate(selected.levy.cancelledAt)}
+                                        {selected.levy.cancelledBy?.name && ` by ${selected.levy.cancelledBy.name}`}:
+                                        {' '}{selected.levy.cancelReason} ({selected.levy.cancelledCount} unpaid charges removed
+                                        {selected.levy.keptCount > 0 && `, ${selected.levy.keptCount} left in place`})
+                                    </p>
+                                )}
+                            </div>
+                            {canManage && selected.levy.status === 'active' && !showCancel && (
+                                <button onClick={() => setShowCancel(true)}
+                                    className="flex items-center gap-2 px-4 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50">
+                                    <FiSlash /> Cancel Unpaid
+                                </button>
+                            )}
+                        </div>
+
+                        {showCancel && (
+                            <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-lg space-y-3">
+                                <p className="text-sm text-red-700">
+                                    Removes the charge from the {selected.levy.progress.chargedCount - selected.levy.progress.paidCount - selected.levy.progress.partialCount} students
+                                    who have paid nothing. Students who paid (fully or partly) keep their charge and receipts.
+                                </p>
+                                <input type="text" value={cancelReason} placeholder="Reason for cancelling"
+                                    onChange={(e) => setCancelReason(e.target.value)}
+                                    className="w-full px-4 py-2 border border-red-200 rounded-lg" />
+                                <div className="flex justify-end gap-3">
+                                    <button onClick={() => setShowCancel(false)}
+                                        className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg bg-white">Keep Levy</button>
+                                    <button onClick={handleCancelLevy} disabled={submitting}
+                                        className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50">
+                                        Cancel Levy
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4 text-center">
+                            <div className="p-3 bg-green-50 rounded-lg">
+                                <p className="text-xs text-gray-500">Paid</p>
+                                <p className="text-lg font-bold text-green-700">{selected.levy.progress.paidCount}</p>
+                            </div>
+                            <div className="p-3 bg-amber-50 rounded-lg">
+                                <p className="text-xs text-gray-500">Unpaid (incl. partial)</p>
+                                <p className="text-lg font-bold text-amber-700">
+                                    {selected.levy.progress.unpaidCount}
+                                    {selected.levy.progress.partialCount > 0 && (
+                                        <span className="text-xs font-normal"> ({selected.levy.progress.partialCount} partial)</span>
+                                    )}
+                                </p>
+                            </div>
+                            <div className="p-3 bg-gray-50 rounded-lg">
+                                <p className="text-xs text-gray-500">Collected</p>
+                                <p className="text-lg font-bold text-gray-800">{formatCurrency(selected.levy.progress.collectedAmount)}</p>
+                            </div>
+                            <div className="p-3 bg-gray-50 rounded-lg">
+                                <p className="text-xs text-gray-500">Outstanding</p>
+                                <p className="text-lg font-bold text-gray-800">{formatCurrency(selected.levy.progress.outstandingAmount)}</p>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="max-h-[32rem] overflow-y-auto">
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-50 sticky top-0">
+                                <tr>
+                                    <th className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Student</th>
+                                    <th className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Class</th>
+                                    <th className="px-4 py-2 text-right text-xs font-semibold text-gray-600 uppercase">Paid</th>
+                                    <th className="px-4 py-2 text-right text-xs font-semibold text-gray-600 uppercase">Balance</th>
+                                    <th className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Status</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {selected.students.length === 0 ? (
+                                    <tr><td colSpan="5" className="px-4 py-6 text-center text-gray-500">No charges left on this levy</td></tr>
+                                ) : selected.students.map(student => (
+                                    <tr key={student.chargeId}>
+                                        <td className="px-4 py-2">
+                                            <Link to={`/student/${student.prn}`} className="font-mono text-xs text-primary-600 hover:underline">
+                                                {student.prn}
+                                            </Link>
+                                            <p className="text-gray-700">{student.name}</p>
+                                        </td>
+                                        <td className="px-4 py-2">{[student.year, student.division].filter(Boolean).join(' ') || '-'}</td>
+                                        <td className="px-4 py-2 text-right">{formatCurrency(student.amountPaid)}</td>
+                                        <td className="px-4 py-2 text-right">{formatCurrency(student.balance)}</td>
+                                        <td className="px-4 py-2">
+                                            {student.isPaid ? (
+                                                <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-700">
+                                                    Paid {formatDate(student.paidDate)}
+                                                </span>
+                                            ) : (
+                                                <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${student.amountPaid > 0 ? 'bg-amber-100 text-amber-700' : 'bg-red-100 text-red-700'}`}>
+                                                    {student.amountPaid > 0 ? 'Partial' : 'Unpaid'}
+                                                </span>
+                                            )}
+                                            {student.isActive === false && <span className="ml-2 text-xs text-gray-500">(archived)</span>}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {/* Levies List */}
+            {!selected && (
+                <div className="bg-white rounded-xl shadow-lg border border-gray-100 overflow-hidden">
+                    <div className="px-6 py-4 border-b border-gray-100">
+                        <h2 className="font-semibold text-gray-800">All Levies ({levies.length})</h2>
+                    </div>
+
+                    {levies.length === 0 ? (
+                        <div className="p-12 text-center">
+                            <FiLayers className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                            <h3 className="text-lg font-medium text-gray-600 mb-2">No levies yet</h3>
+                            <p className="text-gray-500">Levies charge every student in a class in one step</p>
+                        </div>
+                    ) : (
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Levy</th>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Students</th>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Paid / Unpaid</th>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase w-56">Collection</th>
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Created</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {levies.map(levy => (
+                                    <tr key={levy._id} onClick={() => openLevy(levy._id)} className="hover:bg-gray-50 cursor-pointer">
+                                        <td className="px-4 py-3">
+                                            <p className="font-medium text-gray-800">
+                                                {levy.title}
+                                                {levy.status === 'cancelled' && (
+                                                    <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-700">Cancelled</span>
+                                                )}
+                                            </p>
+                                            <p className="text-xs text-gray-500">
+                                                {formatCurrency(levy.amount)} · {levy.category} · {describeTarget(levy.filter)}
+                                            </p>
+                                        </td>
+                                        <td className="px-4 py-3">{levy.progress.chargedCount}</td>
+                                        <td className="px-4 py-3">
+                                            <span className="text-green-700">{levy.progress.paidCount}</span>
+                                            {' / '}
+                                            <span className="text-amber-700">{levy.progress.unpaidCount}</span>
+                                        </td>
+                                        <td className="px-4 py-3"><ProgressBar progress={levy.progress} /></td>
+                                        <td className="px-4 py-3 text-gray-600">
+                                            {formatDate(levy.createdAt)}
+                                            {levy.createdBy?.name && <p className="text-xs text-gray-400">{levy.createdBy.name}</p>}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Levies;
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { useNavigate, useLocation } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { FiMail, FiLock, FiLogIn, FiAlertCircle, FiEye, FiEyeOff } from 'react-icons/fi';
 
@@ -160,6 +160,9 @@ const LoginPage = () => {
                     <p className="mt-6 text-center text-sm text-gray-500">
                         Protected admin portal. Unauthorized access is prohibited.
                     </p>
+                    <p className="mt-2 text-center text-sm text-gray-500">
+                        Student? <Link to="/portal/login" className="text-primary-600 hover:text-primary-700">View your payments</Link>
+                    </p>
                 </div>
             </div>
         </div>
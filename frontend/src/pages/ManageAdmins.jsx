@@ -0,0 +1,325 @@
+import { useState, useEffect } from 'react';
+import { adminsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import Loading from '../components/Loading';
+import ErrorMessage from '../components/ErrorMessage';
+import {
+    FiPlus,
+    FiUser,
+    FiCheck,
+    FiKey,
+    FiUserX,
+    FiUserCheck,
+    FiX
+} from 'react-icons/fi';
+
+const ROLE_OPTIONS = [
+    { value: 'super-admin', label: 'Super Admin' },
+    { value: 'treasurer', label: 'Treasurer' },
+    { value: 'collector', label: 'Collector' },
+    { value: 'viewer', label: 'Viewer' },
+];
+
+const ManageAdmins = () => {
+    const { admin: currentAdmin } = useAuth();
+    const [admins, setAdmins] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [isAdding, setIsAdding] = useState(false);
+    const [submitting, setSubmitting] = useState(false);
+    const [credentials, setCredentials] = useState(null);
+    const [formData, setFormData] = useState({
+        email: '',
+        name: '',
+        role: 'collector',
+        password: ''
+    });
+
+    useEffect(() => {
+        fetchAdmins();
+    }, []);
+
+    const fetchAdmins = async () => {
+        try {
+            setLoading(true);
+            const response = await adminsAPI.getAll();
+            setAdmins(response.data.data || []);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load admins');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!formData.email.trim()) {
+            setError('Email is required');
+            return;
+        }
+
+        try {
+            setSubmitting(true);
+            setError('');
+            const response = await adminsAPI.create({
+                ...formData,
+                password: formData.password || undefined
+            });
+            const { admin, temporaryPassword } = response.data.data;
+            if (temporaryPassword) {
+                setCredentials({ email: admin.email, password: temporaryPassword });
+            }
+            await fetchAdmins();
+            resetForm();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to create admin');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleRoleChange = async (admin, role) => {
+        try {
+            setError('');
+            await adminsAPI.update(admin.id, { role });
+            await fetchAdmins();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update role');
+        }
+    };
+
+    const handleToggleStatus = async (admin) => {
+        const action = admin.isActive === false ? 'activate' : 'deactivate';
+        if (!window.confirm(`Are you sure you want to ${action} ${admin.email}?`)) {
+            return;
+        }
+
+        try {
+            setError('');
+            await adminsAPI.setStatus(admin.id, admin.isActive === false);
+            await fetchAdmins();
+        } catch (err) {
+            setError(err.response?.data?.message || `Failed to ${action} admin`);
+        }
+    };
+
+    const handleResetPassword = async (admin) => {
+        if (!window.confirm(`Reset the password for ${admin.email}? A temporary password will be generated and emailed to them.`)) {
+            return;
+        }
+
+        try {
+            setError('');
+            const response = await adminsAPI.resetPassword(admin.id, {});
+            setCredentials({ email: admin.email, password: response.data.data.temporaryPassword });
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to reset password');
+        }
+    };
+
+    const resetForm = () => {
+        setFormData({ email: '', name: '', role: 'collector', password: '' });
+        setIsAdding(false);
+    };
+
+    const formatDate = (date) => date
+        ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+        : 'Never';
+
+    if (loading) {
+        return <Loading message="Loading admins..." />;
+    }
+
+    return (
+        <div className="animate-fadeIn max-w-4xl mx-auto">
+            {/* Header */}
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-8 gap-4">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-800">Manage Admins</h1>
+                    <p className="text-gray-600 mt-1">Invite admins, assign roles and control access</p>
+                </div>
+                {!isAdding && (
+                    <button
+                        onClick={() => setIsAdding(true)}
+                        className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-primary-700
+                         to-primary-800 text-white font-medium rounded-lg hover:from-primary-600
+                         hover:to-primary-700 transition-all duration-200 shadow-lg shadow-primary-200"
+                    >
+                        <FiPlus className="w-5 h-5" />
+                        <span>Add Admin</span>
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <div className="mb-6">
+                    <ErrorMessage message={error} onClose={() => setError('')} />
+                </div>
+            )}
+
+            {/* Temporary credentials (shown once) */}
+            {credentials && (
+                <div className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-lg flex items-start justify-between">
+                    <div>
+                        <p className="text-sm font-medium text-amber-800">Temporary password for {credentials.email}</p>
+                        <p className="mt-1 font-mono text-lg text-amber-900">{credentials.password}</p>
+                        <p className="mt-1 text-xs text-amber-700">
+                            It has been emailed to the admin if email is configured. It will not be shown again.
+                        </p>
+                    </div>
+                    <button onClick={() => setCredentials(null)} className="text-amber-600 hover:text-amber-800">
+                        <FiX className="w-5 h-5" />
+                    </button>
+                </div>
+            )}
+
+            {/* Add Form */}
+            {isAdding && (
+                <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6 mb-8">
+                    <h2 className="text-lg font-semibold text-gray-800 mb-4">Add New Admin</h2>
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Email *</label>
+                                <input
+                                    type="email"
+                                    value={formData.email}
+                                    onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                                    placeholder="name@college.edu"
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2
+                                     focus:ring-primary-500 focus:border-primary-500 transition-colors"
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                                <input
+                                    type="text"
+                                    value={formData.name}
+                                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                                    placeholder="Full name"
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2
+                                     focus:ring-primary-500 focus:border-primary-500 transition-colors"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Role *</label>
+                                <select
+                                    value={formData.role}
+                                    onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2
+                                     focus:ring-primary-500 focus:border-primary-500 transition-colors"
+                                >
+                                    {ROLE_OPTIONS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Password (Optional)</label>
+                                <input
+                                    type="password"
+                                    value={formData.password}
+                                    onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                                    placeholder="Leave blank to generate and email one"
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2
+                                     focus:ring-primary-500 focus:border-primary-500 transition-colors"
+                                />
+                            </div>
+                        </div>
+                        <div className="flex justify-end space-x-3">
+                            <button
+                                type="button"
+                                onClick={resetForm}
+                                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg
+                                 hover:bg-gray-50 transition-colors"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={submitting}
+                                className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white
+                                 rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+                            >
+                                {submitting ? (
+                                    <>
+                                        <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+                                        <span>Saving...</span>
+                                    </>
+                                ) : (
+                                    <>
+                                        <FiCheck className="w-4 h-4" />
+                                        <span>Create</span>
+                                    </>
+                                )}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            {/* Admins List */}
+            <div className="bg-white rounded-xl shadow-lg border border-gray-100 overflow-hidden">
+                <div className="px-6 py-4 border-b border-gray-100">
+                    <h2 className="font-semibold text-gray-800">All Admins ({admins.length})</h2>
+                </div>
+
+                <div className="divide-y divide-gray-100">
+                    {admins.map((admin) => {
+                        const isSelf = admin.id === currentAdmin?.id;
+                        const isInactive = admin.isActive === false;
+                        return (
+                            <div key={admin.id} className={`px-6 py-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3 hover:bg-gray-50 ${isInactive ? 'opacity-60' : ''}`}>
+                                <div className="flex items-center space-x-4">
+                                    <div className="w-10 h-10 rounded-lg flex items-center justify-center bg-primary-100">
+                                        <FiUser className="w-5 h-5 text-primary-600" />
+                                    </div>
+                                    <div>
+                                        <h3 className="font-medium text-gray-800">
+                                            {admin.name} {isSelf && <span className="text-xs text-gray-500">(you)</span>}
+                                        </h3>
+                                        <p className="text-sm text-gray-500">{admin.email}</p>
+                                        <p className="text-xs text-gray-400 mt-0.5">
+                                            Last login: {formatDate(admin.lastLogin)}
+                                            {isInactive && <span className="ml-2 text-red-600 font-medium">Deactivated</span>}
+                                        </p>
+                                    </div>
+                                </div>
+                                <div className="flex items-center space-x-2">
+                                    <select
+                                        value={admin.role}
+                                        onChange={(e) => handleRoleChange(admin, e.target.value)}
+                                        disabled={isSelf}
+                                        className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm disabled:bg-gray-100"
+                                    >
+                                        {ROLE_OPTIONS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                                    </select>
+                                    <button
+                                        onClick={() => handleResetPassword(admin)}
+                                        title="Reset password"
+                                        className="p-2 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                                    >
+                                        <FiKey className="w-4 h-4" />
+                                    </button>
+                                    {!isSelf && (
+                                        <button
+                                            onClick={() => handleToggleStatus(admin)}
+                                            title={isInactive ? 'Activate' : 'Deactivate'}
+                                            className={`p-2 text-gray-400 rounded-lg transition-colors ${isInactive
+                                                ? 'hover:text-green-600 hover:bg-green-50'
+                                                : 'hover:text-red-600 hover:bg-red-50'
+                                                }`}
+                                        >
+                                            {isInactive ? <FiUserCheck className="w-4 h-4" /> : <FiUserX className="w-4 h-4" />}
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ManageAdmins;
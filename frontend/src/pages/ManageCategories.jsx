@@ -11,6 +11,16 @@ import {
     FiX
 } from 'react-icons/fi';
 
+const emptyLateFee = () => ({
+    enabled: false,
+    graceDays: 0,
+    mode: 'flat',
+    amount: '',
+    cap: '',
+    fineCategory: 'Late Fine',
+    appliesFrom: ''
+});
+
 const ManageCategories = () => {
     const [categories, setCategories] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -20,7 +30,8 @@ const ManageCategories = () => {
     const [formData, setFormData] = useState({
         name: '',
         type: 'fine',
-        description: ''
+        description: '',
+        lateFee: emptyLateFee()
     });
     const [submitting, setSubmitting] = useState(false);
 
@@ -71,7 +82,13 @@ const ManageCategories = () => {
         setFormData({
             name: category.name,
             type: category.type,
-            description: category.description || ''
+            description: category.description || '',
+            lateFee: {
+                ...emptyLateFee(),
+                ...category.lateFee,
+                cap: category.lateFee?.cap || '',
+                appliesFrom: category.lateFee?.appliesFrom ? category.lateFee.appliesFrom.split('T')[0] : ''
+            }
         });
         setIsAdding(true);
     };
@@ -90,11 +107,34 @@ const ManageCategories = () => {
     };
 
     const resetForm = () => {
-        setFormData({ name: '', type: 'fine', description: '' });
+        setFormData({ name: '', type: 'fine', description: '', lateFee: emptyLateFee() });
         setIsAdding(false);
         setEditingId(null);
     };
 
+    const updateLateFee = (changes) => {
+        setFormData(prev => {
+            const lateFee = { ...prev.lateFee, ...changes };
+            // New rules only cover charges falling due from today
+            if (changes.enabled && !prev.lateFee.appliesFrom) {
+                lateFee.appliesFrom = new Date().toISOString().split('T')[0];
+            }
+            return { ...prev, lateFee };
+        });
+    };
+
+    const describeLateFee = (lateFee) => {
+        const amount = formatCurrency(lateFee.amount);
+        const parts = [lateFee.mode === 'per-day' ? `${amount}/day` : amount];
+        if (lateFee.graceDays) parts.push(`after ${lateFee.graceDays} days`);
+        if (lateFee.cap) parts.push(`max ${formatCurrency(lateFee.cap)}`);
+        return parts.join(', ');
+    };
+
+    const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+        style: 'currency', currency: 'INR', maximumFractionDigits: 0
+    }).format(amount || 0);
+
     if (loading) {
         return <Loading message="Loading categories..." />;
     }
@@ -176,6 +216,88 @@ const ManageCategories = () => {
                                  focus:ring-primary-500 focus:border-primary-500 transition-colors resize-none"
                             />
                         </div>
+                        <div className="border border-gray-200 rounded-lg p-4">
+                            <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={formData.lateFee.enabled}
+                                    onChange={(e) => updateLateFee({ enabled: e.target.checked })}
+                                    className="w-4 h-4 rounded border-gray-300"
+                                />
+                                Charge a late fee on overdue charges in this category
+                            </label>
+                            {formData.lateFee.enabled && (
+                                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Late Fee</label>
+                                        <select
+                                            value={formData.lateFee.mode}
+                                            onChange={(e) => updateLateFee({ mode: e.target.value })}
+                                            className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                                        >
+                                            <option value="flat">Flat amount</option>
+                                            <option value="per-day">Amount per day</option>
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            {formData.lateFee.mode === 'per-day' ? 'Amount per Day (₹) *' : 'Amount (₹) *'}
+                                        </label>
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            value={formData.lateFee.amount}
+                                            onChange={(e) => updateLateFee({ amount: e.target.value })}
+                                            className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                                            required
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Cap (₹, optional)</label>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            value={formData.lateFee.cap}
+                                            onChange={(e) => updateLateFee({ cap: e.target.value })}
+                                            placeholder="No cap"
+                                            className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Grace Period (days)</label>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            value={formData.lateFee.graceDays}
+                                            onChange={(e) => updateLateFee({ graceDays: e.target.value })}
+                                            className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Record Late Fine Under</label>
+                                        <select
+                                            value={formData.lateFee.fineCategory}
+                                            onChange={(e) => updateLateFee({ fineCategory: e.target.value })}
+                                            className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                                        >
+                                            {[...new Set(['Late Fine', formData.lateFee.fineCategory,
+                                                ...categories.filter(c => c.type === 'fine').map(c => c.name)])].map(name => (
+                                                <option key={name} value={name}>{name}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">For Charges Due From</label>
+                                        <input
+                                            type="date"
+                                            value={formData.lateFee.appliesFrom}
+                                            onChange={(e) => updateLateFee({ appliesFrom: e.target.value })}
+                                            className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                                        />
+                                    </div>
+                                </div>
+                            )}
+                        </div>
                         <div className="flex justify-end space-x-3">
                             <button
                                 type="button"
@@ -246,6 +368,11 @@ const ManageCategories = () => {
                                                 }`}>
                                                 {category.type === 'fine' ? 'Fine' : 'Fee'}
                                             </span>
+                                            {category.lateFee?.enabled && (
+                                                <span className="text-xs px-2 py-0.5 rounded-full font-medium bg-amber-100 text-amber-700">
+                                                    Late fee: {describeLateFee(category.lateFee)}
+                                                </span>
+                                            )}
                                             {category.description && (
                                                 <span className="text-xs text-gray-500">{category.description}</span>
                                             )}
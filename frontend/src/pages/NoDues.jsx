@@ -0,0 +1,243 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { noDuesAPI } from '../services/api';
+import { useAuth, ROLES } from '../context/AuthContext';
+import Loading from '../components/Loading';
+import ErrorMessage from '../components/ErrorMessage';
+import { FiSearch, FiAward, FiDownload, FiCheckCircle, FiAlertTriangle, FiUsers } from 'react-icons/fi';
+
+// No-dues check for a whole year/division, with certificates issued in one go
+const NoDues = () => {
+    const { hasRole } = useAuth();
+    const canIssue = hasRole(ROLES.MANAGERS);
+
+    const [filters, setFilters] = useState({ year: '', division: '' });
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [issuing, setIssuing] = useState(false);
+    const [downloading, setDownloading] = useState(null);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const hasClass = filters.year.trim() || filters.division.trim();
+
+    const fetchClass = async (e) => {
+        e?.preventDefault();
+        if (!hasClass) return;
+
+        try {
+            setLoading(true);
+            setError('');
+            const response = await noDuesAPI.checkClass(filters);
+            setResult(response.data.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to check the class');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleIssueAll = async () => {
+        const pending = result.eligible.filter(row => !row.certificate).length;
+        if (!window.confirm(`Issue no-dues certificates to ${pending} students?`)) return;
+
+        try {
+            setIssuing(true);
+            setError('');
+            setSuccess('');
+            const response = await noDuesAPI.issueForClass(filters);
+            setSuccess(response.data.message);
+            await fetchClass();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to issue certificates');
+        } finally {
+            setIssuing(false);
+        }
+    };
+
+    const handleDownload = async (certificate) => {
+        try {
+            setDownloading(certificate._id);
+            const response = await noDuesAPI.getCertificatePdf(certificate._id);
+            const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `NoDues-${certificate.certificateNumber.replace(/[^\w-]+/g, '-')}.pdf`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            setError('Failed to download the certificate');
+        } finally {
+            setDownloading(null);
+        }
+    };
+
+    const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+        style: 'currency', currency: 'INR', maximumFractionDigits: 0
+    }).format(amount || 0);
+
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg';
+    const pendingCount = result ? result.eligible.filter(row => !row.certificate).length : 0;
+
+    return (
+        <div className="animate-fadeIn">
+            {/* Header */}
+            <div className="mb-6">
+                <div className="flex items-center gap-2 text-sm text-gray-500 mb-2">
+                    <Link to="/dashboard" className="hover:text-primary-600">Dashboard</Link>
+                    <span>/</span>
+                    <span className="text-gray-700">No Dues</span>
+                </div>
+                <h1 className="text-2xl font-bold text-gray-800">No Dues Certificates</h1>
+                <p className="text-sm text-gray-500 mt-1">
+                    Check a class before exams and issue certificates to every student who has cleared their dues.
+                </p>
+            </div>
+
+            {error && <ErrorMessage message={error} onClose={() => setError('')} />}
+            {success && <ErrorMessage type="success" message={success} onClose={() => setSuccess('')} />}
+
+            {/* Class */}
+            <form onSubmit={fetchClass} className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 mb-6">
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">Year</label>
+                        <input type="text" value={filters.year} placeholder="Year (e.g., SE)" className={inputClass}
+                            onChange={(e) => setFilters(prev => ({ ...prev, year: e.target.value }))} />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-600 mb-1">Division</label>
+                        <input type="text" value={filters.division} placeholder="Division (e.g., A)" className={inputClass}
+                            onChange={(e) => setFilters(prev => ({ ...prev, division: e.target.value }))} />
+                    </div>
+                    <button type="submit" disabled={!hasClass || loading}
+                        className="flex items-center justify-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50">
+                        <FiSearch /> Check Class
+                    </button>
+                    {canIssue && result && (
+                        <button type="button" onClick={handleIssueAll} disabled={issuing || pendingCount === 0}
+                            className="flex items-center justify-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50">
+                            <FiAward /> {issuing ? 'Issuing...' : `Issue ${pendingCount} Certificates`}
+                        </button>
+                    )}
+                </div>
+            </form>
+
+            {loading ? (
+                <div className="flex justify-center py-12"><Loading size="lg" text="Checking dues..." /></div>
+            ) : result && (
+                <>
+                    {/* Summary Cards */}
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+                        <div className="bg-gradient-to-br from-blue-50 to-blue-100 rounded-xl p-6 border border-blue-200">
+                            <div className="flex items-center space-x-4">
+                                <div className="w-10 h-10 bg-blue-500 rounded-lg flex items-center justify-center">
+                                    <FiUsers className="w-5 h-5 text-white" />
+                                </div>
+                                <div>
+                                    <p className="text-sm text-blue-600 font-medium">Students</p>
+                                    <p className="text-xl font-bold text-blue-800">{result.summary.students}</p>
+                                </div>
+                            </div>
+                        </div>
+                        <div className="bg-gradient-to-br from-green-50 to-green-100 rounded-xl p-6 border border-green-200">
+                            <div className="flex items-center space-x-4">
+                                <div className="w-10 h-10 bg-green-500 rounded-lg flex items-center justify-center">
+                                    <FiCheckCircle className="w-5 h-5 text-white" />
+                                </div>
+                                <div>
+                                    <p className="text-sm text-green-600 font-medium">Eligible</p>
+                                    <p className="text-xl font-bold text-green-800">
+                                        {result.summary.eligible}
+                                        <span className="text-sm font-medium text-green-600"> ({result.summary.issued} issued)</span>
+                                    </p>
+                                </div>
+                            </div>
+                        </div>
+                        <div className="bg-gradient-to-br from-amber-50 to-amber-100 rounded-xl p-6 border border-amber-200">
+                            <div className="flex items-center space-x-4">
+                                <div className="w-10 h-10 bg-amber-500 rounded-lg flex items-center justify-center">
+                                    <FiAlertTriangle className="w-5 h-5 text-white" />
+                                </div>
+                                <div>
+                                    <p className="text-sm text-amber-600 font-medium">Blocked</p>
+                                    <p className="text-xl font-bold text-amber-800">
+                                        {result.summary.blocked}
+                                        <span className="text-sm font-medium text-amber-600"> ({formatCurrency(result.summary.outstanding)})</span>
+                                    </p>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        {/* Blocked */}
+                        <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+                            <div className="px-6 py-4 border-b border-gray-100">
+                                <h2 className="text-lg font-semibold text-gray-800">Blocked by Outstanding Dues</h2>
+                            </div>
+                            {result.blocked.length === 0 ? (
+                                <p className="px-6 py-8 text-center text-gray-500">Every student in this class is clear.</p>
+                            ) : (
+                                <ul className="divide-y divide-gray-100">
+                                    {result.blocked.map(row => (
+                                        <li key={row.prn} className="px-6 py-3">
+                                            <div className="flex justify-between gap-4">
+                                                <Link to={`/student/${row.prn}`} className="font-medium text-gray-800 hover:text-primary-600">
+                                                    {row.name}
+                                                    <span className="block text-xs text-gray-500">
+                                                        {row.prn}{row.rollNo && ` · Roll ${row.rollNo}`}
+                                                    </span>
+                                                </Link>
+                                                <p className="font-semibold text-amber-700 whitespace-nowrap">{formatCurrency(row.outstanding)}</p>
+                                            </div>
+                                            <p className="text-xs text-gray-500 mt-1">
+                                                {row.blockingDues.map(due => `${due.category} ${formatCurrency(due.balance)}`).join(' · ')}
+                                            </p>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+
+                        {/* Eligible */}
+                        <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+                            <div className="px-6 py-4 border-b border-gray-100">
+                                <h2 className="text-lg font-semibold text-gray-800">Eligible</h2>
+                            </div>
+                            {result.eligible.length === 0 ? (
+                                <p className="px-6 py-8 text-center text-gray-500">No student in this class is clear yet.</p>
+                            ) : (
+                                <ul className="divide-y divide-gray-100">
+                                    {result.eligible.map(row => (
+                                        <li key={row.prn} className="px-6 py-3 flex justify-between items-center gap-4">
+                                            <Link to={`/student/${row.prn}`} className="font-medium text-gray-800 hover:text-primary-600">
+                                                {row.name}
+                                                <span className="block text-xs text-gray-500">
+                                                    {row.prn}{row.rollNo && ` · Roll ${row.rollNo}`}
+                                                </span>
+                                            </Link>
+                                            {row.certificate ? (
+                                                <button onClick={() => handleDownload(row.certificate)}
+                                                    disabled={downloading === row.certificate._id}
+                                                    className="inline-flex items-center gap-1 text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50">
+                                                    <FiDownload /> {row.certificate.certificateNumber}
+                                                </button>
+                                            ) : (
+                                                <span className="text-xs text-gray-400">Not issued</span>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default NoDues;
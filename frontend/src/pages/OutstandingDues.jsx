@@ -0,0 +1,266 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { studentsAPI } from '../services/api';
+import { useAuth, ROLES } from '../context/AuthContext';
+import Loading from '../components/Loading';
+import ErrorMessage from '../components/ErrorMessage';
+import {
+    FiFilter,
+    FiSearch,
+    FiChevronLeft,
+    FiChevronRight,
+    FiClock,
+    FiUsers,
+    FiAlertTriangle
+} from 'react-icons/fi';
+import { BiRupee } from 'react-icons/bi';
+
+const OutstandingDues = () => {
+    const { hasRole } = useAuth();
+    const [students, setStudents] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [summary, setSummary] = useState({});
+    const [pagination, setPagination] = useState({});
+    const [filterOptions, setFilterOptions] = useState({ years: [], divisions: [] });
+    const [showFilters, setShowFilters] = useState(false);
+
+    const [filters, setFilters] = useState({
+        year: '', division: '', search: '', overdueOnly: '', page: 1, limit: 10
+    });
+
+    useEffect(() => {
+        fetchDues();
+    }, [filters.page, filters.limit]);
+
+    const fetchDues = async () => {
+        try {
+            setLoading(true);
+            const params = {};
+            Object.entries(filters).forEach(([key, value]) => {
+                if (value) params[key] = value;
+            });
+            const response = await studentsAPI.getDues(params);
+            setStudents(response.data.data.students);
+            setSummary(response.data.data.summary);
+            setPagination(response.data.data.pagination);
+            setFilterOptions(response.data.data.filterOptions);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load outstanding dues');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleFilterChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFilters(prev => ({ ...prev, [name]: type === 'checkbox' ? (checked ? 'true' : '') : value, page: 1 }));
+    };
+
+    const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+        style: 'currency', currency: 'INR', maximumFractionDigits: 0
+    }).format(amount || 0);
+
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+        day: '2-digit', month: 'short', year: 'numeric'
+    });
+
+    const isOverdue = (due) => due.dueDate && new Date(due.dueDate) < new Date();
+
+    return (
+        <div className="animate-fadeIn">
+            {/* Header */}
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
+                <div>
+                    <div className="flex items-center gap-2 text-sm text-gray-500 mb-2">
+                        <Link to="/dashboard" className="hover:text-primary-600">Dashboard</Link>
+                        <span>/</span>
+                        <span className="text-gray-700">Outstanding Dues</span>
+                    </div>
+                    <h1 className="text-2xl font-bold text-gray-800">Outstanding Dues</h1>
+                </div>
+                <button onClick={() => setShowFilters(!showFilters)}
+                    className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50">
+                    <FiFilter /> Filters
+                </button>
+            </div>
+
+            {error && <ErrorMessage message={error} onClose={() => setError('')} />}
+
+            {/* Summary Cards */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+                <div className="bg-gradient-to-br from-amber-50 to-amber-100 rounded-xl p-6 border border-amber-200">
+                    <div className="flex items-center space-x-4">
+                        <div className="w-10 h-10 bg-amber-500 rounded-lg flex items-center justify-center">
+                            <BiRupee className="w-5 h-5 text-white" />
+                        </div>
+                        <div>
+                            <p className="text-sm text-amber-600 font-medium">Total Outstanding</p>
+                            <p className="text-xl font-bold text-amber-800">{formatCurrency(summary.totalOutstanding)}</p>
+                        </div>
+                    </div>
+                </div>
+                <div className="bg-gradient-to-br from-blue-50 to-blue-100 rounded-xl p-6 border border-blue-200">
+                    <div className="flex items-center space-x-4">
+                        <div className="w-10 h-10 bg-blue-500 rounded-lg flex items-center justify-center">
+                            <FiUsers className="w-5 h-5 text-white" />
+                        </div>
+                        <div>
+                            <p className="text-sm text-blue-600 font-medium">Students with Dues</p>
+                            <p className="text-xl font-bold text-blue-800">{summary.studentCount || 0}</p>
+                        </div>
+                    </div>
+                </div>
+                <div className="bg-gradient-to-br from-rose-50 to-rose-100 rounded-xl p-6 border border-rose-200">
+                    <div className="flex items-center space-x-4">
+                        <div className="w-10 h-10 bg-rose-500 rounded-lg flex items-center justify-center">
+                            <FiClock className="w-5 h-5 text-white" />
+                        </div>
+                        <div>
+                            <p className="text-sm text-rose-600 font-medium">Unpaid Charges</p>
+                            <p className="text-xl font-bold text-rose-800">{summary.chargeCount || 0}</p>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            {/* Filters */}
+            {showFilters && (
+                <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 mb-6">
+                    <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-600 mb-1">Class</label>
+                            <select name="year" value={filters.year} onChange={handleFilterChange}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                <option value="">All Classes</option>
+                                {filterOptions.years.map(y => <option key={y} value={y}>{y}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-600 mb-1">Division</label>
+                            <select name="division" value={filters.division} onChange={handleFilterChange}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                <option value="">All Divisions</option>
+                                {filterOptions.divisions.map(d => <option key={d} value={d}>{d}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-600 mb-1">Search</label>
+                            <div className="relative">
+                                <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                                <input type="text" name="search" value={filters.search} onChange={handleFilterChange}
+                                    placeholder="PRN or Name" className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg" />
+                            </div>
+                        </div>
+                        <div className="flex items-end">
+                            <label className="flex items-center gap-2 py-2 text-sm text-gray-700 cursor-pointer">
+                                <input type="checkbox" name="overdueOnly" checked={filters.overdueOnly === 'true'}
+                                    onChange={handleFilterChange} className="w-4 h-4 rounded border-gray-300" />
+                                Overdue only
+                            </label>
+                        </div>
+                        <div className="flex items-end">
+                            <button onClick={fetchDues}
+                                className="w-full px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+                                Apply
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Table */}
+            {loading ? (
+                <div className="flex justify-center py-12"><Loading size="lg" /></div>
+            ) : (
+                <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+                    <div className="overflow-x-auto">
+                        <table className="w-full">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">PRN</th>
+                                    <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Name</th>
+                                    <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Class</th>
+                                    <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Dues</th>
+                                    <th className="px-6 py-3 text-right text-xs font-semibold text-gray-600 uppercase">Outstanding</th>
+                                    <th className="px-6 py-3 text-center text-xs font-semibold text-gray-600 uppercase">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {students.length === 0 ? (
+                                    <tr><td colSpan="6" className="px-6 py-12 text-center text-gray-500">No outstanding dues</td></tr>
+                                ) : (
+                                    students.map((s) => (
+                                        <tr key={s.prn} className="hover:bg-gray-50 align-top">
+                                            <td className="px-6 py-4 text-sm font-medium text-primary-600">
+                                                <Link to={`/student/${s.prn}`}>{s.prn}</Link>
+                                            </td>
+                                            <td className="px-6 py-4 text-sm text-gray-700">{s.name}</td>
+                                            <td className="px-6 py-4 text-sm text-gray-600">
+                                                {s.year || '-'} {s.division ? `/ ${s.division}` : ''}
+                                            </td>
+                                            <td className="px-6 py-4">
+                                                <ul className="space-y-1">
+                                                    {s.dues.map((due) => (
+                                                        <li key={due._id} className="text-sm text-gray-700 flex items-center gap-2">
+                                                            <span>
+                                                                {due.category || 'Others'}: {formatCurrency(due.balance ?? due.amount)}
+                                                                {due.amountPaid > 0 && (
+                                                                    <span className="text-xs text-gray-500"> of {formatCurrency(due.amount)}</span>
+                                                                )}
+                                                            </span>
+                                                            {due.dueDate && (
+                                                                <span className={`text-xs ${isOverdue(due) ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                                                                    {isOverdue(due) && <FiAlertTriangle className="inline w-3 h-3 mr-1" />}
+                                                                    due {formatDate(due.dueDate)}
+                                                                </span>
+                                                            )}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            </td>
+                                            <td className="px-6 py-4 text-sm font-semibold text-amber-700 text-right">
+                                                {formatCurrency(s.totalOutstanding)}
+                                            </td>
+                                            <td className="px-6 py-4 text-center">
+                                                <Link to={`/student/${s.prn}`}
+                                                    className="inline-flex items-center gap-1 px-3 py-1 bg-green-100 text-green-700 hover:bg-green-200 rounded-lg font-medium text-sm transition-colors">
+                                                    <BiRupee className="text-lg" /> {hasRole(ROLES.COLLECTORS) ? 'Collect' : 'View'}
+                                                </Link>
+                                            </td>
+                                        </tr>
+                                    ))
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {/* Pagination */}
+                    <div className="flex items-center justify-between px-6 py-4 border-t border-gray-100">
+                        <select value={filters.limit} onChange={(e) => setFilters(prev => ({ ...prev, limit: e.target.value, page: 1 }))}
+                            className="px-2 py-1 border border-gray-300 rounded text-sm">
+                            <option value={10}>10</option>
+                            <option value={25}>25</option>
+                            <option value={50}>50</option>
+                        </select>
+                        <div className="flex items-center gap-4">
+                            <span className="text-sm text-gray-600">Page {pagination.currentPage} of {pagination.totalPages || 1}</span>
+                            <div className="flex gap-2">
+                                <button onClick={() => setFilters(prev => ({ ...prev, page: prev.page - 1 }))}
+                                    disabled={!pagination.hasPrevPage} className="p-2 rounded border disabled:opacity-50">
+                                    <FiChevronLeft />
+                                </button>
+                                <button onClick={() => setFilters(prev => ({ ...prev, page: prev.page + 1 }))}
+                                    disabled={!pagination.hasNextPage} className="p-2 rounded border disabled:opacity-50">
+                                    <FiChevronRight />
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OutstandingDues;
@@ -0,0 +1,391 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { jobAPI } from '../services/api';
+import { useAuth, ROLES } from '../context/AuthContext';
+import Loading from '../components/Loading';
+import ErrorMessage from '../components/ErrorMessage';
+import {
+    FiPlay,
+    FiEdit2,
+    FiX,
+    FiRefreshCw,
+    FiClock,
+    FiChevronLeft,
+    FiChevronRight
+} from 'react-icons/fi';
+
+const STATUS_STYLES = {
+    never: 'bg-gray-100 text-gray-600',
+    running: 'bg-blue-100 text-blue-700',
+    success: 'bg-green-100 text-green-700',
+    failed: 'bg-red-100 text-red-700',
+};
+
+// Option keys are camelCase (e.g. maxAgeHours → "Max age hours")
+const optionLabel = (key) => key
+    .replace(/([A-Z])/g, ' $1')
+    .replace(/^./, first => first.toUpperCase())
+    .replace(/ ([A-Z])/g, (match, letter) => ` ${letter.toLowerCase()}`);
+
+const ScheduledJobs = () => {
+    const { hasRole } = useAuth();
+    const canEdit = hasRole(ROLES.SUPER_ADMIN);
+
+    const [jobs, setJobs] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    // Edit form
+    const [editing, setEditing] = useState(null);
+    const [formData, setFormData] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    // Run history of the selected job
+    const [selectedName, setSelectedName] = useState(null);
+    const [runs, setRuns] = useState([]);
+    const [pagination, setPagination] = useState({});
+    const [page, setPage] = useState(1);
+    const [runsLoading, setRunsLoading] = useState(false);
+
+    useEffect(() => {
+        fetchJobs();
+    }, []);
+
+    useEffect(() => {
+        if (selectedName) fetchRuns();
+    }, [selectedName, page]);
+
+    const fetchJobs = async () => {
+        try {
+            setLoading(true);
+            const response = await jobAPI.getAll();
+            setJobs(response.data.data.jobs);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load jobs');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchRuns = async () => {
+        try {
+            setRunsLoading(true);
+            const response = await jobAPI.getRuns(selectedName, { page, limit: 10 });
+            setRuns(response.data.data.runs);
+            setPagination(response.data.data.pagination);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load run history');
+        } finally {
+            setRunsLoading(false);
+        }
+    };
+
+    const refresh = () => {
+        fetchJobs();
+        if (selectedName) fetchRuns();
+    };
+
+    const formatDateTime = (date) => (date ? new Date(date).toLocaleString('en-IN', {
+        day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: true
+    }) : '-');
+
+    const formatDuration = (ms) => {
+        if (ms === undefined || ms === null) return '-';
+        return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+    };
+
+    const formatResult = (result) => (result && typeof result === 'object'
+        ? Object.entries(result).map(([key, value]) => `${optionLabel(key)}: ${value}`).join(', ')
+        : '-');
+
+    const selectJob = (name) => {
+        setSelectedName(name);
+        setPage(1);
+    };
+
+    const handleRun = async (job) => {
+        if (!window.confirm(`Run "${job.title}" now?`)) return;
+
+        try {
+            setError('');
+            const response = await jobAPI.run(job.name);
+            setSuccess(`${job.title}: ${response.data.message}`);
+            selectJob(job.name);
+            await fetchJobs();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to start job');
+        }
+    };
+
+    const startEdit = (job) => {
+        setEditing(job.name);
+        setFormData({
+            schedule: job.schedule,
+            enabled: job.enabled,
+            maxAttempts: job.maxAttempts,
+            retryDelayMinutes: job.retryDelayMinutes,
+            options: { ...job.options }
+        });
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+
+        try {
+            setSaving(true);
+            setError('');
+            await jobAPI.update(editing, formData);
+            setSuccess('Job updated');
+            setEditing(null);
+            await fetchJobs();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update job');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const selectedJob = jobs.find(job => job.name === selectedName);
+
+    return (
+        <div className="animate-fadeIn">
+            {/* Header */}
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
+                <div>
+                    <div className="flex items-center gap-2 text-sm text-gray-500 mb-2">
+                        <Link to="/dashboard" className="hover:text-primary-600">Dashboard</Link>
+                        <span>/</span>
+                        <span className="text-gray-700">Scheduled Jobs</span>
+                    </div>
+                    <h1 className="text-2xl font-bold text-gray-800">Scheduled Jobs</h1>
+                    <p className="text-gray-600 mt-1">Background tasks the server runs on a schedule</p>
+                </div>
+                <button onClick={refresh}
+                    className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50">
+                    <FiRefreshCw /> Refresh
+                </button>
+            </div>
+
+            {error && <ErrorMessage message={error} onClose={() => setError('')} />}
+
+            {success && (
+                <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg text-green-700 flex justify-between">
+                    <span>{success}</span>
+                    <button onClick={() => setSuccess('')}><FiX /></button>
+                </div>
+            )}
+
+            {/* Jobs */}
+            {loading ? (
+                <div className="flex justify-center py-12"><Loading size="lg" /></div>
+            ) : (
+                <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden mb-6">
+                    <div className="overflow-x-auto">
+                        <table className="w-full">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Job</th>
+                                    <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Schedule</th>
+                                    <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Next Run</th>
+                                    <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Last Run</th>
+                                    <th className="px-6 py-3 text-center text-xs font-semibold text-gray-600 uppercase">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {jobs.length === 0 ? (
+                                    <tr><td colSpan="5" className="px-6 py-12 text-center text-gray-500">No jobs registered yet</td></tr>
+                                ) : (
+                                    jobs.map(job => (
+                                        <tr key={job.name}
+                                            className={`align-top ${selectedName === job.name ? 'bg-primary-50' : 'hover:bg-gray-50'}`}>
+                                            <td className="px-6 py-4">
+                                                <button onClick={() => selectJob(job.name)} className="text-left">
+                                                    <p className="text-sm font-medium text-primary-600">{job.title}</p>
+                                                    <p className="text-xs text-gray-500">{job.description}</p>
+                                                </button>
+                                            </td>
+                                            <td className="px-6 py-4 text-sm">
+                                                <p className="font-mono text-gray-700">{job.schedule}</p>
+                                                <span className={`inline-block mt-1 px-2 py-0.5 text-xs font-medium rounded-full ${job.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}>
+                                                    {job.enabled ? 'Enabled' : 'Disabled'}
+                                                </span>
+                                            </td>
+                                            <td className="px-6 py-4 text-sm text-gray-600">
+                                                {job.enabled ? formatDateTime(job.nextRunAt) : '-'}
+                                                {job.attempts > 0 && (
+                                                    <p className="text-xs text-amber-600">Retry {job.attempts + 1} of {job.maxAttempts}</p>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 text-sm">
+                                                <span className={`px-2 py-0.5 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[job.lastStatus]}`}>
+                                                    {job.lastStatus}
+                                                </span>
+                                                {job.lastRunAt && (
+                                                    <p className="text-xs text-gray-500 mt-1">
+                                                        {formatDateTime(job.lastRunAt)} · {formatDuration(job.lastDurationMs)}
+                                                    </p>
+                                                )}
+                                                {job.lastStatus === 'failed' && job.lastError && (
+                                                    <p className="text-xs text-red-600 mt-1">{job.lastError}</p>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4">
+                                                <div className="flex justify-center gap-2">
+                                                    <button onClick={() => handleRun(job)} disabled={job.lastStatus === 'running'}
+                                                        title="Run now"
+                                                        className="p-2 text-green-600 hover:bg-green-50 rounded-lg disabled:opacity-50">
+                                                        <FiPlay />
+                                                    </button>
+                                                    {canEdit && (
+                                                        <button onClick={() => startEdit(job)} title="Edit"
+                                                            className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg">
+                                                            <FiEdit2 />
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    ))
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {/* Edit Form */}
+            {editing && formData && (
+                <form onSubmit={handleSave} className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 mb-6">
+                    <div className="flex justify-between items-center mb-4">
+                        <h3 className="font-semibold text-gray-800">
+                            Edit {jobs.find(job => job.name === editing)?.title}
+                        </h3>
+                        <button type="button" onClick={() => setEditing(null)} className="text-gray-400 hover:text-gray-600">
+                            <FiX />
+                        </button>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                        <div className="md:col-span-2">
+                            <label className="block text-sm font-medium text-gray-600 mb-1">Schedule (cron)</label>
+                            <input type="text" value={formData.schedule}
+                                onChange={(e) => setFormData(prev => ({ ...prev, schedule: e.target.value }))}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono" />
+                            <p className="text-xs text-gray-500 mt-1">
+                                minute hour day-of-month month day-of-week, e.g. <span className="font-mono">0 9 * * 1</span> is 9:00 every Monday
+                            </p>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-600 mb-1">Attempts</label>
+                            <input type="number" min="1" max="10" value={formData.maxAttempts}
+                                onChange={(e) => setFormData(prev => ({ ...prev, maxAttempts: e.target.value }))}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-600 mb-1">First retry after (minutes)</label>
+                            <input type="number" min="1" value={formData.retryDelayMinutes}
+                                onChange={(e) => setFormData(prev => ({ ...prev, retryDelayMinutes: e.target.value }))}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                        </div>
+                        {Object.entries(formData.options).map(([key, value]) => (
+                            <div key={key}>
+                                <label className="block text-sm font-medium text-gray-600 mb-1">{optionLabel(key)}</label>
+                                <input type={typeof value === 'number' ? 'number' : 'text'} value={value}
+                                    min={jobs.find(job => job.name === editing)?.optionMinimums?.[key]}
+                                    onChange={(e) => setFormData(prev => ({
+                                        ...prev,
+                                        options: { ...prev.options, [key]: e.target.value }
+                                    }))}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex items-center justify-between mt-6">
+                        <label className="flex items-center gap-2 text-sm text-gray-700">
+                            <input type="checkbox" checked={formData.enabled}
+                                onChange={(e) => setFormData(prev => ({ ...prev, enabled: e.target.checked }))}
+                                className="w-4 h-4 rounded border-gray-300" />
+                            Run on schedule
+                        </label>
+                        <button type="submit" disabled={saving}
+                            className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50">
+                            {saving ? 'Saving...' : 'Save'}
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {/* Run History */}
+            {selectedJob && (
+                <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+                    <div className="px-6 py-4 border-b border-gray-100 flex items-center gap-2">
+                        <FiClock className="text-gray-500" />
+                        <h3 className="font-semibold text-gray-800">History: {selectedJob.title}</h3>
+                    </div>
+                    {runsLoading ? (
+                        <div className="flex justify-center py-8"><Loading /></div>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="w-full">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Started</th>
+                                        <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Trigger</th>
+                                        <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Status</th>
+                                        <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Duration</th>
+                                        <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Result</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {runs.length === 0 ? (
+                                        <tr><td colSpan="5" className="px-6 py-8 text-center text-gray-500">This job hasn't run yet</td></tr>
+                                    ) : (
+                                        runs.map(run => (
+                                            <tr key={run._id} className="align-top">
+                                                <td className="px-6 py-3 text-sm text-gray-700">{formatDateTime(run.startedAt)}</td>
+                                                <td className="px-6 py-3 text-sm text-gray-600 capitalize">
+                                                    {run.trigger === 'manual'
+                                                        ? `Manual${run.triggeredBy ? ` (${run.triggeredBy.name || run.triggeredBy.email})` : ''}`
+                                                        : run.trigger === 'retry' ? `Retry (attempt ${run.attempt})` : 'Schedule'}
+                                                </td>
+                                                <td className="px-6 py-3">
+                                                    <span className={`px-2 py-0.5 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[run.status]}`}>
+                                                        {run.status}
+                                                    </span>
+                                                </td>
+                                                <td className="px-6 py-3 text-sm text-gray-600">{formatDuration(run.durationMs)}</td>
+                                                <td className="px-6 py-3 text-sm">
+                                                    {run.error
+                                                        ? <span className="text-red-600">{run.error}</span>
+                                                        : <span className="text-gray-700">{formatResult(run.result)}</span>}
+                                                </td>
+                                            </tr>
+                                        ))
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {pagination.totalPages > 1 && (
+                        <div className="flex items-center justify-end gap-4 px-6 py-4 border-t border-gray-100">
+                            <span className="text-sm text-gray-600">Page {pagination.currentPage} of {pagination.totalPages}</span>
+                            <div className="flex gap-2">
+                                <button onClick={() => setPage(prev => prev - 1)}
+                                    disabled={!pagination.hasPrevPage} className="p-2 rounded border disabled:opacity-50">
+                                    <FiChevronLeft />
+                                </button>
+                                <button onClick={() => setPage(prev => prev + 1)}
+                                    disabled={!pagination.hasNextPage} className="p-2 rounded border disabled:opacity-50">
+                                    <FiChevronRight />
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ScheduledJobs;
@@ -1,6 +1,7 @@
 import { useState, useRef, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { studentsAPI } from '../services/api';
+import { useAuth, ROLES } from '../context/AuthContext';
 import ErrorMessage from '../components/ErrorMessage';
 import Loading from '../components/Loading';
 import {
@@ -14,6 +15,7 @@ import {
 } from 'react-icons/fi';
 
 const SearchStudent = () => {
+    const { hasRole } = useAuth();
     const [searchQuery, setSearchQuery] = useState('');
     const [suggestions, setSuggestions] = useState([]);
     const [showDropdown, setShowDropdown] = useState(false);
@@ -325,15 +327,17 @@ const SearchStudent = () => {
                                 <span>View Full Details</span>
                                 <FiChevronRight className="w-5 h-5" />
                             </button>
-                            <button
-                                onClick={handleAddPayment}
-                                className="flex-1 flex items-center justify-center space-x-2 px-6 py-3 
-                           bg-amber-500 text-white font-medium rounded-lg 
-                           hover:bg-amber-400 transition-colors"
-                            >
-                                <span>Add Payment</span>
-                                <span className="font-bold">₹</span>
-                            </button>
+                            {hasRole(ROLES.COLLECTORS) && student.isActive !== false && (
+                                <button
+                                    onClick={handleAddPayment}
+                                    className="flex-1 flex items-center justify-center space-x-2 px-6 py-3 
+                               bg-amber-500 text-white font-medium rounded-lg 
+                               hover:bg-amber-400 transition-colors"
+                                >
+                                    <span>Add Payment</span>
+                                    <span className="font-bold">₹</span>
+                                </button>
+                            )}
                         </div>
                     </div>
                 </div>
@@ -1,9 +1,12 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { studentsAPI } from '../services/api';
+import { useAuth, ROLES } from '../context/AuthContext';
 import Loading from '../components/Loading';
 import ErrorMessage from '../components/ErrorMessage';
 import ReceiptModal from '../components/ReceiptModal';
+import StatementModal from '../components/StatementModal';
+import NoDuesModal from '../components/NoDuesModal';
 import {
     FiUser,
     FiMail,
@@ -15,19 +18,34 @@ import {
     FiClock,
     FiCalendar,
     FiTrash2,
-    FiFileText
+    FiFileText,
+    FiRotateCcw,
+    FiSlash,
+    FiPercent,
+    FiX,
+    FiRefreshCw,
+    FiAward
 } from 'react-icons/fi';
 import { BiRupee } from 'react-icons/bi';
 
 const StudentDetails = () => {
     const { prn } = useParams();
     const navigate = useNavigate();
+    const { hasRole } = useAuth();
     const [student, setStudent] = useState(null);
     const [fines, setFines] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
     const [markingPaid, setMarkingPaid] = useState(null);
+    const [reversing, setReversing] = useState(null);
+    const [waiving, setWaiving] = useState(null);
+    const [resending, setResending] = useState(null);
+    const [concessionFine, setConcessionFine] = useState(null);
+    const [concessionForm, setConcessionForm] = useState(null);
+    const [savingConcession, setSavingConcession] = useState(false);
     const [selectedPayment, setSelectedPayment] = useState(null);
+    const [showStatement, setShowStatement] = useState(false);
+    const [showNoDues, setShowNoDues] = useState(false);
 
     useEffect(() => {
         fetchStudentData();
@@ -57,19 +75,129 @@ const StudentDetails = () => {
         }
     };
 
-    const handleMarkPaid = async (fineId) => {
+    const handleMarkPaid = async (fine) => {
+        const balance = fine.balance ?? fine.amount;
+        const input = window.prompt(
+            `Amount to collect for ${fine.category || 'Others'} (balance ${formatCurrency(balance)}).\nEnter a smaller amount to record a partial payment.`,
+            balance
+        );
+        if (input === null) {
+            return;
+        }
+
+        const amount = Number(input);
+        if (!amount || amount <= 0 || amount > balance) {
+            setError(`Enter an amount between 1 and ${balance}`);
+            return;
+        }
+
         try {
-            setMarkingPaid(fineId);
-            await studentsAPI.markFinePaid(prn, fineId);
+            setMarkingPaid(fine._id);
+            await studentsAPI.markFinePaid(prn, fine._id, { amount, sendEmail: true });
             // Refresh data
             await fetchStudentData();
         } catch (err) {
-            setError(err.response?.data?.message || 'Failed to mark fine as paid');
+            setError(err.response?.data?.message || 'Failed to collect payment');
         } finally {
             setMarkingPaid(null);
         }
     };
 
+    const handleReverse = async (fine, receipt) => {
+        const reason = window.prompt(
+            `Reverse payment ${receipt.receiptNumber || ''} of ${formatCurrency(receipt.amount)}?\nA credit note will be issued and the amount added back to the balance.\n\nReason for reversal:`
+        );
+        if (reason === null) {
+            return;
+        }
+        if (!reason.trim()) {
+            setError('A reason is required to reverse a payment');
+            return;
+        }
+
+        try {
+            setReversing(receipt._id);
+            await studentsAPI.reversePayment(prn, fine._id, receipt._id, { reason: reason.trim() });
+            await fetchStudentData();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to reverse payment');
+        } finally {
+            setReversing(null);
+        }
+    };
+
+    const handleWaive = async (fine) => {
+        const reason = window.prompt(
+            `Waive the late fee of ${formatCurrency(fine.balance)} (${fine.reason})?\n\nReason for waiver:`
+        );
+        if (reason === null) {
+            return;
+        }
+        if (!reason.trim()) {
+            setError('A reason is required to waive a late fee');
+            return;
+        }
+
+        try {
+            setWaiving(fine._id);
+            await studentsAPI.waiveLateFee(prn, fine._id, { reason: reason.trim() });
+            await fetchStudentData();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to waive late fee');
+        } finally {
+            setWaiving(null);
+        }
+    };
+
+    const handleResend = async (fine, receipt) => {
+        try {
+            setResending(receipt._id);
+            await studentsAPI.resendReceipt(prn, fine._id, receipt._id);
+            await fetchStudentData();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to resend receipt');
+        } finally {
+            setResending(null);
+        }
+    };
+
+    // Colour and tooltip for a receipt's email delivery status
+    const describeEmail = (email) => {
+        if (!email) return { className: 'text-gray-300', title: 'Receipt not emailed' };
+        if (email.status === 'sent') {
+            return { className: 'text-green-600', title: `Emailed to ${email.to} on ${formatDate(email.sentAt)}` };
+        }
+        if (email.status === 'failed') {
+            return { className: 'text-red-600', title: `Email to ${email.to} failed after ${email.attempts} attempts: ${email.lastError}` };
+        }
+        return {
+            className: 'text-amber-500',
+            title: email.lastError
+                ? `Email to ${email.to} queued for retry (${email.attempts} attempts): ${email.lastError}`
+                : `Email to ${email.to} queued`
+        };
+    };
+
+    const openConcession = (fine) => {
+        setConcessionFine(fine);
+        setConcessionForm({ kind: 'percent', value: '', approver: '', justification: '', requireApproval: false });
+    };
+
+    const handleConcession = async (e) => {
+        e.preventDefault();
+        try {
+            setSavingConcession(true);
+            await studentsAPI.grantConcession(prn, concessionFine._id, concessionForm);
+            setConcessionFine(null);
+            await fetchStudentData();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to record concession');
+            setConcessionFine(null);
+        } finally {
+            setSavingConcession(false);
+        }
+    };
+
     const formatDate = (dateString) => {
         return new Date(dateString).toLocaleString('en-IN', {
             day: '2-digit',
@@ -115,8 +243,11 @@ const StudentDetails = () => {
     }
 
     const totalFines = fines.reduce((sum, fine) => sum + (fine.amount || 0), 0);
-    const paidFines = fines.filter(fine => fine.isPaid).reduce((sum, fine) => sum + (fine.amount || 0), 0);
-    const pendingFines = totalFines - paidFines;
+    const paidFines = fines.reduce((sum, fine) => sum + (fine.amountPaid || 0), 0);
+    const pendingFines = fines.reduce((sum, fine) => sum + (fine.isPaid ? 0 : (fine.balance || 0)), 0);
+    const waivedFines = fines.reduce((sum, fine) => sum + (fine.waivedAmount || 0), 0);
+
+    const isOverdue = (fine) => !fine.isPaid && fine.dueDate && new Date(fine.dueDate) < new Date();
 
     return (
         <div className="animate-fadeIn max-w-4xl mx-auto">
@@ -146,17 +277,44 @@ const StudentDetails = () => {
                             <div>
                                 <h1 className="text-2xl font-bold">{student?.name}</h1>
                                 <p className="text-white/80 mt-1">PRN: {student?.prn}</p>
+                                {student?.isActive === false && (
+                                    <span className="inline-block mt-2 px-2 py-0.5 text-xs font-medium bg-red-500/80 rounded-full">
+                                        Archived
+                                    </span>
+                                )}
                             </div>
                         </div>
-                        <Link
-                            to={`/add-payment/${prn}`}
-                            className="inline-flex items-center justify-center space-x-2 px-6 py-3 
-                         bg-amber-500 text-white font-medium rounded-lg 
-                         hover:bg-amber-400 transition-colors"
-                        >
-                            <FiPlus className="w-5 h-5" />
-                            <span>Add Payment</span>
-                        </Link>
+                        <div className="flex flex-wrap gap-3">
+                            <button
+                                onClick={() => setShowStatement(true)}
+                                className="inline-flex items-center justify-center space-x-2 px-6 py-3
+                                 bg-white/10 text-white font-medium rounded-lg border border-white/30
+                                 hover:bg-white/20 transition-colors"
+                            >
+                                <FiFileText className="w-5 h-5" />
+                                <span>Statement</span>
+                            </button>
+                            <button
+                                onClick={() => setShowNoDues(true)}
+                                className="inline-flex items-center justify-center space-x-2 px-6 py-3
+                                 bg-white/10 text-white font-medium rounded-lg border border-white/30
+                                 hover:bg-white/20 transition-colors"
+                            >
+                                <FiAward className="w-5 h-5" />
+                                <span>No Dues</span>
+                            </button>
+                            {hasRole(ROLES.COLLECTORS) && student?.isActive !== false && (
+                                <Link
+                                    to={`/add-payment/${prn}`}
+                                    className="inline-flex items-center justify-center space-x-2 px-6 py-3 
+                                 bg-amber-500 text-white font-medium rounded-lg 
+                                 hover:bg-amber-400 transition-colors"
+                                >
+                                    <FiPlus className="w-5 h-5" />
+                                    <span>Add Payment</span>
+                                </Link>
+                            )}
+                        </div>
                     </div>
                 </div>
 
@@ -196,12 +354,15 @@ const StudentDetails = () => {
             </div>
 
             {/* Fine Summary Cards */}
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
                 <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-5">
                     <div className="flex items-center justify-between">
                         <div>
-                            <p className="text-sm text-gray-500">Total Fees</p>
+                            <p className="text-sm text-gray-500">Total Charged</p>
                             <p className="text-2xl font-bold text-gray-800">{formatCurrency(totalFines)}</p>
+                            {waivedFines > 0 && (
+                                <p className="text-xs text-green-700 mt-1">Less {formatCurrency(waivedFines)} concessions &amp; waivers</p>
+                            )}
                         </div>
                         <div className="w-12 h-12 bg-blue-100 rounded-xl flex items-center justify-center">
                             <BiRupee className="w-6 h-6 text-blue-600" />
@@ -212,7 +373,7 @@ const StudentDetails = () => {
                 <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-5">
                     <div className="flex items-center justify-between">
                         <div>
-                            <p className="text-sm text-gray-500">Paid</p>
+                            <p className="text-sm text-gray-500">Collected</p>
                             <p className="text-2xl font-bold text-green-600">{formatCurrency(paidFines)}</p>
                         </div>
                         <div className="w-12 h-12 bg-green-100 rounded-xl flex items-center justify-center">
@@ -221,7 +382,19 @@ const StudentDetails = () => {
                     </div>
                 </div>
 
-
+                <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-5">
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <p className="text-sm text-gray-500">Outstanding</p>
+                            <p className={`text-2xl font-bold ${pendingFines > 0 ? 'text-amber-600' : 'text-gray-800'}`}>
+                                {formatCurrency(pendingFines)}
+                            </p>
+                        </div>
+                        <div className="w-12 h-12 bg-amber-100 rounded-xl flex items-center justify-center">
+                            <FiClock className="w-6 h-6 text-amber-600" />
+                        </div>
+                    </div>
+                </div>
             </div>
 
             {/* Fine History */}
@@ -284,6 +457,9 @@ const StudentDetails = () => {
                                         </td>
                                         <td className="px-6 py-4 whitespace-nowrap">
                                             <span className="text-sm text-gray-600">{fine.category || 'Others'}</span>
+                                            {fine.lateFeeFor && (
+                                                <span className="block mt-1 text-xs text-amber-600 font-medium">Late fee</span>
+                                            )}
                                         </td>
                                         <td className="px-6 py-4">
                                             <p className="text-sm text-gray-800">{fine.reason}</p>
@@ -292,22 +468,132 @@ const StudentDetails = () => {
                                             <span className="text-sm font-semibold text-gray-800">
                                                 {formatCurrency(fine.amount)}
                                             </span>
+                                            {!fine.isPaid && (fine.amountPaid > 0 || fine.waivedAmount > 0) && (
+                                                <p className="text-xs text-gray-500 mt-1">
+                                                    Paid {formatCurrency(fine.amountPaid)} · Balance {formatCurrency(fine.balance)}
+                                                </p>
+                                            )}
+                                            {(fine.concessions || []).filter(c => c.status !== 'rejected').map(concession => (
+                                                <p
+                                                    key={concession._id}
+                                                    title={`${concession.justification} (recorded by ${concession.requestedByName})`}
+                                                    className={`text-xs mt-1 ${concession.status === 'pending' ? 'text-amber-600' : 'text-green-700'}`}
+                                                >
+                                                    Concession {formatCurrency(concession.amount)}
+                                                    {concession.kind === 'percent' && ` (${concession.value}%)`} · {concession.approver}
+                                                    {concession.status === 'pending' && ' · awaiting approval'}
+                                                </p>
+                                            ))}
                                         </td>
                                         <td className="px-6 py-4 whitespace-nowrap">
-                                            <span className="badge badge-success">
-                                                <FiCheck className="w-3 h-3 mr-1" />
-                                                Paid
-                                            </span>
+                                            {fine.waiver?.waivedAt ? (
+                                                <div>
+                                                    <span className="badge bg-gray-100 text-gray-700">
+                                                        <FiSlash className="w-3 h-3 mr-1" />
+                                                        Waived
+                                                    </span>
+                                                    <p className="text-xs text-gray-500 mt-1 max-w-[12rem] whitespace-normal">
+                                                        {formatCurrency(fine.waivedAmount)} by {fine.waiver.waivedByName || 'admin'}
+                                                        {fine.waiver.reason && ` · ${fine.waiver.reason}`}
+                                                    </p>
+                                                </div>
+                                            ) : fine.isPaid ? (
+                                                <span className="badge badge-success">
+                                                    <FiCheck className="w-3 h-3 mr-1" />
+                                                    {fine.amountPaid > 0 || !fine.waivedAmount ? 'Paid' : 'Settled by Concession'}
+                                                </span>
+                                            ) : (
+                                                <div>
+                                                    <span className={`badge ${isOverdue(fine) ? 'badge-danger' : 'badge-warning'}`}>
+                                                        <FiClock className="w-3 h-3 mr-1" />
+                                                        {isOverdue(fine) ? 'Overdue' : fine.amountPaid > 0 ? 'Partially Paid' : 'Outstanding'}
+                                                    </span>
+                                                    {fine.dueDate && (
+                                                        <p className="text-xs text-gray-500 mt-1">
+                                                            Due {new Date(fine.dueDate).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })}
+                                                        </p>
+                                                    )}
+                                                </div>
+                                            )}
                                         </td>
                                         <td className="px-6 py-4 whitespace-nowrap text-center">
-                                            <button
-                                                onClick={() => setSelectedPayment(fine)}
-                                                className="inline-flex items-center space-x-1 px-3 py-1.5 text-primary-600 
-                                                 hover:bg-primary-50 rounded-lg transition-colors text-sm font-medium"
-                                            >
-                                                <FiFileText className="w-4 h-4" />
-                                                <span>View</span>
-                                            </button>
+                                            <div className="flex flex-col items-center gap-1">
+                                                {(fine.receipts || []).map((receipt) => (
+                                                    <div key={receipt._id} className="flex items-center gap-1">
+                                                        <button
+                                                            onClick={() => setSelectedPayment(receipt)}
+                                                            title={receipt.receiptNumber}
+                                                            className={`inline-flex items-center space-x-1 px-3 py-1.5 rounded-lg transition-colors text-sm font-medium ${receipt.isReversed
+                                                                ? 'text-gray-400 hover:bg-gray-100 line-through'
+                                                                : 'text-primary-600 hover:bg-primary-50'
+                                                                }`}
+                                                        >
+                                                            <FiFileText className="w-4 h-4" />
+                                                            <span>{fine.receipts.length > 1 ? formatCurrency(receipt.amount) : 'View'}</span>
+                                                        </button>
+                                                        {!receipt.isReversed && (
+                                                            <span title={describeEmail(receipt.email).title}
+                                                                className={`p-1 ${describeEmail(receipt.email).className}`}>
+                                                                <FiMail className="w-4 h-4" />
+                                                            </span>
+                                                        )}
+                                                        {!receipt.isReversed && student?.email && hasRole(ROLES.COLLECTORS) && (
+                                                            <button
+                                                                onClick={() => handleResend(fine, receipt)}
+                                                                disabled={resending === receipt._id}
+                                                                title="Resend receipt"
+                                                                className="p-1.5 text-gray-400 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-colors disabled:opacity-50"
+                                                            >
+                                                                <FiRefreshCw className={`w-4 h-4 ${resending === receipt._id ? 'animate-spin' : ''}`} />
+                                                            </button>
+                                                        )}
+                                                        {receipt.isReversed ? (
+                                                            <span className="text-xs text-red-600 font-medium">Reversed</span>
+                                                        ) : hasRole(ROLES.MANAGERS) && (
+                                                            <button
+                                                                onClick={() => handleReverse(fine, receipt)}
+                                                                disabled={reversing === receipt._id}
+                                                                title="Reverse payment"
+                                                                className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                                                            >
+                                                                <FiRotateCcw className="w-4 h-4" />
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                ))}
+                                                {!fine.isPaid && hasRole(ROLES.COLLECTORS) && student?.isActive !== false && (
+                                                    <button
+                                                        onClick={() => handleMarkPaid(fine)}
+                                                        disabled={markingPaid === fine._id}
+                                                        className="inline-flex items-center space-x-1 px-3 py-1.5 bg-green-100 text-green-700 
+                                                         hover:bg-green-200 rounded-lg transition-colors text-sm font-medium disabled:opacity-50"
+                                                    >
+                                                        <BiRupee className="w-4 h-4" />
+                                                        <span>{markingPaid === fine._id ? 'Collecting...' : 'Collect'}</span>
+                                                    </button>
+                                                )}
+                                                {!fine.isPaid && !fine.lateFeeFor && hasRole(ROLES.MANAGERS) && student?.isActive !== false && (
+                                                    <button
+                                                        onClick={() => openConcession(fine)}
+                                                        className="inline-flex items-center space-x-1 px-3 py-1.5 text-primary-600 
+                                                         hover:bg-primary-50 rounded-lg transition-colors text-sm font-medium"
+                                                    >
+                                                        <FiPercent className="w-4 h-4" />
+                                                        <span>Concession</span>
+                                                    </button>
+                                                )}
+                                                {!fine.isPaid && fine.lateFeeFor && hasRole(ROLES.MANAGERS) && (
+                                                    <button
+                                                        onClick={() => handleWaive(fine)}
+                                                        disabled={waiving === fine._id}
+                                                        className="inline-flex items-center space-x-1 px-3 py-1.5 text-gray-600 
+                                                         hover:bg-gray-100 rounded-lg transition-colors text-sm font-medium disabled:opacity-50"
+                                                    >
+                                                        <FiSlash className="w-4 h-4" />
+                                                        <span>{waiving === fine._id ? 'Waiving...' : 'Waive'}</span>
+                                                    </button>
+                                                )}
+                                            </div>
                                         </td>
                                     </tr>
                                 ))}
@@ -317,6 +603,88 @@ const StudentDetails = () => {
                 )}
             </div>
 
+            {/* Concession Modal */}
+            {concessionFine && (
+                <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+                    <div className="bg-white rounded-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+                        <div className="flex justify-between items-center p-4 border-b">
+                            <h3 className="text-lg font-semibold">Grant Concession</h3>
+                            <button onClick={() => setConcessionFine(null)}><FiX /></button>
+                        </div>
+                        <form onSubmit={handleConcession} className="p-4 space-y-4">
+                            <p className="text-sm text-gray-600">
+                                {concessionFine.category || 'Others'} · {formatCurrency(concessionFine.amount)} charged,
+                                balance {formatCurrency(concessionFine.balance)}
+                            </p>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium mb-1">Type</label>
+                                    <select value={concessionForm.kind}
+                                        onChange={(e) => setConcessionForm(prev => ({ ...prev, kind: e.target.value }))}
+                                        className="w-full px-3 py-2 border rounded-lg">
+                                        <option value="percent">Percentage of charge</option>
+                                        <option value="flat">Flat amount</option>
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium mb-1">
+                                        {concessionForm.kind === 'percent' ? 'Percentage *' : 'Amount (₹) *'}
+                                    </label>
+                                    <input type="number" required min="1" max={concessionForm.kind === 'percent' ? 100 : concessionFine.balance}
+                                        value={concessionForm.value}
+                                        onChange={(e) => setConcessionForm(prev => ({ ...prev, value: e.target.value }))}
+                                        className="w-full px-3 py-2 border rounded-lg" />
+                                </div>
+                            </div>
+                            {concessionForm.kind === 'percent' && concessionForm.value > 0 && (
+                                <p className="text-sm text-gray-500">
+                                    Takes {formatCurrency(Math.round(concessionFine.amount * concessionForm.value / 100))} off the charge
+                                </p>
+                            )}
+                            <div>
+                                <label className="block text-sm font-medium mb-1">Approved By *</label>
+                                <input type="text" required value={concessionForm.approver}
+                                    onChange={(e) => setConcessionForm(prev => ({ ...prev, approver: e.target.value }))}
+                                    placeholder="e.g. HOD IT"
+                                    className="w-full px-3 py-2 border rounded-lg" />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium mb-1">Justification *</label>
+                                <textarea required rows={3} value={concessionForm.justification}
+                                    onChange={(e) => setConcessionForm(prev => ({ ...prev, justification: e.target.value }))}
+                                    placeholder="e.g. Merit scholarship 2025-26"
+                                    className="w-full px-3 py-2 border rounded-lg resize-none" />
+                            </div>
+                            <label className="flex items-center gap-2 text-sm text-gray-700">
+                                <input type="checkbox" checked={concessionForm.requireApproval}
+                                    onChange={(e) => setConcessionForm(prev => ({ ...prev, requireApproval: e.target.checked }))}
+                                    className="w-4 h-4 rounded border-gray-300" />
+                                Needs approval by a second admin before it applies
+                            </label>
+                            <button type="submit" disabled={savingConcession}
+                                className="w-full py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50">
+                                {savingConcession ? 'Saving...' : 'Record Concession'}
+                            </button>
+                        </form>
+                    </div>
+                </div>
+            )}
+
+            {/* Statement Modal */}
+            <StatementModal
+                isOpen={showStatement}
+                onClose={() => setShowStatement(false)}
+                student={student}
+            />
+
+            {/* No-Dues Modal */}
+            <NoDuesModal
+                isOpen={showNoDues}
+                onClose={() => setShowNoDues(false)}
+                student={student}
+                canIssue={hasRole(ROLES.MANAGERS)}
+            />
+
             {/* Receipt Modal */}
             <ReceiptModal
                 isOpen={!!selectedPayment}
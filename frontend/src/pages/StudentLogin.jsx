@@ -0,0 +1,217 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { portalAPI } from '../services/api';
+import { FiUser, FiKey, FiLogIn, FiAlertCircle, FiCheckCircle, FiArrowLeft } from 'react-icons/fi';
+
+// Student portal sign-in: PRN first, then the code emailed to the student
+const StudentLogin = () => {
+    const [prn, setPrn] = useState('');
+    const [code, setCode] = useState('');
+    const [codeSent, setCodeSent] = useState(false);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        if (localStorage.getItem('studentToken')) {
+            navigate('/portal', { replace: true });
+        }
+    }, [navigate]);
+
+    const handleRequestCode = async (e) => {
+        e?.preventDefault();
+        setError('');
+        setMessage('');
+
+        if (!prn.trim()) {
+            setError('Please enter your PRN');
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            const response = await portalAPI.requestCode(prn.trim());
+            setMessage(response.data.message);
+            setCodeSent(true);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not send a code. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleVerify = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (!code.trim()) {
+            setError('Please enter the code from your email');
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            const response = await portalAPI.verifyCode(prn.trim(), code.trim());
+            localStorage.setItem('studentToken', response.data.data.token);
+            navigate('/portal', { replace: true });
+        } catch (err) {
+            setError(err.response?.data?.message || 'Sign-in failed. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const inputClass = `w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2
+                             focus:ring-primary-500 focus:border-primary-500 text-gray-800
+                             placeholder-gray-400`;
+
+    const submitClass = `w-full flex items-center justify-center space-x-2 py-3 px-4
+                         bg-gradient-to-r from-primary-700 to-primary-800 text-white
+                         font-medium rounded-lg hover:from-primary-600 hover:to-primary-700
+                         focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500
+                         disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200`;
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-700 via-primary-800 to-primary-900 px-4">
+            {/* Background decoration */}
+            <div className="absolute inset-0 overflow-hidden">
+                <div className="absolute -top-40 -right-40 w-80 h-80 bg-secondary-500/20 rounded-full blur-3xl"></div>
+                <div className="absolute -bottom-40 -left-40 w-80 h-80 bg-secondary-500/10 rounded-full blur-3xl"></div>
+            </div>
+
+            <div className="relative w-full max-w-md animate-fadeIn">
+                {/* Logo Card */}
+                <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-8 mb-6 text-center border border-white/20">
+                    <div className="w-20 h-20 bg-white/20 rounded-2xl flex items-center justify-center mx-auto mb-4">
+                        <span className="text-4xl font-bold text-white">₹</span>
+                    </div>
+                    <h1 className="text-2xl font-bold text-white mb-2">
+                        ITSA Accounts
+                    </h1>
+                    <p className="text-white/70 text-sm">
+                        Student Portal
+                    </p>
+                </div>
+
+                <div className="bg-white rounded-2xl shadow-2xl p-8">
+                    <h2 className="text-xl font-semibold text-gray-800 mb-6 text-center">
+                        {codeSent ? 'Enter your sign-in code' : 'View your payments'}
+                    </h2>
+
+                    {error && (
+                        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start space-x-3">
+                            <FiAlertCircle className="w-5 h-5 text-red-500 mt-0.5 flex-shrink-0" />
+                            <p className="text-sm text-red-700">{error}</p>
+                        </div>
+                    )}
+
+                    {message && !error && (
+                        <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-start space-x-3">
+                            <FiCheckCircle className="w-5 h-5 text-green-500 mt-0.5 flex-shrink-0" />
+                            <p className="text-sm text-green-700">{message}</p>
+                        </div>
+                    )}
+
+                    {!codeSent ? (
+                        <form onSubmit={handleRequestCode} className="space-y-5">
+                            <div>
+                                <label htmlFor="prn" className="block text-sm font-medium text-gray-700 mb-2">
+                                    PRN
+                                </label>
+                                <div className="relative">
+                                    <FiUser className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                                    <input
+                                        type="text"
+                                        id="prn"
+                                        value={prn}
+                                        onChange={(e) => setPrn(e.target.value.toUpperCase())}
+                                        placeholder="Your PRN"
+                                        autoComplete="username"
+                                        className={inputClass}
+                                    />
+                                </div>
+                                <p className="mt-2 text-xs text-gray-500">
+                                    A one-time code will be emailed to the address the college has on record.
+                                </p>
+                            </div>
+
+                            <button type="submit" disabled={isLoading} className={submitClass}>
+                                {isLoading ? (
+                                    <>
+                                        <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+                                        <span>Sending code...</span>
+                                    </>
+                                ) : (
+                                    <span>Email me a code</span>
+                                )}
+                            </button>
+                        </form>
+                    ) : (
+                        <form onSubmit={handleVerify} className="space-y-5">
+                            <div>
+                                <label htmlFor="code" className="block text-sm font-medium text-gray-700 mb-2">
+                                    Code for {prn}
+                                </label>
+                                <div className="relative">
+                                    <FiKey className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                                    <input
+                                        type="text"
+                                        id="code"
+                                        inputMode="numeric"
+                                        autoComplete="one-time-code"
+                                        maxLength={6}
+                                        value={code}
+                                        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                                        placeholder="6-digit code"
+                                        className={`${inputClass} tracking-widest`}
+                                    />
+                                </div>
+                            </div>
+
+                            <button type="submit" disabled={isLoading} className={submitClass}>
+                                {isLoading ? (
+                                    <>
+                                        <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+                                        <span>Signing in...</span>
+                                    </>
+                                ) : (
+                                    <>
+                                        <FiLogIn className="w-5 h-5" />
+                                        <span>Sign in</span>
+                                    </>
+                                )}
+                            </button>
+
+                            <div className="flex items-center justify-between text-sm">
+                                <button
+                                    type="button"
+                                    onClick={() => { setCodeSent(false); setCode(''); setMessage(''); setError(''); }}
+                                    className="text-gray-500 hover:text-gray-700 flex items-center space-x-1"
+                                >
+                                    <FiArrowLeft className="w-4 h-4" />
+                                    <span>Change PRN</span>
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={handleRequestCode}
+                                    disabled={isLoading}
+                                    className="text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                                >
+                                    Send a new code
+                                </button>
+                            </div>
+                        </form>
+                    )}
+
+                    <p className="mt-6 text-center text-sm text-gray-500">
+                        College staff? <Link to="/login" className="text-primary-600 hover:text-primary-700">Admin sign-in</Link>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default StudentLogin;
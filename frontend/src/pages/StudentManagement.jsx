@@ -1,8 +1,10 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { studentManagementAPI } from '../services/api';
+import { useAuth, ROLES } from '../context/AuthContext';
 import Loading from '../components/Loading';
 import ErrorMessage from '../components/ErrorMessage';
+import PromotionWizard from '../components/PromotionWizard';
 import {
     FiPlus,
     FiEdit2,
@@ -14,11 +16,16 @@ import {
     FiX,
     FiAlertTriangle,
     FiArrowUp,
-    FiArrowDown
+    FiArrowDown,
+    FiRotateCcw,
+    FiArchive,
+    FiUsers,
+    FiTrendingUp
 } from 'react-icons/fi';
 import { BiRupee } from 'react-icons/bi';
 
 const StudentManagement = () => {
+    const { hasRole } = useAuth();
     const [students, setStudents] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
@@ -31,6 +38,8 @@ const StudentManagement = () => {
     const [showDeleteModal, setShowDeleteModal] = useState(false);
     const [showBulkDeleteModal, setShowBulkDeleteModal] = useState(false);
     const [selectedStudent, setSelectedStudent] = useState(null);
+    const [showArchived, setShowArchived] = useState(false);
+    const [showPromotionWizard, setShowPromotionWizard] = useState(false);
 
     const [bulkDeleteYear, setBulkDeleteYear] = useState('');
     const [bulkDeleteDivision, setBulkDeleteDivision] = useState('');
@@ -47,7 +56,7 @@ const StudentManagement = () => {
 
     useEffect(() => {
         fetchStudents();
-    }, [filters.page, filters.limit, filters.sortBy, filters.sortOrder]);
+    }, [filters.page, filters.limit, filters.sortBy, filters.sortOrder, showArchived]);
 
     const fetchStudents = async () => {
         try {
@@ -56,6 +65,7 @@ const StudentManagement = () => {
             Object.entries(filters).forEach(([key, value]) => {
                 if (value) params[key] = value;
             });
+            if (showArchived) params.archived = 'true';
             const response = await studentManagementAPI.getAll(params);
             setStudents(response.data.data.students);
             setPagination(response.data.data.pagination);
@@ -109,7 +119,7 @@ const StudentManagement = () => {
     const handleDeleteStudent = async () => {
         try {
             await studentManagementAPI.deleteStudent(selectedStudent.prn);
-            setSuccess('Student deleted successfully');
+            setSuccess('Student moved to the recycle bin');
             setShowDeleteModal(false);
             fetchStudents();
         } catch (err) {
@@ -117,6 +127,35 @@ const StudentManagement = () => {
         }
     };
 
+    const handleRestoreStudent = async (student) => {
+        try {
+            await studentManagementAPI.restoreStudent(student.prn);
+            setSuccess(`${student.name} (${student.prn}) restored`);
+            fetchStudents();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to restore student');
+        }
+    };
+
+    const handlePurgeStudent = async (student) => {
+        if (!window.confirm(`Permanently delete ${student.name} (${student.prn})? This action cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await studentManagementAPI.purgeStudent(student.prn);
+            setSuccess(`${student.name} (${student.prn}) permanently deleted`);
+            fetchStudents();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to permanently delete student');
+        }
+    };
+
+    const toggleArchived = () => {
+        setShowArchived(prev => !prev);
+        setFilters(prev => ({ ...prev, page: 1 }));
+    };
+
     const handleBulkDelete = async () => {
         try {
             if (!bulkDeleteYear || !bulkDeleteDivision) {
@@ -125,13 +164,13 @@ const StudentManagement = () => {
             }
 
             // Confirm again
-            if (!window.confirm(`Are you sure you want to delete ALL students in ${bulkDeleteYear} Division ${bulkDeleteDivision}?`)) {
+            if (!window.confirm(`Are you sure you want to move ALL students in ${bulkDeleteYear} Division ${bulkDeleteDivision} to the recycle bin?`)) {
                 return;
             }
 
-            await studentManagementAPI.deleteByClass(bulkDeleteYear, bulkDeleteDivision);
+            const response = await studentManagementAPI.deleteByClass(bulkDeleteYear, bulkDeleteDivision);
 
-            setSuccess(`Students from ${bulkDeleteYear} Div ${bulkDeleteDivision} deleted successfully`);
+            setSuccess(response.data.message);
             setShowBulkDeleteModal(false);
             setBulkDeleteYear('');
             setBulkDeleteDivision('');
@@ -162,21 +201,42 @@ const StudentManagement = () => {
                         <span>/</span>
                         <span className="text-gray-700">Student Management</span>
                     </div>
-                    <h1 className="text-2xl font-bold text-gray-800">Student Management</h1>
+                    <h1 className="text-2xl font-bold text-gray-800">
+                        {showArchived ? 'Recycle Bin' : 'Student Management'}
+                    </h1>
+                    {showArchived && (
+                        <p className="text-gray-600 mt-1">Archived students keep their payment history. Restore them or permanently delete those without payments.</p>
+                    )}
                 </div>
                 <div className="flex gap-2 flex-wrap">
                     <button onClick={() => setShowFilters(!showFilters)}
                         className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50">
                         <FiFilter /> Filters
                     </button>
-                    <button onClick={() => setShowBulkDeleteModal(true)}
-                        className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700">
-                        <FiTrash2 /> Delete Class Data
-                    </button>
-                    <button onClick={() => setShowAddModal(true)}
-                        className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
-                        <FiPlus /> Add Student
-                    </button>
+                    {hasRole(ROLES.SUPER_ADMIN) && (
+                        <button onClick={toggleArchived}
+                            className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50">
+                            {showArchived ? <><FiUsers /> Active Students</> : <><FiArchive /> Recycle Bin</>}
+                        </button>
+                    )}
+                    {hasRole(ROLES.SUPER_ADMIN) && !showArchived && (
+                        <button onClick={() => setShowPromotionWizard(true)}
+                            className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50">
+                            <FiTrendingUp /> Promote Year
+                        </button>
+                    )}
+                    {hasRole(ROLES.SUPER_ADMIN) && !showArchived && (
+                        <button onClick={() => setShowBulkDeleteModal(true)}
+                            className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700">
+                            <FiTrash2 /> Delete Class Data
+                        </button>
+                    )}
+                    {hasRole(ROLES.MANAGERS) && !showArchived && (
+                        <button onClick={() => setShowAddModal(true)}
+                            className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+                            <FiPlus /> Add Student
+                        </button>
+                    )}
                 </div>
             </div>
 
@@ -258,13 +318,18 @@ const StudentManagement = () => {
                                     </th>
                                     <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Year</th>
                                     <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Division</th>
+                                    {showArchived && (
+                                        <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Archived On</th>
+                                    )}
 
                                     <th className="px-6 py-3 text-center text-xs font-semibold text-gray-600 uppercase">Actions</th>
                                 </tr>
                             </thead>
                             <tbody className="divide-y divide-gray-100">
                                 {students.length === 0 ? (
-                                    <tr><td colSpan="10" className="px-6 py-12 text-center text-gray-500">No students found</td></tr>
+                                    <tr><td colSpan="10" className="px-6 py-12 text-center text-gray-500">
+                                        {showArchived ? 'The recycle bin is empty' : 'No students found'}
+                                    </td></tr>
                                 ) : (
                                     students.map((s, index) => (
                                         <tr key={s.prn} className="hover:bg-gray-50">
@@ -278,24 +343,54 @@ const StudentManagement = () => {
                                             <td className="px-6 py-4 text-sm text-gray-700">{s.name}</td>
                                             <td className="px-6 py-4 text-sm text-gray-600">{s.year || '-'}</td>
                                             <td className="px-6 py-4 text-sm text-gray-600">{s.division || '-'}</td>
+                                            {showArchived && (
+                                                <td className="px-6 py-4 text-sm text-gray-600">
+                                                    {s.archivedAt ? new Date(s.archivedAt).toLocaleDateString('en-IN') : '-'}
+                                                </td>
+                                            )}
 
                                             <td className="px-6 py-4">
-                                                <div className="flex justify-center gap-2">
-                                                    <Link to={`/add-payment/${s.prn}`}
-                                                        className="flex items-center gap-1 px-3 py-1 bg-green-100 text-green-700 hover:bg-green-200 rounded-lg font-medium text-sm transition-colors"
-                                                        title="Add Payment">
-                                                        <BiRupee className="text-lg" /> Pay
-                                                    </Link>
-                                                    <button onClick={() => openEditModal(s)}
-                                                        className="p-2 text-blue-600 hover:bg-blue-50 rounded"
-                                                        title="Edit Student">
-                                                        <FiEdit2 />
-                                                    </button>
-                                                    <button onClick={() => { setSelectedStudent(s); setShowDeleteModal(true); }}
-                                                        className="p-2 text-red-600 hover:bg-red-50 rounded">
-                                                        <FiTrash2 />
-                                                    </button>
-                                                </div>
+                                                {showArchived ? (
+                                                    <div className="flex justify-center gap-2">
+                                                        <button onClick={() => handleRestoreStudent(s)}
+                                                            className="flex items-center gap-1 px-3 py-1 bg-green-100 text-green-700 hover:bg-green-200 rounded-lg font-medium text-sm transition-colors"
+                                                            title="Restore Student">
+                                                            <FiRotateCcw /> Restore
+                                                        </button>
+                                                        <button onClick={() => handlePurgeStudent(s)}
+                                                            disabled={s.paymentCount > 0}
+                                                            className="p-2 text-red-600 hover:bg-red-50 rounded disabled:text-gray-300 disabled:hover:bg-transparent"
+                                                            title={s.paymentCount > 0
+                                                                ? `Has ${s.paymentCount} payment records and cannot be permanently deleted`
+                                                                : 'Delete Permanently'}>
+                                                            <FiTrash2 />
+                                                        </button>
+                                                    </div>
+                                                ) : (
+                                                    <div className="flex justify-center gap-2">
+                                                        {hasRole(ROLES.COLLECTORS) && (
+                                                            <Link to={`/add-payment/${s.prn}`}
+                                                                className="flex items-center gap-1 px-3 py-1 bg-green-100 text-green-700 hover:bg-green-200 rounded-lg font-medium text-sm transition-colors"
+                                                                title="Add Payment">
+                                                                <BiRupee className="text-lg" /> Pay
+                                                            </Link>
+                                                        )}
+                                                        {hasRole(ROLES.MANAGERS) && (
+                                                            <button onClick={() => openEditModal(s)}
+                                                                className="p-2 text-blue-600 hover:bg-blue-50 rounded"
+                                                                title="Edit Student">
+                                                                <FiEdit2 />
+                                                            </button>
+                                                        )}
+                                                        {hasRole(ROLES.SUPER_ADMIN) && (
+                                                            <button onClick={() => { setSelectedStudent(s); setShowDeleteModal(true); }}
+                                                                className="p-2 text-red-600 hover:bg-red-50 rounded"
+                                                                title="Move to Recycle Bin">
+                                                                <FiTrash2 />
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                )}
                                             </td>
                                         </tr>
                                     ))
@@ -456,19 +551,26 @@ const StudentManagement = () => {
                     <div className="bg-white rounded-xl w-full max-w-md p-6">
                         <div className="flex items-center gap-3 mb-4">
                             <div className="p-2 bg-red-100 rounded-full"><FiAlertTriangle className="text-red-600 text-xl" /></div>
-                            <h3 className="text-lg font-semibold">Delete Student</h3>
+                            <h3 className="text-lg font-semibold">Move to Recycle Bin</h3>
                         </div>
-                        <p className="text-gray-600 mb-6">Are you sure you want to delete <b>{selectedStudent?.name}</b> ({selectedStudent?.prn})? This action cannot be undone.</p>
+                        <p className="text-gray-600 mb-6">Move <b>{selectedStudent?.name}</b> ({selectedStudent?.prn}) to the recycle bin? Their payment history is kept and they can be restored later.</p>
                         <div className="flex gap-3">
                             <button onClick={() => setShowDeleteModal(false)}
                                 className="flex-1 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">Cancel</button>
                             <button onClick={handleDeleteStudent}
-                                className="flex-1 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700">Delete</button>
+                                className="flex-1 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700">Move to Recycle Bin</button>
                         </div>
                     </div>
                 </div>
             )}
 
+            {/* Year-End Promotion Wizard */}
+            <PromotionWizard
+                isOpen={showPromotionWizard}
+                onClose={() => setShowPromotionWizard(false)}
+                onComplete={(message) => { setSuccess(message); fetchStudents(); }}
+            />
+
             {/* Bulk Delete Modal */}
             {showBulkDeleteModal && (
                 <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
@@ -478,8 +580,8 @@ const StudentManagement = () => {
                             <h3 className="text-lg font-semibold">Delete Class Data</h3>
                         </div>
                         <p className="text-gray-600 mb-4">
-                            Select the Year and Division to delete. <br />
-                            <span className="text-red-600 font-semibold">Warning: This action cannot be undone.</span>
+                            Select the Year and Division to move to the recycle bin. <br />
+                            <span className="text-gray-500">Payment history is kept and students can be restored from the recycle bin.</span>
                         </p>
 
                         <div className="space-y-4 mb-6">
@@ -513,7 +615,7 @@ const StudentManagement = () => {
                                 className="flex-1 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">Cancel</button>
                             <button onClick={handleBulkDelete} disabled={!bulkDeleteYear || !bulkDeleteDivision}
                                 className="flex-1 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50">
-                                Delete Class
+                                Archive Class
                             </button>
                         </div>
                     </div>
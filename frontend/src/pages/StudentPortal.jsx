@@ -0,0 +1,243 @@
+import { useState, useEffect } from 'react';
+import { Navigate, useNavigate } from 'react-router-dom';
+import { portalAPI } from '../services/api';
+import Loading from '../components/Loading';
+import ErrorMessage from '../components/ErrorMessage';
+import { FiLogOut, FiDownload, FiClock, FiCheckCircle, FiAlertTriangle } from 'react-icons/fi';
+import { BiRupee } from 'react-icons/bi';
+
+// Read-only view of the signed-in student's own charges, dues and receipts
+const StudentPortal = () => {
+    const [account, setAccount] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [downloading, setDownloading] = useState(null);
+
+    const navigate = useNavigate();
+    const hasToken = !!localStorage.getItem('studentToken');
+
+    useEffect(() => {
+        if (!hasToken) return;
+
+        const fetchAccount = async () => {
+            try {
+                setLoading(true);
+                const response = await portalAPI.getAccount();
+                setAccount(response.data.data);
+            } catch (err) {
+                setError(err.response?.data?.message || 'Failed to load your account');
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchAccount();
+    }, [hasToken]);
+
+    if (!hasToken) {
+        return <Navigate to="/portal/login" replace />;
+    }
+
+    const handleLogout = () => {
+        localStorage.removeItem('studentToken');
+        navigate('/portal/login', { replace: true });
+    };
+
+    const handleDownload = async (receipt) => {
+        try {
+            setDownloading(receipt._id);
+            setError('');
+            const response = await portalAPI.getReceiptPdf(receipt.chargeId, receipt._id);
+            const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `Receipt-${(receipt.receiptNumber || 'payment').replace(/[^\w-]+/g, '-')}.pdf`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            setError('Failed to download the receipt');
+        } finally {
+            setDownloading(null);
+        }
+    };
+
+    const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+        style: 'currency', currency: 'INR', maximumFractionDigits: 0
+    }).format(amount || 0);
+
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+        day: '2-digit', month: 'short', year: 'numeric'
+    });
+
+    const isOverdue = (charge) => charge.dueDate && new Date(charge.dueDate) < new Date();
+
+    const student = account?.student;
+    const summary = account?.summary || {};
+    const receipts = (account?.fines || [])
+        .flatMap(charge => charge.receipts.map(receipt => ({ ...receipt, charge })))
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    return (
+        <div className="min-h-screen bg-gray-50">
+            {/* Header */}
+            <header className="bg-gradient-to-r from-primary-700 to-primary-800 text-white shadow-lg">
+                <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 h-16 flex items-center justify-between">
+                    <div>
+                        <p className="font-bold">ITSA Accounts</p>
+                        <p className="text-xs text-white/70">Student Portal</p>
+                    </div>
+                    <button
+                        onClick={handleLogout}
+                        className="flex items-center gap-2 px-3 py-2 rounded-lg bg-white/10 hover:bg-white/20 text-sm"
+                    >
+                        <FiLogOut /> Sign out
+                    </button>
+                </div>
+            </header>
+
+            <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 animate-fadeIn">
+                {error && <ErrorMessage message={error} onClose={() => setError('')} />}
+
+                {loading ? (
+                    <div className="flex justify-center py-16"><Loading size="lg" text="Loading your account..." /></div>
+                ) : student && (
+                    <>
+                        <div className="mb-6">
+                            <h1 className="text-2xl font-bold text-gray-800">{student.name}</h1>
+                            <p className="text-sm text-gray-500 mt-1">
+                                PRN {student.prn}
+                                {student.year && <> · {student.year}</>}
+                                {student.division && <> · Division {student.division}</>}
+                                {student.rollNo && <> · Roll No. {student.rollNo}</>}
+                            </p>
+                        </div>
+
+                        {/* Summary Cards */}
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+                            <div className="bg-gradient-to-br from-blue-50 to-blue-100 rounded-xl p-6 border border-blue-200">
+                                <div className="flex items-center space-x-4">
+                                    <div className="w-10 h-10 bg-blue-500 rounded-lg flex items-center justify-center">
+                                        <BiRupee className="w-5 h-5 text-white" />
+                                    </div>
+                                    <div>
+                                        <p className="text-sm text-blue-600 font-medium">Total Charged</p>
+                                        <p className="text-xl font-bold text-blue-800">{formatCurrency(summary.totalFines)}</p>
+                                    </div>
+                                </div>
+                            </div>
+                            <div className="bg-gradient-to-br from-green-50 to-green-100 rounded-xl p-6 border border-green-200">
+                                <div className="flex items-center space-x-4">
+                                    <div className="w-10 h-10 bg-green-500 rounded-lg flex items-center justify-center">
+                                        <FiCheckCircle className="w-5 h-5 text-white" />
+                                    </div>
+                                    <div>
+                                        <p className="text-sm text-green-600 font-medium">Paid</p>
+                                        <p className="text-xl font-bold text-green-800">{formatCurrency(summary.paidFines)}</p>
+                                    </div>
+                                </div>
+                            </div>
+                            <div className="bg-gradient-to-br from-amber-50 to-amber-100 rounded-xl p-6 border border-amber-200">
+                                <div className="flex items-center space-x-4">
+                                    <div className="w-10 h-10 bg-amber-500 rounded-lg flex items-center justify-center">
+                                        <FiClock className="w-5 h-5 text-white" />
+                                    </div>
+                                    <div>
+                                        <p className="text-sm text-amber-600 font-medium">Outstanding</p>
+                                        <p className="text-xl font-bold text-amber-800">{formatCurrency(summary.unpaidFines)}</p>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+
+                        {/* Outstanding Dues */}
+                        <div className="bg-white rounded-xl shadow-sm border border-gray-100 mb-6">
+                            <div className="px-6 py-4 border-b border-gray-100">
+                                <h2 className="text-lg font-semibold text-gray-800">Outstanding Dues</h2>
+                            </div>
+                            {account.outstanding.length === 0 ? (
+                                <p className="px-6 py-8 text-center text-gray-500">You have no outstanding dues.</p>
+                            ) : (
+                                <ul className="divide-y divide-gray-100">
+                                    {account.outstanding.map(charge => (
+                                        <li key={charge._id} className="px-6 py-4 flex items-start justify-between gap-4">
+                                            <div>
+                                                <p className="font-medium text-gray-800">{charge.category}</p>
+                                                {charge.reason && <p className="text-sm text-gray-500">{charge.reason}</p>}
+                                                <p className={`text-xs mt-1 flex items-center gap-1 ${isOverdue(charge) ? 'text-red-600' : 'text-gray-500'}`}>
+                                                    {isOverdue(charge) && <FiAlertTriangle />}
+                                                    {charge.dueDate ? `Due ${formatDate(charge.dueDate)}` : `Charged ${formatDate(charge.date)}`}
+                                                </p>
+                                            </div>
+                                            <div className="text-right">
+                                                <p className="font-bold text-amber-700">{formatCurrency(charge.balance)}</p>
+                                                {charge.balance !== charge.amount && (
+                                                    <p className="text-xs text-gray-500">of {formatCurrency(charge.amount)}</p>
+                                                )}
+                                            </div>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+
+                        {/* Payment History */}
+                        <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+                            <div className="px-6 py-4 border-b border-gray-100">
+                                <h2 className="text-lg font-semibold text-gray-800">Payment History</h2>
+                            </div>
+                            {receipts.length === 0 ? (
+                                <p className="px-6 py-8 text-center text-gray-500">No payments recorded yet.</p>
+                            ) : (
+                                <div className="overflow-x-auto">
+                                    <table className="w-full text-sm">
+                                        <thead className="bg-gray-50 text-gray-600">
+                                            <tr>
+                                                <th className="px-6 py-3 text-left font-medium">Date</th>
+                                                <th className="px-6 py-3 text-left font-medium">Receipt</th>
+                                                <th className="px-6 py-3 text-left font-medium">For</th>
+                                                <th className="px-6 py-3 text-right font-medium">Amount</th>
+                                                <th className="px-6 py-3"></th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-gray-100">
+                                            {receipts.map(receipt => (
+                                                <tr key={receipt._id} className={receipt.isReversed ? 'text-gray-400' : 'text-gray-700'}>
+                                                    <td className="px-6 py-3 whitespace-nowrap">{formatDate(receipt.date)}</td>
+                                                    <td className="px-6 py-3 whitespace-nowrap">
+                                                        {receipt.receiptNumber || 'N/A'}
+                                                        {receipt.isReversed && (
+                                                            <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-700">Reversed</span>
+                                                        )}
+                                                    </td>
+                                                    <td className="px-6 py-3">
+                                                        {receipt.charge.category}
+                                                        <span className="text-xs text-gray-400"> ({receipt.charge.type === 'fee' ? 'Fee' : 'Fine'})</span>
+                                                    </td>
+                                                    <td className={`px-6 py-3 text-right font-medium ${receipt.isReversed ? 'line-through' : ''}`}>
+                                                        {formatCurrency(receipt.amount)}
+                                                    </td>
+                                                    <td className="px-6 py-3 text-right">
+                                                        <button
+                                                            onClick={() => handleDownload(receipt)}
+                                                            disabled={downloading === receipt._id}
+                                                            className="inline-flex items-center gap-1 text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                                                        >
+                                                            <FiDownload /> {downloading === receipt._id ? 'Preparing...' : 'PDF'}
+                                                        </button>
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </div>
+                    </>
+                )}
+            </main>
+        </div>
+    );
+};
+
+export default StudentPortal;
@@ -4,6 +4,7 @@ import { reportsAPI } from '../services/api';
 import Loading from '../components/Loading';
 import ErrorMessage from '../components/ErrorMessage';
 import * as XLSX from 'xlsx-js-style';
+import { headerStyle, cellStyle, totalStyle } from '../utils/excelStyles';
 import html2pdf from 'html2pdf.js';
 import {
     FiDownload,
@@ -125,39 +126,6 @@ const TransactionReport = () => {
             const allData = response.data.data.transactions;
             const totals = response.data.data.summary;
 
-            // Styles
-            const headerStyle = {
-                font: { bold: true, sz: 12 },
-                fill: { fgColor: { rgb: "DCE6F1" } }, // Light Blue
-                border: {
-                    top: { style: "thin" },
-                    bottom: { style: "thin" },
-                    left: { style: "thin" },
-                    right: { style: "thin" }
-                },
-                alignment: { horizontal: "center" }
-            };
-
-            const cellStyle = {
-                border: {
-                    top: { style: "thin" },
-                    bottom: { style: "thin" },
-                    left: { style: "thin" },
-                    right: { style: "thin" }
-                }
-            };
-
-            const totalStyle = {
-                font: { bold: true },
-                fill: { fgColor: { rgb: "F2F2F2" } }, // Light Gray
-                border: {
-                    top: { style: "thin" },
-                    bottom: { style: "thin" },
-                    left: { style: "thin" },
-                    right: { style: "thin" }
-                }
-            };
-
             // Header Data
             const wsData = [
                 [{ v: "INFORMATION TECHNOLOGY STUDENT ASSOCIATION (ITSA)", s: { font: { bold: true, sz: 14 } } }],
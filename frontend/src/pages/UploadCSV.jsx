@@ -1,5 +1,7 @@
-import { useState, useRef } from 'react';
-import { studentsAPI } from '../services/api';
+import { useState, useRef, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import * as XLSX from 'xlsx-js-style';
+import { studentsAPI, importProfileAPI } from '../services/api';
 import ErrorMessage from '../components/ErrorMessage';
 import {
     FiUpload,
@@ -10,14 +12,40 @@ import {
     FiAlertCircle
 } from 'react-icons/fi';
 
+const STATUS_STYLES = {
+    create: { label: 'New', className: 'bg-green-100 text-green-700' },
+    update: { label: 'Update', className: 'bg-blue-100 text-blue-700' },
+    unchanged: { label: 'No Change', className: 'bg-gray-100 text-gray-600' },
+    reject: { label: 'Rejected', className: 'bg-red-100 text-red-700' },
+};
+
 const UploadCSV = () => {
     const [file, setFile] = useState(null);
+    const [sheetNames, setSheetNames] = useState([]);
+    const [selectedSheets, setSelectedSheets] = useState([]);
+    const [profiles, setProfiles] = useState([]);
+    const [profileId, setProfileId] = useState('');
     const [isDragging, setIsDragging] = useState(false);
     const [isUploading, setIsUploading] = useState(false);
     const [uploadResult, setUploadResult] = useState(null);
+    const [preview, setPreview] = useState(null);
+    const [previewFilter, setPreviewFilter] = useState('');
+    const [isConfirming, setIsConfirming] = useState(false);
     const [error, setError] = useState('');
     const fileInputRef = useRef(null);
 
+    useEffect(() => {
+        const fetchProfiles = async () => {
+            try {
+                const response = await importProfileAPI.getAll();
+                setProfiles(response.data.data?.profiles || []);
+            } catch (err) {
+                // Uploads still work with automatic header detection
+            }
+        };
+        fetchProfiles();
+    }, []);
+
     const handleDragOver = (e) => {
         e.preventDefault();
         setIsDragging(true);
@@ -40,15 +68,19 @@ const UploadCSV = () => {
         validateAndSetFile(selectedFile);
     };
 
-    const validateAndSetFile = (selectedFile) => {
+    const validateAndSetFile = async (selectedFile) => {
         setError('');
         setUploadResult(null);
+        setPreview(null);
+        setSheetNames([]);
+        setSelectedSheets([]);
 
         if (!selectedFile) return;
 
         // Check file type
-        if (!selectedFile.name.toLowerCase().endsWith('.csv')) {
-            setError('Please upload a CSV file only');
+        const fileName = selectedFile.name.toLowerCase();
+        if (!fileName.endsWith('.csv') && !fileName.endsWith('.xlsx')) {
+            setError('Please upload a CSV or Excel (.xlsx) file only');
             return;
         }
 
@@ -58,26 +90,54 @@ const UploadCSV = () => {
             return;
         }
 
+        // Workbooks: list the sheets so the admin can pick which to import
+        if (fileName.endsWith('.xlsx')) {
+            try {
+                const workbook = XLSX.read(await selectedFile.arrayBuffer(), { type: 'array', bookSheets: true });
+                setSheetNames(workbook.SheetNames);
+                setSelectedSheets(workbook.SheetNames);
+            } catch (err) {
+                setError('Could not read the Excel file. Please check that it is a valid .xlsx workbook.');
+                return;
+            }
+        }
+
         setFile(selectedFile);
     };
 
+    const toggleSheet = (sheet) => {
+        setSelectedSheets(prev => (
+            prev.includes(sheet) ? prev.filter(name => name !== sheet) : [...prev, sheet]
+        ));
+    };
+
     const handleUpload = async () => {
         if (!file) {
             setError('Please select a file first');
             return;
         }
 
+        if (sheetNames.length > 0 && selectedSheets.length === 0) {
+            setError('Select at least one sheet to import');
+            return;
+        }
+
         setIsUploading(true);
         setError('');
         setUploadResult(null);
 
         try {
             const formData = new FormData();
+            selectedSheets.forEach(sheet => formData.append('sheets', sheet));
+            if (profileId) formData.append('profileId', profileId);
             formData.append('file', file);
 
             const response = await studentsAPI.uploadCSV(formData);
-            setUploadResult(response.data);
+            setPreview(response.data.data);
+            setPreviewFilter('');
             setFile(null);
+            setSheetNames([]);
+            setSelectedSheets([]);
             if (fileInputRef.current) {
                 fileInputRef.current.value = '';
             }
@@ -88,8 +148,36 @@ const UploadCSV = () => {
         }
     };
 
+    const handleConfirmImport = async () => {
+        setIsConfirming(true);
+        setError('');
+
+        try {
+            const response = await studentsAPI.confirmImport(preview.batchId);
+            setUploadResult(response.data);
+            setPreview(null);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to import students. Please try again.');
+        } finally {
+            setIsConfirming(false);
+        }
+    };
+
+    const handleCancelImport = async () => {
+        try {
+            await studentsAPI.cancelImport(preview.batchId);
+        } catch (err) {
+            // The batch expires on its own; nothing else to undo
+        }
+        setPreview(null);
+    };
+
+    const formatChange = (value) => (value === null || value === undefined || value === '' ? '—' : value);
+
     const removeFile = () => {
         setFile(null);
+        setSheetNames([]);
+        setSelectedSheets([]);
         setError('');
         if (fileInputRef.current) {
             fileInputRef.current.value = '';
@@ -107,7 +195,7 @@ const UploadCSV = () => {
             {/* Header */}
             <div className="mb-8">
                 <h1 className="text-3xl font-bold text-gray-800">Upload Student Data</h1>
-                <p className="text-gray-600 mt-1">Import students from a CSV file</p>
+                <p className="text-gray-600 mt-1">Import students from a CSV file or Excel workbook</p>
             </div>
 
             {/* CSV Format Info */}
@@ -117,7 +205,7 @@ const UploadCSV = () => {
                     CSV Format Requirements
                 </h3>
                 <p className="text-sm text-blue-700 mb-3">
-                    Your CSV file should have the following columns:
+                    Your CSV file (or each sheet of an Excel workbook) should have the following columns:
                 </p>
                 <div className="bg-white rounded-lg p-4 font-mono text-xs text-gray-700 overflow-x-auto">
                     <p className="text-blue-600 font-semibold">Sr No, Academic Year, Semester, Year, Division, Roll No, PRN Number, Student Name, Department, Mobile Number, Email Id</p>
@@ -154,6 +242,9 @@ const UploadCSV = () => {
                                     {uploadResult.data.updatedStudents !== undefined && (
                                         <p>✓ Students updated: <strong>{uploadResult.data.updatedStudents}</strong></p>
                                     )}
+                                    {uploadResult.data.unchangedStudents > 0 && (
+                                        <p>• Unchanged: <strong>{uploadResult.data.unchangedStudents}</strong></p>
+                                    )}
                                     {uploadResult.data.errors !== undefined && uploadResult.data.errors > 0 && (
                                         <p className="text-amber-600">⚠ Errors: <strong>{uploadResult.data.errors}</strong></p>
                                     )}
@@ -164,6 +255,111 @@ const UploadCSV = () => {
                 </div>
             )}
 
+            {/* Import Preview */}
+            {preview && (
+                <div className="mb-6 bg-white border border-gray-200 rounded-xl overflow-hidden">
+                    <div className="p-6 border-b border-gray-100">
+                        <h3 className="font-semibold text-gray-800">Review Import: {preview.fileName}</h3>
+                        {preview.profileName && (
+                            <p className="text-xs text-gray-500 mt-1">Columns mapped with profile <strong>{preview.profileName}</strong></p>
+                        )}
+                        <p className="text-sm text-gray-500 mt-1">
+                            Nothing has been saved yet. Rejected rows will be skipped.
+                        </p>
+                        <div className="flex flex-wrap gap-2 mt-4">
+                            <button
+                                onClick={() => setPreviewFilter('')}
+                                className={`px-3 py-1 text-xs font-medium rounded-full border ${previewFilter === '' ? 'border-primary-500 text-primary-700' : 'border-gray-200 text-gray-600'}`}
+                            >
+                                All ({preview.totalRecords})
+                            </button>
+                            {Object.entries(STATUS_STYLES).map(([status, style]) => (
+                                <button
+                                    key={status}
+                                    onClick={() => setPreviewFilter(status)}
+                                    className={`px-3 py-1 text-xs font-medium rounded-full ${style.className} ${previewFilter === status ? 'ring-2 ring-primary-500' : ''}`}
+                                >
+                                    {style.label} ({preview.summary[status]})
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="max-h-96 overflow-y-auto">
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-50 sticky top-0">
+                                <tr>
+                                    {preview.sheets?.length > 0 && (
+                                        <th className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Sheet</th>
+                                    )}
+                                    <th className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Row</th>
+                                    <th className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Status</th>
+                                    <th className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">PRN</th>
+                                    <th className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Name</th>
+                                    <th className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Details</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {preview.rows
+                                    .filter(row => !previewFilter || row.status === previewFilter)
+                                    .map(row => (
+                                        <tr key={`${row.sheet || ''}-${row.rowNumber}`} className="align-top">
+                                            {preview.sheets?.length > 0 && (
+                                                <td className="px-4 py-2 text-gray-500">{row.sheet}</td>
+                                            )}
+                                            <td className="px-4 py-2 text-gray-500">{row.rowNumber}</td>
+                                            <td className="px-4 py-2">
+                                                <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_STYLES[row.status].className}`}>
+                                                    {STATUS_STYLES[row.status].label}
+                                                </span>
+                                            </td>
+                                            <td className="px-4 py-2 font-mono text-xs">{row.prn || '-'}</td>
+                                            <td className="px-4 py-2">{row.name || '-'}</td>
+                                            <td className="px-4 py-2 text-xs">
+                                                {row.errors.map(err => (
+                                                    <p key={err} className="text-red-600">{err}</p>
+                                                ))}
+                                                {row.changes.map(change => (
+                                                    <p key={change.field} className="text-gray-600">
+                                                        <span className="font-medium">{change.field}</span>:{' '}
+                                                        <span className="text-red-500 line-through">{formatChange(change.before)}</span>
+                                                        {' → '}
+                                                        <span className="text-green-700">{change.after}</span>
+                                                    </p>
+                                                ))}
+                                                {row.archived && <p className="text-amber-600">Student is in the recycle bin</p>}
+                                            </td>
+                                        </tr>
+                                    ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="flex justify-end gap-3 p-4 border-t border-gray-100 bg-gray-50">
+                        <button
+                            onClick={handleCancelImport}
+                            disabled={isConfirming}
+                            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-white transition-colors"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={handleConfirmImport}
+                            disabled={isConfirming || preview.summary.create + preview.summary.update === 0}
+                            className="flex items-center space-x-2 px-4 py-2 bg-primary-600 text-white rounded-lg
+                             hover:bg-primary-700 transition-colors disabled:opacity-50"
+                        >
+                            <FiCheck className="w-4 h-4" />
+                            <span>
+                                {isConfirming
+                                    ? 'Importing...'
+                                    : `Import ${preview.summary.create} New, ${preview.summary.update} Updated`}
+                            </span>
+                        </button>
+                    </div>
+                </div>
+            )}
+
             {/* Drop Zone */}
             <div
                 onDragOver={handleDragOver}
@@ -180,7 +376,7 @@ const UploadCSV = () => {
                     type="file"
                     ref={fileInputRef}
                     onChange={handleFileSelect}
-                    accept=".csv"
+                    accept=".csv,.xlsx"
                     className="hidden"
                 />
 
@@ -190,7 +386,7 @@ const UploadCSV = () => {
                         <FiUpload className={`w-8 h-8 ${isDragging ? 'text-primary-600' : 'text-gray-400'}`} />
                     </div>
                     <p className="text-lg font-medium text-gray-700 mb-1">
-                        {isDragging ? 'Drop your file here' : 'Drag & drop your CSV file'}
+                        {isDragging ? 'Drop your file here' : 'Drag & drop your CSV or Excel file'}
                     </p>
                     <p className="text-sm text-gray-500">
                         or <span className="text-primary-600 font-medium">browse</span> to choose a file
@@ -222,9 +418,49 @@ const UploadCSV = () => {
                             <FiX className="w-5 h-5" />
                         </button>
                     </div>
+
+                    {/* Sheet Picker */}
+                    {sheetNames.length > 0 && (
+                        <div className="mt-4 pt-4 border-t border-gray-100">
+                            <p className="text-sm font-medium text-gray-700 mb-2">
+                                Sheets to import ({selectedSheets.length} of {sheetNames.length})
+                            </p>
+                            <div className="flex flex-wrap gap-x-6 gap-y-2">
+                                {sheetNames.map(sheet => (
+                                    <label key={sheet} className="flex items-center gap-2 text-sm text-gray-700">
+                                        <input
+                                            type="checkbox"
+                                            checked={selectedSheets.includes(sheet)}
+                                            onChange={() => toggleSheet(sheet)}
+                                        />
+                                        {sheet}
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                    )}
                 </div>
             )}
 
+            {/* Column Mapping */}
+            <div className="mt-6 bg-white border border-gray-200 rounded-xl p-4 flex flex-col sm:flex-row sm:items-center gap-3">
+                <label className="text-sm font-medium text-gray-700 whitespace-nowrap">Column mapping</label>
+                <select
+                    value={profileId}
+                    onChange={(e) => setProfileId(e.target.value)}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2
+                     focus:ring-primary-500 focus:border-primary-500"
+                >
+                    <option value="">Automatic (detect from header names)</option>
+                    {profiles.map(profile => (
+                        <option key={profile._id} value={profile._id}>{profile.name}</option>
+                    ))}
+                </select>
+                <Link to="/upload/profiles" className="text-sm text-primary-600 hover:text-primary-700 font-medium whitespace-nowrap">
+                    Manage profiles
+                </Link>
+            </div>
+
             {/* Upload Button */}
             <div className="mt-6 flex justify-end">
                 <button
@@ -243,7 +479,7 @@ const UploadCSV = () => {
                     ) : (
                         <>
                             <FiUpload className="w-5 h-5" />
-                            <span>Upload Students</span>
+                            <span>Upload & Preview</span>
                         </>
                     )}
                 </button>
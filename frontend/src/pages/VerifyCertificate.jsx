@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { verifyAPI } from '../services/api';
+import Loading from '../components/Loading';
+import { FiCheckCircle, FiXCircle } from 'react-icons/fi';
+
+// Public page reached from the QR code on a no-dues certificate
+const VerifyCertificate = () => {
+    const { token } = useParams();
+    const [certificate, setCertificate] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const verify = async () => {
+            try {
+                setLoading(true);
+                const response = await verifyAPI.noDuesCertificate(token);
+                setCertificate(response.data.data);
+            } catch (err) {
+                setError(err.response?.status === 404
+                    ? 'This certificate was not found or has been tampered with.'
+                    : 'The certificate could not be checked right now. Please try again later.');
+            } finally {
+                setLoading(false);
+            }
+        };
+        verify();
+    }, [token]);
+
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+        day: '2-digit', month: 'long', year: 'numeric'
+    });
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-700 via-primary-800 to-primary-900 px-4">
+            <div className="relative w-full max-w-md animate-fadeIn">
+                {/* Logo Card */}
+                <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 mb-6 text-center border border-white/20">
+                    <h1 className="text-2xl font-bold text-white mb-1">ITSA Accounts</h1>
+                    <p className="text-white/70 text-sm">Certificate Verification</p>
+                </div>
+
+                <div className="bg-white rounded-2xl shadow-2xl p-8">
+                    {loading ? (
+                        <div className="flex justify-center py-8"><Loading size="lg" text="Checking certificate..." /></div>
+                    ) : error ? (
+                        <div className="text-center py-4">
+                            <FiXCircle className="w-14 h-14 text-red-500 mx-auto" />
+                            <h2 className="text-xl font-semibold text-gray-800 mt-4">Not Verified</h2>
+                            <p className="text-sm text-gray-600 mt-2">{error}</p>
+                        </div>
+                    ) : (
+                        <>
+                            <div className="text-center">
+                                <FiCheckCircle className="w-14 h-14 text-green-500 mx-auto" />
+                                <h2 className="text-xl font-semibold text-gray-800 mt-4">Genuine No Dues Certificate</h2>
+                                <p className="text-sm text-gray-600 mt-1">Issued by ITSA Accounts</p>
+                            </div>
+
+                            <dl className="mt-6 divide-y divide-gray-100 text-sm">
+                                <div className="flex justify-between py-3">
+                                    <dt className="text-gray-500">Certificate Number</dt>
+                                    <dd className="font-medium text-gray-800">{certificate.certificateNumber}</dd>
+                                </div>
+                                <div className="flex justify-between py-3">
+                                    <dt className="text-gray-500">Student</dt>
+                                    <dd className="font-medium text-gray-800">{certificate.studentName}</dd>
+                                </div>
+                                <div className="flex justify-between py-3">
+                                    <dt className="text-gray-500">Class</dt>
+                                    <dd className="font-medium text-gray-800">
+                                        {[certificate.year, certificate.division && `Division ${certificate.division}`].filter(Boolean).join(', ') || 'N/A'}
+                                    </dd>
+                                </div>
+                                <div className="flex justify-between py-3">
+                                    <dt className="text-gray-500">Academic Year</dt>
+                                    <dd className="font-medium text-gray-800">{certificate.academicYear}</dd>
+                                </div>
+                                <div className="flex justify-between py-3">
+                                    <dt className="text-gray-500">Issued On</dt>
+                                    <dd className="font-medium text-gray-800">{formatDate(certificate.issuedAt)}</dd>
+                                </div>
+                            </dl>
+
+                            <p className="text-xs text-gray-500 mt-6 text-center">
+                                The student had no outstanding dues on the date of issue. Check that these details match the printed certificate.
+                            </p>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default VerifyCertificate;
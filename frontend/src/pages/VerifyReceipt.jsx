@@ -0,0 +1,115 @@
+import { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { verifyAPI } from '../services/api';
+import Loading from '../components/Loading';
+import { FiCheckCircle, FiXCircle, FiAlertTriangle } from 'react-icons/fi';
+
+// Public page reached from the QR code on a receipt
+const VerifyReceipt = () => {
+    const { token } = useParams();
+    const [receipt, setReceipt] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const verify = async () => {
+            try {
+                setLoading(true);
+                const response = await verifyAPI.receipt(token);
+                setReceipt(response.data.data);
+            } catch (err) {
+                setError(err.response?.status === 404
+                    ? 'This receipt was not found or has been tampered with.'
+                    : 'The receipt could not be checked right now. Please try again later.');
+            } finally {
+                setLoading(false);
+            }
+        };
+        verify();
+    }, [token]);
+
+    const formatDate = (date) => new Date(date).toLocaleString('en-IN', {
+        day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: true
+    });
+
+    const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+        style: 'currency',
+        currency: 'INR',
+        maximumFractionDigits: 0,
+    }).format(amount || 0);
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-700 via-primary-800 to-primary-900 px-4">
+            <div className="relative w-full max-w-md animate-fadeIn">
+                {/* Logo Card */}
+                <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 mb-6 text-center border border-white/20">
+                    <h1 className="text-2xl font-bold text-white mb-1">ITSA Accounts</h1>
+                    <p className="text-white/70 text-sm">Receipt Verification</p>
+                </div>
+
+                <div className="bg-white rounded-2xl shadow-2xl p-8">
+                    {loading ? (
+                        <div className="flex justify-center py-8"><Loading size="lg" text="Checking receipt..." /></div>
+                    ) : error ? (
+                        <div className="text-center py-4">
+                            <FiXCircle className="w-14 h-14 text-red-500 mx-auto" />
+                            <h2 className="text-xl font-semibold text-gray-800 mt-4">Not Verified</h2>
+                            <p className="text-sm text-gray-600 mt-2">{error}</p>
+                        </div>
+                    ) : (
+                        <>
+                            <div className="text-center">
+                                {receipt.isReversed ? (
+                                    <FiAlertTriangle className="w-14 h-14 text-amber-500 mx-auto" />
+                                ) : (
+                                    <FiCheckCircle className="w-14 h-14 text-green-500 mx-auto" />
+                                )}
+                                <h2 className="text-xl font-semibold text-gray-800 mt-4">Genuine Receipt</h2>
+                                <p className="text-sm text-gray-600 mt-1">Issued by ITSA Accounts</p>
+                            </div>
+
+                            {receipt.isReversed && (
+                                <div className="mt-6 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                                    This payment was later reversed
+                                    {receipt.creditNoteNumber && <> (credit note {receipt.creditNoteNumber})</>}
+                                    , so the receipt no longer counts as paid.
+                                </div>
+                            )}
+
+                            <dl className="mt-6 divide-y divide-gray-100 text-sm">
+                                <div className="flex justify-between py-3">
+                                    <dt className="text-gray-500">Receipt Number</dt>
+                                    <dd className="font-medium text-gray-800">{receipt.receiptNumber || 'N/A'}</dd>
+                                </div>
+                                <div className="flex justify-between py-3">
+                                    <dt className="text-gray-500">Student</dt>
+                                    <dd className="font-medium text-gray-800">{receipt.studentName}</dd>
+                                </div>
+                                <div className="flex justify-between py-3">
+                                    <dt className="text-gray-500">Category</dt>
+                                    <dd className="font-medium text-gray-800">
+                                        {receipt.category} ({receipt.type === 'fee' ? 'Fee' : 'Fine'})
+                                    </dd>
+                                </div>
+                                <div className="flex justify-between py-3">
+                                    <dt className="text-gray-500">Date</dt>
+                                    <dd className="font-medium text-gray-800">{formatDate(receipt.date)}</dd>
+                                </div>
+                                <div className="flex justify-between py-3">
+                                    <dt className="text-gray-500">Amount</dt>
+                                    <dd className="text-lg font-bold text-primary-700">{formatCurrency(receipt.amount)}</dd>
+                                </div>
+                            </dl>
+
+                            <p className="text-xs text-gray-500 mt-6 text-center">
+                                Check that these details match the printed receipt.
+                            </p>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default VerifyReceipt;
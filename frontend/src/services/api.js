@@ -56,13 +56,35 @@ export const studentsAPI = {
             'Content-Type': 'multipart/form-data',
         },
     }),
+    confirmImport: (batchId) => api.post(`/students/imports/${batchId}/confirm`),
+    cancelImport: (batchId) => api.delete(`/students/imports/${batchId}`),
+    importPayments: (formData) => api.post('/students/payments/import', formData, {
+        headers: {
+            'Content-Type': 'multipart/form-data',
+        },
+    }),
     getAll: (params) => api.get('/students', { params }),
     search: (query) => api.get('/students/search', { params: { query } }),
     searchByPRN: (prn) => api.get(`/students/search/${prn}`),
     getByPRN: (prn) => api.get(`/students/${prn}`),
     addFine: (prn, fineData) => api.post(`/students/add-fine/${prn}`, fineData),
     getFines: (prn) => api.get(`/students/${prn}/fines`),
-    markFinePaid: (prn, fineId) => api.put(`/students/${prn}/fines/${fineId}/pay`),
+    markFinePaid: (prn, fineId, data) => api.put(`/students/${prn}/fines/${fineId}/pay`, data),
+    reversePayment: (prn, fineId, paymentId, data) => api.post(`/students/${prn}/fines/${fineId}/payments/${paymentId}/reverse`, data),
+    resendReceipt: (prn, fineId, paymentId) => api.post(`/students/${prn}/fines/${fineId}/payments/${paymentId}/resend-receipt`),
+    getReceiptPdf: (prn, fineId, paymentId) => api.get(`/students/${prn}/fines/${fineId}/receipt.pdf`, {
+        params: { paymentId },
+        responseType: 'blob',
+    }),
+    getStatement: (prn, params) => api.get(`/students/${prn}/statement`, { params }),
+    getStatementPdf: (prn, params) => api.get(`/students/${prn}/statement.pdf`, {
+        params,
+        responseType: 'blob',
+    }),
+    waiveLateFee: (prn, fineId, data) => api.post(`/students/${prn}/fines/${fineId}/waive`, data),
+    grantConcession: (prn, fineId, data) => api.post(`/students/${prn}/fines/${fineId}/concessions`, data),
+    reviewConcession: (prn, fineId, concessionId, data) => api.put(`/students/${prn}/fines/${fineId}/concessions/${concessionId}/review`, data),
+    getDues: (params) => api.get('/students/dues', { params }),
     delete: (prn) => api.delete(`/students/${prn}`),
 };
 
@@ -92,6 +114,128 @@ export const categoryAPI = {
     delete: (id) => api.delete(`/categories/${id}`),
 };
 
+// ============================================
+// Import Profile API
+// ============================================
+
+export const importProfileAPI = {
+    getAll: () => api.get('/import-profiles'),
+    create: (data) => api.post('/import-profiles', data),
+    update: (id, data) => api.put(`/import-profiles/${id}`, data),
+    delete: (id) => api.delete(`/import-profiles/${id}`),
+};
+
+// ============================================
+// Levy API
+// ============================================
+
+export const levyAPI = {
+    getAll: (params) => api.get('/levies', { params }),
+    getById: (id) => api.get(`/levies/${id}`),
+    preview: (data) => api.post('/levies/preview', data),
+    create: (data) => api.post('/levies', data),
+    cancel: (id, data) => api.post(`/levies/${id}/cancel`, data),
+};
+
+// ============================================
+// Scheduled Jobs API
+// ============================================
+
+export const jobAPI = {
+    getAll: () => api.get('/jobs'),
+    getRuns: (name, params) => api.get(`/jobs/${name}/runs`, { params }),
+    update: (name, data) => api.put(`/jobs/${name}`, data),
+    run: (name) => api.post(`/jobs/${name}/run`),
+};
+
+// ============================================
+// Email Templates API
+// ============================================
+
+export const emailTemplateAPI = {
+    getAll: () => api.get('/email-templates'),
+    update: (key, data) => api.put(`/email-templates/${key}`, data),
+    reset: (key) => api.delete(`/email-templates/${key}`),
+    preview: (key, data) => api.post(`/email-templates/${key}/preview`, data),
+    sendTest: (key, data) => api.post(`/email-templates/${key}/test`, data),
+    sendNotice: (data) => api.post('/email-templates/notice/send', data),
+};
+
+// ============================================
+// Receipt Verification API (public)
+// ============================================
+
+export const verifyAPI = {
+    receipt: (token) => api.get(`/verify/receipts/${token}`),
+    noDuesCertificate: (token) => api.get(`/verify/no-dues/${token}`),
+};
+
+// ============================================
+// No-Dues Certificates API
+// ============================================
+
+export const noDuesAPI = {
+    checkStudent: (prn) => api.get(`/no-dues/students/${prn}`),
+    issueForStudent: (prn) => api.post(`/no-dues/students/${prn}`),
+    checkClass: (params) => api.get('/no-dues/class', { params }),
+    issueForClass: (data) => api.post('/no-dues/class', data),
+    getCertificatePdf: (id) => api.get(`/no-dues/${id}/certificate.pdf`, { responseType: 'blob' }),
+};
+
+// ============================================
+// Student Portal API
+// ============================================
+
+// Students sign in separately from admins: their token is kept
+// under its own key and never sent with admin requests
+const portal = axios.create({
+    baseURL: '/api/portal',
+    headers: {
+        'Content-Type': 'application/json',
+    },
+});
+
+portal.interceptors.request.use((config) => {
+    const token = localStorage.getItem('studentToken');
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
+
+portal.interceptors.response.use(
+    (response) => response,
+    (error) => {
+        // A wrong sign-in code is also a 401; only an expired session signs the student out
+        if (error.response?.status === 401 && localStorage.getItem('studentToken')) {
+            localStorage.removeItem('studentToken');
+            window.location.href = '/portal/login';
+        }
+        return Promise.reject(error);
+    }
+);
+
+export const portalAPI = {
+    requestCode: (prn) => portal.post('/login-code', { prn }),
+    verifyCode: (prn, code) => portal.post('/verify', { prn, code }),
+    getAccount: () => portal.get('/me'),
+    getReceiptPdf: (fineId, paymentId) => portal.get(`/fines/${fineId}/receipt.pdf`, {
+        params: { paymentId },
+        responseType: 'blob',
+    }),
+};
+
+// ============================================
+// Admin Management API
+// ============================================
+export const adminsAPI = {
+    getAll: () => api.get('/admins'),
+    create: (data) => api.post('/admins', data),
+    update: (id, data) => api.put(`/admins/${id}`, data),
+    setStatus: (id, isActive) => api.put(`/admins/${id}/status`, { isActive }),
+    resetPassword: (id, data) => api.put(`/admins/${id}/reset-password`, data),
+};
+
 // ============================================
 // Reports API (New)
 // ============================================
@@ -99,6 +243,17 @@ export const categoryAPI = {
 export const reportsAPI = {
     getStudentPayments: (params) => api.get('/reports/student-payments', { params }),
     getTransactions: (params) => api.get('/reports/transactions', { params }),
+    getDefaulters: (params) => api.get('/reports/defaulters', { params }),
+    remindDefaulters: (data) => api.post('/reports/defaulters/remind', data),
+    getConcessions: (params) => api.get('/reports/concessions', { params }),
+};
+
+// ============================================
+// Audit Log API
+// ============================================
+
+export const auditAPI = {
+    getLogs: (params) => api.get('/audit-logs', { params }),
 };
 
 // ============================================
@@ -113,6 +268,10 @@ export const studentManagementAPI = {
     deleteByDivision: (division) => api.delete(`/students/division/${division}`),
     deleteByYear: (year) => api.delete(`/students/year/${year}`),
     deleteByClass: (year, division) => api.delete('/students/class', { data: { year, division } }),
+    restoreStudent: (prn) => api.put(`/students/${prn}/restore`),
+    purgeStudent: (prn) => api.delete(`/students/${prn}/purge`),
+    previewPromotion: (params) => api.get('/students/promotion/preview', { params }),
+    promote: (data) => api.post('/students/promotion', data),
 };
 
 export default api;
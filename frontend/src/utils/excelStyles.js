@@ -0,0 +1,26 @@
+// Cell styles shared by the Excel (xlsx-js-style) exports
+
+const border = {
+    top: { style: "thin" },
+    bottom: { style: "thin" },
+    left: { style: "thin" },
+    right: { style: "thin" }
+};
+
+// Column headings of a table
+export const headerStyle = {
+    font: { bold: true, sz: 12 },
+    fill: { fgColor: { rgb: "DCE6F1" } }, // Light Blue
+    border,
+    alignment: { horizontal: "center" }
+};
+
+// Ordinary table cells
+export const cellStyle = { border };
+
+// Total and group rows
+export const totalStyle = {
+    font: { bold: true },
+    fill: { fgColor: { rgb: "F2F2F2" } }, // Light Gray
+    border
+};